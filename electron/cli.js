@@ -0,0 +1,307 @@
+#!/usr/bin/env node
+/**
+ * SurfaceMac Wizard - Headless CLI
+ *
+ * Runs the USB build pipeline without the wizard UI, e.g.
+ *   surfacemac build --disk /dev/sdb --cpu i7 --macos sonoma --efi repo:owner/repo --yes
+ *   surfacemac image --output surface-sonoma.img --cpu i7
+ *
+ * Started with plain Node this file relaunches Electron with `--cli` (the
+ * handlers need Electron's session for Apple's recovery servers). main.js then
+ * calls runHeadless() with its registered IPC handlers. Progress is printed to
+ * stdout as one JSON object per line; main-process logging goes to stderr.
+ */
+
+const path = require('path');
+const util = require('util');
+const smbiosService = require('./services/smbiosService');
+
+const USAGE = `Usage: surfacemac <command> [options]
+
+Commands:
+  build             Format a USB drive and build the installer
+  image             Build the recovery installer into a GPT disk image file instead (--output <file.img>)
+  resume            Continue a build that stopped (--job <id>, --skip-failed to skip the step that failed)
+  jobs              List earlier builds and images and the step each one stopped at (JSON)
+  list-disks        List removable drives and whether they may be erased (JSON)
+  list-efi-sources  List the registered EFI sources (JSON)
+  export-bundle     Write the download cache to an offline asset bundle (--output <folder|file.tar.gz>)
+  help              Show this help
+
+Build options:
+  --disk <path>          Target drive (e.g. /dev/disk4, /dev/sdb, \\\\.\\PHYSICALDRIVE2)   [required]
+  --cpu <i5|i7>          CPU variant of the Surface Pro 7                    (default: i5)
+  --macos <sonoma|sequoia>                                                   (default: sonoma)
+  --installer <recovery|full>                                                (default: recovery)
+  --build <build|id>     Pin an exact full installer build or product ID
+  --catalog <type>       Catalog for --build: public, publicseed, developer  (default: publicseed)
+  --efi <source>         default, source:<id>, repo:owner/name, a URL or a local EFI folder (default: default)
+                         Registry sources and repos take @tag:<tag> or @branch:<branch>, e.g. source:balopez83@tag:v1.2
+  --efi-sha256 <hex>     Expected SHA-256 of the EFI archive (default: the checksum the release publishes)
+  --model <smbios>       SMBIOS model, e.g. MacBookAir9,1 or MacBookPro16,2  (default: MacBookAir9,1)
+  --profile <file>       Take CPU, macOS, EFI source, SMBIOS and build from an exported profile
+  --bundle <path>        Serve downloads from an offline asset bundle (folder or .tar.gz)
+  --force-format         Re-format even if BOOT/INSTALL already exist
+  --skip-format          Keep the current partitions and installer, only update EFI + config
+  --skip-efi-copy        Keep the EFI on the stick, only patch config.plist (implies --skip-format)
+  --no-verbose           Do not add -v and debug boot-args
+  --yes                  Confirm that the target disk may be erased
+
+Image options:
+  --output <file.img>    Image to write: an EFI and a BOOT partition, flash it with dd or balenaEtcher   [required]
+                         Takes --cpu, --macos, --efi, --efi-sha256, --model, --profile and --no-verbose as above`;
+
+// Commands that run (or resume) a persisted job
+const JOB_COMMANDS = ['build', 'image', 'resume'];
+
+const BOOLEAN_FLAGS = ['force-format', 'skip-format', 'skip-efi-copy', 'skip-failed', 'no-verbose', 'yes', 'help'];
+
+/**
+ * Parse `--key value` / `--flag` arguments
+ */
+function parseArgs(argv) {
+    const [command = 'help', ...rest] = argv;
+    const flags = {};
+
+    for (let i = 0; i < rest.length; i++) {
+        const arg = rest[i];
+        if (!arg.startsWith('--')) throw new Error(`Unexpected argument "${arg}"`);
+        const name = arg.slice(2);
+
+        if (BOOLEAN_FLAGS.includes(name)) {
+            flags[name] = true;
+        } else {
+            const value = rest[i + 1];
+            if (value === undefined || value.startsWith('--')) throw new Error(`--${name} needs a value`);
+            flags[name] = value;
+            i++;
+        }
+    }
+
+    return { command, flags };
+}
+
+const oneOf = (name, value, allowed) => {
+    if (!allowed.includes(value)) throw new Error(`--${name} must be one of: ${allowed.join(', ')}`);
+    return value;
+};
+
+/**
+ * The wizard state of the --profile file, or null
+ */
+function readProfile(flags) {
+    if (!flags.profile) return null;
+    const profile = require('./services/profileService').read(path.resolve(flags.profile));
+    if (!profile) throw new Error(`Profile ${flags.profile} not found`);
+    return profile.wizard;
+}
+
+/**
+ * CPU, macOS, EFI source and SMBIOS options shared by USB and image builds
+ */
+function commonOptions(flags, wizard) {
+    let efiSource = flags.efi;
+    let efiSha256 = flags['efi-sha256'] || null;
+    if (!efiSource && wizard) {
+        efiSource = require('./services/efiRegistryService').identifierFor(wizard.config.efiSource) || wizard.config.efiSource.value;
+        efiSha256 = efiSha256 || wizard.config.efiSource.sha256 || null;
+    }
+    if (efiSha256 && !/^(sha256:)?[0-9a-f]{64}$/i.test(efiSha256)) {
+        throw new Error('--efi-sha256 must be a SHA-256 checksum (64 hex characters)');
+    }
+
+    return {
+        cpuType: oneOf('cpu', flags.cpu || (wizard && wizard.cpuType) || 'i5', ['i5', 'i7']),
+        macosVersion: oneOf('macos', flags.macos || (wizard && wizard.macosVersion) || 'sonoma', ['sonoma', 'sequoia']),
+        efiSource: efiSource || 'default',
+        efiSha256,
+        smbiosModel: oneOf('model', flags.model || (wizard && wizard.config.smbiosModel) || smbiosService.DEFAULT_MODEL,
+            smbiosService.listModels().map(m => m.model)),
+        smbios: wizard ? wizard.config.smbios : null,
+        verbose: !flags['no-verbose'],
+    };
+}
+
+/**
+ * Turn CLI flags (and an optional profile) into pipeline options
+ */
+function buildOptions(flags) {
+    const wizard = readProfile(flags);
+
+    if (!flags.disk) throw new Error('--disk is required');
+
+    const skipEfiCopy = !!flags['skip-efi-copy'];
+    const skipFormat = skipEfiCopy || !!flags['skip-format'];
+    if (!skipFormat && !flags.yes) {
+        throw new Error(`Refusing to erase ${flags.disk} without --yes`);
+    }
+
+    let installerSelection = wizard ? wizard.config.installerSelection : null;
+    if (flags.build) {
+        const isProductId = /^\d{3}-\d+$/.test(flags.build);
+        installerSelection = {
+            catalogType: oneOf('catalog', flags.catalog || 'publicseed', ['public', 'publicseed', 'developer']),
+            productId: isProductId ? flags.build : undefined,
+            build: isProductId ? undefined : flags.build,
+        };
+    }
+
+    return {
+        disk: flags.disk,
+        installerType: oneOf('installer', flags.installer || (installerSelection ? 'full' : 'recovery'), ['recovery', 'full']),
+        installerSelection,
+        ...commonOptions(flags, wizard),
+        forceFormat: !!flags['force-format'],
+        skipFormat,
+        skipEfiCopy,
+    };
+}
+
+/**
+ * Turn CLI flags (and an optional profile) into image build options. An image holds the
+ * recovery installer: the full installer needs an ExFAT volume the image does not have.
+ */
+function imageOptions(flags) {
+    if (!flags.output) throw new Error('--output is required');
+    if (flags.disk) throw new Error('An image is written to a file: use --output instead of --disk');
+    if ((flags.installer && flags.installer !== 'recovery') || flags.build) {
+        throw new Error('Disk images hold the recovery installer only');
+    }
+
+    return {
+        output: path.resolve(flags.output),
+        ...commonOptions(flags, readProfile(flags)),
+    };
+}
+
+/**
+ * Entry point inside Electron (called from main.js). Resolves to the exit code.
+ */
+async function runHeadless(argv, invokeHandler) {
+    const print = (event) => process.stdout.write(`${JSON.stringify({ ts: new Date().toISOString(), ...event })}\n`);
+
+    // Keep stdout machine readable: handler logging goes to stderr
+    console.log = (...args) => process.stderr.write(`${util.format(...args)}\n`);
+    console.info = console.log;
+
+    let command;
+    try {
+        const parsed = parseArgs(argv);
+        command = parsed.command;
+
+        if (command === 'help' || parsed.flags.help) {
+            process.stderr.write(`${USAGE}\n`);
+            return 0;
+        }
+
+        if (command === 'list-disks') {
+            const drives = await invokeHandler('list-usb-drives', null);
+            print({ type: 'done', command, result: drives });
+            return 0;
+        }
+
+        if (command === 'export-bundle') {
+            if (!parsed.flags.output) throw new Error('--output is required');
+            const sender = { isDestroyed: () => false, send: (_, message) => print({ type: 'status', command, message }) };
+            const bundle = await invokeHandler('export-asset-bundle', sender, path.resolve(parsed.flags.output));
+            print({ type: 'done', command, result: bundle });
+            return 0;
+        }
+
+        if (command === 'list-efi-sources') {
+            const registry = await invokeHandler('list-efi-sources', null);
+            print({ type: 'done', command, result: registry });
+            return 0;
+        }
+
+        if (command === 'jobs') {
+            const jobs = await invokeHandler('list-jobs', null);
+            print({ type: 'done', command, result: jobs.map(({ options, ...job }) => ({ ...job, disk: options.disk, output: options.output })) });
+            return 0;
+        }
+
+        if (!JOB_COMMANDS.includes(command)) throw new Error(`Unknown command "${command}"`);
+
+        if (parsed.flags.bundle) {
+            const bundle = await invokeHandler('use-asset-bundle', null, path.resolve(parsed.flags.bundle), { persist: false });
+            print({ type: 'status', command, message: `Using asset bundle ${bundle.path} (${bundle.assets.length} assets)` });
+        }
+
+        // The drive as list-usb-drives sees it now: at this path, or by serial number after a replug
+        const findDrive = async (disk, identity = null) => (await invokeHandler('list-usb-drives', null))
+            .find(d => (identity && identity.serial ? d.serial === identity.serial : d.path === disk));
+
+        // format-usb only erases a drive the disk guard confirmed in the drive list
+        const confirmDisk = async (disk, identity = null) => {
+            const drive = await findDrive(disk, identity);
+            if (!drive) throw new Error(`${disk} is not a removable drive (see list-disks)`);
+            if (!drive.token) throw new Error(`Refusing to erase ${drive.path}: ${drive.problems.join('; ')}`);
+            return { disk: drive.path, diskIdentity: drive.identity, diskToken: drive.token };
+        };
+
+        // The build runs as a persisted job: a failed step can be retried with `resume --job <id>`
+        const jobService = require('./services/jobService');
+        let job;
+        if (command === 'build') {
+            const options = buildOptions(parsed.flags);
+            if (!options.skipFormat) {
+                Object.assign(options, await confirmDisk(options.disk));
+            } else {
+                const drive = await findDrive(options.disk);
+                options.diskIdentity = drive ? drive.identity : null;
+            }
+            print({ type: 'start', command, options: { ...options, diskToken: undefined, smbios: options.smbios ? '(from profile)' : null } });
+            job = jobService.create('usb-build', options);
+        } else if (command === 'image') {
+            const options = imageOptions(parsed.flags);
+            print({ type: 'start', command, options: { ...options, smbios: options.smbios ? '(from profile)' : null } });
+            job = jobService.create('image-build', options);
+        } else {
+            if (!parsed.flags.job) throw new Error('--job is required');
+            const stopped = jobService.get(parsed.flags.job);
+            const failed = stopped.steps.find(s => s.status === 'failed');
+            const formatPending = stopped.steps.some(s => s.name === 'format' && ['pending', 'failed'].includes(s.status));
+            job = jobService.resume(stopped.id, {
+                skip: parsed.flags['skip-failed'] && failed ? failed.name : null,
+                options: formatPending && !stopped.options.skipFormat ? await confirmDisk(stopped.options.disk, stopped.options.diskIdentity) : null,
+            });
+            print({ type: 'start', command, jobId: job.id });
+        }
+
+        // Job snapshots are for the wizard; the CLI prints the events themselves
+        const emit = (event) => print({ ...event, job: undefined });
+        const result = await jobService.run(job.id, { emit, context: { invoke: invokeHandler } });
+        print({ type: 'done', command, result });
+        return 0;
+    } catch (error) {
+        print({ type: 'error', command, message: error.message, jobId: error.jobId, step: error.step });
+        if (!JOB_COMMANDS.includes(command)) process.stderr.write(`\n${USAGE}\n`);
+        return 1;
+    }
+}
+
+/**
+ * Entry point under plain Node: relaunch this app inside Electron in CLI mode
+ */
+function launch() {
+    const { spawn } = require('child_process');
+    const electronPath = require('electron'); // the binary path when required from Node
+
+    const args = [path.join(__dirname, '..'), '--cli', ...process.argv.slice(2)];
+    // No display server (CI, SSH): let Chromium start without one
+    if (process.platform === 'linux' && !process.env.DISPLAY && !process.env.WAYLAND_DISPLAY) {
+        args.unshift('--ozone-platform=headless');
+    }
+
+    const env = { ...process.env };
+    delete env.ELECTRON_RUN_AS_NODE; // would make Electron behave like plain Node
+
+    const child = spawn(electronPath, args, { stdio: 'inherit', env });
+    child.on('close', (code) => process.exit(code === null ? 1 : code));
+}
+
+if (require.main === module) {
+    launch();
+}
+
+module.exports = { parseArgs, buildOptions, imageOptions, runHeadless };
@@ -13,39 +13,22 @@ const fs = require('fs');
 
 let mainWindow = null;
 
-// ========== SMBIOS Generation ==========
-const BASE34_CHARS = 'ABCDEFGHJKLMNPQRSTUVWXYZ0123456789';
-const LOCATION_CODES = ['C02', 'C07', 'C17', 'C1M', 'C2V', 'CK2', 'D25', 'DQG', 'DYJ', 'F5K', 'F5V', 'F17', 'FC2', 'FVF', 'G8W', 'GQ6', 'H2W', 'J9G'];
-const MODEL_CODES = {
-  'MacBookAir9,1': 'GQ6Y',
-  'MacBookPro16,2': 'JWQ6',
-  'MacBookPro16,1': 'HDWP',
+// Every IPC handler is also kept here so the headless CLI (electron/cli.js) can run
+// exactly the same code without a renderer, see invokeHandler().
+const ipcHandlers = new Map();
+const handle = (channel, listener) => {
+  ipcHandlers.set(channel, listener);
+  ipcMain.handle(channel, listener);
 };
 
-function randomBase34() {
-  return BASE34_CHARS[Math.floor(Math.random() * BASE34_CHARS.length)];
-}
-
-function randomAlphanumeric(length) {
-  let result = '';
-  for (let i = 0; i < length; i++) result += randomBase34();
-  return result;
-}
-
-function generateSMBIOS(model = 'MacBookAir9,1') {
-  const modelCode = MODEL_CODES[model] || 'GQ6Y';
-  const location = LOCATION_CODES[Math.floor(Math.random() * LOCATION_CODES.length)];
-
-  return {
-    model,
-    serial: `${location}${randomBase34()}${randomBase34()}${randomAlphanumeric(3)}${modelCode}`,
-    mlb: `${location}${randomAlphanumeric(4)}${randomAlphanumeric(5)}${modelCode}${randomBase34()}`,
-    uuid: 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, (c) => {
-      const r = Math.floor(Math.random() * 16);
-      const v = c === 'x' ? r : (r & 0x3) | 0x8;
-      return v.toString(16).toUpperCase();
-    }),
-  };
+/**
+ * Run a registered handler directly. `sender` stands in for event.sender and
+ * receives whatever the handler would have sent to the renderer.
+ */
+function invokeHandler(channel, sender, ...args) {
+  const listener = ipcHandlers.get(channel);
+  if (!listener) throw new Error(`No IPC handler registered for "${channel}"`);
+  return listener({ sender }, ...args);
 }
 
 // ========== Window Creation ==========
@@ -76,11 +59,11 @@ const createWindow = () => {
 // ========== IPC Handlers ==========
 
 // Platform info
-ipcMain.handle('get-platform', () => process.platform);
-ipcMain.handle('get-app-version', () => app.getVersion());
+handle('get-platform', () => process.platform);
+handle('get-app-version', () => app.getVersion());
 
 // Check for Admin Privileges (Windows)
-ipcMain.handle('check-admin', () => {
+handle('check-admin', () => {
   if (process.platform === 'win32') {
     try {
       require('child_process').execSync('net session', { stdio: 'ignore' });
@@ -94,7 +77,7 @@ ipcMain.handle('check-admin', () => {
 
 // Full Disk Access check (macOS only)
 // Tests by trying to read a protected directory
-ipcMain.handle('check-full-disk-access', async () => {
+handle('check-full-disk-access', async () => {
   if (process.platform !== 'darwin') return { hasAccess: true };
 
   const fs = require('fs');
@@ -109,7 +92,7 @@ ipcMain.handle('check-full-disk-access', async () => {
 });
 
 // Open macOS System Settings to Full Disk Access
-ipcMain.handle('open-full-disk-settings', async () => {
+handle('open-full-disk-settings', async () => {
   const { shell } = require('electron');
   if (process.platform === 'darwin') {
     // Opens System Settings > Privacy & Security > Full Disk Access
@@ -120,80 +103,87 @@ ipcMain.handle('open-full-disk-settings', async () => {
 });
 
 // SMBIOS Generation
-ipcMain.handle('generate-smbios', (_, model) => {
-  return generateSMBIOS(model || 'MacBookAir9,1');
+handle('list-smbios-models', () => smbiosService.listModels());
+
+handle('generate-smbios', (_, model) => {
+  return smbiosService.generate(model || smbiosService.DEFAULT_MODEL);
+});
+
+// Decode and check an existing serial / MLB / UUID
+handle('validate-smbios', (_, smbios) => {
+  return smbiosService.validate(typeof smbios === 'string' ? { serial: smbios } : smbios);
 });
 
 // USB Operations
-ipcMain.handle('list-usb-drives', async () => {
-  const { exec } = require('child_process');
-  const { promisify } = require('util');
-  const execAsync = promisify(exec);
+// Drives a USB installer can be written to: external / removable physical whole disks
+const isRemovableDrive = (disk) => disk.removable && !disk.virtual && disk.size > 0;
+
+const toDrive = (disk) => ({
+  id: disk.id,
+  name: disk.name || 'USB Drive',
+  size: `${(disk.size / 1000 ** 3).toFixed(1)} GB`,
+  path: disk.path,
+});
 
+// Removable drives: [{ id, name, size, path }]
+async function listRemovableDrives() {
   try {
-    if (process.platform === 'darwin') {
-      const { stdout } = await execAsync('diskutil list external physical');
-      const lines = stdout.split('\n');
-      const drives = [];
-
-      for (const line of lines) {
-        const diskMatch = line.match(/^\/dev\/(disk\d+)/);
-        if (diskMatch) {
-          const disk = diskMatch[1];
-          try {
-            const { stdout: info } = await execAsync(`diskutil info /dev/${disk}`);
-            const nameMatch = info.match(/Device \/ Media Name:\s+(.+)/);
-            const sizeMatch = info.match(/Disk Size:\s+(\S+\s+\S+)/);
-
-            drives.push({
-              id: disk,
-              name: nameMatch ? nameMatch[1].trim() : 'USB Drive',
-              size: sizeMatch ? sizeMatch[1] : 'Unknown',
-              path: `/dev/${disk}`,
-            });
-          } catch (e) {
-            // Skip drives we can't read
-          }
-        }
-      }
-
-      return drives;
-    } else if (process.platform === 'win32') {
-      // Windows: Use Get-CimInstance with MediaType filter for reliable USB detection
-      const { stdout } = await execAsync(
-        `powershell -NoProfile -Command "Get-CimInstance Win32_DiskDrive | Where-Object MediaType -eq 'Removable Media' | Select-Object DeviceID, Model, Size | ConvertTo-Json -Compress"`
-      );
-
-      if (!stdout || stdout.trim() === '') {
-        return [];
-      }
-
-      const disks = JSON.parse(stdout);
-      const drives = [];
-
-      for (const disk of Array.isArray(disks) ? disks : [disks]) {
-        if (disk && disk.DeviceID) {
-          const sizeGB = disk.Size ? (disk.Size / (1024 * 1024 * 1024)).toFixed(1) : '0';
-          drives.push({
-            id: disk.DeviceID.replace(/\\\\/g, ''),
-            name: disk.Model || 'USB Drive',
-            size: `${sizeGB} GB`,
-            path: disk.DeviceID,
-          });
-        }
-      }
+    return (await diskModelService.list()).filter(isRemovableDrive).map(toDrive);
+  } catch (error) {
+    console.error('Failed to list USB drives:', error);
+    return [];
+  }
+}
 
-      return drives;
-    }
+// A disk target is a device path, or { path, identity } with the identity list-usb-drives or
+// format-usb returned: that is resolved to the disk's current device node, which changes when
+// the drive is replugged. Throws when the disk is no longer connected.
+async function resolveDisk(target) {
+  if (!target || typeof target === 'string') return target;
+  if (!target.identity) return target.path;
+  const drives = await listRemovableDrives();
+  return await diskIdentityService.resolve(target.identity, drives.map(drive => drive.path));
+}
 
-    return [];
+// Every drive is checked by the disk guard; the ones safe to erase get the confirmation
+// token format-usb requires, the others list the problems instead.
+handle('list-usb-drives', async () => {
+  let disks;
+  try {
+    disks = (await diskModelService.list()).filter(isRemovableDrive);
   } catch (error) {
     console.error('Failed to list USB drives:', error);
     return [];
   }
+
+  return disks.map((modelDisk) => {
+    const disk = diskGuardService.describe(modelDisk);
+    const problems = diskGuardService.check(disk);
+    return {
+      ...toDrive(modelDisk),
+      serial: disk.serial,
+      identity: diskIdentityService.identityOf(disk),
+      problems,
+      token: problems.length === 0 ? diskGuardService.issueToken(disk) : null,
+    };
+  });
 });
 
-ipcMain.handle('format-usb', async (event, diskPath, format, forceFormat = false) => {
+// token: the confirmation list-usb-drives issued for the disk (checked again by the disk guard).
+// The result carries the disk's identity after formatting, with its new partition UUIDs.
+handle('format-usb', async (event, target, format, forceFormat = false, token = null) => {
+  const diskPath = await resolveDisk(target);
+  const result = await formatUsb(event, diskPath, format, forceFormat, token);
+  let identity = null;
+  try {
+    identity = await diskIdentityService.identify(diskPath);
+  } catch (e) {
+    console.warn(`[USB] Could not identify ${diskPath} after formatting: ${e.message}`);
+  }
+  return { ...result, identity };
+});
+
+async function formatUsb(event, diskPath, format, forceFormat, token) {
   const { exec } = require('child_process');
   const { promisify } = require('util');
   const execAsync = promisify(exec);
@@ -203,12 +193,15 @@ ipcMain.handle('format-usb', async (event, diskPath, format, forceFormat = false
   // Helper to send status updates
   const setStatus = (msg) => event.sender.send('format-status', msg);
 
+  setStatus('Checking the target drive...');
+  await diskGuardService.assertErasable(diskPath, token);
+
   if (process.platform === 'darwin') {
-    // SKIP FORMAT CHECK: If BOOT and INSTALL partitions already exist, skip formatting
+    // SKIP FORMAT CHECK: If BOOT and INSTALL partitions already exist on this disk, skip formatting
     // UNLESS forceFormat is true
     if (!forceFormat) {
-      const bootVolumeExists = fs.existsSync('/Volumes/BOOT');
-      const installVolumeExists = fs.existsSync('/Volumes/INSTALL');
+      const bootVolumeExists = fs.existsSync('/Volumes/BOOT') && await diskGuardService.isVolumeOnDisk('/Volumes/BOOT', diskPath);
+      const installVolumeExists = fs.existsSync('/Volumes/INSTALL') && await diskGuardService.isVolumeOnDisk('/Volumes/INSTALL', diskPath);
 
       if (bootVolumeExists && installVolumeExists) {
         console.log('[USB] BOOT and INSTALL partitions already exist. Skipping format.');
@@ -312,14 +305,30 @@ ipcMain.handle('format-usb', async (event, diskPath, format, forceFormat = false
       console.error('USB Preparation failed:', error);
       throw error;
     }
+  } else if (process.platform === 'linux') {
+    // Linux: sgdisk + mkfs, same EFI / BOOT / INSTALL layout as diskutil partitionDisk
+    try {
+      return await linuxDiskService.formatDisk(diskPath, { forceFormat, onStatus: setStatus });
+    } catch (error) {
+      console.error(`[USB] HOST ERROR: ${error.message}`);
+      throw error;
+    }
+  } else if (process.platform === 'win32') {
+    // Windows: Storage cmdlets, same EFI / BOOT / INSTALL layout, volumes returned as drive letters
+    try {
+      return await windowsDiskService.formatDisk(diskPath, { forceFormat, onStatus: setStatus });
+    } catch (error) {
+      console.error(`[USB] HOST ERROR: ${error.message}`);
+      throw error;
+    }
   } else {
-    // Windows implementation (mock for now or external tool)
-    return { success: true };
+    throw new Error(`Formatting is not supported on ${process.platform}`);
   }
-});
+}
 
 // Unmount EFI
-ipcMain.handle('unmount-efi', async (_, diskPath) => {
+handle('unmount-efi', async (_, target) => {
+  const diskPath = await resolveDisk(target);
   const { exec } = require('child_process');
   const { promisify } = require('util');
   const execAsync = promisify(exec);
@@ -335,16 +344,8 @@ ipcMain.handle('unmount-efi', async (_, diskPath) => {
       if (/^[A-Z]:\\?$/i.test(diskPath)) {
         driveLetter = diskPath.substring(0, 2);
       } else {
-        // Assume PHYSICALDRIVE and find partition 1 letter
-        const diskNumMatch = diskPath.match(/PHYSICALDRIVE(\d+)/i);
-        if (diskNumMatch) {
-          const diskNum = diskNumMatch[1];
-          const psCommand = `powershell -NoProfile -Command "Get-Partition -DiskNumber ${diskNum} -PartitionNumber 1 | Select-Object -ExpandProperty DriveLetter"`;
-          const { stdout } = await execAsync(psCommand);
-          driveLetter = stdout ? stdout.trim() : '';
-
-          if (driveLetter && driveLetter.length === 1) driveLetter += ':';
-        }
+        const { partition } = await findEfiPartition(diskPath);
+        driveLetter = partition.mountPoint || '';
       }
 
       if (driveLetter) {
@@ -362,17 +363,16 @@ ipcMain.handle('unmount-efi', async (_, diskPath) => {
     }
   }
 
-  // macOS Implementation
-  // Normalize path
-  let cleanPath = diskPath;
-  if (cleanPath.startsWith('/dev/')) cleanPath = cleanPath.substring(5);
-  cleanPath = cleanPath.replace(/\/+/g, '/');
+  // Linux Implementation
+  const { partition } = await findEfiPartition(diskPath);
 
-  // If input is a whole disk (e.g. disk8), append 's1'
-  if (!/disk\d+s\d+/.test(cleanPath)) {
-    cleanPath = `${cleanPath}s1`;
+  if (process.platform === 'linux') {
+    console.log(`[EFI] Unmounting Linux EFI: ${partition.path}`);
+    return await linuxDiskService.unmountPartition(partition.path);
   }
-  const partitionPath = `/dev/${cleanPath}`;
+
+  // macOS Implementation
+  const partitionPath = partition.path;
 
   console.log(`[EFI] Unmounting ${partitionPath}...`);
   try {
@@ -391,6 +391,15 @@ ipcMain.handle('unmount-efi', async (_, diskPath) => {
   }
 });
 
+// The EFI partition of a disk (by GPT type GUID), or the partition itself when diskPath is one:
+// { disk, partition }
+async function findEfiPartition(diskPath) {
+  const { disk, partition } = await diskModelService.find(diskPath);
+  const esp = partition || await diskModelService.efiPartition(disk);
+  if (!esp) throw new Error(`No EFI partition found on ${diskPath}`);
+  return { disk, partition: esp };
+}
+
 // Helper to mount EFI partition with retries and sudo fallback
 // Returns the mount point path (e.g., /Volumes/EFI)
 async function mountEfiPartition(diskPath) {
@@ -404,38 +413,22 @@ async function mountEfiPartition(diskPath) {
   if (process.platform === 'win32') {
     try {
       console.log(`[EFI] Mounting Windows drive: ${diskPath}`);
-      // Extract disk number from \\.\PHYSICALDRIVE<N>
-      const diskNumMatch = diskPath.match(/PHYSICALDRIVE(\d+)/i);
-      if (!diskNumMatch) {
-        // Maybe it's already a drive letter?
-        if (/^[A-Z]:\\?$/i.test(diskPath)) return diskPath.substring(0, 2); // Return "E:"
-        throw new Error(`Invalid Windows disk path: ${diskPath}`);
-      }
-
-      const diskNum = diskNumMatch[1];
-
-      // Strategy: Get the first partition and its drive letter
-      // Our formatting creates a single partition which acts as EFI+Data
-      const psCommand = `powershell -NoProfile -Command "Get-Partition -DiskNumber ${diskNum} -PartitionNumber 1 | Select-Object -ExpandProperty DriveLetter"`;
+      // Maybe it's already a drive letter?
+      if (/^[A-Z]:\\?$/i.test(diskPath)) return diskPath.substring(0, 2); // Return "E:"
 
-      let { stdout } = await execAsync(psCommand);
-      let driveLetter = stdout ? stdout.trim() : '';
-
-      // If it has a letter (returned as char code 0 sometimes if empty, or just empty string), return it
-      if (driveLetter && driveLetter.length === 1) {
-        const mountPoint = `${driveLetter}:`;
-        console.log(`[EFI] Already mounted at ${mountPoint}`);
-        return mountPoint;
+      const { disk, partition } = await findEfiPartition(diskPath);
+      if (partition.mountPoint) {
+        console.log(`[EFI] Already mounted at ${partition.mountPoint}`);
+        return partition.mountPoint;
       }
 
-      // If no letter, we must assign one. Let's try to assign next available.
-      // Or simply use diskpart to assign usually picks one.
-      console.log(`[EFI] Partition 1 has no letter. Assigning one...`);
+      // If no letter, we must assign one. diskpart picks the next available.
+      console.log(`[EFI] Partition ${partition.number} has no letter. Assigning one...`);
 
       // Use diskpart to assign letter
       const script = `
-select disk ${diskNum}
-select partition 1
+select disk ${windowsDiskService.getDiskNumber(disk.path)}
+select partition ${partition.number}
 assign
 exit
 `;
@@ -447,12 +440,9 @@ exit
       fs.unlinkSync(tempScript); // Cleanup
 
       // Check again
-      const { stdout: stdout2 } = await execAsync(psCommand);
-      driveLetter = stdout2 ? stdout2.trim() : '';
-
-      if (driveLetter && driveLetter.length === 1) {
-        return `${driveLetter}:`;
-      }
+      const { disk: updated } = await diskModelService.find(disk.path);
+      const assigned = updated.partitions.find(part => part.number === partition.number);
+      if (assigned && assigned.mountPoint) return assigned.mountPoint;
 
       throw new Error('Failed to get drive letter after assignment');
 
@@ -462,95 +452,56 @@ exit
     }
   }
 
-  // MacOS Implementation (Legacy logic)
-  const devPath = diskPath.replace(/\/+$/, ''); // Remove trailing slashes
-  const diskId = path.basename(devPath); // e.g. disk8 or disk8s1
-
-  let partitionPath = devPath;
-
-  // If input is a whole disk (e.g. disk8), we need to find the EFI partition dynamically
-  // Our custom format logic might put EFI at s2 (after deleting s1), so 's1' assumption is wrong.
-  if (!/disk\d+s\d+/.test(diskId)) {
-    console.log(`[EFI] Searching for EFI partition on ${devPath}...`);
+  // Linux Implementation (udisksctl/mount)
+  if (process.platform === 'linux') {
     try {
-      const { stdout } = await execAsync(`diskutil list "${devPath}"`);
-      // Look for partition with name "EFI" or type "EFI"
-      // Example line:   1:    EFI EFI                     209.7 MB   disk8s1
-      // Example line:   2:    Microsoft Basic Data EFI    300.0 MB   disk8s2
-
-      const lines = stdout.split('\n');
-      let targetSlice = '';
-
-      for (const line of lines) {
-        if (line.includes('EFI')) {
-          const match = line.match(/(disk\d+s\d+)/);
-          if (match) {
-            targetSlice = match[1];
-            // Prefer the one named EFI if multiple found (usually s1 is small auto, s2 is our big one)
-            // But validation logic handles 300MB check elsewhere?
-            // Actually, if we deleted s1, only s2 remains named EFI.
-            // If we have s2 named EFI, use it.
-            if (line.includes('EFI') && !targetSlice.endsWith('s1')) {
-              // Prefer non-s1 if available (our custom one)
-              break;
-            }
-          }
-        }
-      }
-
-      if (targetSlice) {
-        partitionPath = `/dev/${targetSlice}`;
-        console.log(`[EFI] Found EFI partition at ${partitionPath}`);
-      } else {
-        // Fallback to s1 if scan fails
-        partitionPath = `${devPath}s1`;
-        console.warn(`[EFI] Could not find EFI in list, defaulting to ${partitionPath}`);
-      }
-    } catch (e) {
-      console.warn(`[EFI] List failed: ${e.message}, defaulting to s1`);
-      partitionPath = `${devPath}s1`;
+      const { partition } = await findEfiPartition(diskPath);
+      console.log(`[EFI] Mounting ${partition.path}...`);
+      return await linuxDiskService.mountPartition(partition.path);
+    } catch (err) {
+      console.error('[EFI] Linux Mount Error:', err);
+      throw err;
     }
   }
 
+  // MacOS Implementation
+  const { partition } = await findEfiPartition(diskPath);
+  const partitionPath = partition.path;
+  const mountPointOf = async () => (await diskModelService.find(partitionPath)).partition.mountPoint;
+
   console.log(`[EFI] Mounting ${partitionPath}...`);
 
   // Check if already mounted
-  try {
-    const { stdout } = await execAsync(`diskutil info "${partitionPath}"`);
-    const mountMatch = stdout.match(/Mount Point:\s+(.+)/);
-
-    if (mountMatch && mountMatch[1].trim() !== 'Not Mounted' && mountMatch[1].trim() !== '') {
-      const existingMount = mountMatch[1].trim();
-      console.log(`[EFI] Partition already mounted at ${existingMount}. Checking write permissions...`);
+  if (partition.mountPoint) {
+    const existingMount = partition.mountPoint;
+    console.log(`[EFI] Partition already mounted at ${existingMount}. Checking write permissions...`);
 
-      // Try to write a test file to verify permissions
-      const testFile = path.join(existingMount, '.write_test');
+    // Try to write a test file to verify permissions
+    const testFile = path.join(existingMount, '.write_test');
+    try {
+      fs.writeFileSync(testFile, 'test');
+      fs.unlinkSync(testFile);
+      console.log(`[EFI] Existing mount ${existingMount} is writable. Reusing it.`);
+      return existingMount; // Return immediately, skipping unmount/remount
+    } catch (writeErr) {
+      console.log(`[EFI] Existing mount ${existingMount} is NOT writable (${writeErr.code}). Forcing remount...`);
+      // Proceed to unmount below
       try {
-        fs.writeFileSync(testFile, 'test');
-        fs.unlinkSync(testFile);
-        console.log(`[EFI] Existing mount ${existingMount} is writable. Reusing it.`);
-        return existingMount; // Return immediately, skipping unmount/remount
-      } catch (writeErr) {
-        console.log(`[EFI] Existing mount ${existingMount} is NOT writable (${writeErr.code}). Forcing remount...`);
-        // Proceed to unmount below
-        try {
-          await execAsync(`diskutil unmount force "${partitionPath}"`);
-          console.log(`[EFI] Unmounted stale/read-only ${existingMount}`);
-        } catch (e) {
-          console.warn(`[EFI] Unmount warning: ${e.message}`);
-        }
+        await execAsync(`diskutil unmount force "${partitionPath}"`);
+        console.log(`[EFI] Unmounted stale/read-only ${existingMount}`);
+      } catch (e) {
+        console.warn(`[EFI] Unmount warning: ${e.message}`);
       }
     }
-  } catch (e) { /* ignore info error */ }
+  }
 
   // Try standard mount
   for (let i = 1; i <= 3; i++) {
     try {
       await execAsync(`diskutil mount "${partitionPath}"`);
       // Verify mount
-      const { stdout } = await execAsync(`diskutil info "${partitionPath}"`);
-      const mountMatch = stdout.match(/Mount Point:\s+(.+)/);
-      if (mountMatch) return mountMatch[1].trim();
+      const mountPoint = await mountPointOf();
+      if (mountPoint) return mountPoint;
     } catch (e) {
       console.log(`[EFI] Retry mount attempt ${i}...`);
       await new Promise(r => setTimeout(r, 1000));
@@ -563,9 +514,8 @@ exit
   try {
     // Must use osascript to prompt user
     await execAsync(`osascript -e 'do shell script "diskutil mount ${partitionPath}" with administrator privileges'`);
-    const { stdout } = await execAsync(`diskutil info "${partitionPath}"`);
-    const mountMatch = stdout.match(/Mount Point:\s+(.+)/);
-    if (mountMatch) return mountMatch[1].trim();
+    const mountPoint = await mountPointOf();
+    if (mountPoint) return mountPoint;
   } catch (e) {
     console.error('[EFI] Sudo mount failed:', e);
     // Debug: list disks
@@ -579,29 +529,34 @@ exit
 }
 
 // Mount EFI Partition
-ipcMain.handle('mount-efi', async (_, diskPath) => {
-  return await mountEfiPartition(diskPath);
+handle('mount-efi', async (_, target) => {
+  return await mountEfiPartition(await resolveDisk(target));
 });
 
 // Config Injection Handler
-// Config Injection Handler
-ipcMain.handle('inject-config', async (_, { cpuType, smbios, macosVersion, diskPath, verbose }) => {
+// efiRoot: write into an EFI folder staged for a disk image instead of a disk's EFI partition
+handle('inject-config', async (_, { cpuType, smbios, smbiosModel, macosVersion, diskPath: target, efiRoot, verbose }) => {
   const fs = require('fs');
   const path = require('path');
   const os = require('os');
   const { promisify } = require('util');
   const exec = promisify(require('child_process').exec);
 
-  // Strategy: Regex Text Replacement (Cross-Platform & Robust)
-  // We avoid parsing the file entirely to prevent "empty <data>" corruption or library errors.
-  // We simply find the keys we need and replace their values in the raw string.
+  // Strategy: Structured Patching (plistPatchService)
+  // The template is parsed into a tree and every change is a typed operation addressed by path,
+  // e.g. Kernel.Add[BundlePath=AirportItlwm-Sonoma144.kext].Enabled. Missing targets are errors.
 
   // Ensure EFI is mounted
-  console.log(`[Config] Ensuring EFI is mounted for ${diskPath}...`);
-  if (!diskPath) throw new Error("Disk path not provided for config injection");
-
-  const mountPoint = await mountEfiPartition(diskPath);
-  console.log(`[Config] EFI mounted at ${mountPoint}`);
+  let mountPoint = efiRoot;
+  if (!mountPoint) {
+    if (!target) throw new Error("Disk path not provided for config injection");
+    const diskPath = await resolveDisk(target);
+    console.log(`[Config] Ensuring EFI is mounted for ${diskPath}...`);
+
+    mountPoint = await mountEfiPartition(diskPath);
+    console.log(`[Config] EFI mounted at ${mountPoint}`);
+    await snapshotEfi(mountPoint, 'inject-config');
+  }
 
   const ocPath = path.join(mountPoint, 'EFI', 'OC');
 
@@ -631,131 +586,6 @@ ipcMain.handle('inject-config', async (_, { cpuType, smbios, macosVersion, diskP
     throw new Error(`Failed to copy template to USB: ${copyErr.message}`);
   }
 
-  // Helper: Safe Read (Now reading the file we just copied)
-  let content = '';
-  try {
-    content = fs.readFileSync(destConfig, 'utf8');
-  } catch (err) {
-    if (process.platform === 'win32') {
-      // Fallback logic for Windows locking issues...
-      // (Keep existing Windows logic if needed, but for now standard read usually works after copy)
-      console.warn(`[Config] Read failed, trying retry...`);
-      // ... (simplified for this context, assume copy worked)
-      throw err;
-    } else {
-      throw err;
-    }
-  }
-
-  // Helper: Patch content string (Applied to all config files)
-  const patchContent = (fileContent) => {
-    let patched = fileContent;
-
-    const replaceStringValue = (key, value) => {
-      const regex = new RegExp(`(<key>${key}<\\/key>\\s*<string>)(.*?)(<\\/string>)`, 'g');
-      patched = patched.replace(regex, `$1${value}$3`);
-    };
-
-    // Helper to set Integer values
-    const setInteger = (key, val) => {
-      const regex = new RegExp(`(<key>${key}<\\/key>\\s*<integer>)(.*?)(<\\/integer>)`, 'g');
-      patched = patched.replace(regex, `$1${val}$3`);
-    };
-
-    // Helper to toggle properties/quirks
-    const toggleBool = (key, enabled) => {
-      const regex = new RegExp(`(<key>${key}<\\/key>\\s*)<(true|false)\\/>`, 'g');
-      if (regex.test(patched)) {
-        const newVal = enabled ? '<true/>' : '<false/>';
-        patched = patched.replace(regex, `$1${newVal}`);
-      }
-    };
-
-    // SMBIOS Injection
-    if (smbios) {
-      if (smbios.serial) replaceStringValue('SystemSerialNumber', smbios.serial);
-      if (smbios.mlb) replaceStringValue('MLB', smbios.mlb);
-      if (smbios.uuid) replaceStringValue('SystemUUID', smbios.uuid);
-    }
-
-    // Force Model to MacBookAir9,1 (Requested by user)
-    replaceStringValue('SystemProductName', 'MacBookAir9,1');
-
-    // [Fix] Force Security Settings for Robust Booting (Fixes "LoadImage Failed - Unsupported")
-    replaceStringValue('SecureBootModel', 'Disabled');
-    replaceStringValue('DmgLoading', 'Any');
-    setInteger('ScanPolicy', 0); // Allow scanning everything
-
-    // Boot Args
-    const bootArgsRegex = /(<key>boot-args<\/key>\s*<string>)(.*?)(<\/string>)/s;
-    const match = patched.match(bootArgsRegex);
-    if (match) {
-      let currentArgs = match[2];
-      let newArgs = currentArgs;
-      if (!newArgs.includes('debug=0x100')) newArgs += ' debug=0x100';
-      if (!newArgs.includes('keepsyms=1')) newArgs += ' keepsyms=1';
-      if (!newArgs.includes('-v')) newArgs += ' -v';
-      newArgs = newArgs.replace(/\s+/g, ' ').trim();
-      if (newArgs !== currentArgs) {
-        patched = patched.replace(bootArgsRegex, `$1${newArgs}$3`);
-      }
-    }
-
-    // Kext Toggling Helper (for generic kexts)
-    const toggleKext = (kextName, shouldEnable) => {
-      const regex = new RegExp(`(<string>${kextName}<\\/string>[\\s\\S]{0,500}?<key>Enabled<\\/key>\\s*)<.*?\\/>`, 'g');
-      if (regex.test(patched)) {
-        const newVal = shouldEnable ? '<true/>' : '<false/>';
-        patched = patched.replace(regex, `$1${newVal}`);
-      }
-    };
-
-    // Toggle AirportItlwm based on version
-    if (macosVersion) {
-      // Disable all first
-      toggleKext('AirportItlwm-Catalina.kext', false);
-      toggleKext('AirportItlwm-BigSur.kext', false);
-      toggleKext('AirportItlwm-Monterey.kext', false);
-      toggleKext('AirportItlwm-Ventura.kext', false);
-      toggleKext('AirportItlwm-Sonoma.kext', false);
-      toggleKext('AirportItlwm-Sonoma144.kext', false);
-
-      // Enable specific
-      if (macosVersion.startsWith('Catalina') || macosVersion.startsWith('10.15')) toggleKext('AirportItlwm-Catalina.kext', true);
-      else if (macosVersion.startsWith('Big Sur') || macosVersion.startsWith('11.')) toggleKext('AirportItlwm-BigSur.kext', true);
-      else if (macosVersion.startsWith('Monterey') || macosVersion.startsWith('12.')) toggleKext('AirportItlwm-Monterey.kext', true);
-      else if (macosVersion.startsWith('Ventura') || macosVersion.startsWith('13.')) toggleKext('AirportItlwm-Ventura.kext', true);
-      else if (macosVersion.startsWith('Sonoma') || macosVersion.startsWith('14.')) {
-        toggleKext('AirportItlwm-Sonoma144.kext', true);
-      }
-      else if (macosVersion.startsWith('Sequoia') || macosVersion.startsWith('15.')) {
-        toggleKext('AirportItlwm-Sonoma144.kext', true);
-      }
-    }
-
-    // Enforce Critical Quirks (Surface Pro 7)
-    toggleBool('AppleXcpmCfgLock', true);
-    toggleBool('AppleCpuPmCfgLock', false);
-    toggleBool('DisableIoMapper', true);
-    toggleBool('DevirtualiseMmio', true);
-    toggleBool('SetupVirtualMap', true);
-    toggleBool('ProtectUefiServices', true);
-    toggleBool('ProvideCustomSlide', true);
-    setInteger('ProvideMaxSlide', 0);
-    toggleBool('ReleaseUsbOwnership', false);
-    toggleBool('RebuildAppleMemoryMap', true);
-    toggleBool('SyncRuntimePermissions', true);
-    toggleBool('EnableWriteUnprotector', false);
-
-    // Logging
-    setInteger('Target', 67);
-    setInteger('DisplayLevel', 2147483714);
-    setInteger('DisplayDelay', 0);
-    setInteger('ResizeAppleGpuBars', -1);
-
-    return patched;
-  };
-
   // CLEANUP: Remove unused config files to avoid confusion
   // We only want 'config.plist' (which we just created/copied)
   const filesToDelete = ['config-i5.plist', 'config-i7.plist', 'config.plist.bak', 'sample.plist'];
@@ -773,120 +603,131 @@ ipcMain.handle('inject-config', async (_, { cpuType, smbios, macosVersion, diskP
     }
   }
 
-  // PATCH: Only patch the definitive config.plist
+  // PATCH: Build a list of typed operations against the definitive config.plist.
+  // Every target must exist in the template; a missing key fails the injection
+  // instead of being silently skipped.
+  const patches = [];
+  const setValue = (p, type, value) => patches.push({ op: 'set', path: p, type, value });
+
+  // SMBIOS Injection: the whole PlatformInfo.Generic block is written for the chosen model
+  // so product name, serial, MLB and ROM always describe the same Mac
+  const model = smbiosModel || (smbios && smbios.model) || smbiosService.DEFAULT_MODEL;
+  if (smbios) {
+    const check = smbiosService.validate({ ...smbios, model });
+    if (!check.valid) throw new Error(`SMBIOS does not match ${model}: ${check.errors.join('; ')}`);
+    for (const { key, type, value } of smbiosService.getGenericBlock({ ...smbios, model })) {
+      setValue(`PlatformInfo.Generic.${key}`, type, value);
+    }
+  } else {
+    setValue('PlatformInfo.Generic.SystemProductName', 'string', model);
+  }
+
+  // [Fix] Force Security Settings for Robust Booting (Fixes "LoadImage Failed - Unsupported")
+  setValue('Misc.Security.SecureBootModel', 'string', 'Disabled');
+  setValue('Misc.Security.DmgLoading', 'string', 'Any');
+  setValue('Misc.Security.ScanPolicy', 'integer', 0); // Allow scanning everything
+
+  // Toggle AirportItlwm based on version
+  if (macosVersion) {
+    const airportKexts = ['Catalina', 'BigSur', 'Monterey', 'Ventura', 'Sonoma', 'Sonoma144'];
+    let enabledKext = null;
+
+    if (macosVersion.startsWith('Catalina') || macosVersion.startsWith('10.15')) enabledKext = 'Catalina';
+    else if (macosVersion.startsWith('Big Sur') || macosVersion.startsWith('11.')) enabledKext = 'BigSur';
+    else if (macosVersion.startsWith('Monterey') || macosVersion.startsWith('12.')) enabledKext = 'Monterey';
+    else if (macosVersion.startsWith('Ventura') || macosVersion.startsWith('13.')) enabledKext = 'Ventura';
+    else if (/^(Sonoma|Sequoia|14\.|15\.)/.test(macosVersion)) enabledKext = 'Sonoma144';
+
+    for (const variant of airportKexts) {
+      setValue(`Kernel.Add[BundlePath=AirportItlwm-${variant}.kext].Enabled`, 'bool', variant === enabledKext);
+    }
+  }
+
+  // Enforce Critical Quirks (Surface Pro 7)
+  setValue('Kernel.Quirks.AppleXcpmCfgLock', 'bool', true);
+  setValue('Kernel.Quirks.AppleCpuPmCfgLock', 'bool', false);
+  setValue('Kernel.Quirks.DisableIoMapper', 'bool', true);
+  setValue('Booter.Quirks.DevirtualiseMmio', 'bool', true);
+  setValue('Booter.Quirks.SetupVirtualMap', 'bool', true);
+  setValue('Booter.Quirks.ProtectUefiServices', 'bool', true);
+  setValue('Booter.Quirks.ProvideCustomSlide', 'bool', true);
+  setValue('Booter.Quirks.ProvideMaxSlide', 'integer', 0);
+  setValue('UEFI.Quirks.ReleaseUsbOwnership', 'bool', false);
+  setValue('Booter.Quirks.RebuildAppleMemoryMap', 'bool', true);
+  setValue('Booter.Quirks.SyncRuntimePermissions', 'bool', true);
+  setValue('Booter.Quirks.EnableWriteUnprotector', 'bool', false);
+  setValue('Booter.Quirks.ResizeAppleGpuBars', 'integer', -1);
+
+  // Logging
+  setValue('Misc.Debug.Target', 'integer', 67);
+  setValue('Misc.Debug.DisplayLevel', 'integer', 2147483714);
+  setValue('Misc.Debug.DisplayDelay', 'integer', 0);
+
+  // Force HideAuxiliary to False (Match config_v2.plist)
+  setValue('Misc.Boot.HideAuxiliary', 'bool', false);
+
+  // Drivers Synchronization (Exact match to config_v2.plist)
+  // User Request: ExFatDxe.efi MUST be first in the list.
+  const driver = (file, loadEarly) => ({ Arguments: '', Comment: '', Enabled: true, LoadEarly: loadEarly, Path: file });
+  setValue('UEFI.Drivers', 'array', [
+    driver('ExFatDxe.efi', true),
+    driver('HfsPlus.efi', true),
+    driver('OpenRuntime.efi', false),
+    driver('OpenCanopy.efi', false),
+    driver('ResetNvramEntry.efi', false),
+    driver('ToggleSipEntry.efi', false),
+  ]);
+
   console.log(`[Config] Patching authoritative file: ${destConfig}`);
 
   try {
-    let raw = fs.readFileSync(destConfig, 'utf8');
-
-    // Drivers Block Synchronization (Exact match to config_v2.plist)
-    // User Request: ExFatDxe.efi MUST be first in the list.
-    const driversBlock = `		<key>Drivers</key>
-		<array>
-			<dict>
-				<key>Arguments</key>
-				<string></string>
-				<key>Comment</key>
-				<string></string>
-				<key>Enabled</key>
-				<true/>
-				<key>LoadEarly</key>
-				<true/>
-				<key>Path</key>
-				<string>ExFatDxe.efi</string>
-			</dict>
-			<dict>
-				<key>Arguments</key>
-				<string></string>
-				<key>Comment</key>
-				<string></string>
-				<key>Enabled</key>
-				<true/>
-				<key>LoadEarly</key>
-				<true/>
-				<key>Path</key>
-				<string>HfsPlus.efi</string>
-			</dict>
-			<dict>
-				<key>Arguments</key>
-				<string></string>
-				<key>Comment</key>
-				<string></string>
-				<key>Enabled</key>
-				<true/>
-				<key>LoadEarly</key>
-				<false/>
-				<key>Path</key>
-				<string>OpenRuntime.efi</string>
-			</dict>
-			<dict>
-				<key>Arguments</key>
-				<string></string>
-				<key>Comment</key>
-				<string></string>
-				<key>Enabled</key>
-				<true/>
-				<key>LoadEarly</key>
-				<false/>
-				<key>Path</key>
-				<string>OpenCanopy.efi</string>
-			</dict>
-			<dict>
-				<key>Arguments</key>
-				<string></string>
-				<key>Comment</key>
-				<string></string>
-				<key>Enabled</key>
-				<true/>
-				<key>LoadEarly</key>
-				<false/>
-				<key>Path</key>
-				<string>ResetNvramEntry.efi</string>
-			</dict>
-			<dict>
-				<key>Arguments</key>
-				<string></string>
-				<key>Comment</key>
-				<string></string>
-				<key>Enabled</key>
-				<true/>
-				<key>LoadEarly</key>
-				<false/>
-				<key>Path</key>
-				<string>ToggleSipEntry.efi</string>
-			</dict>
-		</array>`;
-
-    // Replace the entire Drivers array
-    const driversRegex = /<key>Drivers<\/key>\s*<array>[\s\S]*?<\/array>/;
-    if (driversRegex.test(raw)) {
-      raw = raw.replace(driversRegex, driversBlock);
-      console.log('[Config] Replaced Drivers section with sync version (HfsPlus, ExFatDxe, etc.)');
+    const tree = plistPatchService.parse(fs.readFileSync(destConfig, 'utf8'));
+
+    // Boot Args (append debug flags, keep whatever the template already has).
+    // verbose: false leaves the template's boot-args as they are
+    const bootArgsPath = 'NVRAM.Add.7C436110-AB2A-4BBB-A880-FE41995C9F82.boot-args';
+    if (verbose === false) {
+      console.log('[Config] Verbose boot disabled, keeping the template boot-args');
+    } else if (plistPatchService.has(tree, bootArgsPath)) {
+      const args = plistPatchService.get(tree, bootArgsPath).split(/\s+/).filter(Boolean);
+      for (const arg of ['debug=0x100', 'keepsyms=1', '-v']) {
+        if (!args.includes(arg)) args.push(arg);
+      }
+      setValue(bootArgsPath, 'string', args.join(' '));
     } else {
-      console.warn('[Config] Warning: Could not find Drivers section to replace.');
+      patches.push({ op: 'add', path: bootArgsPath, type: 'string', value: 'debug=0x100 keepsyms=1 -v' });
     }
 
-    // Force HideAuxiliary to False (Match config_v2.plist)
-    if (raw.includes('<key>HideAuxiliary</key>')) {
-      raw = raw.replace(/(<key>HideAuxiliary<\/key>\s*)<true\/>/, '$1<false/>');
-      console.log(`[Config] Set HideAuxiliary to False`);
+    const { applied, errors } = plistPatchService.applyPatches(tree, patches);
+    if (errors.length > 0) {
+      errors.forEach(e => console.error(`[Config] Patch failed (${e.op} ${e.path}): ${e.message}`));
+      throw new Error(`config.plist patch failed: ${errors.map(e => `${e.path}: ${e.message}`).join('; ')}`);
     }
 
-    const patched = patchContent(raw);
-    fs.writeFileSync(destConfig, patched, 'utf8');
-    console.log(`[Config] SUCCESS: Patched config.plist`);
+    fs.writeFileSync(destConfig, plistPatchService.build(tree), 'utf8');
+    console.log(`[Config] SUCCESS: Applied ${applied} patches to config.plist`);
   } catch (e) {
     console.error(`[Config] Failed to patch config.plist: ${e.message}`);
     throw e;
   }
 
+  // Check the result against the EFI it now lives on (kexts, drivers, OpenCore version)
+  const validation = configValidatorService.validateFile(destConfig);
+  logValidation(validation);
 
-  return { success: true };
+  return { success: true, validation };
 
 });
 
 // Downloads
-ipcMain.handle('download-file', async (event, url, destPath) => {
+// Cancel a running download by id ('recovery', 'full-installer', ...). Partial data is kept for resume.
+handle('cancel-download', async (_, id) => {
+  const cancelled = downloadService.cancel(id);
+  console.log(`[Download] Cancel ${id}: ${cancelled ? 'aborted' : 'not running'}`);
+  return { success: cancelled };
+});
+
+handle('download-file', async (event, url, destPath) => {
   const fs = require('fs');
   const path = require('path');
   const os = require('os');
@@ -943,108 +784,27 @@ ipcMain.handle('download-file', async (event, url, destPath) => {
 
   return destPath;
 });
-// Helper for internal downloads with custom headers
-async function downloadUrl(url, destPath, onProgress, headers = {}) {
-  const https = require('https');
-  const http = require('http');
-  const fs = require('fs');
-
-  return new Promise((resolve, reject) => {
-    const protocol = url.startsWith('https') ? https : http;
-    const file = fs.createWriteStream(destPath);
-
-    const requestHeaders = {
-      'User-Agent': 'SurfaceMac Wizard',
-      ...headers
-    };
-
-    const request = protocol.get(url, { headers: requestHeaders }, (response) => {
-      if (response.statusCode === 301 || response.statusCode === 302) {
-        file.close();
-        fs.unlinkSync(destPath); // Remove partial file
-        resolve(downloadUrl(response.headers.location, destPath, onProgress, headers));
-        return;
-      }
-
-      if (response.statusCode !== 200) {
-        file.close();
-        fs.unlinkSync(destPath);
-        reject(new Error(`HTTP ${response.statusCode}`));
-        return;
-      }
-
-      const totalSize = parseInt(response.headers['content-length'] || '0', 10);
-      let downloadedSize = 0;
-
-      response.on('data', (chunk) => {
-        downloadedSize += chunk.length;
-        if (onProgress) {
-          onProgress({
-            percent: totalSize > 0 ? (downloadedSize / totalSize) * 100 : 0,
-            downloaded: downloadedSize,
-            total: totalSize,
-          });
-        }
-      });
-
-      response.pipe(file);
-      file.on('finish', () => { file.close(); resolve(destPath); });
-    });
-    request.on('error', (err) => { file.close(); fs.unlinkSync(destPath); reject(err); });
-  });
+// Helper for internal downloads with custom headers (resumable, see DownloadService)
+async function downloadUrl(url, destPath, onProgress, headers = {}, id) {
+  return downloadService.download({ id, url, destPath, onProgress, headers });
 }
 
 // Helper: Download using Electron's session fetch (browser-like behavior)
-async function downloadUrlNet(url, destPath, onProgress, headers = {}) {
-  const { session } = require('electron');
-  const fs = require('fs');
-
+async function downloadUrlNet(url, destPath, onProgress, headers = {}, id) {
   console.log('[DownloadNet] Fetching:', url);
 
-  const response = await session.defaultSession.fetch(url, {
-    method: 'GET',
+  return downloadService.download({
+    id,
+    url,
+    destPath,
+    onProgress,
+    transport: 'net',
     headers: {
       'User-Agent': headers['User-Agent'] || 'InternetRecovery/1.0',
       'Cookie': headers['Cookie'] || '',
       'Connection': headers['Connection'] || 'close'
     },
-    redirect: 'follow'
   });
-
-  if (!response.ok) {
-    throw new Error(`HTTP ${response.status}`);
-  }
-
-  const totalSize = parseInt(response.headers.get('content-length') || '0', 10);
-  let downloadedSize = 0;
-
-  // Stream response to file
-  const reader = response.body.getReader();
-  const file = fs.createWriteStream(destPath);
-
-  try {
-    while (true) {
-      const { done, value } = await reader.read();
-      if (done) break;
-
-      file.write(value);
-      downloadedSize += value.length;
-
-      if (onProgress) {
-        onProgress({
-          percent: totalSize > 0 ? (downloadedSize / totalSize) * 100 : 0,
-          downloaded: downloadedSize,
-          total: totalSize,
-        });
-      }
-    }
-    file.end();
-    return destPath;
-  } catch (err) {
-    file.close();
-    if (fs.existsSync(destPath)) fs.unlinkSync(destPath);
-    throw err;
-  }
 }
 
 // Apple Recovery Protocol Helpers
@@ -1151,29 +911,166 @@ const fetchRecoveryUrlWithCookie = async (boardId, retries = 3) => {
 };
 
 
-// Services
 // Services
 const downloadService = require('./services/downloadService');
 const recoveryService = require('./services/recoveryService');
 const gibMacOSService = require('./services/gibMacOSService');
+const plistPatchService = require('./services/plistPatchService');
+const linuxDiskService = require('./services/linuxDiskService');
+const windowsDiskService = require('./services/windowsDiskService');
+const diskModelService = require('./services/diskModelService');
+const diskGuardService = require('./services/diskGuardService');
+const diskIdentityService = require('./services/diskIdentityService');
+const gptService = require('./services/gptService');
+const diskImageService = require('./services/diskImageService');
+const chunklistService = require('./services/chunklistService');
+const profileService = require('./services/profileService');
+const smbiosService = require('./services/smbiosService');
+const configValidatorService = require('./services/configValidatorService');
+const efiInventoryService = require('./services/efiInventoryService');
+const openCoreService = require('./services/openCoreService');
+const efiSnapshotService = require('./services/efiSnapshotService');
+const efiSourceService = require('./services/efiSourceService');
+const efiRegistryService = require('./services/efiRegistryService');
+const assetBundleService = require('./services/assetBundleService');
+const cacheService = require('./services/cacheService');
+const jobService = require('./services/jobService');
+require('./services/buildPipeline'); // registers the 'usb-build' job kind
+require('./services/imagePipeline'); // registers the 'image-build' job kind
+
+const getSnapshotStore = () => path.join(app.getPath('userData'), 'efi-snapshots');
+
+// Snapshot a partition's EFI folder before writing to it. Working copies in the
+// temp folder (downloaded EFIs being patched) are not partitions and are skipped.
+// A failed snapshot stops the write: there would be no way back.
+async function snapshotEfi(partitionRoot, reason) {
+  const os = require('os');
+  if (path.resolve(partitionRoot).startsWith(path.resolve(os.tmpdir()))) return null;
+  return await efiSnapshotService.create(partitionRoot, { storeDir: getSnapshotStore(), reason });
+}
+
+// Partition root of an EFI/OC folder
+const partitionRootOf = (ocPath) => path.dirname(path.dirname(ocPath));
+
+// Offline asset bundle chosen in the wizard ({ path } in userData, restored at startup)
+const getAssetBundleSettingsPath = () => path.join(app.getPath('userData'), 'asset-bundle.json');
+
+// Download cache folder chosen in the settings ({ root } in userData, applied at startup)
+const getCacheSettingsPath = () => path.join(app.getPath('userData'), 'cache.json');
+
+// BaseSystem.dmg + chunklist for a macOS version in the download cache. Missing images come
+// from the asset bundle or Apple's recovery servers; every image is checked against its chunklist.
+// Returns { baseSystemPath, chunklistPath }
+async function obtainRecoveryImage(macosVersion, smbiosModel, { onProgress, onStatus, downloadId }) {
+  const cached = recoveryService.getCached(macosVersion);
+  if (cached && (await verifyRecoveryCache(cached, onStatus)).valid) {
+    console.log(`[Recovery] Found valid cached recovery image for ${macosVersion}. Skipping download.`);
+    onProgress({ percent: 100, downloaded: 0, total: 0 });
+    return { baseSystemPath: cached.baseSystem.filePath, chunklistPath: cached.chunklist.filePath };
+  }
+
+  let image = await recoveryService.restoreFromBundle(macosVersion, onProgress);
+  if (!image) {
+    // Board ID for authenticated fetch
+    const boardId = smbiosService.getRecoveryBoardId(macosVersion, smbiosModel || smbiosService.DEFAULT_MODEL);
+    console.log(`[Recovery] Fetching authenticated URL for ${macosVersion} (Board ID: ${boardId})...`);
+    const { url: baseSystemUrl, imageSess, chunklistSess } = await fetchRecoveryUrlWithCookie(boardId);
+    const chunklistUrl = baseSystemUrl.replace('BaseSystem.dmg', 'BaseSystem.chunklist');
+    console.log(`[Recovery] Got URL: ${baseSystemUrl}`);
+
+    // Cookie format: AssetToken=<AT_value> (NOT session cookie!)
+    // The image and the chunklist each have their own session token from Apple's response
+    const headers = (token) => ({ 'Cookie': `AssetToken=${token}`, 'User-Agent': 'InternetRecovery/1.0', 'Connection': 'close' });
+    const keys = recoveryService.recoveryKeys(macosVersion);
+    const meta = { macos: macosVersion, boardId };
+
+    // Both files come from one session, so a half-cached pair is downloaded again
+    console.log('[Recovery] Downloading BaseSystem.dmg to cache...');
+    image = {
+      baseSystem: await cacheService.obtain(keys.baseSystem, 'BaseSystem.dmg',
+        (destPath) => downloadUrlNet(baseSystemUrl, destPath, onProgress, headers(imageSess), downloadId),
+        { ...meta, url: baseSystemUrl }, { refresh: true }),
+    };
+    console.log('[Recovery] Downloading BaseSystem.chunklist to cache...');
+    image.chunklist = await cacheService.obtain(keys.chunklist, 'BaseSystem.chunklist',
+      (destPath) => downloadUrlNet(chunklistUrl, destPath, null, headers(chunklistSess), downloadId),
+      { ...meta, url: chunklistUrl }, { refresh: true });
+  }
+
+  const check = await verifyRecoveryCache(image, onStatus);
+  if (!check.valid) {
+    throw new Error(`BaseSystem.dmg failed chunklist verification (${check.reason}). Please try again.`);
+  }
+  return { baseSystemPath: image.baseSystem.filePath, chunklistPath: image.chunklist.filePath };
+}
+
+// Full installer in the asset bundle for a macOS version / pinned selection, or null.
+// Without a selection the unpinned installer is used, otherwise the newest bundled build.
+async function findBundledInstaller(macosVersion, selection) {
+  const prefix = `installer:${macosVersion}/`;
+  if (selection && selection.build) return assetBundleService.lookup(`${prefix}${selection.build}/InstallAssistant.pkg`);
+  if (selection && selection.productId) {
+    const match = assetBundleService.entries(a => a.key.startsWith(prefix) && a.meta && a.meta.productId === selection.productId)[0];
+    return match ? assetBundleService.lookup(match.key) : null;
+  }
+  const newest = assetBundleService.entries(a => a.key.startsWith(prefix))
+    .sort((a, b) => String((b.meta && b.meta.build) || '').localeCompare(String((a.meta && a.meta.build) || '')))[0];
+  return assetBundleService.lookup(`${prefix}InstallAssistant.pkg`, newest && newest.key);
+}
 
 // ... existing code ...
 
 // GibMacOS Handlers
-ipcMain.handle('get-catalog', async (_, type) => {
+// options: { catalogType, major, type, refresh } (a plain catalog type string is accepted too)
+handle('get-catalog', async (_, options) => {
+  const opts = typeof options === 'string' ? { catalogType: options } : (options || {});
   try {
-    const catalog = await gibMacOSService.fetchCatalog(type || 'publicseed'); // Seed catalog often has more full installers
-    const products = await gibMacOSService.getAvailableInstallers(catalog);
-    return products;
+    return await gibMacOSService.listInstallers({
+      ...opts,
+      catalogType: opts.catalogType || 'publicseed', // Seed catalog often has more full installers
+    });
   } catch (e) {
     console.error('Failed to get catalog:', e);
     throw e;
   }
 });
-ipcMain.handle('download-recovery', async (event, version, targetVolumePath) => {
+// Check a cached BaseSystem.dmg against its chunklist ({ baseSystem, chunklist } cache entries).
+// Corrupt or unverifiable images are removed from the cache so the next run downloads them again.
+// Returns { valid, reason }.
+async function verifyRecoveryCache({ baseSystem, chunklist }, onStatus) {
+  const baseSystemPath = baseSystem.filePath;
+  let reason;
+
+  try {
+    const result = await chunklistService.verify(baseSystemPath, chunklist.filePath, (p) => {
+      if (onStatus) onStatus(`Verifying BaseSystem.dmg against chunklist... ${p.percent}%`);
+    });
+    if (result.valid) {
+      console.log(`[Recovery] ${baseSystemPath} verified (${result.chunkCount} chunks)`);
+      return { valid: true };
+    }
+    reason = chunklistService.describeFailure(result);
+  } catch (e) {
+    reason = e.message;
+  }
+
+  console.warn(`[Recovery] ${baseSystemPath} failed verification: ${reason}. Removing it from the cache.`);
+  cacheService.remove([baseSystem.key, chunklist.key]);
+  return { valid: false, reason };
+}
+
+// Standalone check of a recovery image (chunklist defaults to the sibling BaseSystem.chunklist)
+handle('verify-recovery', async (_, baseSystemPath, chunklistPath) => {
+  const path = require('path');
+  const clPath = chunklistPath || path.join(path.dirname(baseSystemPath), 'BaseSystem.chunklist');
+
+  const result = await chunklistService.verify(baseSystemPath, clPath);
+  return { ...result, reason: result.valid ? null : chunklistService.describeFailure(result) };
+});
+
+handle('download-recovery', async (event, version, targetVolumePath, smbiosModel) => {
   const path = require('path');
   const fs = require('fs');
-  const os = require('os');
 
   // Provide defaults
   const macosVersion = (typeof version === 'string' ? version : 'sonoma');
@@ -1181,92 +1078,21 @@ ipcMain.handle('download-recovery', async (event, version, targetVolumePath) =>
 
   console.log(`[Recovery] Starting for ${macosVersion}, target: ${targetVolume}`);
 
-  // Cache directory setup
-  const cacheDir = path.join(os.homedir(), 'Downloads', 'SurfaceMac_Recovery', macosVersion);
-  if (!fs.existsSync(cacheDir)) {
-    fs.mkdirSync(cacheDir, { recursive: true });
-  }
-
-  const baseSystemCache = path.join(cacheDir, 'BaseSystem.dmg');
-  const chunklistCache = path.join(cacheDir, 'BaseSystem.chunklist');
-
-  const hasCache = fs.existsSync(baseSystemCache) && fs.statSync(baseSystemCache).size > 0 &&
-    fs.existsSync(chunklistCache) && fs.statSync(chunklistCache).size > 0;
-
   const onProgress = (progress) => event.sender.send('download-progress', { ...progress, id: 'recovery' });
-
-  // FORCE Re-download if size is suspicious (e.g. < 600MB for Sonoma)
-  if (hasCache) {
-    const size = fs.statSync(baseSystemCache).size;
-    console.log(`[Recovery] Cache check: ${size} bytes`);
-    if (size < 600 * 1024 * 1024) { // 600MB
-      console.warn('[Recovery] Cached file seems too small (Catalina?). Deleting to force re-download.');
-      fs.unlinkSync(baseSystemCache);
-      if (fs.existsSync(chunklistCache)) fs.unlinkSync(chunklistCache);
-    } else {
-      console.log(`[Recovery] Found valid cached files in ${cacheDir}. Skipping download.`);
-      onProgress({ percent: 100, downloaded: 0, total: 0 });
-      // Proceed to copy...
-      const recoveryDir = path.join(targetVolume, 'com.apple.recovery.boot');
-
-      if (!fs.existsSync(targetVolume)) throw new Error(`Target volume ${targetVolume} not found. Ensure USB is formatted.`);
-      if (!fs.existsSync(recoveryDir)) fs.mkdirSync(recoveryDir, { recursive: true });
-
-      console.log(`[Recovery] Copying files from cache to USB (${targetVolume})...`);
-      await fs.promises.copyFile(baseSystemCache, path.join(recoveryDir, 'BaseSystem.dmg'));
-      await fs.promises.copyFile(chunklistCache, path.join(recoveryDir, 'BaseSystem.chunklist'));
-
-      return { success: true };
-    }
-  }
-
-  // Board IDs for authenticated fetch
-  const BOARD_IDS = {
-    'sonoma': 'Mac-827FAC58A8FDFA22',
-    'sequoia': 'Mac-7BA5B2D9E42DDD94', // Using Sonoma ID if this fails? Or the one from MacRecoveryX
-    'ventura': 'Mac-B4831CEBD52A0C4C',
-    'monterey': 'Mac-E43C1C25D4880AD6'
-  };
-
-  const boardId = BOARD_IDS[macosVersion] || BOARD_IDS['sonoma'];
-  console.log(`[Recovery] Fetching authenticated URL for ${macosVersion} (Board ID: ${boardId})...`);
+  const onStatus = (msg) => event.sender.send('format-status', msg);
 
   try {
-    const { url: baseSystemUrl, imageSess, chunklistSess } = await fetchRecoveryUrlWithCookie(boardId);
-    const chunklistUrl = baseSystemUrl.replace('BaseSystem.dmg', 'BaseSystem.chunklist');
-
-    // Cookie format: AssetToken=<AT_value> (NOT session cookie!)
-    // This is the image session token from Apple's response
-    const imageHeaders = {
-      'Cookie': `AssetToken=${imageSess}`,
-      'User-Agent': 'InternetRecovery/1.0',
-      'Connection': 'close'
-    };
-
-    const chunklistHeaders = {
-      'Cookie': `AssetToken=${chunklistSess}`,
-      'User-Agent': 'InternetRecovery/1.0',
-      'Connection': 'close'
-    };
-
-    console.log(`[Recovery] Got URL: ${baseSystemUrl}`);
-    console.log(`[Recovery] Got imageSess: ${imageSess ? imageSess.substring(0, 20) + '...' : 'NULL'}`);
-    console.log(`[Recovery] Downloading BaseSystem.dmg to cache...`);
-    await downloadUrlNet(baseSystemUrl, baseSystemCache, onProgress, imageHeaders);
-
-    console.log(`[Recovery] Downloading BaseSystem.chunklist to cache...`);
-    // Chunklist uses CT token
-    await downloadUrlNet(chunklistUrl, chunklistCache, null, chunklistHeaders);
+    const { baseSystemPath, chunklistPath } = await obtainRecoveryImage(macosVersion, smbiosModel, { onProgress, onStatus, downloadId: 'recovery' });
 
     // Copy to USB
     const recoveryDir = path.join(targetVolume, 'com.apple.recovery.boot');
 
-    if (!fs.existsSync(targetVolume)) throw new Error(`Target volume ${targetVolume} not found.`);
+    if (!fs.existsSync(targetVolume)) throw new Error(`Target volume ${targetVolume} not found. Ensure USB is formatted.`);
     if (!fs.existsSync(recoveryDir)) fs.mkdirSync(recoveryDir, { recursive: true });
 
     console.log(`[Recovery] Copying files from cache to USB (${targetVolume})...`);
-    await fs.promises.copyFile(baseSystemCache, path.join(recoveryDir, 'BaseSystem.dmg'));
-    await fs.promises.copyFile(chunklistCache, path.join(recoveryDir, 'BaseSystem.chunklist'));
+    await fs.promises.copyFile(baseSystemPath, path.join(recoveryDir, 'BaseSystem.dmg'));
+    await fs.promises.copyFile(chunklistPath, path.join(recoveryDir, 'BaseSystem.chunklist'));
 
     return { success: true };
 
@@ -1276,6 +1102,36 @@ ipcMain.handle('download-recovery', async (event, version, targetVolumePath) =>
   }
 });
 
+// BaseSystem.dmg + chunklist for a version, verified and left in the download cache (for a disk image)
+handle('obtain-recovery', async (event, version, smbiosModel) => {
+  const onProgress = (progress) => event.sender.send('download-progress', { ...progress, id: 'recovery' });
+  const onStatus = (msg) => event.sender.send('format-status', msg);
+  return await obtainRecoveryImage(version, smbiosModel, { onProgress, onStatus, downloadId: 'recovery' });
+});
+
+// The recovery installer as a GPT disk image instead of a USB drive: the staged EFI folder on the
+// ESP and com.apple.recovery.boot on BOOT, both FAT32 and written without mounting anything.
+// Returns { imagePath, size, diskGuid, partitions }
+handle('write-disk-image', async (event, imagePath, { espRoot, baseSystemPath, chunklistPath }) => {
+  const path = require('path');
+
+  const efiFiles = diskImageService.filesIn(espRoot);
+  if (!efiFiles.some(f => f.path === 'EFI/OC/config.plist')) throw new Error(`No EFI/OC/config.plist in ${espRoot}`);
+  const recoveryFiles = [
+    { path: 'com.apple.recovery.boot/BaseSystem.dmg', source: baseSystemPath },
+    { path: 'com.apple.recovery.boot/BaseSystem.chunklist', source: chunklistPath },
+  ];
+
+  const onStatus = (msg) => event.sender.send('format-status', msg);
+  const onProgress = ({ written, total }) => event.sender.send('download-progress', {
+    percent: total ? Math.round((written / total) * 100) : 100, downloaded: written, total, id: 'disk-image',
+  });
+  return await diskImageService.write(path.resolve(imagePath), [
+    { name: 'EFI', typeGuid: gptService.ESP_TYPE_GUID, size: diskImageService.ESP_SIZE, files: efiFiles },
+    { name: 'BOOT', typeGuid: diskImageService.BASIC_DATA_TYPE_GUID, files: recoveryFiles },
+  ], { onStatus, onProgress });
+});
+
 
 
 // ========== Full Installer Download ==========
@@ -1283,126 +1139,127 @@ ipcMain.handle('download-recovery', async (event, version, targetVolumePath) =>
 // This is the same method used by gibMacOS
 
 // Download full installer handler using gibMacOS Service
-ipcMain.handle('download-full-installer', async (event, macosVersion) => {
-  const path = require('path');
-  const fs = require('fs');
-  const os = require('os');
-
+// selection (optional): { catalogType, productId, build } pins an exact product instead of the latest match
+handle('download-full-installer', async (event, macosVersion, selection, smbiosModel) => {
   const onProgress = (progress) => event.sender.send('download-progress', { ...progress, id: 'full-installer' });
 
   console.log(`[FullInstaller] Starting download for ${macosVersion}...`);
 
   try {
-    // 1. Fetch Catalog via Service
-    console.log('[FullInstaller] Fetching Apple software catalog (gibMacOS)...');
-    const catalog = await gibMacOSService.fetchCatalog('publicseed'); // Use seed for best availability
-    const products = await gibMacOSService.getAvailableInstallers(catalog);
-
-    // 2. Find best match
     // Map 'sonoma' -> 14.x, 'sequoia' -> 15.x
     const targetMajor = macosVersion === 'sequoia' ? 15 : 14;
+    const pinned = !!(selection && (selection.productId || selection.build));
+    const bundled = await findBundledInstaller(macosVersion, selection);
+    let installer;
+
+    if (bundled) {
+      // Offline asset bundle: no catalog lookup
+      const meta = bundled.meta || {};
+      console.log(`[FullInstaller] Using ${bundled.key} from the asset bundle`);
+      installer = {
+        id: meta.productId || meta.id || null,
+        title: meta.title || `macOS ${macosVersion}`,
+        version: meta.version || `${targetMajor}`,
+        build: meta.build || (selection && selection.build) || 'bundled',
+        major: targetMajor,
+        packages: [],
+      };
+    } else if (pinned) {
+      // 1+2. Exact product chosen in the catalog browser
+      const catalogType = selection.catalogType || 'publicseed';
+      console.log(`[FullInstaller] Looking up pinned product ${selection.productId || ''} ${selection.build || ''} in ${catalogType}...`);
+      installer = await gibMacOSService.findInstaller({ catalogType, productId: selection.productId, build: selection.build });
+      if (installer.major !== targetMajor) {
+        throw new Error(`Selected build ${installer.build} is macOS ${installer.version}, not ${macosVersion} (${targetMajor}.x)`);
+      }
+    } else {
+      // 1. Fetch Catalog via Service
+      console.log('[FullInstaller] Fetching Apple software catalog (gibMacOS)...');
+      const products = await gibMacOSService.listInstallers({ catalogType: 'publicseed' }); // Use seed for best availability
 
-    // Find latest build matching target major version
-    const installer = products.find(p => p.type === 'installassistant' &&
-      (p.version.startsWith(`${targetMajor}.`) || p.title.toLowerCase().includes(macosVersion)));
+      // 2. Find latest build matching target major version
+      installer = products.find(p => p.type === 'installassistant' &&
+        (p.version.startsWith(`${targetMajor}.`) || p.title.toLowerCase().includes(macosVersion)));
 
-    if (!installer) {
-      throw new Error(`No Full Installer found for ${macosVersion} (Target: ${targetMajor}.x). Available: ${products.map(p => p.version).slice(0, 5).join(', ')}...`);
+      if (!installer) {
+        throw new Error(`No Full Installer found for ${macosVersion} (Target: ${targetMajor}.x). Available: ${products.map(p => p.version).slice(0, 5).join(', ')}...`);
+      }
     }
 
-    console.log(`[FullInstaller] Selected: ${installer.title} (${installer.version}) - ${installer.id}`);
-
-    // InstallAssistant.pkg is usually the first package or specifically named
-    const pkgUrl = installer.packages[0].url; // Usually only 1 package for InstallAssistant products in gibMacOS filter
+    console.log(`[FullInstaller] Selected: ${installer.title} (${installer.version}, ${installer.build}) - ${installer.id}`);
+
+    // InstallAssistant.pkg is usually the only package of InstallAssistant products
+    const pkg = bundled ? null : (installer.packages.find(p => p.name === 'InstallAssistant.pkg') || installer.packages[0]);
+    const pkgUrl = pkg && pkg.url;
+
+    // 3. Download into the download cache, one entry per build
+    const cacheKey = `installer:${macosVersion}/${installer.build}/InstallAssistant.pkg`;
+    const productMeta = {
+      url: pkgUrl || (bundled && bundled.meta.url) || null,
+      productId: installer.id,
+      build: installer.build,
+      version: installer.version,
+      title: installer.title,
+      macos: macosVersion,
+    };
 
-    // Cache directory
-    const cacheDir = path.join(os.homedir(), 'Downloads', 'SurfaceMac_Installer', macosVersion);
-    if (!fs.existsSync(cacheDir)) {
-      fs.mkdirSync(cacheDir, { recursive: true });
+    let cached = cacheService.get(cacheKey);
+    if (cached && pkg && pkg.size && cached.size !== pkg.size) {
+      console.log(`[FullInstaller] Cached package is ${cached.size} bytes, the catalog lists ${pkg.size}. Downloading again...`);
+      cached = null;
+    }
+    if (!cached && pkg && pkg.size) {
+      // Packages imported from the old download folders may not know their build: match by the catalog's size.
+      // One recorded under another build is a different package, whatever its size
+      const buildUnknown = (e) => !e.build || e.build === 'unknown';
+      const imported = cacheService.find(e => e.key.startsWith(`installer:${macosVersion}/`) && e.size === pkg.size &&
+        (buildUnknown(e) || e.build === installer.build))[0];
+      if (imported) cached = await cacheService.put(cacheKey, imported.filePath, productMeta, { sha256: imported.sha256 });
     }
 
-    const installerPath = path.join(cacheDir, 'InstallAssistant.pkg');
-
-    // 3. Download
-    // Check if exists
-    if (fs.existsSync(installerPath)) {
-      const size = fs.statSync(installerPath).size;
-      if (size > 10 * 1024 * 1024 * 1024) { // >10GB
-        console.log(`[FullInstaller] Using valid cache: ${installerPath}`);
-        onProgress({ percent: 100, downloaded: size, total: size });
-      } else {
-        console.log('[FullInstaller] Cache too small, re-downloading...');
-        fs.unlinkSync(installerPath);
-        await downloadService.download({
-          id: 'full-installer',
-          url: pkgUrl,
-          destPath: installerPath,
-          onProgress
-        });
-      }
+    let installerEntry;
+    if (cached) {
+      console.log(`[FullInstaller] Using cached ${cacheKey}`);
+      onProgress({ percent: 100, downloaded: cached.size, total: cached.size });
+      installerEntry = cached;
+    } else if (bundled) {
+      installerEntry = await cacheService.put(cacheKey, bundled.filePath, productMeta, { sha256: bundled.sha256, onProgress });
     } else {
-      await downloadService.download({
+      installerEntry = await cacheService.obtain(cacheKey, 'InstallAssistant.pkg', (destPath) => downloadService.download({
         id: 'full-installer',
         url: pkgUrl,
-        destPath: installerPath,
+        destPath,
         onProgress
-      });
+      }), productMeta, { refresh: true });
     }
+    const installerPath = installerEntry.filePath;
 
     // 3b. NEW: HYBRID DOWNLOAD - Fetch Clean BaseSystem.dmg from Apple
     // We do this to guarantee a valid ~700MB recovery image, avoiding the RamDisk/Patch issues in the PKG
     console.log('[FullInstaller] Initiating Hybrid Strategy: Downloading verified Recovery Image...');
     onProgress({ percent: 0, downloaded: 0, total: 0, status: 'Fetching Recovery Image...' });
 
-    // Board IDs for authenticated fetch (Same as recovery handler)
-    const BOARD_IDS = {
-      'sonoma': 'Mac-827FAC58A8FDFA22',
-      'sequoia': 'Mac-7BA5B2D9E42DDD94',
-      'ventura': 'Mac-B4831CEBD52A0C4C',
-      'monterey': 'Mac-E43C1C25D4880AD6'
-    };
-    const boardId = BOARD_IDS[macosVersion] || BOARD_IDS['sonoma'];
-
-    // Separate Cache for Recovery Files to avoid overwriting extracted ones
-    const recoveryCacheDir = path.join(os.homedir(), 'Downloads', 'SurfaceMac_Recovery_Hybrid', macosVersion);
-    if (!fs.existsSync(recoveryCacheDir)) fs.mkdirSync(recoveryCacheDir, { recursive: true });
-
-    const bsCache = path.join(recoveryCacheDir, 'BaseSystem.dmg');
-    const clCache = path.join(recoveryCacheDir, 'BaseSystem.chunklist');
-
-    // Check if already exists valid
-    let needRecoveryDl = true;
-    if (fs.existsSync(bsCache) && fs.statSync(bsCache).size > 600 * 1024 * 1024) {
-      console.log('[FullInstaller] Using valid cached Recovery Image.');
-      needRecoveryDl = false;
-    }
-
-    if (needRecoveryDl) {
-      try {
-        const { url: baseSystemUrl, imageSess, chunklistSess } = await fetchRecoveryUrlWithCookie(boardId);
-        const chunklistUrl = baseSystemUrl.replace('BaseSystem.dmg', 'BaseSystem.chunklist');
-        const imgHeaders = { 'Cookie': `AssetToken=${imageSess}`, 'User-Agent': 'InternetRecovery/1.0', 'Connection': 'close' };
-        const clHeaders = { 'Cookie': `AssetToken=${chunklistSess}`, 'User-Agent': 'InternetRecovery/1.0', 'Connection': 'close' };
-
-        console.log(`[FullInstaller] Downloading BaseSystem.dmg (~700MB) from Apple...`);
-        await downloadUrlNet(baseSystemUrl, bsCache, (p) => {
-          // Scale progress visually for user (just show activity)
-          onProgress({ ...p, status: 'Downloading Recovery Image...' });
-        }, imgHeaders);
-
-        console.log(`[FullInstaller] Downloading Chunklist...`);
-        await downloadUrlNet(chunklistUrl, clCache, null, clHeaders);
-      } catch (recErr) {
-        console.warn('[FullInstaller] Warning: Failed to download hybrid recovery image. Will fall back to PKG extraction.', recErr);
-        // We don't throw here, we let the extraction step handle fallback.
-      }
+    let recovery = null;
+    try {
+      recovery = await obtainRecoveryImage(macosVersion, smbiosModel, {
+        // Scale progress visually for user (just show activity)
+        onProgress: (p) => onProgress({ ...p, status: 'Downloading Recovery Image...' }),
+        onStatus: (msg) => onProgress({ percent: 100, downloaded: 0, total: 0, status: msg }),
+        downloadId: 'full-installer',
+      });
+    } catch (recErr) {
+      // A user cancel aborts the whole job, not just the hybrid image
+      if (downloadService.isCancelled(recErr)) throw recErr;
+      console.warn('[FullInstaller] Warning: Failed to download hybrid recovery image. Will fall back to PKG extraction.', recErr);
+      // We don't throw here, we let the extraction step handle fallback.
     }
 
     // 4. Extract (requested by user for Windows usage)
     console.log('[FullInstaller] Extracting PKG to find .app...');
     onProgress({ percent: 100, downloaded: 0, total: 0, status: 'Extracting...' }); // Update UI status if possible
 
-    const extractDir = path.join(cacheDir, 'Extracted');
+    const extractDir = cacheService.workDir(installerPath, 'Extracted');
+    const product = { id: installer.id, version: installer.version, build: installer.build };
     try {
       await downloadService.extractPkg(installerPath, extractDir);
       console.log(`[FullInstaller] Extracted to: ${extractDir}`);
@@ -1414,10 +1271,10 @@ ipcMain.handle('download-full-installer', async (event, macosVersion) => {
       // On Windows 7z structure:
       // ext/Payload/Payload~ (cpio)/...
 
-      return { success: true, installerPath, extractedPath: extractDir };
+      return { success: true, installerPath, extractedPath: extractDir, product, recovery };
     } catch (e) {
       console.warn(`[FullInstaller] Extraction warning: ${e.message}. Returning PKG path only.`);
-      return { success: true, installerPath };
+      return { success: true, installerPath, product, recovery };
     }
 
   } catch (err) {
@@ -1430,96 +1287,13 @@ ipcMain.handle('download-full-installer', async (event, macosVersion) => {
 // We now use the Hybrid approach: BaseSystem.dmg is downloaded directly from Apple's
 // Recovery servers during download-full-installer, stored in ~/Downloads/SurfaceMac_Recovery_Hybrid/
 // UsbStep.tsx uses these pre-downloaded files instead of extracting from the PKG.
-ipcMain.handle('copy-recovery-to-usb', async (event, { baseSystemPath, baseChunklistPath, usbVolumePath }) => {
-  const path = require('path');
-  const fs = require('fs');
-
+handle('copy-recovery-to-usb', async (event, { baseSystemPath, baseChunklistPath, usbVolumePath }) => {
   const onStatus = (msg) => event.sender.send('format-status', msg);
-
-  // Target: FAT32 "BOOT" partition
-  // Passed as usbVolumePath from the format result (which is actually bootVolumePath now)
-  // But wait, UsbStep passes formatResult.volumePath for recovery?
-  // We need to be careful. Let's assume the caller passes the path to the BOOT partition.
-  // We will force check if "BOOT" is in the name, otherwise warn.
-
-  const targetVolume = usbVolumePath;
-  console.log(`[CopyRecovery] Copying to ${targetVolume} (BOOT Partition)`);
-
-  try {
-    const recoveryDir = path.join(targetVolume, 'com.apple.recovery.boot');
-    if (!fs.existsSync(recoveryDir)) {
-      console.log(`[CopyRecovery] Creating ${recoveryDir}...`);
-      fs.mkdirSync(recoveryDir, { recursive: true });
-    }
-
-    // Helper to copy with PROGRESS updates (Stream based)
-    const copyFileWithProgress = (src, dest, name) => {
-      return new Promise((resolve, reject) => {
-        if (!src || !fs.existsSync(src)) {
-          console.warn(`[CopyRecovery] Skipped ${name} (not found)`);
-          resolve();
-          return;
-        }
-
-        const stat = fs.statSync(src);
-        const totalBytes = stat.size;
-        let copiedBytes = 0;
-        let lastUpdate = 0;
-
-        const reader = fs.createReadStream(src);
-        const writer = fs.createWriteStream(dest);
-
-        reader.on('error', (err) => reject(err));
-        writer.on('error', (err) => reject(err));
-
-        writer.on('finish', () => {
-          console.log(`[CopyRecovery] Finished copying ${name}`);
-          resolve();
-        });
-
-        reader.on('data', (chunk) => {
-          copiedBytes += chunk.length;
-          const now = Date.now();
-          // Update UI every ~500ms or on completion
-          if (now - lastUpdate > 500 || copiedBytes === totalBytes) {
-            const percent = ((copiedBytes / totalBytes) * 100).toFixed(1);
-            const copiedGB = (copiedBytes / 1024 / 1024 / 1024).toFixed(2);
-            const totalGB = (totalBytes / 1024 / 1024 / 1024).toFixed(2);
-            onStatus(`Copying ${name}... ${copiedGB} GB / ${totalGB} GB (${percent}%)`);
-            lastUpdate = now;
-          }
-        });
-
-        reader.pipe(writer);
-      });
-    };
-
-    // 1. Copy BaseSystem.dmg (Show Progress)
-    if (!baseSystemPath || !fs.existsSync(baseSystemPath)) {
-      throw new Error('BaseSystem.dmg not found');
-    }
-    await copyFileWithProgress(baseSystemPath, path.join(recoveryDir, 'BaseSystem.dmg'), 'BaseSystem.dmg');
-
-    // 2. Copy BaseSystem.chunklist (Small file, just copy)
-    if (baseChunklistPath && fs.existsSync(baseChunklistPath)) {
-      onStatus('Copying BaseSystem.chunklist...');
-      await fs.promises.copyFile(baseChunklistPath, path.join(recoveryDir, 'BaseSystem.chunklist'));
-    }
-
-    // 3. (REMOVED) Copy SharedSupport.dmg (Moved to copy-app-to-usb to avoid ENOSPC on BOOT)
-    // const sharedSupportPath = ...
-
-    onStatus('Recovery files copied successfully!');
-    return { success: true, recoveryDir };
-
-  } catch (err) {
-    console.error(`[CopyRecovery] Error: ${err.message}`);
-    throw err;
-  }
+  return await recoveryService.copyToVolume({ baseSystemPath, baseChunklistPath, volumePath: usbVolumePath }, onStatus);
 });
 
 // Extract full key macOS App from PKG (Windows)
-ipcMain.handle('extract-app-from-pkg', async (event, pkgPath) => {
+handle('extract-app-from-pkg', async (event, pkgPath) => {
   const path = require('path');
   const fs = require('fs');
   const { exec } = require('child_process');
@@ -1532,7 +1306,7 @@ ipcMain.handle('extract-app-from-pkg', async (event, pkgPath) => {
     // macOS Implementation (pkgutil)
     console.log('[ExtractApp] Checking logic for macOS (pkgutil)...');
 
-    const extractDir = path.join(path.dirname(pkgPath), 'extracted_pkg_macos');
+    const extractDir = cacheService.workDir(pkgPath, 'extracted_pkg_macos');
 
     // Check if already extracted (optimization)
     if (fs.existsSync(extractDir)) {
@@ -1614,7 +1388,7 @@ ipcMain.handle('extract-app-from-pkg', async (event, pkgPath) => {
 
   if (!sevenZip) throw new Error('7-Zip not found (required to extract full app).');
 
-  const extractRoot = path.join(path.dirname(pkgPath), 'ExtractedApp');
+  const extractRoot = cacheService.workDir(pkgPath, 'ExtractedApp');
   if (!fs.existsSync(extractRoot)) fs.mkdirSync(extractRoot, { recursive: true });
 
   try {
@@ -1691,7 +1465,7 @@ ipcMain.handle('extract-app-from-pkg', async (event, pkgPath) => {
 });
 
 // Copy Full App to USB (Windows - Robocopy)
-ipcMain.handle('copy-app-to-usb', async (event, { appPath, usbVolumePath, sharedSupportSource }) => {
+handle('copy-app-to-usb', async (event, { appPath, usbVolumePath, sharedSupportSource }) => {
   const path = require('path');
   const { exec } = require('child_process');
   const { promisify } = require('util');
@@ -1822,7 +1596,7 @@ ipcMain.handle('copy-app-to-usb', async (event, { appPath, usbVolumePath, shared
 });
 // This finds the Install macOS app and runs Apple's createinstallmedia tool
 // NOTE: This is macOS-only functionality
-ipcMain.handle('create-install-media', async (event, installerPkgPath, usbPath) => {
+handle('create-install-media', async (event, installerPkgPath, usbPath) => {
   const path = require('path');
   const fs = require('fs');
   const os = require('os');
@@ -1929,9 +1703,7 @@ ipcMain.handle('create-install-media', async (event, installerPkgPath, usbPath)
       // 1. Determine Version
       const version = installApp.toLowerCase().includes('sequoia') ? 'sequoia' : 'sonoma';
 
-      // 2. Download Recovery (BaseSystem)
-      const recoveryCacheDir = path.join(require('os').homedir(), 'Downloads', 'SurfaceMac_Recovery', version);
-
+      // 2. Download Recovery (BaseSystem) into the download cache
       onStatus(`Downloading Recovery Image for ${version}...`);
 
       // We need recoveryService here. Ensure it is imported or require it.
@@ -1939,7 +1711,6 @@ ipcMain.handle('create-install-media', async (event, installerPkgPath, usbPath)
 
       const recoveryFiles = await recoveryService.downloadRecovery({
         macosVersion: version,
-        outputDir: recoveryCacheDir,
         onProgress: (p) => event.sender.send('download-progress', { ...p, id: 'recovery-hybrid' })
       });
 
@@ -2087,27 +1858,15 @@ async function fetchText(url) {
   return await response.text();
 }
 
-// Helper to resolve latest release from GitHub
-async function resolveLatestRelease(repoIdentifier) {
-  const repo = repoIdentifier.replace('repo:', '');
-  const url = `https://api.github.com/repos/${repo}/releases/latest`;
-  try {
-    const json = await fetchText(url);
-    const release = JSON.parse(json);
-
-    // Find asset: prefer .7z, then .zip
-    const assets = release.assets || [];
-    const asset = assets.find(a => a.name.endsWith('.7z')) || assets.find(a => a.name.endsWith('.zip'));
-
-    if (!asset) throw new Error(`No .7z or .zip asset found in latest release of ${repo}`);
-    return asset.browser_download_url;
-  } catch (err) {
-    throw new Error(`Failed to resolve latest release for ${repo}: ${err.message}`);
-  }
-}
+const getEfiRegistry = () => efiRegistryService.load(path.join(app.getPath('userData'), efiRegistryService.REGISTRY_FILE));
 
 // Download and Prepare EFI
-ipcMain.handle('download-efi', async (event, url) => {
+// url: `source:<id>[@ref]` / `repo:owner/name[@ref]` (see efiRegistryService) or an archive URL
+// options.sha256: expected checksum of the archive. Without it the registry / release / `<url>.sha256`
+// checksum is used when one is published. A mismatch rejects the download.
+// options.cpuType + options.macosVersion: refuse registry sources that do not support the combination
+// Returns { efiPath, archive: { url, sha256, expectedSha256, from, status }, source, summary }
+handle('download-efi', async (event, url, options = {}) => {
   const path = require('path');
   const fs = require('fs');
   const os = require('os');
@@ -2119,22 +1878,83 @@ ipcMain.handle('download-efi', async (event, url) => {
   if (fs.existsSync(tmpDir)) fs.rmSync(tmpDir, { recursive: true, force: true });
   fs.mkdirSync(tmpDir, { recursive: true });
 
-  // Handle dynamic repo URL
-  if (url.startsWith('repo:')) {
-    console.log(`[EFI] Resolving latest release for ${url}...`);
-    url = await resolveLatestRelease(url);
+  let expected = options.sha256
+    ? { sha256: efiSourceService.normalizeSha256(options.sha256), from: 'provided checksum' }
+    : null;
+
+  // Registry source or GitHub repo: resolve the release tag / branch archive
+  let registered = null;
+  let source = null;
+  let subfolder = null;
+  let assetKey = `url:${url}`;
+  if (url.startsWith('repo:') || url.startsWith('source:')) {
+    registered = efiRegistryService.parseIdentifier(url, getEfiRegistry().sources);
+    const { entry, ref } = registered;
+    if (options.cpuType && options.macosVersion && !efiRegistryService.isCompatible(entry, options.cpuType, options.macosVersion)) {
+      throw new Error(`EFI source "${entry.name}" does not support the ${options.cpuType} on macOS ${options.macosVersion}`);
+    }
+    subfolder = entry.subfolder;
+    assetKey = `efi:${entry.id}@${ref}`;
+    source = { id: entry.id, name: entry.name, repo: entry.repo, ref, tag: null, branch: null };
+  }
+
+  // Offline asset bundle first (no GitHub API calls); its manifest checksum was verified on lookup
+  const bundled = await assetBundleService.lookup(assetKey);
+  if (bundled) {
+    console.log(`[EFI] Using ${assetKey} from the asset bundle`);
+    url = bundled.meta.url || url;
+    expected = expected || { sha256: bundled.sha256, from: 'asset bundle manifest' };
+    if (source) Object.assign(source, { tag: bundled.meta.tag || null, branch: bundled.meta.branch || null });
+  } else if (registered) {
+    console.log(`[EFI] Resolving ${registered.ref} of ${registered.entry.repo}...`);
+    const resolved = await efiRegistryService.resolve(registered.entry, registered.ref, fetchText);
+    url = resolved.url;
+    expected = expected || resolved.checksum;
+    Object.assign(source, { tag: resolved.tag, branch: resolved.branch });
     console.log(`[EFI] Resolved to: ${url}`);
+  } else if (!expected) {
+    expected = await efiSourceService.sidecarChecksum(url, fetchText);
   }
 
-  const is7z = url.toLowerCase().endsWith('.7z');
-  const archiveName = is7z ? 'efi.7z' : 'efi.zip';
-  const archivePath = path.join(tmpDir, archiveName);
+  // Through the download cache. Release assets are reused; branch archives and plain URLs
+  // can change under the same URL, so those are downloaded every time.
+  const archiveMeta = { url, ...(source ? { tag: source.tag, branch: source.branch } : {}) };
+  const archiveKeys = [...new Set([assetKey, `url:${url}`])];
+  let archive;
+  if (bundled) {
+    archive = await cacheService.put(assetKey, bundled.filePath, archiveMeta, { sha256: bundled.sha256 });
+  } else {
+    const assetName = path.basename(new URL(url).pathname) || 'efi.zip';
+    archive = await cacheService.obtain(`url:${url}`, assetName, (destPath) => {
+      console.log(`[EFI] Downloading from ${url}...`);
+      // Use curl for reliability
+      return execAsync(`curl -L --fail -o "${destPath}" "${url}"`);
+    }, archiveMeta, { refresh: !(source && source.tag) });
+  }
+
+  // Check the archive before extracting anything from it
+  let verification;
+  try {
+    verification = await efiSourceService.verifyArchive(archive.filePath, expected);
+  } catch (e) {
+    cacheService.remove(archiveKeys);
+    throw e;
+  }
+  if (verification.status === 'verified') {
+    console.log(`[EFI] SHA-256 verified against ${verification.from}: ${verification.sha256}`);
+  } else {
+    console.warn(`[EFI] No published checksum for ${url}; downloaded archive SHA-256 is ${verification.sha256}`);
+  }
+
+  // Registered under the source too, so it can be exported to an asset bundle
+  for (const key of archiveKeys.filter(k => k !== archive.key)) {
+    await cacheService.put(key, archive.filePath, archiveMeta, { sha256: archive.sha256 });
+  }
 
-  console.log(`[EFI] Downloading from ${url}...`);
-  // Use curl for reliability
-  await execAsync(`curl -L -o "${archivePath}" "${url}"`);
+  const is7z = archive.fileName.toLowerCase().endsWith('.7z');
+  const archivePath = archive.filePath;
 
-  console.log(`[EFI] Extracting ${archiveName}...`);
+  console.log(`[EFI] Extracting ${archive.fileName}...`);
   if (is7z) {
     // macOS tar (bsdtar) supports 7z auto-detection
     await execAsync(`tar -xf "${archivePath}" -C "${tmpDir}"`);
@@ -2168,17 +1988,58 @@ ipcMain.handle('download-efi', async (event, url) => {
     return null;
   };
 
-  const efiPath = findEFI(tmpDir);
+  // The source's subfolder, either at the archive root or below its top-level folder (branch archives)
+  let searchRoot = tmpDir;
+  if (subfolder) {
+    const topLevel = fs.readdirSync(tmpDir, { withFileTypes: true })
+      .filter(entry => entry.isDirectory() && !entry.name.startsWith('.') && entry.name !== '__MACOSX')
+      .map(entry => path.join(tmpDir, entry.name));
+    searchRoot = [tmpDir, ...topLevel].map(dir => path.join(dir, subfolder)).find(dir => fs.existsSync(dir));
+    if (!searchRoot) throw new Error(`Folder "${subfolder}" not found in the downloaded archive`);
+  }
+
+  const efiPath = path.basename(searchRoot).toUpperCase() === 'EFI' ? searchRoot : findEFI(searchRoot);
   if (!efiPath) {
     throw new Error('No EFI folder found in the downloaded archive. Check logs for structure.');
   }
 
   console.log(`[EFI] Found EFI at ${efiPath}`);
-  return efiPath;
+  return {
+    efiPath,
+    archive: { url, ...verification },
+    source,
+    summary: efiSourceService.summarize(efiPath),
+  };
+});
+
+// EFI source registry (built-in sources + <userData>/efi-sources.json)
+handle('list-efi-sources', async () => {
+  return getEfiRegistry();
+});
+
+handle('list-efi-source-refs', async (_, id) => {
+  const entry = getEfiRegistry().sources.find(s => s.id === id);
+  if (!entry) throw new Error(`Unknown EFI source "${id}"`);
+  return efiRegistryService.listRefs(entry);
+});
+
+// Open the local registry file, creating an example one first
+handle('open-efi-registry', async () => {
+  const { registryPath } = getEfiRegistry();
+  efiRegistryService.writeTemplate(registryPath);
+  const error = await shell.openPath(registryPath);
+  if (error) throw new Error(error);
+  return registryPath;
+});
+
+// Contents of an EFI folder (local sources), for review before it is written to USB
+handle('inspect-efi', async (_, efiPath) => {
+  return efiSourceService.summarize(efiPath);
 });
 
 // Config.plist operations
-ipcMain.handle('read-config', async (_, configPath) => {
+// options.typed: return the toTyped() form the expert-mode editor works with
+handle('read-config', async (_, configPath, options = {}) => {
   const fs = require('fs');
   const path = require('path');
   const os = require('os');
@@ -2187,10 +2048,14 @@ ipcMain.handle('read-config', async (_, configPath) => {
   const exec = promisify(require('child_process').exec);
 
   if (!fs.existsSync(configPath)) return null;
+  const finish = (content) => {
+    const tree = plist.parse(content);
+    return options.typed ? plistPatchService.toTyped(tree) : tree;
+  };
 
   try {
     const content = fs.readFileSync(configPath, 'utf8');
-    return plist.parse(content);
+    return finish(content);
   } catch (err) {
     if (process.platform === 'win32') {
       try {
@@ -2205,7 +2070,7 @@ ipcMain.handle('read-config', async (_, configPath) => {
         if (fs.existsSync(tempFile)) {
           const content = fs.readFileSync(tempFile, 'utf8');
           fs.unlinkSync(tempFile);
-          return plist.parse(content);
+          return finish(content);
         }
 
         // Try elevated fallback
@@ -2215,7 +2080,7 @@ ipcMain.handle('read-config', async (_, configPath) => {
         if (fs.existsSync(tempFile)) {
           const content = fs.readFileSync(tempFile, 'utf8');
           fs.unlinkSync(tempFile);
-          return plist.parse(content);
+          return finish(content);
         }
       } catch (e2) {
         console.error('[Config] Safe read failed:', e2);
@@ -2225,15 +2090,19 @@ ipcMain.handle('read-config', async (_, configPath) => {
   }
 });
 
-ipcMain.handle('write-config', async (_, configPath, config) => {
-  const plist = require('plist');
+// options.typed: `config` is the toTyped() form produced by read-config
+handle('write-config', async (_, configPath, config, options = {}) => {
   const path = require('path');
   const os = require('os');
   const fs = require('fs');
   const { promisify } = require('util');
   const exec = promisify(require('child_process').exec);
 
-  const content = plist.build(config);
+  const content = plistPatchService.build(options.typed ? plistPatchService.fromTyped(config) : config);
+
+  if (path.basename(path.dirname(configPath)).toUpperCase() === 'OC') {
+    await snapshotEfi(partitionRootOf(path.dirname(configPath)), 'write-config');
+  }
 
   // Write to temporary file first
   const tempFile = path.join(os.tmpdir(), `cfg_${Date.now()}_config.plist`);
@@ -2274,11 +2143,47 @@ ipcMain.handle('write-config', async (_, configPath, config) => {
   }
 
   console.log(`[Config] Wrote config.plist to ${configPath}`);
-  return { success: true };
+
+  const validation = configValidatorService.validateFile(configPath);
+  logValidation(validation);
+  return { success: true, validation };
+});
+
+// Differences between an (edited, typed) config and the golden template for the CPU
+handle('diff-config', async (_, config, cpuType) => {
+  const path = require('path');
+  const fs = require('fs');
+
+  const templatePath = path.join(__dirname, 'templates', `config-${cpuType}.plist`);
+  if (!fs.existsSync(templatePath)) throw new Error(`No template for CPU type "${cpuType}"`);
+
+  const template = plistPatchService.parse(fs.readFileSync(templatePath, 'utf8'));
+  return plistPatchService.diff(template, plistPatchService.fromTyped(config));
+});
+
+function logValidation(validation) {
+  console.log(`[Config] Validation (OpenCore ${validation.ocVersion || 'unknown'}): ${validation.errors.length} errors, ${validation.warnings.length} warnings`);
+  validation.errors.forEach(e => console.warn(`[Config]   error ${e.path}: ${e.message}`));
+}
+
+// Validate a config.plist file, or the one on a USB drive's EFI when diskPath (see resolveDisk) is given
+handle('validate-config', async (_, { configPath, diskPath } = {}) => {
+  const path = require('path');
+
+  let target = configPath;
+  if (!target) {
+    if (!diskPath) throw new Error('validate-config needs a configPath or diskPath');
+    const mountPoint = await mountEfiPartition(await resolveDisk(diskPath));
+    target = path.join(mountPoint, 'EFI', 'OC', 'config.plist');
+  }
+
+  const validation = configValidatorService.validateFile(target);
+  logValidation(validation);
+  return { ...validation, configPath: target };
 });
 
 // Helper to patch EFI with Drivers (ExFatDxe + HfsPlus)
-ipcMain.handle('patch-efi-exfat', async (_, efiRootPath) => {
+handle('patch-efi-exfat', async (_, efiRootPath) => {
   const fs = require('fs');
   const path = require('path');
   const https = require('https');
@@ -2301,6 +2206,8 @@ ipcMain.handle('patch-efi-exfat', async (_, efiRootPath) => {
     }
   }
 
+  await snapshotEfi(partitionRootOf(ocPath), 'patch-efi-exfat');
+
   const driversPath = path.join(ocPath, 'Drivers');
   if (!fs.existsSync(driversPath)) fs.mkdirSync(driversPath, { recursive: true });
 
@@ -2311,10 +2218,11 @@ ipcMain.handle('patch-efi-exfat', async (_, efiRootPath) => {
   ];
 
   try {
+    // Through the download cache (refreshed daily: these are files on the master branch)
     for (const driver of drivers) {
-      const dest = path.join(driversPath, driver.name);
       console.log(`[EFI Patch] Downloading ${driver.name}...`);
-      await downloadUrl(driver.url, dest, null);
+      const { archivePath } = await efiInventoryService.fetchAsset(driver.url, driver.name, { maxAge: 24 * 60 * 60 * 1000, extract: false });
+      fs.copyFileSync(archivePath, path.join(driversPath, driver.name));
     }
     console.log('[EFI Patch] Drivers downloaded successfully.');
   } catch (e) {
@@ -2328,106 +2236,116 @@ ipcMain.handle('patch-efi-exfat', async (_, efiRootPath) => {
   return { success: true };
 });
 
+// EFI root for inventory operations: an explicit folder or the EFI partition of a disk
+// (diskPath: a device path or { path, identity }, see resolveDisk)
+async function resolveEfiRoot({ efiRoot, diskPath }) {
+  if (efiRoot) return efiRoot;
+  if (!diskPath) throw new Error('An efiRoot or diskPath is required');
+  return await mountEfiPartition(await resolveDisk(diskPath));
+}
+
+// Kexts and drivers on an EFI, with the latest upstream versions unless checkUpdates is false
+handle('efi-inventory', async (_, { efiRoot, diskPath, macosVersion, checkUpdates = true } = {}) => {
+  const root = await resolveEfiRoot({ efiRoot, diskPath });
+  console.log(`[Inventory] Scanning ${root}${checkUpdates ? ' and checking for updates' : ''}...`);
+  const inventory = checkUpdates
+    ? await efiInventoryService.check(root, { macosVersion })
+    : efiInventoryService.list(root, { macosVersion });
+  return { ...inventory, efiRoot: root };
+});
+
+// Replace one kext or driver with its latest release and re-sync Kernel.Add
+handle('update-efi-component', async (_, { efiRoot, diskPath, name, macosVersion } = {}) => {
+  const root = await resolveEfiRoot({ efiRoot, diskPath });
+  const ocPath = efiInventoryService.resolveOcPath(root);
+  if (ocPath) await snapshotEfi(partitionRootOf(ocPath), `update ${name}`);
+  const result = await efiInventoryService.update(root, name, {
+    macosVersion,
+    onStatus: (message) => console.log(`[Inventory] ${message}`),
+  });
+
+  const configPath = path.join(ocPath, 'config.plist');
+  let validation = null;
+  if (fs.existsSync(configPath)) {
+    validation = configValidatorService.validateFile(configPath);
+    logValidation(validation);
+  }
+  return { ...result, validation };
+});
+
+// OpenCore versions of OpenCore.efi and BOOTx64.efi on an EFI
+handle('opencore-info', async (_, { efiRoot, diskPath } = {}) => {
+  const root = await resolveEfiRoot({ efiRoot, diskPath });
+  return { ...openCoreService.detectVersions(root), efiRoot: root };
+});
+
+handle('list-opencore-releases', async () => openCoreService.listReleases());
+
+// Upgrade OpenCore on an EFI (backup kept under userData/efi-backups)
+handle('upgrade-opencore', async (_, { efiRoot, diskPath, tag } = {}) => {
+  const root = await resolveEfiRoot({ efiRoot, diskPath });
+  const ocPath = efiInventoryService.resolveOcPath(root);
+  if (ocPath) await snapshotEfi(partitionRootOf(ocPath), `upgrade-opencore ${tag || 'latest'}`);
+  const result = await openCoreService.upgrade(root, {
+    tag,
+    backupDir: path.join(app.getPath('userData'), 'efi-backups'),
+    onStatus: (message) => console.log(`[OpenCore] ${message}`),
+  });
+  result.configChanges.forEach(({ version, change }) => console.log(`[OpenCore]   ${version}: ${change}`));
+  logValidation(result.validation);
+  return result;
+});
+
+// EFI snapshots (taken automatically before every EFI write)
+handle('list-efi-snapshots', async () => efiSnapshotService.list(getSnapshotStore()));
+
+handle('create-efi-snapshot', async (_, { efiRoot, diskPath } = {}) => {
+  const root = await resolveEfiRoot({ efiRoot, diskPath });
+  const snapshot = await efiSnapshotService.create(root, { storeDir: getSnapshotStore(), reason: 'manual' });
+  if (!snapshot) throw new Error(`No EFI folder on ${root}`);
+  return efiSnapshotService.summary(snapshot);
+});
+
+// What restoring a snapshot onto a partition would change
+handle('diff-efi-snapshot', async (_, { id, efiRoot, diskPath } = {}) => {
+  const root = await resolveEfiRoot({ efiRoot, diskPath });
+  return { ...efiSnapshotService.diff(getSnapshotStore(), id, root), efiRoot: root };
+});
+
+handle('restore-efi-snapshot', async (_, { id, efiRoot, diskPath } = {}) => {
+  const root = await resolveEfiRoot({ efiRoot, diskPath });
+  return await efiSnapshotService.restore(getSnapshotStore(), id, root);
+});
+
+handle('delete-efi-snapshot', async (_, id) => {
+  efiSnapshotService.remove(getSnapshotStore(), id);
+  return { success: true };
+});
+
 // ========== EFI Operations ==========
 
 // List all disks and their EFI partitions
-ipcMain.handle('list-efi-partitions', async () => {
-  const { exec } = require('child_process');
-  const { promisify } = require('util');
-  const execAsync = promisify(exec);
-
+handle('list-efi-partitions', async () => {
   const partitions = [];
 
-  if (process.platform === 'darwin') {
-    try {
-      // Get list of all disks
-      const { stdout } = await execAsync('diskutil list');
-      const lines = stdout.split('\n');
-
-      let currentDisk = null;
-
-      for (const line of lines) {
-        // Match disk header (e.g., /dev/disk0 (internal):)
-        const diskMatch = line.match(/^\/dev\/(disk\d+)\s+\((\w+)/);
-        if (diskMatch) {
-          currentDisk = {
-            id: diskMatch[1],
-            type: diskMatch[2], // internal, external, etc.
-          };
-        }
-
-        // Match EFI partition (e.g., 1: EFI EFI 209.7 MB disk0s1)
-        const efiMatch = line.match(/\d+:\s+EFI\s+(\S+)?\s+[\d.]+\s+\w+\s+(disk\d+s\d+)/);
-        if (efiMatch && currentDisk) {
-          const partition = efiMatch[2];
-
-          // Check if mounted
-          let mountPoint = null;
-          try {
-            const { stdout: mountInfo } = await execAsync(`diskutil info ${partition}`);
-            const mountMatch = mountInfo.match(/Mount Point:\s+(.+)/);
-            if (mountMatch && mountMatch[1].trim() !== 'Not Mounted') {
-              mountPoint = mountMatch[1].trim();
-            }
-          } catch (e) { }
-
-          // Get disk info for name
-          let diskName = 'Unknown';
-          try {
-            const { stdout: diskInfo } = await execAsync(`diskutil info /dev/${currentDisk.id}`);
-            const nameMatch = diskInfo.match(/Device \/ Media Name:\s+(.+)/);
-            if (nameMatch) diskName = nameMatch[1].trim();
-          } catch (e) { }
-
-          partitions.push({
-            id: partition,
-            diskId: currentDisk.id,
-            diskType: currentDisk.type,
-            diskName: diskName,
-            label: efiMatch[1] || 'EFI',
-            mounted: !!mountPoint,
-            mountPoint: mountPoint,
-          });
-        }
-      }
-    } catch (error) {
-      console.error('Failed to list EFI partitions:', error);
-    }
-  } else if (process.platform === 'win32') {
-    try {
-      // Get all partitions that are either EFI (System) or FAT32/Partition1 on Removable
-      const psCommand = `
-        powershell -NoProfile -Command "Get-Disk | ForEach-Object { 
-            $disk = $_; 
-            Get-Partition -DiskNumber $disk.Number | Where-Object { 
-                ($_.GptType -eq '{c12a7328-f81f-11d2-ba4b-00a0c93ec93b}') -or 
-                ($disk.BusType -eq 'USB' -and $_.PartitionNumber -eq 1) 
-            } | Select-Object -Property @{N='DiskId';E={$disk.Number}}, @{N='DiskModel';E={$disk.Model}}, @{N='PartitionId';E={'Partition' + $_.PartitionNumber}}, @{N='DriveLetter';E={$_.DriveLetter}}, @{N='BusType';E={$disk.BusType}}, @{N='Size';E={$_.Size}} 
-        } | ConvertTo-Json -Compress"
-      `;
-
-      const { stdout } = await execAsync(psCommand);
-
-      if (stdout && stdout.trim()) {
-        const items = JSON.parse(stdout);
-        const list = Array.isArray(items) ? items : [items];
-
-        for (const item of list) {
-          const driveLetter = item.DriveLetter ? String.fromCharCode(item.DriveLetter) + ':' : null;
-          partitions.push({
-            id: `PHYSICALDRIVE${item.DiskId}`, // Simplified ID tracking
-            diskId: `Disk ${item.DiskId}`,
-            diskType: item.BusType === 'USB' ? 'external' : 'internal',
-            diskName: item.DiskModel,
-            label: 'EFI',
-            mounted: !!driveLetter,
-            mountPoint: driveLetter
-          });
-        }
-      }
-    } catch (error) {
-      console.error('[EFI] Failed to list partitions on Windows:', error);
+  try {
+    for (const disk of await diskModelService.list()) {
+      if (disk.virtual) continue;
+      const esp = await diskModelService.efiPartition(disk);
+      if (!esp) continue;
+      partitions.push({
+        // mount-efi takes this id: the partition, or on Windows the disk (its ESP is looked up)
+        id: esp.path || disk.path,
+        diskId: disk.id,
+        diskType: disk.removable ? 'external' : 'internal',
+        diskName: disk.name || 'Unknown',
+        label: esp.label || esp.name || 'EFI',
+        mounted: !!esp.mountPoint,
+        mountPoint: esp.mountPoint,
+      });
     }
+  } catch (error) {
+    console.error('[EFI] Failed to list EFI partitions:', error);
   }
 
   return partitions;
@@ -2436,7 +2354,7 @@ ipcMain.handle('list-efi-partitions', async () => {
 
 
 // Copy EFI folder from source to destination
-ipcMain.handle('copy-efi', async (event, source, dest) => {
+handle('copy-efi', async (event, source, dest) => {
   const fs = require('fs');
   const path = require('path');
   const { exec } = require('child_process');
@@ -2448,7 +2366,9 @@ ipcMain.handle('copy-efi', async (event, source, dest) => {
   let destEfiPath = dest;
   // If destination is a Volume root (e.g. /Volumes/EFI), we MUST append EFI to create /Volumes/EFI/EFI
   // (Standard EFI structure: Partition -> EFI folder -> BOOT/OC)
-  const isVolumeRoot = path.dirname(dest) === '/Volumes';
+  // On Linux the mount point is usually named after the label (e.g. /media/user/EFI)
+  const isVolumeRoot = path.dirname(dest) === '/Volumes' ||
+    (process.platform === 'linux' && linuxDiskService.isMountPoint(dest));
 
   if (isVolumeRoot) {
     destEfiPath = path.join(dest, 'EFI');
@@ -2466,6 +2386,7 @@ ipcMain.handle('copy-efi', async (event, source, dest) => {
   }
 
   console.log(`[EFI] Copying from ${sourceEfiPath} to ${destEfiPath}`);
+  await snapshotEfi(path.dirname(destEfiPath), 'copy-efi');
 
   // Helper for mkdir retry (Windows locking mitigation + Elevation)
   const mkdirRetry = async (dir) => {
@@ -2633,8 +2554,8 @@ ipcMain.handle('copy-efi', async (event, source, dest) => {
               // Log sparingly to terminal to avoid spam (or commented out)
               // console.log(`[rsync] ${trimmed}`);
 
-              if (mainWindow && !mainWindow.isDestroyed()) {
-                mainWindow.webContents.send('copy-progress', trimmed);
+              if (!event.sender.isDestroyed()) {
+                event.sender.send('copy-progress', trimmed);
               }
             }
           }
@@ -2676,8 +2597,8 @@ ipcMain.handle('copy-efi', async (event, source, dest) => {
       } else {
         // Emit progress
         try {
-          if (mainWindow && !mainWindow.isDestroyed()) {
-            mainWindow.webContents.send('copy-progress', entry.name);
+          if (!event.sender.isDestroyed()) {
+            event.sender.send('copy-progress', entry.name);
           }
         } catch (e) { /* ignore ipc error */ }
 
@@ -2697,7 +2618,8 @@ ipcMain.handle('copy-efi', async (event, source, dest) => {
 });
 
 // Unmount entire disk (Safe Eject)
-ipcMain.handle('unmount-disk', async (_, diskPath) => {
+handle('unmount-disk', async (_, target) => {
+  const diskPath = await resolveDisk(target);
   const { exec } = require('child_process');
   const { promisify } = require('util');
   const execAsync = promisify(exec);
@@ -2708,6 +2630,8 @@ ipcMain.handle('unmount-disk', async (_, diskPath) => {
     if (process.platform === 'darwin') {
       // unmountDisk unmounts all volumes on the disk (EFI, INSTALL, etc.)
       await execAsync(`diskutil unmountDisk "${diskPath}"`);
+    } else if (process.platform === 'linux') {
+      await linuxDiskService.unmountDisk(diskPath);
     }
     return { success: true };
   } catch (error) {
@@ -2717,20 +2641,234 @@ ipcMain.handle('unmount-disk', async (_, diskPath) => {
 });
 
 // Dialog operations
-ipcMain.handle('select-directory', async () => {
+handle('select-directory', async () => {
   const result = await dialog.showOpenDialog(mainWindow, {
     properties: ['openDirectory'],
   });
   return result.canceled ? null : result.filePaths[0];
 });
 
+// Offline asset bundle (see assetBundleService): downloads are served from it while one is in use
+const ASSET_BUNDLE_FILTERS = [{ name: 'Asset Bundle', extensions: ['tar.gz', 'tgz', 'tar'] }];
+
+handle('get-asset-bundle', async () => assetBundleService.describe());
+
+// bundlePath: a bundle folder or tarball, null to stop using one. options.persist keeps the choice across restarts.
+handle('use-asset-bundle', async (_, bundlePath, { persist = true } = {}) => {
+  const fs = require('fs');
+  const bundle = await assetBundleService.use(bundlePath);
+  if (persist) {
+    if (bundlePath) fs.writeFileSync(getAssetBundleSettingsPath(), JSON.stringify({ path: bundlePath }, null, 2));
+    else fs.rmSync(getAssetBundleSettingsPath(), { force: true });
+  }
+  return bundle;
+});
+
+// kind: 'folder' or 'archive' (most platforms cannot pick both in one dialog)
+handle('select-asset-bundle', async (_, kind = 'folder') => {
+  const result = await dialog.showOpenDialog(mainWindow, {
+    title: 'Select Asset Bundle',
+    properties: [kind === 'archive' ? 'openFile' : 'openDirectory'],
+    filters: kind === 'archive' ? ASSET_BUNDLE_FILTERS : undefined,
+  });
+  if (result.canceled || result.filePaths.length === 0) return null;
+  return result.filePaths[0];
+});
+
+// Bundle everything in the download cache (recovery images, installers, EFI archives, drivers).
+// outputPath: a folder or .tar.gz; asks for a file when omitted. Progress goes to 'bundle-status'.
+handle('export-asset-bundle', async (event, outputPath) => {
+  if (!outputPath) {
+    const result = await dialog.showSaveDialog(mainWindow, {
+      title: 'Export Asset Bundle',
+      defaultPath: path.join(app.getPath('documents'), `surfacemac-assets-${new Date().toISOString().slice(0, 10)}.tar.gz`),
+      filters: ASSET_BUNDLE_FILTERS,
+    });
+    if (result.canceled || !result.filePath) return null;
+    outputPath = result.filePath;
+  }
+
+  const bundle = await assetBundleService.export(outputPath, cacheService.files(), {
+    onStatus: (message) => event.sender.send('bundle-status', message),
+  });
+  console.log(`[AssetBundle] Exported ${bundle.assetCount} assets to ${bundle.path}`);
+  return bundle;
+});
+
+// Download cache (see cacheService). Progress of long operations goes to 'cache-status'.
+const getDownloadsDir = () => path.join(require('os').homedir(), 'Downloads');
+
+// { root, totalSize, workSize, entries, legacy: [{ path, size }] } - legacy: old download folders to import
+handle('get-cache', async () => ({
+  ...cacheService.list(),
+  legacy: cacheService.findLegacy(getDownloadsDir()).folders,
+}));
+
+// keys: entries to verify, all when omitted. Damaged entries are removed.
+handle('verify-cache', async (event, keys) => {
+  return cacheService.verify(keys || null, (message) => event.sender.send('cache-status', message));
+});
+
+// options: { keys, olderThanDays, work, all } (see cacheService.prune)
+handle('prune-cache', async (_, options) => cacheService.prune(options || {}));
+
+// Move the cache to newRoot (asks for a folder when omitted) and keep using it there
+handle('relocate-cache', async (event, newRoot) => {
+  const fs = require('fs');
+  if (!newRoot) {
+    const result = await dialog.showOpenDialog(mainWindow, {
+      title: 'Move Download Cache',
+      properties: ['openDirectory', 'createDirectory'],
+    });
+    if (result.canceled || result.filePaths.length === 0) return null;
+    newRoot = path.join(result.filePaths[0], path.basename(cacheService.getRoot()));
+  }
+
+  const cache = await cacheService.relocate(newRoot, (message) => event.sender.send('cache-status', message));
+  fs.writeFileSync(getCacheSettingsPath(), JSON.stringify({ root: cache.root }, null, 2));
+  return cache;
+});
+
+handle('import-legacy-cache', async (event) => {
+  return cacheService.importLegacy(getDownloadsDir(), (message) => event.sender.send('cache-status', message));
+});
+
+handle('open-cache-folder', async () => {
+  const fs = require('fs');
+  fs.mkdirSync(cacheService.getRoot(), { recursive: true });
+  const error = await shell.openPath(cacheService.getRoot());
+  if (error) throw new Error(error);
+});
+
+// Jobs (see jobService): the USB build runs in the main process as a 'usb-build' job whose
+// state survives restarts. Everything a job reports goes to the renderer on 'job-event'.
+const getJobStore = () => path.join(app.getPath('userData'), 'jobs');
+
+// Run a pending job in the background; failures are recorded in the job and its events
+function runJob(id, sender) {
+  const emit = (jobEvent) => {
+    if (!sender.isDestroyed()) sender.send('job-event', jobEvent);
+  };
+  jobService.run(id, { emit, context: { invoke: invokeHandler } })
+    .catch((err) => console.error(`[Jobs] ${id} stopped: ${err.message}`));
+}
+
+// kind: a registered job kind ('usb-build'). Returns the job; it runs in the background.
+handle('start-job', async (event, kind, options) => {
+  const job = jobService.create(kind, options);
+  runJob(job.id, event.sender);
+  return jobService.get(job.id); // events sent before the renderer knows the id are in here
+});
+
+// Run a failed or cancelled job again from the step that stopped; { skip } skips that step instead
+handle('resume-job', async (event, id, options) => {
+  const job = jobService.resume(id, options || {});
+  runJob(job.id, event.sender);
+  return jobService.get(job.id);
+});
+
+handle('cancel-job', async (_, id) => ({ success: jobService.cancel(id) }));
+
+handle('list-jobs', async (_, kind) => jobService.list().filter(job => !kind || job.kind === kind));
+
+handle('get-job', async (_, id) => jobService.get(id));
+
+handle('remove-job', async (_, id) => ({ success: jobService.remove(id) }));
+
+// Wizard profile: auto-saved session in userData plus export/import for sharing a build
+const PROFILE_FILTERS = [{ name: 'SurfaceMac Profile', extensions: ['json'] }];
+
+handle('load-profile', async () => {
+  try {
+    return profileService.read(profileService.getSessionPath(app.getPath('userData')));
+  } catch (e) {
+    console.warn(`[Profile] Ignoring saved session: ${e.message}`);
+    return null;
+  }
+});
+
+handle('save-profile', async (_, profile) => {
+  profileService.write(profileService.getSessionPath(app.getPath('userData')), profile, app.getVersion());
+  return { success: true };
+});
+
+handle('clear-profile', async () => {
+  const fs = require('fs');
+  fs.rmSync(profileService.getSessionPath(app.getPath('userData')), { force: true });
+  return { success: true };
+});
+
+handle('export-profile', async (_, profile) => {
+  const path = require('path');
+  const result = await dialog.showSaveDialog(mainWindow, {
+    title: 'Export Wizard Profile',
+    defaultPath: path.join(app.getPath('documents'), 'surfacemac-profile.json'),
+    filters: PROFILE_FILTERS,
+  });
+  if (result.canceled || !result.filePath) return null;
+
+  profileService.write(result.filePath, profileService.forExport(profile), app.getVersion());
+  console.log(`[Profile] Exported to ${result.filePath}`);
+  return result.filePath;
+});
+
+handle('import-profile', async () => {
+  const result = await dialog.showOpenDialog(mainWindow, {
+    title: 'Import Wizard Profile',
+    properties: ['openFile'],
+    filters: PROFILE_FILTERS,
+  });
+  if (result.canceled || result.filePaths.length === 0) return null;
+
+  console.log(`[Profile] Importing ${result.filePaths[0]}`);
+  return profileService.read(result.filePaths[0]);
+});
+
 // External links
-ipcMain.handle('open-external', async (_, url) => {
+handle('open-external', async (_, url) => {
   await shell.openExternal(url);
 });
 
 // ========== App Lifecycle ==========
-app.whenReady().then(() => {
+// Headless mode: `electron . --cli <command> ...`, normally started through electron/cli.js
+const cliIndex = process.argv.indexOf('--cli');
+
+// Download cache folder chosen in an earlier session
+function restoreCacheSettings() {
+  const fs = require('fs');
+  const settingsPath = getCacheSettingsPath();
+  let root = null;
+  try {
+    if (fs.existsSync(settingsPath)) root = JSON.parse(fs.readFileSync(settingsPath, 'utf8')).root;
+  } catch (e) {
+    console.warn(`[Cache] Ignoring ${settingsPath}: ${e.message}`);
+  }
+  cacheService.configure(root);
+}
+
+// Asset bundle chosen in an earlier session
+async function restoreAssetBundle() {
+  const fs = require('fs');
+  const settingsPath = getAssetBundleSettingsPath();
+  if (!fs.existsSync(settingsPath)) return;
+  try {
+    await assetBundleService.use(JSON.parse(fs.readFileSync(settingsPath, 'utf8')).path);
+  } catch (e) {
+    console.warn(`[AssetBundle] Not using the saved asset bundle: ${e.message}`);
+  }
+}
+
+app.whenReady().then(async () => {
+  restoreCacheSettings();
+  jobService.configure(getJobStore());
+  await restoreAssetBundle();
+
+  if (cliIndex !== -1) {
+    require('./cli').runHeadless(process.argv.slice(cliIndex + 1), invokeHandler)
+      .then((code) => app.exit(code));
+    return;
+  }
+
   createWindow();
 
   app.on('activate', () => {
@@ -17,21 +17,26 @@ contextBridge.exposeInMainWorld('electronAPI', {
     openFullDiskSettings: () => ipcRenderer.invoke('open-full-disk-settings'),
 
     // SMBIOS Generation (native TypeScript implementation)
+    listSmbiosModels: () => ipcRenderer.invoke('list-smbios-models'),
     generateSMBIOS: (model) => ipcRenderer.invoke('generate-smbios', model),
+    validateSMBIOS: (smbios) => ipcRenderer.invoke('validate-smbios', smbios),
 
     // USB Operations
     listUSBDrives: () => ipcRenderer.invoke('list-usb-drives'),
-    formatUSB: (drivePath, format, forceFormat) => ipcRenderer.invoke('format-usb', drivePath, format, forceFormat),
+    formatUSB: (drivePath, format, forceFormat, token) => ipcRenderer.invoke('format-usb', drivePath, format, forceFormat, token),
     onFormatStatus: (callback) => ipcRenderer.on('format-status', (_, message) => callback(message)),
 
     // Downloads with progress
     downloadFile: (url, destPath) => ipcRenderer.invoke('download-file', url, destPath),
     onDownloadProgress: (callback) => ipcRenderer.on('download-progress', (_, progress) => callback(progress)),
-    downloadRecovery: (macosVersion, targetPath) => ipcRenderer.invoke('download-recovery', macosVersion, targetPath),
-    downloadFullInstaller: (macosVersion) => ipcRenderer.invoke('download-full-installer', macosVersion),
+    cancelDownload: (id) => ipcRenderer.invoke('cancel-download', id),
+    downloadRecovery: (macosVersion, targetPath, smbiosModel) => ipcRenderer.invoke('download-recovery', macosVersion, targetPath, smbiosModel),
+    downloadFullInstaller: (macosVersion, selection, smbiosModel) => ipcRenderer.invoke('download-full-installer', macosVersion, selection, smbiosModel),
+    getCatalog: (options) => ipcRenderer.invoke('get-catalog', options),
     createInstallMedia: (installerPath, usbPath) => ipcRenderer.invoke('create-install-media', installerPath, usbPath),
     extractBaseSystemFromPkg: (pkgPath) => ipcRenderer.invoke('extract-basesystem-from-pkg', pkgPath),
     copyRecoveryToUsb: (options) => ipcRenderer.invoke('copy-recovery-to-usb', options),
+    verifyRecovery: (baseSystemPath, chunklistPath) => ipcRenderer.invoke('verify-recovery', baseSystemPath, chunklistPath),
 
     // Windows Hybrid Extensions
     extractAppFromPkg: (pkgPath) => ipcRenderer.invoke('extract-app-from-pkg', pkgPath),
@@ -39,13 +44,45 @@ contextBridge.exposeInMainWorld('electronAPI', {
 
     // Config Operations
     injectConfig: (details) => ipcRenderer.invoke('inject-config', details),
-    readConfig: (path) => ipcRenderer.invoke('read-config', path),
-    writeConfig: (path, config) => ipcRenderer.invoke('write-config', path, config),
+    readConfig: (path, options) => ipcRenderer.invoke('read-config', path, options),
+    writeConfig: (path, config, options) => ipcRenderer.invoke('write-config', path, config, options),
+    diffConfig: (config, cpuType) => ipcRenderer.invoke('diff-config', config, cpuType),
+    validateConfig: (target) => ipcRenderer.invoke('validate-config', target),
 
     // EFI Operations (native implementation - no MountEFI Python needed)
     // EFI Operations (native implementation - no MountEFI Python needed)
     listEFIPartitions: () => ipcRenderer.invoke('list-efi-partitions'),
-    downloadDefaultEFI: (repoOrUrl) => ipcRenderer.invoke('download-efi', repoOrUrl),
+    downloadDefaultEFI: (repoOrUrl, options) => ipcRenderer.invoke('download-efi', repoOrUrl, options),
+    inspectEfi: (efiPath) => ipcRenderer.invoke('inspect-efi', efiPath),
+    listEfiSources: () => ipcRenderer.invoke('list-efi-sources'),
+    listEfiSourceRefs: (id) => ipcRenderer.invoke('list-efi-source-refs', id),
+    openEfiRegistry: () => ipcRenderer.invoke('open-efi-registry'),
+
+    // Offline asset bundle
+    getAssetBundle: () => ipcRenderer.invoke('get-asset-bundle'),
+    useAssetBundle: (bundlePath) => ipcRenderer.invoke('use-asset-bundle', bundlePath),
+    selectAssetBundle: (kind) => ipcRenderer.invoke('select-asset-bundle', kind),
+    exportAssetBundle: (outputPath) => ipcRenderer.invoke('export-asset-bundle', outputPath),
+    onBundleStatus: (callback) => ipcRenderer.on('bundle-status', (_, message) => callback(message)),
+
+    // Download cache
+    getCache: () => ipcRenderer.invoke('get-cache'),
+    verifyCache: (keys) => ipcRenderer.invoke('verify-cache', keys),
+    pruneCache: (options) => ipcRenderer.invoke('prune-cache', options),
+    relocateCache: (newRoot) => ipcRenderer.invoke('relocate-cache', newRoot),
+    importLegacyCache: () => ipcRenderer.invoke('import-legacy-cache'),
+    openCacheFolder: () => ipcRenderer.invoke('open-cache-folder'),
+    onCacheStatus: (callback) => ipcRenderer.on('cache-status', (_, message) => callback(message)),
+
+    // Jobs (USB build with per-step retry / skip)
+    startJob: (kind, options) => ipcRenderer.invoke('start-job', kind, options),
+    resumeJob: (id, options) => ipcRenderer.invoke('resume-job', id, options),
+    cancelJob: (id) => ipcRenderer.invoke('cancel-job', id),
+    listJobs: (kind) => ipcRenderer.invoke('list-jobs', kind),
+    getJob: (id) => ipcRenderer.invoke('get-job', id),
+    removeJob: (id) => ipcRenderer.invoke('remove-job', id),
+    onJobEvent: (callback) => ipcRenderer.on('job-event', (_, jobEvent) => callback(jobEvent)),
+
     mountEFI: (diskPath) => ipcRenderer.invoke('mount-efi', diskPath),
     copyEFI: (source, dest) => ipcRenderer.invoke('copy-efi', source, dest),
     patchEfiExFat: (efiPath) => ipcRenderer.invoke('patch-efi-exfat', efiPath),
@@ -53,9 +90,30 @@ contextBridge.exposeInMainWorld('electronAPI', {
     unmountDisk: (diskPath) => ipcRenderer.invoke('unmount-disk', diskPath),
     onCopyProgress: (callback) => ipcRenderer.on('copy-progress', (_, file) => callback(file)),
 
+    // Kext / driver inventory and per-component updates
+    getEfiInventory: (options) => ipcRenderer.invoke('efi-inventory', options),
+    updateEfiComponent: (options) => ipcRenderer.invoke('update-efi-component', options),
+    getOpenCoreInfo: (options) => ipcRenderer.invoke('opencore-info', options),
+    listOpenCoreReleases: () => ipcRenderer.invoke('list-opencore-releases'),
+    upgradeOpenCore: (options) => ipcRenderer.invoke('upgrade-opencore', options),
+
+    // EFI snapshots
+    listEfiSnapshots: () => ipcRenderer.invoke('list-efi-snapshots'),
+    createEfiSnapshot: (target) => ipcRenderer.invoke('create-efi-snapshot', target),
+    diffEfiSnapshot: (options) => ipcRenderer.invoke('diff-efi-snapshot', options),
+    restoreEfiSnapshot: (options) => ipcRenderer.invoke('restore-efi-snapshot', options),
+    deleteEfiSnapshot: (id) => ipcRenderer.invoke('delete-efi-snapshot', id),
+
     // Dialog operations
     selectDirectory: () => ipcRenderer.invoke('select-directory'),
 
+    // Wizard profile (session persistence, export/import)
+    loadProfile: () => ipcRenderer.invoke('load-profile'),
+    saveProfile: (profile) => ipcRenderer.invoke('save-profile', profile),
+    clearProfile: () => ipcRenderer.invoke('clear-profile'),
+    exportProfile: (profile) => ipcRenderer.invoke('export-profile', profile),
+    importProfile: () => ipcRenderer.invoke('import-profile'),
+
     // External links
     openExternal: (url) => ipcRenderer.invoke('open-external', url),
 });
@@ -0,0 +1,261 @@
+/**
+ * Asset Bundle Service (CommonJS)
+ *
+ * Offline builds: a directory (or a .tar / .tar.gz of one) holding what a USB
+ * build would otherwise download, described by manifest.json:
+ *
+ *   { "format": 1, "createdAt": "...", "assets": [
+ *       { "key": "recovery:sonoma/BaseSystem.dmg", "path": "recovery/sonoma/BaseSystem.dmg",
+ *         "size": 123, "sha256": "...", "meta": {} }
+ *   ] }
+ *
+ * Asset keys:
+ *   recovery:<macos>/BaseSystem.dmg, recovery:<macos>/BaseSystem.chunklist   Apple recovery image
+ *   installer:<macos>/<build>/InstallAssistant.pkg                           full installer of a build
+ *   installer:<macos>/InstallAssistant.pkg                                   full installer of any build
+ *   efi:<source id>@<ref>                                                    EFI archive of a registered source / repo
+ *   url:<url>                                                                any other download (release assets,
+ *                                                                            drivers, OcBinaryData)
+ *
+ * While a bundle is in use every download looks in it first. Bundle files are
+ * checked against the manifest's size and SHA-256 before they are handed out.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+
+const execFileAsync = promisify(execFile);
+
+const BUNDLE_FORMAT = 1;
+const MANIFEST_FILE = 'manifest.json';
+const TARBALL_PATTERN = /\.(tar|tar\.gz|tgz)$/i;
+
+// The bundle in use: { path, root, manifest, verified: Set<key> } or null
+let active = null;
+
+/**
+ * Stream a file to a destination (when given) while hashing it
+ */
+function copyAndHash(source, dest, onProgress) {
+    return new Promise((resolve, reject) => {
+        const hash = crypto.createHash('sha256');
+        const total = fs.statSync(source).size;
+        let copied = 0;
+        let lastReport = 0;
+
+        const input = fs.createReadStream(source);
+        const output = dest ? fs.createWriteStream(dest) : null;
+        input.on('data', (chunk) => {
+            hash.update(chunk);
+            copied += chunk.length;
+            if (onProgress && Date.now() - lastReport > 500) {
+                lastReport = Date.now();
+                onProgress({ percent: total ? (copied / total) * 100 : 100, downloaded: copied, total });
+            }
+        });
+        input.on('error', reject);
+
+        const finish = () => {
+            if (onProgress) onProgress({ percent: 100, downloaded: total, total });
+            resolve({ sha256: hash.digest('hex'), size: total });
+        };
+        if (output) {
+            output.on('error', reject);
+            output.on('finish', finish);
+            input.pipe(output);
+        } else {
+            input.on('end', finish);
+            input.resume();
+        }
+    });
+}
+
+/**
+ * Bundle-relative path for an asset key
+ */
+function assetPath(key, fileName, sha256) {
+    const [kind, rest] = [key.slice(0, key.indexOf(':')), key.slice(key.indexOf(':') + 1)];
+    if (kind === 'recovery' || kind === 'installer') return path.posix.join(kind, rest);
+    return path.posix.join(kind === 'efi' ? 'efi' : 'files', `${sha256.slice(0, 12)}-${fileName}`);
+}
+
+function validateManifest(manifest, root) {
+    if (!manifest || manifest.format !== BUNDLE_FORMAT || !Array.isArray(manifest.assets)) {
+        throw new Error(`${MANIFEST_FILE} is not an asset bundle manifest (format ${BUNDLE_FORMAT})`);
+    }
+    for (const asset of manifest.assets) {
+        if (typeof asset.key !== 'string' || typeof asset.path !== 'string' || !Number.isInteger(asset.size) || !/^[0-9a-f]{64}$/.test(asset.sha256)) {
+            throw new Error(`Invalid manifest entry: ${JSON.stringify(asset)}`);
+        }
+        const resolved = path.resolve(root, asset.path);
+        if (!resolved.startsWith(path.resolve(root) + path.sep)) throw new Error(`Manifest path escapes the bundle: ${asset.path}`);
+    }
+}
+
+const AssetBundleService = {
+    BUNDLE_FORMAT,
+    MANIFEST_FILE,
+
+    /**
+     * Read a bundle directory or tarball (tarballs are unpacked to the temp folder once).
+     * Returns { path, root, manifest }
+     */
+    async open(bundlePath) {
+        if (!fs.existsSync(bundlePath)) throw new Error(`Asset bundle ${bundlePath} not found`);
+
+        let root = bundlePath;
+        if (fs.statSync(bundlePath).isFile()) {
+            if (!TARBALL_PATTERN.test(bundlePath)) throw new Error('An asset bundle is a folder or a .tar / .tar.gz file');
+            const stat = fs.statSync(bundlePath);
+            const id = crypto.createHash('sha256').update(`${path.resolve(bundlePath)}:${stat.size}:${stat.mtimeMs}`).digest('hex').slice(0, 16);
+            root = path.join(os.tmpdir(), 'surfacemac-bundles', id);
+            if (!fs.existsSync(path.join(root, MANIFEST_FILE))) {
+                console.log(`[AssetBundle] Unpacking ${bundlePath}...`);
+                fs.rmSync(root, { recursive: true, force: true });
+                fs.mkdirSync(root, { recursive: true });
+                try {
+                    await execFileAsync('tar', ['-xf', bundlePath, '-C', root]);
+                } catch (e) {
+                    fs.rmSync(root, { recursive: true, force: true });
+                    throw new Error(`Could not unpack ${bundlePath}: ${e.message}`);
+                }
+            }
+        }
+
+        // Tarballs may hold the bundle folder itself rather than its contents
+        if (!fs.existsSync(path.join(root, MANIFEST_FILE))) {
+            const nested = fs.readdirSync(root).map(n => path.join(root, n)).find(p => fs.existsSync(path.join(p, MANIFEST_FILE)));
+            if (!nested) throw new Error(`${bundlePath} has no ${MANIFEST_FILE}`);
+            root = nested;
+        }
+
+        let manifest;
+        try {
+            manifest = JSON.parse(fs.readFileSync(path.join(root, MANIFEST_FILE), 'utf8'));
+        } catch (e) {
+            throw new Error(`Cannot read ${MANIFEST_FILE}: ${e.message}`);
+        }
+        validateManifest(manifest, root);
+        return { path: bundlePath, root, manifest };
+    },
+
+    /**
+     * Serve downloads from this bundle (null stops using one). Returns describe()
+     */
+    async use(bundlePath) {
+        if (!bundlePath) {
+            active = null;
+            return null;
+        }
+        const bundle = await this.open(bundlePath);
+        active = { ...bundle, verified: new Set() };
+        console.log(`[AssetBundle] Using ${bundlePath} (${bundle.manifest.assets.length} assets)`);
+        return this.describe();
+    },
+
+    /**
+     * The bundle in use: { path, createdAt, totalSize, assets: [{ key, size, meta }] } or null
+     */
+    describe() {
+        if (!active) return null;
+        const { assets, createdAt } = active.manifest;
+        return {
+            path: active.path,
+            createdAt: createdAt || null,
+            totalSize: assets.reduce((sum, a) => sum + a.size, 0),
+            assets: assets.map(({ key, size, meta }) => ({ key, size, meta: meta || {} })),
+        };
+    },
+
+    /**
+     * Manifest entries of the active bundle matching a predicate
+     */
+    entries(predicate = () => true) {
+        return active ? active.manifest.assets.filter(predicate) : [];
+    },
+
+    /**
+     * Manifest entry (plus its filePath, and meta: {} when the manifest has none) for the first key
+     * the bundle has, null when it has none. Throws when the file does not match the manifest.
+     */
+    async lookup(...keys) {
+        if (!active) return null;
+        const asset = keys.filter(Boolean).map(key => active.manifest.assets.find(a => a.key === key)).find(Boolean);
+        if (!asset) return null;
+
+        const filePath = path.resolve(active.root, asset.path);
+        if (!fs.existsSync(filePath) || fs.statSync(filePath).size !== asset.size) {
+            throw new Error(`Asset bundle file ${asset.path} is missing or has the wrong size`);
+        }
+        if (!active.verified.has(asset.key)) {
+            console.log(`[AssetBundle] Verifying ${asset.path}...`);
+            const { sha256 } = await copyAndHash(filePath, null);
+            if (sha256 !== asset.sha256) throw new Error(`Asset bundle file ${asset.path} does not match its manifest checksum`);
+            active.verified.add(asset.key);
+        }
+        return { ...asset, meta: asset.meta || {}, filePath };
+    },
+
+    /**
+     * Copy a bundled asset to destPath. Returns the manifest entry, or null when the bundle has none of the keys.
+     */
+    async copyTo(keys, destPath, onProgress) {
+        const asset = await this.lookup(...[].concat(keys));
+        if (!asset) return null;
+        console.log(`[AssetBundle] ${asset.key} -> ${destPath}`);
+        fs.mkdirSync(path.dirname(destPath), { recursive: true });
+        await copyAndHash(asset.filePath, destPath, onProgress);
+        return asset;
+    },
+
+    /**
+     * Build a bundle from files: assets = [{ key, file, meta }] (see cacheService.files). outputPath is a folder,
+     * or a .tar.gz that is packed from a staging folder. Returns { path, assetCount, totalSize }
+     */
+    async export(outputPath, assets, { onStatus = () => {} } = {}) {
+        if (assets.length === 0) throw new Error('Nothing to export: the download cache is empty');
+
+        const asTarball = TARBALL_PATTERN.test(outputPath);
+        const root = asTarball ? path.join(os.tmpdir(), `surfacemac-bundle-export-${Date.now()}`) : outputPath;
+        if (fs.existsSync(path.join(root, MANIFEST_FILE))) throw new Error(`${outputPath} already holds an asset bundle`);
+        fs.mkdirSync(root, { recursive: true });
+
+        try {
+            const manifest = { format: BUNDLE_FORMAT, createdAt: new Date().toISOString(), assets: [] };
+            for (const [index, asset] of assets.entries()) {
+                if (manifest.assets.some(a => a.key === asset.key)) continue;
+                const name = path.basename(asset.file);
+                onStatus(`Adding ${name} (${index + 1}/${assets.length})...`);
+
+                const staging = path.join(root, `.${index}-${name}.part`);
+                const { sha256, size } = await copyAndHash(asset.file, staging);
+                const relative = assetPath(asset.key, name, sha256);
+                fs.mkdirSync(path.dirname(path.join(root, relative)), { recursive: true });
+                fs.renameSync(staging, path.join(root, relative));
+
+                manifest.assets.push({ key: asset.key, path: relative, size, sha256, meta: asset.meta || {} });
+            }
+            fs.writeFileSync(path.join(root, MANIFEST_FILE), `${JSON.stringify(manifest, null, 2)}\n`);
+
+            if (asTarball) {
+                onStatus(`Packing ${path.basename(outputPath)}...`);
+                const flags = /\.tar$/i.test(outputPath) ? '-cf' : '-czf';
+                await execFileAsync('tar', [flags, path.resolve(outputPath), '-C', root, '.']);
+            }
+
+            return {
+                path: outputPath,
+                assetCount: manifest.assets.length,
+                totalSize: manifest.assets.reduce((sum, a) => sum + a.size, 0),
+            };
+        } finally {
+            if (asTarball) fs.rmSync(root, { recursive: true, force: true });
+        }
+    },
+};
+
+module.exports = AssetBundleService;
@@ -0,0 +1,272 @@
+/**
+ * USB Build Pipeline (CommonJS)
+ *
+ * The EFI check → format → installer → EFI → config sequence of a USB build, defined as a
+ * 'usb-build' job (see jobService) against the main-process IPC handlers, so the wizard and
+ * the headless CLI run the same steps and a failed step can be retried or skipped on its own.
+ * Every handler call goes through ctx.invoke(channel, sender, ...args) and everything the
+ * handlers send to the renderer comes back as job events.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const jobService = require('./jobService');
+
+const KIND = 'usb-build';
+const DEFAULT_EFI_SOURCE = 'source:balopez83';
+
+const isRemote = (source) => /^(repo|source):/.test(source) || /^https?:\/\//.test(source);
+
+/**
+ * Handler caller for a step: renderer messages become events of the step
+ */
+function caller(ctx) {
+    const sender = {
+        isDestroyed: () => false,
+        send: (channel, payload) => {
+            if (channel === 'download-progress') {
+                ctx.emit({ type: 'progress', ...payload });
+            } else if (channel === 'copy-progress') {
+                ctx.emit({ type: 'status', message: `Copying: ${payload}` });
+            } else {
+                ctx.emit({ type: 'status', message: String(payload) });
+            }
+        },
+    };
+    return (channel, ...args) => ctx.invoke(channel, sender, ...args);
+}
+
+// The EFI folder to patch and copy: the downloaded one, or the local folder given as source
+const efiPathOf = (ctx) => (ctx.outputs['efi-download'] ? ctx.outputs['efi-download'].efiPath : ctx.options.efiSource);
+
+const isFull = (ctx) => ctx.options.installerType === 'full';
+
+// The target disk for a handler: its identity (from the format step once it has run, as formatting
+// replaces the partition UUIDs) is resolved to the current device node, which can change mid-build
+const diskOf = (ctx) => ({
+    path: ctx.options.disk,
+    identity: (ctx.outputs.format && ctx.outputs.format.identity) || ctx.options.diskIdentity,
+});
+
+const STEP_DEFINITIONS = [
+    {
+        // EFI source: download + checksum before the disk is touched, so a mismatch stops the build with the drive unchanged
+        name: 'efi-download',
+        title: 'Download EFI',
+        skip: (ctx) => ctx.options.skipEfiCopy || !isRemote(ctx.options.efiSource),
+        run: (ctx) => caller(ctx)('download-efi', ctx.options.efiSource, {
+            sha256: ctx.options.efiSha256,
+            cpuType: ctx.options.cpuType,
+            macosVersion: ctx.options.macosVersion,
+        }),
+        complete: (output) => fs.existsSync(output.efiPath),
+    },
+    {
+        name: 'efi-verify',
+        title: 'Inspect EFI',
+        inputs: ['efi-download'],
+        skip: (ctx) => ctx.options.skipEfiCopy,
+        run: async (ctx) => {
+            const download = ctx.outputs['efi-download'];
+            const summary = download ? download.summary : await caller(ctx)('inspect-efi', ctx.options.efiSource);
+            ctx.emit({ type: 'efi-summary', archive: download ? download.archive : null, summary });
+            return { archive: download ? download.archive : null };
+        },
+    },
+    {
+        // Recovery uses FAT32, the Full Installer needs ExFAT for the >4GB payload
+        name: 'format',
+        title: 'Format USB drive',
+        skip: (ctx) => ctx.options.skipFormat,
+        run: (ctx) => caller(ctx)('format-usb', diskOf(ctx), isFull(ctx) ? 'ExFAT' : 'FAT32', ctx.options.forceFormat, ctx.options.diskToken),
+    },
+    {
+        name: 'installer-download',
+        title: 'Download macOS',
+        inputs: ['format'],
+        skip: (ctx) => ctx.options.skipFormat,
+        run: async (ctx) => {
+            const { macosVersion, installerSelection, smbiosModel } = ctx.options;
+            const call = caller(ctx);
+            const downloadId = isFull(ctx) ? 'full-installer' : 'recovery';
+            ctx.onCancel(() => call('cancel-download', downloadId));
+
+            if (!isFull(ctx)) {
+                // Downloads (or takes from the cache) and copies BaseSystem.dmg to the INSTALL volume
+                await call('download-recovery', macosVersion, ctx.outputs.format.volumePath, smbiosModel);
+                return { type: 'recovery' };
+            }
+
+            // BaseSystem.dmg for the BOOT partition comes from Apple's recovery servers with it
+            const result = await call('download-full-installer', macosVersion, installerSelection, smbiosModel);
+            if (!result.recovery) throw new Error('The recovery image for the BOOT partition could not be downloaded');
+            return { type: 'full', product: result.product || null, installerPath: result.installerPath, recovery: result.recovery };
+        },
+        complete: (output) => output.type === 'recovery'
+            || [output.installerPath, output.recovery.baseSystemPath, output.recovery.chunklistPath].every(p => fs.existsSync(p)),
+    },
+    {
+        name: 'installer-extract',
+        title: 'Extract Install macOS.app',
+        inputs: ['installer-download'],
+        skip: (ctx) => ctx.options.skipFormat || !isFull(ctx),
+        run: (ctx) => caller(ctx)('extract-app-from-pkg', ctx.outputs['installer-download'].installerPath),
+        complete: (output) => fs.existsSync(path.join(output.appPath, 'Contents', 'MacOS')),
+    },
+    {
+        name: 'recovery-copy',
+        title: 'Copy recovery to BOOT',
+        inputs: ['format', 'installer-download'],
+        skip: (ctx) => ctx.options.skipFormat || !isFull(ctx),
+        run: (ctx) => {
+            const { recovery } = ctx.outputs['installer-download'];
+            return caller(ctx)('copy-recovery-to-usb', {
+                baseSystemPath: recovery.baseSystemPath,
+                baseChunklistPath: recovery.chunklistPath,
+                usbVolumePath: ctx.outputs.format.bootVolumePath,
+            });
+        },
+    },
+    {
+        name: 'app-copy',
+        title: 'Copy Install macOS.app to INSTALL',
+        inputs: ['format', 'installer-extract'],
+        skip: (ctx) => ctx.options.skipFormat || !isFull(ctx),
+        run: (ctx) => caller(ctx)('copy-app-to-usb', {
+            appPath: ctx.outputs['installer-extract'].appPath,
+            usbVolumePath: ctx.outputs.format.volumePath,
+        }),
+    },
+    {
+        name: 'efi-patch',
+        title: 'Add ExFAT / HFS+ drivers to EFI',
+        inputs: ['efi-download'],
+        skip: (ctx) => ctx.options.skipEfiCopy,
+        run: (ctx) => caller(ctx)('patch-efi-exfat', efiPathOf(ctx)),
+    },
+    {
+        name: 'efi-copy',
+        title: 'Copy EFI to USB',
+        inputs: ['efi-download'],
+        run: async (ctx) => {
+            const call = caller(ctx);
+            const efiMount = await call('mount-efi', diskOf(ctx));
+            if (!ctx.options.skipEfiCopy) await call('copy-efi', efiPathOf(ctx), efiMount);
+            return { efiMount };
+        },
+    },
+    {
+        name: 'smbios',
+        title: 'Generate SMBIOS',
+        skip: (ctx) => !!ctx.options.smbios,
+        run: (ctx) => caller(ctx)('generate-smbios', ctx.options.smbiosModel),
+    },
+    {
+        name: 'config',
+        title: 'Configure OpenCore',
+        inputs: ['efi-copy', 'smbios'],
+        run: (ctx) => {
+            const { cpuType, smbiosModel, macosVersion, verbose } = ctx.options;
+            return caller(ctx)('inject-config', {
+                cpuType,
+                smbios: ctx.outputs.smbios || ctx.options.smbios,
+                smbiosModel,
+                macosVersion,
+                diskPath: diskOf(ctx),
+                verbose,
+            });
+        },
+    },
+];
+
+const STEPS = STEP_DEFINITIONS.map(step => step.name);
+
+const BuildPipeline = {
+    STEPS,
+    DEFAULT_EFI_SOURCE,
+
+    kind: KIND,
+    title: 'USB build',
+    steps: STEP_DEFINITIONS,
+    // The confirmation token is never written to the job file: a job resumed later needs a new one
+    transient: ['diskToken'],
+
+    // Shared with the image build (imagePipeline)
+    caller,
+    efiPathOf,
+
+    /**
+     * Check the build options and fill in defaults:
+     *
+     * { disk, diskIdentity, diskToken (both from list-usb-drives), cpuType, macosVersion, installerType ('recovery' | 'full'),
+     *   installerSelection, efiSource ('default' | 'source:<id>[@ref]' | 'repo:...[@ref]' | URL | local dir),
+     *   efiSha256, smbios, smbiosModel, forceFormat, skipFormat, skipEfiCopy, verbose }
+     */
+    prepare(options) {
+        const {
+            disk,
+            diskIdentity = null,
+            diskToken = null,
+            cpuType = 'i5',
+            macosVersion = 'sonoma',
+            installerType = 'recovery',
+            installerSelection = null,
+            efiSource = 'default',
+            efiSha256 = null,
+            smbios = null,
+            smbiosModel = 'MacBookAir9,1',
+            forceFormat = false,
+            skipFormat = false,
+            skipEfiCopy = false,
+            verbose = true,
+        } = options;
+
+        if (!disk) throw new Error('A target disk is required');
+        if (skipEfiCopy && !skipFormat) throw new Error('Skipping the EFI copy requires skipping the format as well');
+
+        return {
+            disk,
+            diskIdentity,
+            diskToken,
+            cpuType,
+            macosVersion,
+            installerType,
+            installerSelection,
+            efiSource: efiSource === 'default' ? DEFAULT_EFI_SOURCE : efiSource,
+            efiSha256,
+            smbios,
+            smbiosModel,
+            forceFormat,
+            skipFormat,
+            skipEfiCopy,
+            verbose,
+        };
+    },
+
+    /**
+     * Result of a finished build, from the step outputs
+     */
+    summarize(job, outputs) {
+        const { disk, cpuType, macosVersion, installerType, smbios } = job.options;
+        const download = outputs['efi-download'];
+        const installer = outputs['installer-download'];
+        return {
+            jobId: job.id,
+            disk,
+            cpuType,
+            macosVersion,
+            installerType,
+            efiSource: download ? download.efiPath : job.options.efiSource,
+            efiArchive: download ? download.archive : null,
+            format: outputs.format || null,
+            installer: installer ? { type: installer.type, product: installer.product || null, installerPath: installer.installerPath || null } : null,
+            efiMount: outputs['efi-copy'] ? outputs['efi-copy'].efiMount : null,
+            smbios: outputs.smbios || smbios,
+            validation: outputs.config ? outputs.config.validation || null : null,
+        };
+    },
+};
+
+jobService.define(BuildPipeline);
+
+module.exports = BuildPipeline;
@@ -0,0 +1,480 @@
+/**
+ * Download Cache Service (CommonJS)
+ *
+ * One content-addressed store for everything the wizard downloads: recovery
+ * images, full installers, EFI archives and release assets. Files live in
+ * objects/<sha256>/<file name>; manifest.json maps keys to them and records
+ * where each came from:
+ *
+ *   { "format": 1, "entries": [
+ *       { "key": "installer:sonoma/23H420/InstallAssistant.pkg", "sha256": "...", "size": 13000000000,
+ *         "fileName": "InstallAssistant.pkg", "url": "https://...", "productId": "072-12345",
+ *         "build": "23H420", "downloadedAt": "...", "lastUsedAt": "...", "meta": { "version": "14.7.2" } }
+ *   ] }
+ *
+ * Keys follow the asset bundle's (see assetBundleService): recovery:<macos>/BaseSystem.dmg,
+ * installer:<macos>/<build>/InstallAssistant.pkg, efi:<source>@<ref>, url:<url>. Several keys
+ * can share one object. An entry is a hit while its object has the recorded size;
+ * verify() re-hashes objects on demand.
+ *
+ *   staging/   downloads in progress (kept on failure so they resume)
+ *   work/      files derived from an object (extracted packages), work/<sha256>/<name>
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+
+const MANIFEST_FILE = 'manifest.json';
+const MANIFEST_FORMAT = 1;
+const DEFAULT_ROOT = path.join(os.homedir(), 'Downloads', 'SurfaceMac_Cache');
+
+// Where downloads went before the cache existed (imported by importLegacy)
+const LEGACY_RECOVERY_FOLDERS = ['SurfaceMac_Recovery', 'SurfaceMac_Recovery_Hybrid'];
+const LEGACY_INSTALLER_FOLDER = 'SurfaceMac_Installer';
+const LEGACY_COMPONENT_DIR = path.join(os.tmpdir(), 'surfacemac-components');
+
+let root = DEFAULT_ROOT;
+
+/**
+ * Stream a file to a destination (when given) while hashing it. Returns { sha256, size }
+ */
+function streamFile(source, dest, onProgress) {
+    return new Promise((resolve, reject) => {
+        const hash = crypto.createHash('sha256');
+        const total = fs.statSync(source).size;
+        let done = 0;
+        let lastReport = 0;
+
+        const input = fs.createReadStream(source);
+        const output = dest ? fs.createWriteStream(dest) : null;
+        input.on('data', (chunk) => {
+            hash.update(chunk);
+            done += chunk.length;
+            if (onProgress && Date.now() - lastReport > 500) {
+                lastReport = Date.now();
+                onProgress({ percent: total ? (done / total) * 100 : 100, downloaded: done, total });
+            }
+        });
+        input.on('error', reject);
+
+        const finish = () => {
+            if (onProgress) onProgress({ percent: 100, downloaded: total, total });
+            resolve({ sha256: hash.digest('hex'), size: total });
+        };
+        if (output) {
+            output.on('error', reject);
+            output.on('finish', finish);
+            input.pipe(output);
+        } else {
+            input.on('end', finish);
+            input.resume();
+        }
+    });
+}
+
+/**
+ * Rename, or copy + delete when source and destination are on different volumes
+ */
+async function moveEntry(source, dest) {
+    try {
+        fs.renameSync(source, dest);
+    } catch (err) {
+        if (err.code !== 'EXDEV') throw err;
+        await fs.promises.cp(source, dest, { recursive: true });
+        fs.rmSync(source, { recursive: true, force: true });
+    }
+}
+
+function dirSize(dir) {
+    if (!fs.existsSync(dir)) return 0;
+    let total = 0;
+    for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+        const fullPath = path.join(dir, entry.name);
+        if (entry.isDirectory()) total += dirSize(fullPath);
+        else if (entry.isFile()) total += fs.statSync(fullPath).size;
+    }
+    return total;
+}
+
+function readManifest() {
+    const file = path.join(root, MANIFEST_FILE);
+    if (!fs.existsSync(file)) return { format: MANIFEST_FORMAT, entries: [] };
+
+    const manifest = JSON.parse(fs.readFileSync(file, 'utf8'));
+    if (manifest.format !== MANIFEST_FORMAT || !Array.isArray(manifest.entries)) {
+        throw new Error(`${file} is not a download cache manifest (format ${MANIFEST_FORMAT})`);
+    }
+    return manifest;
+}
+
+function writeManifest(manifest) {
+    fs.mkdirSync(root, { recursive: true });
+    const file = path.join(root, MANIFEST_FILE);
+    fs.writeFileSync(`${file}.tmp`, `${JSON.stringify(manifest, null, 2)}\n`);
+    fs.renameSync(`${file}.tmp`, file);
+}
+
+const objectDir = (sha256) => path.join(root, 'objects', sha256);
+const withPath = (entry) => ({ ...entry, filePath: path.join(objectDir(entry.sha256), entry.fileName) });
+
+/**
+ * Delete objects (and their work folders) no entry refers to. Returns the bytes freed.
+ */
+function collectGarbage(manifest) {
+    const referenced = new Set(manifest.entries.map(e => e.sha256));
+    let freed = 0;
+    for (const folder of ['objects', 'work']) {
+        const dir = path.join(root, folder);
+        if (!fs.existsSync(dir)) continue;
+        for (const name of fs.readdirSync(dir)) {
+            if (referenced.has(name)) continue;
+            freed += dirSize(path.join(dir, name));
+            fs.rmSync(path.join(dir, name), { recursive: true, force: true });
+        }
+    }
+    return freed;
+}
+
+const CacheService = {
+    DEFAULT_ROOT,
+    MANIFEST_FILE,
+
+    /**
+     * Use a cache folder (DEFAULT_ROOT when none is given)
+     */
+    configure(cacheRoot) {
+        root = path.resolve(cacheRoot || DEFAULT_ROOT);
+        console.log(`[Cache] Using ${root}`);
+    },
+
+    getRoot() {
+        return root;
+    },
+
+    /**
+     * Entry (plus its filePath) for a key, null on a miss. Entries whose object is gone or
+     * has the wrong size are dropped. maxAge (ms) treats older downloads as a miss.
+     */
+    get(key, { maxAge = null } = {}) {
+        const manifest = readManifest();
+        const entry = manifest.entries.find(e => e.key === key);
+        if (!entry) return null;
+
+        const { filePath } = withPath(entry);
+        if (!fs.existsSync(filePath) || fs.statSync(filePath).size !== entry.size) {
+            console.warn(`[Cache] ${key}: ${filePath} is missing or has the wrong size, dropping it`);
+            this.remove([key]);
+            return null;
+        }
+        if (maxAge && Date.now() - Date.parse(entry.downloadedAt) > maxAge) return null;
+
+        entry.lastUsedAt = new Date().toISOString();
+        writeManifest(manifest);
+        return withPath(entry);
+    },
+
+    /**
+     * Entries matching a predicate (with their filePath)
+     */
+    find(predicate) {
+        return readManifest().entries.filter(predicate).map(withPath);
+    },
+
+    /**
+     * Add a file under a key. meta: { url, productId, build, downloadedAt, ...anything else }.
+     * move: take the file instead of copying it. sha256: known checksum (copies are checked against it).
+     */
+    async put(key, filePath, meta = {}, { move = false, sha256 = null, onProgress = null } = {}) {
+        let hash = sha256;
+        let source = filePath;
+        let staged = null;
+        if (!move && !(hash && fs.existsSync(objectDir(hash)))) {
+            // Copy next to the objects first so a half-copied file never becomes an object
+            staged = this.stagingPath(`put:${key}`, path.basename(filePath));
+            const copied = await streamFile(filePath, staged, onProgress);
+            if (hash && copied.sha256 !== hash) {
+                fs.rmSync(path.dirname(staged), { recursive: true, force: true });
+                throw new Error(`${filePath} does not match its expected checksum`);
+            }
+            hash = copied.sha256;
+            source = staged;
+        } else if (!hash) {
+            hash = (await streamFile(filePath, null, onProgress)).sha256;
+        }
+
+        const size = fs.statSync(source).size;
+        const dir = objectDir(hash);
+        const existing = fs.existsSync(dir) ? fs.readdirSync(dir)[0] : null;
+        let fileName = path.basename(filePath);
+        if (existing && fs.statSync(path.join(dir, existing)).size === size) {
+            fileName = existing;
+            if (move || staged) fs.rmSync(source, { force: true });
+        } else {
+            fs.rmSync(dir, { recursive: true, force: true });
+            fs.mkdirSync(dir, { recursive: true });
+            if (move || staged) await moveEntry(source, path.join(dir, fileName));
+            else fs.copyFileSync(source, path.join(dir, fileName));
+        }
+        if (staged) fs.rmSync(path.dirname(staged), { recursive: true, force: true });
+
+        const { url = null, productId = null, build = null, downloadedAt = null, ...rest } = meta;
+        const now = new Date().toISOString();
+        const entry = { key, sha256: hash, size, fileName, url, productId, build, downloadedAt: downloadedAt || now, lastUsedAt: now, meta: rest };
+
+        const manifest = readManifest();
+        manifest.entries = manifest.entries.filter(e => e.key !== key).concat(entry);
+        writeManifest(manifest);
+        collectGarbage(manifest);
+        console.log(`[Cache] Stored ${key} (${hash.slice(0, 12)})`);
+        return withPath(entry);
+    },
+
+    /**
+     * Cached entry for a key, or download(destPath) into the staging folder and add the result.
+     * meta is read after the download, so download() can fill it in. refresh: skip the lookup.
+     */
+    async obtain(key, fileName, download, meta = {}, { maxAge = null, refresh = false } = {}) {
+        const cached = refresh ? null : this.get(key, { maxAge });
+        if (cached) {
+            console.log(`[Cache] Hit: ${key}`);
+            return cached;
+        }
+
+        const staged = this.stagingPath(key, fileName);
+        await download(staged);
+        const entry = await this.put(key, staged, meta, { move: true });
+        fs.rmSync(path.dirname(staged), { recursive: true, force: true });
+        return entry;
+    },
+
+    /**
+     * Download target for a key (stable, so an interrupted download resumes)
+     */
+    stagingPath(key, fileName) {
+        const dir = path.join(root, 'staging', crypto.createHash('sha256').update(key).digest('hex').slice(0, 16));
+        fs.mkdirSync(dir, { recursive: true });
+        return path.join(dir, fileName);
+    },
+
+    /**
+     * Folder for files derived from a cached file (e.g. an extracted package), removed with
+     * the object. Files outside the cache get a sibling folder. Only the parent is created.
+     */
+    workDir(filePath, name) {
+        const relative = path.relative(path.join(root, 'objects'), path.dirname(filePath));
+        const inCache = relative && !relative.startsWith('..') && !path.isAbsolute(relative) && !relative.includes(path.sep);
+        const parent = inCache ? path.join(root, 'work', relative) : path.dirname(filePath);
+        fs.mkdirSync(parent, { recursive: true });
+        return path.join(parent, name);
+    },
+
+    /**
+     * Drop entries; objects no other entry uses are deleted. Returns the bytes freed.
+     */
+    remove(keys) {
+        const manifest = readManifest();
+        manifest.entries = manifest.entries.filter(e => !keys.includes(e.key));
+        writeManifest(manifest);
+        return collectGarbage(manifest);
+    },
+
+    /**
+     * { root, totalSize, workSize, entries } - totalSize counts every object once
+     */
+    list() {
+        const entries = readManifest().entries.map(withPath).sort((a, b) => a.key.localeCompare(b.key));
+        const sizes = new Map(entries.map(e => [e.sha256, e.size]));
+        return {
+            root,
+            totalSize: [...sizes.values()].reduce((sum, size) => sum + size, 0),
+            workSize: dirSize(path.join(root, 'work')),
+            entries,
+        };
+    },
+
+    /**
+     * Re-hash objects (all, or those of the given keys). Missing and corrupt entries are removed.
+     * Returns [{ key, status: 'ok' | 'missing' | 'corrupt' }]
+     */
+    async verify(keys = null, onStatus = () => {}) {
+        const entries = readManifest().entries.filter(e => !keys || keys.includes(e.key));
+        const statusByObject = new Map();
+        const results = [];
+
+        for (const [index, entry] of entries.entries()) {
+            if (!statusByObject.has(entry.sha256)) {
+                const { filePath } = withPath(entry);
+                let status = 'missing';
+                if (fs.existsSync(filePath)) {
+                    onStatus(`Verifying ${entry.fileName} (${index + 1}/${entries.length})...`);
+                    const { sha256, size } = await streamFile(filePath, null);
+                    status = sha256 === entry.sha256 && size === entry.size ? 'ok' : 'corrupt';
+                }
+                statusByObject.set(entry.sha256, status);
+            }
+            results.push({ key: entry.key, status: statusByObject.get(entry.sha256) });
+        }
+
+        const bad = results.filter(r => r.status !== 'ok').map(r => r.key);
+        if (bad.length > 0) {
+            console.warn(`[Cache] Removing ${bad.length} damaged entries: ${bad.join(', ')}`);
+            this.remove(bad);
+        }
+        return results;
+    },
+
+    /**
+     * Free space. options: { keys, olderThanDays (by last use), work (derived files), all }.
+     * Interrupted downloads are always removed. Returns { removed, freed }
+     */
+    prune({ keys = [], olderThanDays = null, work = false, all = false } = {}) {
+        const manifest = readManifest();
+        const cutoff = olderThanDays === null ? null : Date.now() - olderThanDays * 24 * 60 * 60 * 1000;
+        const drop = manifest.entries.filter(e => all || keys.includes(e.key) || (cutoff !== null && Date.parse(e.lastUsedAt) < cutoff));
+
+        manifest.entries = manifest.entries.filter(e => !drop.includes(e));
+        writeManifest(manifest);
+        let freed = collectGarbage(manifest);
+
+        const folders = ['staging', ...(work || all ? ['work'] : [])];
+        for (const folder of folders) {
+            freed += dirSize(path.join(root, folder));
+            fs.rmSync(path.join(root, folder), { recursive: true, force: true });
+        }
+
+        console.log(`[Cache] Pruned ${drop.length} entries, ${freed} bytes freed`);
+        return { removed: drop.length, freed };
+    },
+
+    /**
+     * Move the cache to another folder and use it from then on. Returns list()
+     */
+    async relocate(newRoot, onStatus = () => {}) {
+        const target = path.resolve(newRoot);
+        if (target === root) return this.list();
+        if (target.startsWith(root + path.sep)) throw new Error('The cache cannot be moved into itself');
+        if (fs.existsSync(path.join(target, MANIFEST_FILE))) throw new Error(`${target} already holds a download cache`);
+        readManifest();
+
+        fs.mkdirSync(target, { recursive: true });
+        for (const name of ['objects', 'work', MANIFEST_FILE]) {
+            const from = path.join(root, name);
+            if (!fs.existsSync(from)) continue;
+            onStatus(`Moving ${name} to ${target}...`);
+            await moveEntry(from, path.join(target, name));
+        }
+        fs.rmSync(path.join(root, 'staging'), { recursive: true, force: true });
+        try {
+            fs.rmdirSync(root);
+        } catch {
+            // Not empty: the user keeps other files there
+        }
+
+        console.log(`[Cache] Moved ${root} -> ${target}`);
+        root = target;
+        return this.list();
+    },
+
+    /**
+     * Files in the folders used before the cache existed:
+     * { folders: [{ path, size }], files: [{ key, file, meta }] }
+     */
+    findLegacy(downloadsDir) {
+        const folders = [...LEGACY_RECOVERY_FOLDERS, LEGACY_INSTALLER_FOLDER].map(name => path.join(downloadsDir, name))
+            .concat(LEGACY_COMPONENT_DIR)
+            .filter(dir => fs.existsSync(dir));
+        const files = [];
+        const subdirs = (dir) => (fs.existsSync(dir) ? fs.readdirSync(dir).filter(n => fs.statSync(path.join(dir, n)).isDirectory()) : []);
+        const add = (key, file, meta) => {
+            if (fs.existsSync(file) && fs.statSync(file).size > 0) files.push({ key, file, meta });
+        };
+        const readJson = (file) => {
+            try {
+                return JSON.parse(fs.readFileSync(file, 'utf8'));
+            } catch {
+                return null;
+            }
+        };
+
+        // Recovery images, directly in <macos>/ or in <macos>/com.apple.recovery.boot/
+        for (const folder of LEGACY_RECOVERY_FOLDERS) {
+            for (const macos of subdirs(path.join(downloadsDir, folder))) {
+                for (const dir of [path.join(downloadsDir, folder, macos), path.join(downloadsDir, folder, macos, 'com.apple.recovery.boot')]) {
+                    if (!fs.existsSync(path.join(dir, 'BaseSystem.chunklist'))) continue;
+                    add(`recovery:${macos}/BaseSystem.dmg`, path.join(dir, 'BaseSystem.dmg'), { macos });
+                    add(`recovery:${macos}/BaseSystem.chunklist`, path.join(dir, 'BaseSystem.chunklist'), { macos });
+                }
+            }
+        }
+
+        // Full installers: <macos>/InstallAssistant.pkg (build from product.json when present)
+        // and pinned <macos>/<build>/InstallAssistant.pkg
+        const installerRoot = path.join(downloadsDir, LEGACY_INSTALLER_FOLDER);
+        for (const macos of subdirs(installerRoot)) {
+            const dirs = [[path.join(installerRoot, macos), null],
+                ...subdirs(path.join(installerRoot, macos)).map(build => [path.join(installerRoot, macos, build), build])];
+            for (const [dir, folderBuild] of dirs) {
+                const product = readJson(path.join(dir, 'product.json')) || {};
+                const build = product.build || folderBuild || 'unknown';
+                add(`installer:${macos}/${build}/InstallAssistant.pkg`, path.join(dir, 'InstallAssistant.pkg'), {
+                    productId: product.id || null, build, version: product.version, title: product.title, macos,
+                });
+            }
+        }
+
+        // Release assets and EFI archives of the old component cache (a source.json per folder)
+        for (const cacheKey of subdirs(LEGACY_COMPONENT_DIR)) {
+            const source = readJson(path.join(LEGACY_COMPONENT_DIR, cacheKey, 'source.json'));
+            if (!source || !source.assetName) continue;
+            for (const key of source.keys || [`url:${source.url}`]) {
+                add(key, path.join(LEGACY_COMPONENT_DIR, cacheKey, source.assetName), { url: source.url, ...(source.meta || {}) });
+            }
+        }
+
+        return { folders: folders.map(dir => ({ path: dir, size: dirSize(dir) })), files };
+    },
+
+    /**
+     * Move the files of the old download folders into the cache, then delete the folders.
+     * Returns { imported, folders }
+     */
+    async importLegacy(downloadsDir, onStatus = () => {}) {
+        const { folders, files } = this.findLegacy(downloadsDir);
+        const known = new Set(readManifest().entries.map(e => e.key));
+        let imported = 0;
+
+        for (const [index, { key, file, meta }] of files.entries()) {
+            if (known.has(key) || !fs.existsSync(file)) continue;
+            onStatus(`Importing ${path.basename(file)} (${index + 1}/${files.length})...`);
+            // Files of the component cache can be listed under several keys, so copy those
+            const move = !file.startsWith(LEGACY_COMPONENT_DIR);
+            await this.put(key, file, { ...meta, downloadedAt: fs.statSync(file).mtime.toISOString() }, { move });
+            known.add(key);
+            imported++;
+        }
+
+        for (const folder of folders) {
+            fs.rmSync(folder.path, { recursive: true, force: true });
+        }
+        console.log(`[Cache] Imported ${imported} files from ${folders.length} old download folders`);
+        return { imported, folders: folders.map(f => f.path) };
+    },
+
+    /**
+     * Every entry as asset bundle input ([{ key, file, meta }]). Entries that came from a URL
+     * are listed under `url:<url>` too, so bundled downloads are found by URL.
+     */
+    files() {
+        const files = [];
+        for (const entry of this.list().entries) {
+            const meta = { ...entry.meta, url: entry.url, productId: entry.productId, build: entry.build };
+            files.push({ key: entry.key, file: entry.filePath, meta });
+            if (entry.url && !entry.key.startsWith('url:')) files.push({ key: `url:${entry.url}`, file: entry.filePath, meta });
+        }
+        return files;
+    },
+};
+
+module.exports = CacheService;
@@ -0,0 +1,136 @@
+/**
+ * Chunklist Service (CommonJS)
+ *
+ * Parses Apple .chunklist files and verifies BaseSystem.dmg against them.
+ * Same format macrecovery.py reads: a 36 byte header followed by one
+ * (uint32 size, SHA-256) record per chunk of the image.
+ */
+
+const fs = require('fs');
+const crypto = require('crypto');
+
+const MAGIC = 'CNKL';
+const HEADER_SIZE = 0x24;
+const CHUNK_RECORD_SIZE = 36;
+// signatureMethod 1 = RSA-2048 signed digest, 2 = plain SHA-256 digest
+const SIGNATURE_METHODS = [1, 2];
+
+const ChunklistService = {
+    /**
+     * Parse a chunklist buffer into { header, chunks: [{ index, offset, size, sha256 }] }
+     */
+    parse(buffer) {
+        if (buffer.length < HEADER_SIZE) throw new Error('Chunklist is truncated (no header)');
+
+        const header = {
+            magic: buffer.toString('ascii', 0, 4),
+            headerSize: buffer.readUInt32LE(4),
+            fileVersion: buffer.readUInt8(8),
+            chunkMethod: buffer.readUInt8(9),
+            signatureMethod: buffer.readUInt8(10),
+            chunkCount: Number(buffer.readBigUInt64LE(12)),
+            chunkOffset: Number(buffer.readBigUInt64LE(20)),
+            signatureOffset: Number(buffer.readBigUInt64LE(28)),
+        };
+
+        if (header.magic !== MAGIC) throw new Error(`Not a chunklist (magic "${header.magic}")`);
+        if (header.headerSize !== HEADER_SIZE) throw new Error(`Unexpected chunklist header size ${header.headerSize}`);
+        if (header.fileVersion !== 1 || header.chunkMethod !== 1) {
+            throw new Error(`Unsupported chunklist version ${header.fileVersion}/${header.chunkMethod}`);
+        }
+        if (!SIGNATURE_METHODS.includes(header.signatureMethod)) {
+            throw new Error(`Unsupported chunklist signature method ${header.signatureMethod}`);
+        }
+        if (header.chunkCount === 0) throw new Error('Chunklist has no chunks');
+        if (header.chunkOffset !== HEADER_SIZE ||
+            header.signatureOffset !== header.chunkOffset + CHUNK_RECORD_SIZE * header.chunkCount) {
+            throw new Error('Chunklist offsets are inconsistent');
+        }
+        if (buffer.length < header.signatureOffset) throw new Error('Chunklist is truncated (chunk table)');
+
+        const chunks = [];
+        let offset = 0;
+        for (let i = 0; i < header.chunkCount; i++) {
+            const pos = header.chunkOffset + i * CHUNK_RECORD_SIZE;
+            const size = buffer.readUInt32LE(pos);
+            chunks.push({ index: i, offset, size, sha256: buffer.toString('hex', pos + 4, pos + CHUNK_RECORD_SIZE) });
+            offset += size;
+        }
+
+        // Method 2 stores the SHA-256 of header + chunk table. The RSA signature
+        // of method 1 needs Apple's public key and is not checked here.
+        if (header.signatureMethod === 2) {
+            const digest = crypto.createHash('sha256').update(buffer.subarray(0, header.signatureOffset)).digest();
+            const stored = buffer.subarray(header.signatureOffset, header.signatureOffset + 32);
+            if (stored.length !== 32 || !digest.equals(stored)) throw new Error('Chunklist digest does not match');
+        }
+
+        return { header, chunks, imageSize: offset };
+    },
+
+    /**
+     * Parse a chunklist file
+     */
+    parseFile(chunklistPath) {
+        return this.parse(fs.readFileSync(chunklistPath));
+    },
+
+    /**
+     * Hash every chunk of the image and compare with the chunklist.
+     * onProgress receives { percent, verified, total }.
+     * Returns { valid, chunkCount, imageSize, actualSize, corruptChunks: [{ index, offset, size, expected, actual }] }
+     */
+    async verify(imagePath, chunklistPath, onProgress) {
+        if (!fs.existsSync(imagePath)) throw new Error(`${imagePath} not found`);
+        if (!fs.existsSync(chunklistPath)) throw new Error(`${chunklistPath} not found`);
+
+        const { chunks, imageSize } = this.parseFile(chunklistPath);
+        const actualSize = fs.statSync(imagePath).size;
+        const corruptChunks = [];
+
+        const handle = await fs.promises.open(imagePath, 'r');
+        try {
+            const buffer = Buffer.alloc(Math.max(...chunks.map(c => c.size)));
+            let verified = 0;
+            let lastPercent = -1;
+
+            for (const chunk of chunks) {
+                const { bytesRead } = await handle.read(buffer, 0, chunk.size, chunk.offset);
+                const actual = crypto.createHash('sha256').update(buffer.subarray(0, bytesRead)).digest('hex');
+                if (bytesRead !== chunk.size || actual !== chunk.sha256) {
+                    corruptChunks.push({ index: chunk.index, offset: chunk.offset, size: chunk.size, expected: chunk.sha256, actual });
+                }
+
+                verified += chunk.size;
+                const percent = Math.floor((verified / imageSize) * 100);
+                if (onProgress && percent !== lastPercent) {
+                    lastPercent = percent;
+                    onProgress({ percent, verified, total: imageSize });
+                }
+            }
+        } finally {
+            await handle.close();
+        }
+
+        const valid = corruptChunks.length === 0 && actualSize === imageSize;
+        if (!valid) {
+            console.warn(`[Chunklist] ${imagePath}: ${corruptChunks.length}/${chunks.length} corrupt chunks, size ${actualSize}/${imageSize}`);
+        }
+
+        return { valid, chunkCount: chunks.length, imageSize, actualSize, corruptChunks };
+    },
+
+    /**
+     * Short human readable reason for a failed verify() result
+     */
+    describeFailure(result) {
+        if (result.actualSize !== result.imageSize && result.corruptChunks.length === 0) {
+            return `size is ${result.actualSize} bytes, chunklist expects ${result.imageSize}`;
+        }
+        const list = result.corruptChunks.slice(0, 5).map(c => c.index).join(', ');
+        const more = result.corruptChunks.length > 5 ? ', ...' : '';
+        return `${result.corruptChunks.length} of ${result.chunkCount} chunks corrupt (${list}${more})`;
+    },
+};
+
+module.exports = ChunklistService;
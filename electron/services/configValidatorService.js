@@ -0,0 +1,466 @@
+/**
+ * Config Validator Service (CommonJS)
+ *
+ * Checks a config.plist the way ocvalidate does before it reaches the Surface:
+ * required keys and their types, allowed enum values, and that every kext,
+ * driver, ACPI table and tool the config references exists on the EFI.
+ *
+ * The schema describes the OpenCore release the bundled templates target.
+ * Keys added in later releases carry the first version that reads them, so
+ * an EFI with an older OpenCore.efi is not asked for keys it does not know.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const plistPatchService = require('./plistPatchService');
+
+const SCHEMA_OC_VERSION = '1.0.0';
+
+const fields = (type, names) => Object.fromEntries(names.split(/\s+/).filter(Boolean).map(name => [name, type]));
+
+// Dict paths → { key: type }. Array entries use `<array path>[]`.
+const SCHEMA = {
+    '': fields('dict', 'ACPI Booter DeviceProperties Kernel Misc NVRAM PlatformInfo UEFI'),
+
+    'ACPI': { ...fields('array', 'Add Delete Patch'), Quirks: 'dict' },
+    'ACPI.Add[]': { ...fields('string', 'Comment Path'), Enabled: 'bool' },
+    'ACPI.Delete[]': { ...fields('bool', 'All Enabled'), Comment: 'string', ...fields('data', 'OemTableId TableSignature'), TableLength: 'integer' },
+    'ACPI.Patch[]': {
+        ...fields('string', 'Base Comment'),
+        ...fields('integer', 'BaseSkip Count Limit Skip TableLength'),
+        ...fields('data', 'Find Mask OemTableId Replace ReplaceMask TableSignature'),
+        Enabled: 'bool',
+    },
+    'ACPI.Quirks': fields('bool', 'FadtEnableReset NormalizeHeaders RebaseRegions ResetHwSig ResetLogoStatus SyncTableIds'),
+
+    'Booter': { ...fields('array', 'MmioWhitelist Patch'), Quirks: 'dict' },
+    'Booter.MmioWhitelist[]': { Address: 'integer', Comment: 'string', Enabled: 'bool' },
+    'Booter.Patch[]': {
+        ...fields('string', 'Arch Comment Identifier'),
+        ...fields('integer', 'Count Limit Skip'),
+        ...fields('data', 'Find Mask Replace ReplaceMask'),
+        Enabled: 'bool',
+    },
+    'Booter.Quirks': {
+        ...fields('bool', `AllowRelocationBlock AvoidRuntimeDefrag ClearTaskSwitchBit DevirtualiseMmio DisableSingleUser
+            DisableVariableWrite DiscardHibernateMap EnableSafeModeSlide EnableWriteUnprotector FixupAppleEfiImages
+            ForceBooterSignature ForceExitBootServices ProtectMemoryRegions ProtectSecureBoot ProtectUefiServices
+            ProvideCustomSlide RebuildAppleMemoryMap SetupVirtualMap SignalAppleOS SyncRuntimePermissions`),
+        ...fields('integer', 'ProvideMaxSlide ResizeAppleGpuBars'),
+    },
+
+    'DeviceProperties': fields('dict', 'Add Delete'),
+
+    'Kernel': { ...fields('array', 'Add Block Force Patch'), ...fields('dict', 'Emulate Quirks Scheme') },
+    'Kernel.Add[]': { ...fields('string', 'Arch BundlePath Comment ExecutablePath MaxKernel MinKernel PlistPath'), Enabled: 'bool' },
+    'Kernel.Block[]': { ...fields('string', 'Arch Comment Identifier MaxKernel MinKernel Strategy'), Enabled: 'bool' },
+    'Kernel.Force[]': { ...fields('string', 'Arch BundlePath Comment ExecutablePath Identifier MaxKernel MinKernel PlistPath'), Enabled: 'bool' },
+    'Kernel.Patch[]': {
+        ...fields('string', 'Arch Base Comment Identifier MaxKernel MinKernel'),
+        ...fields('integer', 'Count Limit Skip'),
+        ...fields('data', 'Find Mask Replace ReplaceMask'),
+        Enabled: 'bool',
+    },
+    'Kernel.Emulate': { ...fields('data', 'Cpuid1Data Cpuid1Mask'), DummyPowerManagement: 'bool', ...fields('string', 'MaxKernel MinKernel') },
+    'Kernel.Quirks': {
+        ...fields('bool', `AppleCpuPmCfgLock AppleXcpmCfgLock AppleXcpmExtraMsrs AppleXcpmForceBoost CustomPciSerialDevice
+            CustomSMBIOSGuid DisableIoMapper DisableIoMapperMapping DisableLinkeditJettison DisableRtcChecksum
+            ExtendBTFeatureFlags ExternalDiskIcons ForceAquantiaEthernet ForceSecureBootScheme IncreasePciBarSize
+            LapicKernelPanic LegacyCommpage PanicNoKextDump PowerTimeoutKernelPanic ProvideCurrentCpuInfo
+            ThirdPartyDrives XhciPortLimit`),
+        SetApfsTrimTimeout: 'integer',
+    },
+    'Kernel.Scheme': { ...fields('bool', 'CustomKernel FuzzyMatch'), ...fields('string', 'KernelArch KernelCache') },
+
+    'Misc': { ...fields('array', 'BlessOverride Entries Tools'), ...fields('dict', 'Boot Debug Security Serial') },
+    'Misc.Boot': {
+        ...fields('integer', 'ConsoleAttributes PickerAttributes TakeoffDelay Timeout'),
+        ...fields('string', 'HibernateMode InstanceIdentifier LauncherOption LauncherPath PickerMode PickerVariant'),
+        ...fields('bool', 'HibernateSkipsPicker HideAuxiliary PickerAudioAssist PollAppleHotKeys ShowPicker'),
+    },
+    'Misc.Debug': {
+        ...fields('bool', 'AppleDebug ApplePanic DisableWatchDog SysReport'),
+        ...fields('integer', 'DisplayDelay DisplayLevel Target'),
+        LogModules: 'string',
+    },
+    'Misc.Entries[]': { ...fields('string', 'Arguments Comment Flavour Name Path'), ...fields('bool', 'Auxiliary Enabled FullNvramAccess TextMode') },
+    'Misc.Security': {
+        ...fields('bool', 'AllowSetDefault AuthRestart BlacklistAppleUpdate EnablePassword'),
+        ...fields('integer', 'ApECID ExposeSensitiveData HaltLevel ScanPolicy'),
+        ...fields('string', 'DmgLoading SecureBootModel Vault'),
+        ...fields('data', 'PasswordHash PasswordSalt'),
+    },
+    'Misc.Serial': { Custom: 'dict', ...fields('bool', 'Init Override') },
+    'Misc.Serial.Custom': {
+        ...fields('integer', 'BaudRate ClockRate ExtendedTxFifoSize FifoControl LineControl RegisterAccessWidth RegisterBase RegisterStride'),
+        ...fields('bool', 'DetectCable UseHardwareFlowControl UseMmio'),
+        PciDeviceInfo: 'data',
+    },
+    'Misc.Tools[]': { ...fields('string', 'Arguments Comment Flavour Name Path'), ...fields('bool', 'Auxiliary Enabled FullNvramAccess RealPath TextMode') },
+
+    'NVRAM': { ...fields('dict', 'Add Delete LegacySchema'), ...fields('bool', 'LegacyOverwrite WriteFlash') },
+
+    'PlatformInfo': { ...fields('bool', 'Automatic CustomMemory UpdateDataHub UpdateNVRAM UpdateSMBIOS UseRawUuidEncoding'), Generic: 'dict', UpdateSMBIOSMode: 'string' },
+    'PlatformInfo.Generic': {
+        ...fields('bool', 'AdviseFeatures MaxBIOSVersion SpoofVendor'),
+        ...fields('string', 'MLB SystemMemoryStatus SystemProductName SystemSerialNumber SystemUUID'),
+        ProcessorType: 'integer',
+        ROM: 'data',
+    },
+
+    'UEFI': {
+        ...fields('dict', 'APFS AppleInput Audio Input Output ProtocolOverrides Quirks'),
+        ...fields('array', 'Drivers ReservedMemory Unload'),
+        ConnectDrivers: 'bool',
+    },
+    'UEFI.APFS': { ...fields('bool', 'EnableJumpstart GlobalConnect HideVerbose JumpstartHotPlug'), ...fields('integer', 'MinDate MinVersion') },
+    'UEFI.AppleInput': {
+        AppleEvent: 'string',
+        ...fields('bool', 'CustomDelays GraphicsInputMirroring'),
+        ...fields('integer', `KeyInitialDelay KeySubsequentDelay PointerDwellClickTimeout PointerDwellDoubleClickTimeout
+            PointerDwellRadius PointerPollMask PointerPollMax PointerPollMin PointerSpeedDiv PointerSpeedMul`),
+    },
+    'UEFI.Audio': {
+        ...fields('integer', 'AudioCodec AudioOutMask MaximumGain MinimumAssistGain MinimumAudibleGain SetupDelay'),
+        ...fields('string', 'AudioDevice PlayChime'),
+        ...fields('bool', 'AudioSupport DisconnectHda ResetTrafficClass'),
+    },
+    'UEFI.Drivers[]': { ...fields('string', 'Arguments Comment Path'), ...fields('bool', 'Enabled LoadEarly') },
+    'UEFI.Input': {
+        ...fields('bool', 'KeyFiltering KeySupport KeySwap PointerSupport'),
+        ...fields('integer', 'KeyForgetThreshold TimerResolution'),
+        ...fields('string', 'KeySupportMode PointerSupportMode'),
+    },
+    'UEFI.Output': {
+        ...fields('bool', `ClearScreenOnModeSwitch DirectGopRendering ForceResolution GopBurstMode IgnoreTextInGraphics
+            ProvideConsoleGop ReconnectGraphicsOnConnect ReconnectOnResChange ReplaceTabWithSpace SanitiseClearScreen UgaPassThrough`),
+        ...fields('string', 'ConsoleFont ConsoleMode GopPassThrough InitialMode Resolution TextRenderer'),
+        UIScale: 'integer',
+    },
+    'UEFI.ProtocolOverrides': fields('bool', `AppleAudio AppleBootPolicy AppleDebugLog AppleEg2Info AppleFramebufferInfo
+        AppleImageConversion AppleImg4Verification AppleKeyMap AppleRtcRam AppleSecureBoot AppleSmcIo
+        AppleUserInterfaceTheme DataHub DeviceProperties FirmwareVolume HashServices OSInfo PciIo UnicodeCollation`),
+    'UEFI.Quirks': {
+        ...fields('bool', `ActivateHpetSupport DisableSecurityPolicy EnableVectorAcceleration EnableVmx ForceOcWriteFlash
+            ForgeUefiSupport IgnoreInvalidFlexRatio ReleaseUsbOwnership ReloadOptionRoms RequestBootVarRouting
+            ResizeUsePciRbIo ShimRetainProtocol UnblockFsConnect`),
+        ...fields('integer', 'ExitBootServicesDelay ResizeGpuBars TscSyncTimeout'),
+    },
+    'UEFI.ReservedMemory[]': { ...fields('integer', 'Address Size'), ...fields('string', 'Comment Type'), Enabled: 'bool' },
+};
+
+// First OpenCore release that reads the key (keys without an entry predate everything we support)
+const ADDED_IN = {
+    'UEFI.Drivers[].LoadEarly': '0.8.4',
+    'UEFI.Quirks.ShimRetainProtocol': '0.9.2',
+    'Booter.Quirks.ClearTaskSwitchBit': '0.9.7',
+    'Booter.Quirks.FixupAppleEfiImages': '0.9.8',
+    'UEFI.Output.ConsoleFont': '0.9.8',
+};
+
+// Arrays of plain strings rather than dicts
+const STRING_ARRAYS = ['Misc.BlessOverride', 'UEFI.Unload'];
+
+const ENUMS = {
+    'Kernel.Scheme.KernelArch': ['Auto', 'i386', 'i386-user32', 'x86_64'],
+    'Kernel.Scheme.KernelCache': ['Auto', 'Cacheless', 'Mkext', 'Prelinked'],
+    'Kernel.Add[].Arch': ['Any', 'i386', 'x86_64'],
+    'Kernel.Block[].Strategy': ['Disable', 'Exclude'],
+    'Misc.Boot.HibernateMode': ['None', 'Auto', 'RTC', 'NVRAM'],
+    'Misc.Boot.LauncherOption': ['Disabled', 'Full', 'Short', 'System'],
+    'Misc.Boot.PickerMode': ['Builtin', 'External', 'Apple'],
+    'Misc.Security.DmgLoading': ['Disabled', 'Signed', 'Any'],
+    'Misc.Security.Vault': ['Optional', 'Basic', 'Secure'],
+    'Misc.Security.SecureBootModel': ['Default', 'Disabled', 'j137', 'j680', 'j132', 'j174', 'j160', 'j140k', 'j780',
+        'j213', 'j140a', 'j152f', 'j214k', 'j215', 'j223', 'j185', 'j185f', 'x86legacy'],
+    'PlatformInfo.UpdateSMBIOSMode': ['TryOverwrite', 'Create', 'Overwrite', 'Custom'],
+    'PlatformInfo.Generic.SystemMemoryStatus': ['Auto', 'Upgradable', 'Soldered'],
+    'UEFI.AppleInput.AppleEvent': ['Auto', 'Builtin', 'OEM'],
+    'UEFI.Audio.PlayChime': ['Auto', 'Enabled', 'Disabled'],
+    'UEFI.Input.KeySupportMode': ['Auto', 'V1', 'V2', 'AMI'],
+    'UEFI.Input.PointerSupportMode': ['', 'ASUS'],
+    'UEFI.Output.GopPassThrough': ['Enabled', 'Disabled', 'Apple'],
+    'UEFI.Output.TextRenderer': ['BuiltinGraphics', 'BuiltinText', 'SystemGraphics', 'SystemText', 'SystemGeneric'],
+    'UEFI.ReservedMemory[].Type': ['Reserved', 'LoaderCode', 'LoaderData', 'BootServiceCode', 'BootServiceData',
+        'RuntimeCode', 'RuntimeData', 'Available', 'Persistent', 'UnusableMemory', 'ACPIReclaimMemory',
+        'ACPIMemoryNVS', 'MemoryMappedIO', 'MemoryMappedIOPortSpace', 'PalCode'],
+};
+
+const GUID_PATTERN = /^[0-9A-F]{8}-[0-9A-F]{4}-[0-9A-F]{4}-[0-9A-F]{4}-[0-9A-F]{12}$/i;
+const KERNEL_VERSION_PATTERN = /^(\d+(\.\d+){0,2})?$/;
+const OC_VERSION_PATTERN = /(?:REL|DBG|NPT)-(\d)(\d)(\d)-\d{4}-\d{2}-\d{2}/;
+
+function compareVersions(a, b) {
+    const pa = a.split('.').map(Number);
+    const pb = b.split('.').map(Number);
+    for (let i = 0; i < 3; i++) {
+        if ((pa[i] || 0) !== (pb[i] || 0)) return (pa[i] || 0) - (pb[i] || 0);
+    }
+    return 0;
+}
+
+const isNumeric = (type) => type === 'integer' || type === 'real';
+const sameType = (actual, expected) => actual === expected || (isNumeric(actual) && isNumeric(expected));
+
+const ConfigValidator = {
+    SCHEMA_OC_VERSION,
+
+    /**
+     * Read the OpenCore version (e.g. "1.0.1") from OC/OpenCore.efi, null if not found
+     */
+    detectOpenCoreVersion(ocPath) {
+        const efiPath = path.join(ocPath, 'OpenCore.efi');
+        if (!fs.existsSync(efiPath)) return null;
+        const match = fs.readFileSync(efiPath).toString('latin1').match(OC_VERSION_PATTERN);
+        return match ? `${match[1]}.${match[2]}.${match[3]}` : null;
+    },
+
+    /**
+     * Validate a parsed config.plist tree. `ocPath` is the EFI/OC folder used for
+     * the file checks (skipped when null) and for detecting the OpenCore version.
+     * Returns { valid, ocVersion, schemaVersion, errors: [{ path, message }], warnings: [{ path, message }] }
+     */
+    validateTree(tree, { ocPath = null, ocVersion = null } = {}) {
+        const errors = [];
+        const warnings = [];
+        const error = (p, message) => errors.push({ path: p, message });
+        const warn = (p, message) => warnings.push({ path: p, message });
+
+        const version = ocVersion || (ocPath ? this.detectOpenCoreVersion(ocPath) : null);
+
+        // Is the key read by the OpenCore on this EFI? Unknown version: only keys everyone has are required.
+        const supported = (schemaPath) => {
+            const since = ADDED_IN[schemaPath];
+            if (!since) return true;
+            return version ? compareVersions(version, since) >= 0 : null;
+        };
+
+        const checkValue = (actualPath, schemaPath, value, expected) => {
+            const actual = plistPatchService.typeOf(value);
+            if (!sameType(actual, expected)) {
+                error(actualPath, `is ${actual}, expected ${expected}`);
+                return false;
+            }
+            const allowed = ENUMS[schemaPath];
+            if (allowed && !allowed.includes(value)) {
+                error(actualPath, `"${value}" is not one of ${allowed.map(v => `"${v}"`).join(', ')}`);
+            }
+            return true;
+        };
+
+        const checkDict = (node, actualPath, schemaPath) => {
+            const schema = SCHEMA[schemaPath];
+            const join = (key) => (actualPath ? `${actualPath}.${key}` : key);
+            const joinSchema = (key) => (schemaPath ? `${schemaPath}.${key}` : key);
+
+            for (const [key, expected] of Object.entries(schema)) {
+                const childPath = join(key);
+                const childSchema = joinSchema(key);
+
+                if (!Object.prototype.hasOwnProperty.call(node, key)) {
+                    const isSupported = supported(childSchema);
+                    if (isSupported === true) error(childPath, 'is missing');
+                    else if (isSupported === null) warn(childPath, `is missing (needed from OpenCore ${ADDED_IN[childSchema]})`);
+                    continue;
+                }
+                if (!checkValue(childPath, childSchema, node[key], expected)) continue;
+
+                if (expected === 'dict' && SCHEMA[childSchema]) {
+                    checkDict(node[key], childPath, childSchema);
+                } else if (expected === 'array') {
+                    checkArray(node[key], childPath, childSchema);
+                }
+            }
+
+            for (const key of Object.keys(node)) {
+                if (key.startsWith('#')) continue;
+                if (!schema[key]) {
+                    warn(join(key), version && compareVersions(version, SCHEMA_OC_VERSION) > 0
+                        ? `is not known to this validator (schema is for OpenCore ${SCHEMA_OC_VERSION})`
+                        : 'is not a known OpenCore key');
+                } else if (supported(joinSchema(key)) === false) {
+                    warn(join(key), `is ignored by OpenCore ${version} (added in ${ADDED_IN[joinSchema(key)]})`);
+                }
+            }
+        };
+
+        const checkArray = (items, actualPath, schemaPath) => {
+            if (STRING_ARRAYS.includes(schemaPath)) {
+                items.forEach((item, i) => checkValue(`${actualPath}[${i}]`, schemaPath, item, 'string'));
+                return;
+            }
+            const entrySchema = `${schemaPath}[]`;
+            if (!SCHEMA[entrySchema]) return;
+            items.forEach((item, i) => {
+                if (checkValue(`${actualPath}[${i}]`, entrySchema, item, 'dict')) {
+                    checkDict(item, `${actualPath}[${i}]`, entrySchema);
+                }
+            });
+        };
+
+        if (plistPatchService.typeOf(tree) !== 'dict') {
+            error('', 'config.plist root is not a dict');
+        } else {
+            checkDict(tree, '', '');
+            this.checkGuidSections(tree, error);
+            this.checkKernelEntries(tree, error);
+            if (ocPath) this.checkFiles(tree, ocPath, error, warn);
+        }
+
+        return {
+            valid: errors.length === 0,
+            ocVersion: version,
+            schemaVersion: SCHEMA_OC_VERSION,
+            errors,
+            warnings,
+        };
+    },
+
+    /**
+     * NVRAM and DeviceProperties sections keyed by GUID / device path
+     */
+    checkGuidSections(tree, error) {
+        const nvram = tree.NVRAM || {};
+        for (const section of ['Add', 'Delete', 'LegacySchema']) {
+            const dict = nvram[section];
+            if (plistPatchService.typeOf(dict) !== 'dict') continue;
+            for (const [guid, value] of Object.entries(dict)) {
+                if (guid.startsWith('#')) continue;
+                if (!GUID_PATTERN.test(guid)) error(`NVRAM.${section}.${guid}`, 'is not a valid GUID');
+                const expected = section === 'Add' ? 'dict' : 'array';
+                if (plistPatchService.typeOf(value) !== expected) error(`NVRAM.${section}.${guid}`, `must be ${expected}`);
+            }
+        }
+
+        const deviceProperties = tree.DeviceProperties || {};
+        for (const section of ['Add', 'Delete']) {
+            const dict = deviceProperties[section];
+            if (plistPatchService.typeOf(dict) !== 'dict') continue;
+            for (const [device, value] of Object.entries(dict)) {
+                const expected = section === 'Add' ? 'dict' : 'array';
+                if (!device.startsWith('#') && plistPatchService.typeOf(value) !== expected) {
+                    error(`DeviceProperties.${section}.${device}`, `must be ${expected}`);
+                }
+            }
+        }
+    },
+
+    /**
+     * Kernel.Add semantics: duplicates and kernel version ranges
+     */
+    checkKernelEntries(tree, error) {
+        const kexts = tree.Kernel && Array.isArray(tree.Kernel.Add) ? tree.Kernel.Add : [];
+        const seen = new Map();
+
+        kexts.forEach((kext, i) => {
+            if (plistPatchService.typeOf(kext) !== 'dict' || typeof kext.BundlePath !== 'string') return;
+            const at = `Kernel.Add[${i}]`;
+
+            for (const field of ['MinKernel', 'MaxKernel']) {
+                if (typeof kext[field] === 'string' && !KERNEL_VERSION_PATTERN.test(kext[field])) {
+                    error(`${at}.${field}`, `"${kext[field]}" is not a kernel version (e.g. 23.0.0)`);
+                }
+            }
+            if (!kext.Enabled) return;
+
+            // Two enabled entries for the same bundle only make sense with disjoint kernel ranges
+            if (seen.has(kext.BundlePath) && !kext.MinKernel && !kext.MaxKernel) {
+                error(`${at}.BundlePath`, `${kext.BundlePath} is also enabled at Kernel.Add[${seen.get(kext.BundlePath)}]`);
+            }
+            seen.set(kext.BundlePath, i);
+        });
+    },
+
+    /**
+     * Every referenced file must exist on the EFI. Missing files of enabled entries
+     * stop OpenCore from booting (errors), those of disabled entries are warnings.
+     */
+    checkFiles(tree, ocPath, error, warn) {
+        const report = (enabled, p, message) => (enabled ? error(p, message) : warn(p, message));
+        const exists = (...parts) => fs.existsSync(path.join(ocPath, ...parts));
+        const entries = (section, key) => {
+            const list = tree[section] && tree[section][key];
+            return Array.isArray(list) ? list.map((entry, i) => ({ entry, at: `${section}.${key}[${i}]` })).filter(e => plistPatchService.typeOf(e.entry) === 'dict') : [];
+        };
+
+        for (const { entry, at } of entries('ACPI', 'Add')) {
+            if (typeof entry.Path === 'string' && !exists('ACPI', entry.Path)) {
+                report(entry.Enabled, `${at}.Path`, `OC/ACPI/${entry.Path} not found`);
+            }
+        }
+
+        // CFBundleIdentifier and OSBundleLibraries of every kext that is on the EFI
+        const bundles = [];
+
+        for (const { entry, at } of entries('Kernel', 'Add')) {
+            if (typeof entry.BundlePath !== 'string') continue;
+            if (!exists('Kexts', entry.BundlePath)) {
+                report(entry.Enabled, `${at}.BundlePath`, `OC/Kexts/${entry.BundlePath} not found`);
+                continue;
+            }
+            if (entry.ExecutablePath && !exists('Kexts', entry.BundlePath, entry.ExecutablePath)) {
+                report(entry.Enabled, `${at}.ExecutablePath`, `${entry.ExecutablePath} not found in ${entry.BundlePath}`);
+            }
+            if (entry.PlistPath && !exists('Kexts', entry.BundlePath, entry.PlistPath)) {
+                report(entry.Enabled, `${at}.PlistPath`, `${entry.PlistPath} not found in ${entry.BundlePath}`);
+            } else if (entry.Enabled && entry.PlistPath) {
+                try {
+                    const info = plistPatchService.parse(fs.readFileSync(path.join(ocPath, 'Kexts', entry.BundlePath, entry.PlistPath), 'utf8'));
+                    bundles.push({ at, entry, id: info.CFBundleIdentifier, libraries: Object.keys(info.OSBundleLibraries || {}) });
+                } catch (e) {
+                    warn(`${at}.PlistPath`, `could not read ${entry.PlistPath}: ${e.message}`);
+                }
+            }
+        }
+
+        // A kext's dependencies must be loaded before it (same kernel range assumed)
+        bundles.forEach((bundle, position) => {
+            for (const library of bundle.libraries) {
+                const dependency = bundles.find(b => b.id === library);
+                if (dependency && bundles.indexOf(dependency) > position) {
+                    error(`${bundle.at}.BundlePath`, `${bundle.entry.BundlePath} depends on ${library} (${dependency.at}), which is loaded after it`);
+                }
+            }
+        });
+
+        for (const { entry, at } of entries('UEFI', 'Drivers')) {
+            // "#" marks a commented-out driver in older configs
+            if (typeof entry.Path !== 'string' || entry.Path.startsWith('#')) continue;
+            if (!exists('Drivers', entry.Path)) {
+                report(entry.Enabled, `${at}.Path`, `OC/Drivers/${entry.Path} not found`);
+            }
+        }
+
+        for (const { entry, at } of entries('Misc', 'Tools')) {
+            if (typeof entry.Path === 'string' && !exists('Tools', entry.Path)) {
+                report(entry.Enabled, `${at}.Path`, `OC/Tools/${entry.Path} not found`);
+            }
+        }
+    },
+
+    /**
+     * Validate a config.plist file. File checks run against the OC folder it lives in.
+     */
+    validateFile(configPath, { checkFiles = true } = {}) {
+        if (!fs.existsSync(configPath)) throw new Error(`${configPath} not found`);
+
+        let tree;
+        try {
+            tree = plistPatchService.parse(fs.readFileSync(configPath, 'utf8'));
+        } catch (e) {
+            return {
+                valid: false,
+                ocVersion: null,
+                schemaVersion: SCHEMA_OC_VERSION,
+                errors: [{ path: '', message: `Not a valid plist: ${e.message}` }],
+                warnings: [],
+            };
+        }
+
+        const ocPath = path.dirname(configPath);
+        const hasOcFolder = fs.existsSync(path.join(ocPath, 'OpenCore.efi'));
+        return this.validateTree(tree, { ocPath: checkFiles && hasOcFolder ? ocPath : null });
+    },
+};
+
+module.exports = ConfigValidator;
@@ -0,0 +1,141 @@
+/**
+ * Disk Guard Service (CommonJS)
+ *
+ * Last check before a disk is erased. list-usb-drives inspects every drive it lists and
+ * issues a confirmation token for the ones that are safe to format; format-usb only erases
+ * a disk with a token that was issued for it, after inspecting it again:
+ *
+ *   - the disk is external / removable (USB, SD) and a whole disk
+ *   - it is not the boot disk and has no mounted system volume on it
+ *   - its size is within MIN_SIZE..MAX_SIZE (a multi-terabyte disk is not a USB stick)
+ *   - media name, size and serial still match what was listed, so a replugged or
+ *     renumbered disk (another drive now at /dev/disk4) is never erased by mistake
+ *
+ * Tokens live in memory for TOKEN_TTL and are never written to disk (jobs keep them out of
+ * their job file). A token is used up by the erase it allows: formatting again, or resuming a
+ * build later, takes a new confirmation from a fresh drive list.
+ */
+
+const crypto = require('crypto');
+const diskModelService = require('./diskModelService');
+
+const MIN_SIZE = 4 * 1000 ** 3;
+const MAX_SIZE = 2 * 1000 ** 4;
+const TOKEN_TTL = 60 * 60 * 1000;
+
+// Mount points that belong to a running system, on any platform
+const SYSTEM_MOUNTS = ['/', '/boot', '/boot/efi', '/efi', '/usr', '/var', '/home', '/opt', '/private/var/vm', '[SWAP]'];
+const isSystemMount = (mountPoint) => SYSTEM_MOUNTS.includes(mountPoint) || mountPoint.startsWith('/System/Volumes/');
+
+// token -> { disk, expires }
+const tokens = new Map();
+
+const formatBytes = (bytes) => (bytes >= 1000 ** 4 ? `${(bytes / 1000 ** 4).toFixed(1)} TB` : `${(bytes / 1000 ** 3).toFixed(1)} GB`);
+
+const DiskGuardService = {
+    MIN_SIZE,
+    MAX_SIZE,
+    TOKEN_TTL,
+
+    /**
+     * What the guard knows about a disk of the disk model (or one of its partitions):
+     * { path, name, size (bytes), serial, removable, wholeDisk, bootDisk, systemMounts,
+     *   diskGuid (GPT disk GUID, null when unknown), partitionUuids }
+     */
+    describe(disk, partition = null) {
+        return {
+            path: partition ? partition.path || partition.id : disk.path,
+            name: disk.name,
+            size: partition ? partition.size : disk.size,
+            serial: disk.serial,
+            removable: disk.removable && !disk.virtual,
+            wholeDisk: !partition,
+            bootDisk: disk.boot,
+            // Windows reports the system partition's disk rather than its mount points
+            systemMounts: disk.system ? ['system partition'] : disk.mountPoints.filter(isSystemMount),
+            diskGuid: disk.diskGuid,
+            partitionUuids: disk.partitions.map(part => part.uuid).filter(Boolean),
+        };
+    },
+
+    /**
+     * The disk at diskPath as it is right now (see describe)
+     */
+    async inspect(diskPath) {
+        const { disk, partition } = await diskModelService.find(diskPath);
+        return this.describe(disk, partition);
+    },
+
+    /**
+     * Reasons not to erase a disk (empty when it is safe). With `confirmed` (the disk as it
+     * was listed) the disk must also still be the same drive.
+     */
+    check(disk, confirmed = null) {
+        const problems = [];
+        if (!disk.removable) problems.push('it is not an external or removable drive');
+        if (!disk.wholeDisk) problems.push('it is a partition, not a whole disk');
+        if (disk.bootDisk) problems.push('it is the boot disk');
+        if (disk.systemMounts.length > 0) problems.push(`it holds mounted system volumes (${disk.systemMounts.join(', ')})`);
+        if (disk.size < MIN_SIZE) problems.push(`it is smaller than ${formatBytes(MIN_SIZE)}`);
+        if (disk.size > MAX_SIZE) problems.push(`it is larger than ${formatBytes(MAX_SIZE)}, which is not a USB installer drive`);
+
+        if (confirmed) {
+            const changed = ['name', 'size', 'serial'].filter(key => disk[key] !== confirmed[key]);
+            if (changed.length > 0) {
+                problems.push(`it is no longer the drive you selected (${changed
+                    .map(key => `${key} was ${confirmed[key] || 'unknown'}, now ${disk[key] || 'unknown'}`).join('; ')})`);
+            }
+        }
+        return problems;
+    },
+
+    /**
+     * Confirmation token for a disk that passed check(); required by assertErasable
+     */
+    issueToken(disk) {
+        const now = Date.now();
+        for (const [token, grant] of tokens) {
+            if (grant.expires < now) tokens.delete(token);
+        }
+        const token = crypto.randomBytes(16).toString('hex');
+        tokens.set(token, { disk, expires: now + TOKEN_TTL });
+        return token;
+    },
+
+    /**
+     * Throw unless `token` was issued for diskPath and the disk, inspected again now,
+     * is still safe to erase and still the drive that was listed. A drive that was renumbered
+     * since is accepted when its serial number proves it is the same one. The token is used up
+     * once the disk passes. Returns the disk.
+     */
+    async assertErasable(diskPath, token) {
+        const grant = token ? tokens.get(token) : null;
+        if (!grant || grant.expires < Date.now()) {
+            throw new Error(`Refusing to erase ${diskPath}: it was not confirmed in the drive list, or the confirmation expired or was already used. Refresh the drive list and select it again.`);
+        }
+
+        const disk = await this.inspect(diskPath);
+        if (grant.disk.path !== diskPath && !(grant.disk.serial && grant.disk.serial === disk.serial)) {
+            throw new Error(`Refusing to erase ${diskPath}: the confirmation was given for ${grant.disk.path}`);
+        }
+        const problems = this.check(disk, grant.disk);
+        if (problems.length > 0) throw new Error(`Refusing to erase ${diskPath}: ${problems.join('; ')}`);
+        tokens.delete(token);
+        console.log(`[DiskGuard] ${diskPath} (${disk.name}, ${formatBytes(disk.size)}, serial ${disk.serial || 'unknown'}) may be erased`);
+        return disk;
+    },
+
+    /**
+     * Whether a mounted volume (e.g. /Volumes/BOOT) lives on the given disk
+     */
+    async isVolumeOnDisk(volumePath, diskPath) {
+        try {
+            const { disk } = await diskModelService.find(diskPath);
+            return disk.partitions.some(part => part.mountPoint === volumePath);
+        } catch {
+            return false;
+        }
+    },
+};
+
+module.exports = DiskGuardService;
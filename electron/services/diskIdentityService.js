@@ -0,0 +1,91 @@
+/**
+ * Disk Identity Service (CommonJS)
+ *
+ * Device nodes are not stable over an hour-long build: /dev/disk8 becomes /dev/disk9 when the
+ * stick is replugged or hdiutil attaches an image, and \\.\PHYSICALDRIVE2 moves when another
+ * drive is connected. The wizard keeps the identity of the disk it selected instead
+ *
+ *   { serial, name, size, diskGuid, partitionUuids, path }
+ *
+ * and resolves it to the disk's current device node before each operation. `path` is only the
+ * node the disk had when it was identified and is tried first.
+ */
+
+const diskGuardService = require('./diskGuardService');
+const diskModelService = require('./diskModelService');
+
+/**
+ * How strongly a disk matches an identity: 0 = a different disk, 1 = only name and size agree,
+ * 2 = a serial number or GUID proves it is the same disk
+ */
+function matchStrength(identity, disk) {
+    // Two media with different serial numbers are never the same disk
+    if (identity.serial && disk.serial && identity.serial !== disk.serial) return 0;
+
+    if (identity.diskGuid && identity.diskGuid === disk.diskGuid) return 2;
+    if ((identity.partitionUuids || []).some(uuid => (disk.partitionUuids || []).includes(uuid))) return 2;
+    if (identity.serial && identity.serial === disk.serial && identity.size === disk.size) return 2;
+
+    return identity.name === disk.name && identity.size === disk.size ? 1 : 0;
+}
+
+const DiskIdentityService = {
+    /**
+     * Identity of the disk at diskPath, as it is now
+     */
+    async identify(diskPath) {
+        return this.identityOf(await diskGuardService.inspect(diskPath));
+    },
+
+    /**
+     * Identity of a disk the guard has already inspected
+     */
+    identityOf(disk) {
+        return {
+            serial: disk.serial,
+            name: disk.name,
+            size: disk.size,
+            diskGuid: disk.diskGuid,
+            partitionUuids: disk.partitionUuids,
+            path: disk.path,
+        };
+    },
+
+    /**
+     * Current device node of the disk with this identity, among the candidate disk paths
+     * (the connected drives). Throws when the disk is gone, or when only name and size are
+     * known and more than one connected drive has them.
+     */
+    async resolve(identity, candidates) {
+        const disks = await diskModelService.list();
+        const paths = [...new Set([identity.path, ...candidates].filter(Boolean))];
+        const matches = [];
+        for (const candidate of paths) {
+            let disk;
+            try {
+                const found = await diskModelService.find(candidate, disks);
+                disk = diskGuardService.describe(found.disk, found.partition);
+            } catch {
+                continue; // no disk at this node (any more)
+            }
+            const strength = matchStrength(identity, disk);
+            if (strength === 2) {
+                if (disk.path !== identity.path) console.log(`[DiskIdentity] ${identity.name || 'Disk'} moved from ${identity.path} to ${disk.path}`);
+                return disk.path;
+            }
+            if (strength === 1) matches.push(disk.path);
+        }
+
+        const label = `${identity.name || 'The selected disk'}${identity.serial ? ` (serial ${identity.serial})` : ''}`;
+        if (matches.length === 0) {
+            throw new Error(`${label} is no longer connected. Reconnect it and try again.`);
+        }
+        if (matches.length > 1) {
+            throw new Error(`${label} cannot be told apart from ${matches.join(', ')}. Disconnect the other drives and try again.`);
+        }
+        if (matches[0] !== identity.path) console.log(`[DiskIdentity] ${label} moved from ${identity.path} to ${matches[0]}`);
+        return matches[0];
+    },
+};
+
+module.exports = DiskIdentityService;
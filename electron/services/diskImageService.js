@@ -0,0 +1,183 @@
+/**
+ * Disk Image Service (CommonJS)
+ *
+ * Builds the installer as a raw GPT disk image (.img) instead of on a USB stick: a protective
+ * MBR, primary and backup GPT, and FAT32 partitions written by fat32Service. Nothing is
+ * formatted or mounted on the host, so an image can be built on a CI box and flashed to any
+ * number of sticks afterwards (dd, balenaEtcher, Rufus in DD mode).
+ *
+ *   partitions: [{ name (GPT name and volume label), typeGuid, files: [{ path, source }], size? }]
+ *
+ * Partitions are 1 MiB aligned; without a size one is sized to its files (fat32Service.sizeFor).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const crypto = require('crypto');
+const fat32Service = require('./fat32Service');
+const gptService = require('./gptService');
+
+const SECTOR = 512;
+const ALIGN = 1024 * 1024;
+const ENTRY_COUNT = 128;
+const ENTRY_SIZE = 128;
+const ENTRY_SECTORS = (ENTRY_COUNT * ENTRY_SIZE) / SECTOR;
+
+// GPT type GUID of a Microsoft basic data partition (the BOOT / INSTALL volumes)
+const BASIC_DATA_TYPE_GUID = 'ebd0a0a2-b9e5-4433-87c0-68b6b72699c7';
+
+// Same size as the EFI partition format-usb creates on a stick
+const ESP_SIZE = 200 * 1024 * 1024;
+
+const alignUp = (bytes) => Math.ceil(bytes / ALIGN) * ALIGN;
+
+/**
+ * A GUID as stored on disk: the first three fields little-endian, the rest as bytes
+ */
+function writeGuid(buffer, offset, guid) {
+    const hex = guid.replace(/-/g, '');
+    buffer.writeUInt32LE(parseInt(hex.slice(0, 8), 16), offset);
+    buffer.writeUInt16LE(parseInt(hex.slice(8, 12), 16), offset + 4);
+    buffer.writeUInt16LE(parseInt(hex.slice(12, 16), 16), offset + 6);
+    Buffer.from(hex.slice(16), 'hex').copy(buffer, offset + 8);
+}
+
+/**
+ * GPT header sector for the header at lba (entries at entriesLba)
+ */
+function gptHeader({ lba, alternateLba, firstUsableLba, lastUsableLba, diskGuid, entriesLba, entriesCrc }) {
+    const header = Buffer.alloc(SECTOR);
+    header.write('EFI PART', 0, 'latin1');
+    header.writeUInt32LE(0x00010000, 8); // revision 1.0
+    header.writeUInt32LE(92, 12);
+    header.writeBigUInt64LE(BigInt(lba), 24);
+    header.writeBigUInt64LE(BigInt(alternateLba), 32);
+    header.writeBigUInt64LE(BigInt(firstUsableLba), 40);
+    header.writeBigUInt64LE(BigInt(lastUsableLba), 48);
+    writeGuid(header, 56, diskGuid);
+    header.writeBigUInt64LE(BigInt(entriesLba), 72);
+    header.writeUInt32LE(ENTRY_COUNT, 80);
+    header.writeUInt32LE(ENTRY_SIZE, 84);
+    header.writeUInt32LE(entriesCrc, 88);
+    header.writeUInt32LE(zlib.crc32(header.subarray(0, 92)), 16);
+    return header;
+}
+
+/**
+ * Protective MBR: one 0xEE partition over the whole disk, so MBR tools leave it alone
+ */
+function protectiveMbr(totalSectors) {
+    const mbr = Buffer.alloc(SECTOR);
+    const entry = 446;
+    mbr.set([0x00, 0x00, 0x02, 0x00, 0xee, 0xff, 0xff, 0xff], entry);
+    mbr.writeUInt32LE(1, entry + 8);
+    mbr.writeUInt32LE(Math.min(totalSectors - 1, 0xffffffff), entry + 12);
+    mbr.writeUInt16LE(0xaa55, 510);
+    return mbr;
+}
+
+/**
+ * Every file below root as { path (relative, / separated), source }
+ */
+function filesIn(root, prefix = '') {
+    const files = [];
+    for (const entry of fs.readdirSync(root, { withFileTypes: true })) {
+        if (entry.name === '.DS_Store' || entry.name.startsWith('._')) continue; // macOS metadata
+        const source = path.join(root, entry.name);
+        const target = prefix ? `${prefix}/${entry.name}` : entry.name;
+        if (entry.isDirectory()) {
+            files.push(...filesIn(source, target));
+        } else if (entry.isFile()) {
+            files.push({ path: target, source });
+        }
+    }
+    return files;
+}
+
+const DiskImageService = {
+    BASIC_DATA_TYPE_GUID,
+    ESP_SIZE,
+    filesIn,
+
+    /**
+     * Write a GPT disk image with the partitions to imagePath (see the format above). The image
+     * is built next to it as <imagePath>.partial, read back and only then renamed, so a failed
+     * build never leaves a half-written image behind. Returns { imagePath, size, diskGuid, partitions }.
+     */
+    async write(imagePath, partitions, { onStatus = () => { }, onProgress = null } = {}) {
+        if (partitions.length === 0 || partitions.length > ENTRY_COUNT) throw new Error('An image needs 1 to 128 partitions');
+
+        // Layout: partitions from 1 MiB, the backup entries and header in the last MiB
+        let start = ALIGN / SECTOR;
+        const layout = partitions.map((partition, i) => {
+            const size = alignUp(partition.size || fat32Service.sizeFor(partition.files));
+            const entry = { ...partition, number: i + 1, uuid: crypto.randomUUID(), firstLba: start, lastLba: start + size / SECTOR - 1 };
+            start += size / SECTOR;
+            return entry;
+        });
+        const totalSectors = start + ALIGN / SECTOR;
+        const lastUsableLba = totalSectors - ENTRY_SECTORS - 2;
+        const diskGuid = crypto.randomUUID();
+
+        const entries = Buffer.alloc(ENTRY_COUNT * ENTRY_SIZE);
+        for (const part of layout) {
+            const offset = (part.number - 1) * ENTRY_SIZE;
+            writeGuid(entries, offset, part.typeGuid);
+            writeGuid(entries, offset + 16, part.uuid);
+            entries.writeBigUInt64LE(BigInt(part.firstLba), offset + 32);
+            entries.writeBigUInt64LE(BigInt(part.lastLba), offset + 40);
+            entries.write(part.name.slice(0, 36), offset + 56, 'utf16le');
+        }
+        const entriesCrc = zlib.crc32(entries);
+        const headers = { firstUsableLba: ENTRY_SECTORS + 2, lastUsableLba, diskGuid, entriesCrc };
+
+        const partialPath = `${imagePath}.partial`;
+        fs.mkdirSync(path.dirname(path.resolve(imagePath)), { recursive: true });
+        const fd = fs.openSync(partialPath, 'w');
+        try {
+            // Sparse: the free space of the partitions is never written
+            fs.ftruncateSync(fd, totalSectors * SECTOR);
+            fs.writeSync(fd, protectiveMbr(totalSectors), 0, SECTOR, 0);
+            fs.writeSync(fd, gptHeader({ ...headers, lba: 1, alternateLba: totalSectors - 1, entriesLba: 2 }), 0, SECTOR, SECTOR);
+            fs.writeSync(fd, entries, 0, entries.length, 2 * SECTOR);
+            fs.writeSync(fd, entries, 0, entries.length, (lastUsableLba + 1) * SECTOR);
+            fs.writeSync(fd, gptHeader({ ...headers, lba: totalSectors - 1, alternateLba: 1, entriesLba: lastUsableLba + 1 }),
+                0, SECTOR, (totalSectors - 1) * SECTOR);
+
+            for (const part of layout) {
+                const bytes = (part.lastLba - part.firstLba + 1) * SECTOR;
+                onStatus(`Writing ${part.name} partition (${Math.round(bytes / 1024 / 1024)} MB)...`);
+                await fat32Service.write(fd, part.firstLba * SECTOR, bytes, part.files, {
+                    label: part.label || part.name,
+                    hiddenSectors: part.firstLba,
+                    onProgress: onProgress ? (progress) => onProgress({ partition: part.name, ...progress }) : null,
+                });
+            }
+            fs.fsyncSync(fd);
+        } catch (err) {
+            fs.closeSync(fd);
+            fs.rmSync(partialPath, { force: true });
+            throw err;
+        }
+        fs.closeSync(fd);
+
+        // Read the table back the way mount-efi reads a stick
+        const table = gptService.read(partialPath);
+        if (table.backup || table.partitions.length !== layout.length || !gptService.findEsp(table) !== !layout.some(p => p.typeGuid === gptService.ESP_TYPE_GUID)) {
+            fs.rmSync(partialPath, { force: true });
+            throw new Error('The partition table of the new image did not read back correctly');
+        }
+        fs.renameSync(partialPath, imagePath);
+        console.log(`[DiskImage] Wrote ${imagePath} (${Math.round(totalSectors * SECTOR / 1024 / 1024)} MB, ${layout.length} partitions)`);
+
+        return {
+            imagePath,
+            size: totalSectors * SECTOR,
+            diskGuid,
+            partitions: table.partitions.map(({ number, name, typeGuid, uuid, offset, size }) => ({ number, name, typeGuid, uuid, offset, size })),
+        };
+    },
+};
+
+module.exports = DiskImageService;
@@ -0,0 +1,357 @@
+/**
+ * Disk Model Service (CommonJS)
+ *
+ * One model of the disks attached to this machine, built from the structured output of each
+ * platform's tools rather than their human-readable (and localized) text:
+ *
+ *   macOS    `diskutil list -plist`, `diskutil info -plist <disk>` and USB serials from system_profiler
+ *   Linux    `lsblk -J -b`
+ *   Windows  Get-Disk / Get-Partition / Get-Volume as JSON
+ *
+ *   disk:      { id, path, name, size (bytes), serial, busType, removable, virtual, wholeDisk,
+ *                boot, system, diskGuid, mountPoints (every volume on the disk), partitions }
+ *   partition: { id, path, number, name (GPT name), label (volume name), typeGuid, uuid, size, mountPoint }
+ *
+ * GUIDs are lower case without braces. busType is usb | sata | nvme | pcie | sd | virtual | ... .
+ * The parse* functions take the raw tool output, so recorded output parses the same as live output.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const plist = require('plist');
+const { exec } = require('child_process');
+const { promisify } = require('util');
+const gptService = require('./gptService');
+const linuxDiskService = require('./linuxDiskService');
+const execAsync = promisify(exec);
+
+const { ESP_TYPE_GUID } = gptService;
+
+// diskutil names the partition types it knows instead of printing their GPT type GUID
+const DISKUTIL_CONTENT_TYPES = {
+    'EFI': ESP_TYPE_GUID,
+    'Microsoft Basic Data': 'ebd0a0a2-b9e5-4433-87c0-68b6b72699c7',
+    'Microsoft Reserved': 'e3c9e316-0b5c-4db8-817d-f92df00215ae',
+    'Apple_APFS': '7c3457ef-0000-11aa-aa11-00306543ecac',
+    'Apple_HFS': '48465300-0000-11aa-aa11-00306543ecac',
+    'Apple_Boot': '426f6f74-0000-11aa-aa11-00306543ecac',
+    'Linux Filesystem': '0fc63daf-8483-4772-8e79-3d69d8477de4',
+    'Linux Swap': '0657fd6d-a4ab-43c4-84e5-0933c84b4f4f',
+};
+
+// Bus names as diskutil, lsblk and Get-Disk spell them -> one name
+const BUS_TYPES = {
+    'ata': 'sata',
+    'mmc': 'sd',
+    'secure digital': 'sd',
+    'pci-express': 'pcie',
+    'disk image': 'virtual',
+    'file backed virtual': 'virtual',
+};
+
+const GUID_PATTERN = /^\{?[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}\}?$/i;
+
+const normalizeGuid = (guid) => (guid ? String(guid).replace(/[{}]/g, '').toLowerCase() : null);
+const normalizeBus = (bus) => {
+    if (!bus) return null;
+    const name = String(bus).trim().toLowerCase();
+    return BUS_TYPES[name] || name;
+};
+const asArray = (value) => (value == null ? [] : Array.isArray(value) ? value : [value]);
+const trimmed = (value) => (value ? String(value).trim() || null : null);
+
+// lsblk prints flags as booleans on recent util-linux and as "0"/"1" on older releases
+const isFlagSet = (value) => value === true || value === 1 || value === '1';
+
+/**
+ * Disks from `diskutil list -plist` and `diskutil info -plist` of each whole disk ({ diskN: xml }).
+ * APFS containers are folded into the physical disk that stores them, so the volumes of a
+ * container (including the sealed system snapshot mounted at /) count as that disk's.
+ */
+function parseDiskutil(listXml, infoXml = {}) {
+    const entries = plist.parse(listXml).AllDisksAndPartitions || [];
+    const containers = entries.filter(entry => entry.APFSPhysicalStores);
+    const containerMounts = (container) => (container.APFSVolumes || []).flatMap(volume => [
+        volume.MountPoint,
+        ...(volume.MountedSnapshots || []).map(snapshot => snapshot.SnapshotMountPoint),
+    ]);
+
+    return entries.filter(entry => !entry.APFSPhysicalStores).map((entry) => {
+        const id = entry.DeviceIdentifier;
+        const info = infoXml[id] ? plist.parse(infoXml[id]) : {};
+        const partitions = (entry.Partitions || []).map((part) => {
+            const number = part.DeviceIdentifier.match(/s(\d+)$/);
+            return {
+                id: part.DeviceIdentifier,
+                path: `/dev/${part.DeviceIdentifier}`,
+                number: number ? Number(number[1]) : null,
+                name: null,
+                label: part.VolumeName || null,
+                typeGuid: GUID_PATTERN.test(part.Content || '') ? normalizeGuid(part.Content) : DISKUTIL_CONTENT_TYPES[part.Content] || null,
+                uuid: normalizeGuid(part.DiskUUID),
+                size: Number(part.Size) || 0,
+                mountPoint: part.MountPoint || null,
+            };
+        });
+
+        const slices = new Set(partitions.map(part => part.id));
+        const mountPoints = [
+            entry.MountPoint,
+            ...partitions.map(part => part.mountPoint),
+            ...containers
+                .filter(container => container.APFSPhysicalStores.some(store => slices.has(store.DeviceIdentifier)))
+                .flatMap(containerMounts),
+        ].filter(Boolean);
+        const busType = normalizeBus(info.BusProtocol);
+
+        return {
+            id,
+            path: `/dev/${id}`,
+            name: trimmed(info.MediaName || info.IORegistryEntryName),
+            size: Number(info.Size || info.TotalSize || entry.Size) || 0,
+            serial: null,
+            busType,
+            removable: !!(info.RemovableMediaOrExternalDevice || info.RemovableMedia) || info.Internal === false,
+            virtual: info.VirtualOrPhysical === 'Virtual' || busType === 'virtual',
+            wholeDisk: true,
+            boot: mountPoints.includes('/'),
+            system: false,
+            diskGuid: null,
+            mountPoints,
+            partitions,
+        };
+    });
+}
+
+/**
+ * USB serial numbers by BSD name ({ disk4: 'AA00000000001234' }) from `system_profiler SPUSBDataType -json`
+ */
+function parseUsbSerials(json) {
+    const serials = {};
+    const walk = (items) => {
+        for (const item of items || []) {
+            for (const media of item.Media || []) {
+                if (media.bsd_name && item.serial_num) serials[media.bsd_name] = item.serial_num;
+            }
+            walk(item._items);
+        }
+    };
+    walk(JSON.parse(json).SPUSBDataType);
+    return serials;
+}
+
+/**
+ * Disks from `lsblk -J -b -o <linuxDiskService.LSBLK_COLUMNS>`
+ */
+function parseLsblk(json) {
+    const devices = JSON.parse(json).blockdevices || [];
+
+    return devices.filter(device => device.type === 'disk').map((device) => {
+        // Mount points anywhere below the disk (partitions, LUKS, LVM)
+        const mountPoints = [];
+        const walk = (node) => {
+            if (node.mountpoint) mountPoints.push(node.mountpoint);
+            (node.children || []).forEach(walk);
+        };
+        walk(device);
+
+        const partitions = (device.children || []).filter(child => child.type === 'part').map((part) => {
+            const number = part.name.match(/(\d+)$/);
+            return {
+                id: part.name,
+                path: part.path || `/dev/${part.name}`,
+                number: number ? Number(number[1]) : null,
+                name: part.partlabel || null,
+                label: part.label || null,
+                typeGuid: normalizeGuid(part.parttype),
+                uuid: normalizeGuid(part.partuuid),
+                size: Number(part.size) || 0,
+                mountPoint: part.mountpoint || null,
+            };
+        });
+
+        return {
+            id: device.name,
+            path: device.path || `/dev/${device.name}`,
+            name: trimmed(device.model),
+            size: Number(device.size) || 0,
+            serial: trimmed(device.serial),
+            busType: normalizeBus(device.tran),
+            removable: isFlagSet(device.rm) || isFlagSet(device.hotplug) || device.tran === 'usb',
+            virtual: false,
+            wholeDisk: true,
+            boot: mountPoints.includes('/'),
+            system: false,
+            diskGuid: normalizeGuid(device.ptuuid),
+            mountPoints,
+            partitions,
+        };
+    });
+}
+
+// Every disk with its partitions and their volumes, in one PowerShell call
+const POWERSHELL_DISKS = 'Get-Disk | ForEach-Object { $d = $_; [pscustomobject]@{ '
+    + 'Number = $d.Number; FriendlyName = $d.FriendlyName; SerialNumber = $d.SerialNumber; Size = $d.Size; '
+    + 'BusType = [string]$d.BusType; IsBoot = $d.IsBoot; IsSystem = $d.IsSystem; Guid = $d.Guid; '
+    + 'Partitions = @(Get-Partition -DiskNumber $d.Number -ErrorAction SilentlyContinue | ForEach-Object { '
+    + '[pscustomobject]@{ PartitionNumber = $_.PartitionNumber; Guid = $_.Guid; GptType = $_.GptType; Size = $_.Size; '
+    + 'DriveLetter = [string]$_.DriveLetter; Label = ($_ | Get-Volume -ErrorAction SilentlyContinue).FileSystemLabel } }) } } '
+    + '| ConvertTo-Json -Compress -Depth 4';
+
+/**
+ * Disks from the POWERSHELL_DISKS JSON (an object instead of an array when there is one disk)
+ */
+function parsePowerShell(json) {
+    if (!json || !json.trim()) return [];
+
+    return asArray(JSON.parse(json)).filter(Boolean).map((disk) => {
+        const id = `PHYSICALDRIVE${disk.Number}`;
+        const partitions = asArray(disk.Partitions).map((part) => {
+            // DriveLetter is a [char]; "\u0000" when the partition has none
+            const letter = /^[a-z]$/i.test(part.DriveLetter || '') ? `${part.DriveLetter.toUpperCase()}:` : null;
+            return {
+                id: `${id}-${part.PartitionNumber}`,
+                path: null,
+                number: part.PartitionNumber,
+                name: null,
+                label: part.Label || null,
+                typeGuid: normalizeGuid(part.GptType),
+                uuid: normalizeGuid(part.Guid),
+                size: Number(part.Size) || 0,
+                mountPoint: letter,
+            };
+        });
+        const busType = normalizeBus(disk.BusType);
+
+        return {
+            id,
+            path: `\\\\.\\${id}`,
+            name: trimmed(disk.FriendlyName),
+            size: Number(disk.Size) || 0,
+            serial: trimmed(disk.SerialNumber),
+            busType,
+            removable: ['usb', 'sd'].includes(busType),
+            virtual: busType === 'virtual',
+            wholeDisk: true,
+            boot: !!disk.IsBoot,
+            system: !!disk.IsSystem,
+            diskGuid: normalizeGuid(disk.Guid),
+            mountPoints: partitions.map(part => part.mountPoint).filter(Boolean),
+            partitions,
+        };
+    });
+}
+
+async function listDarwin() {
+    const { stdout: listXml } = await execAsync('diskutil list -plist');
+    const infoXml = {};
+    for (const id of plist.parse(listXml).WholeDisks || []) {
+        try {
+            infoXml[id] = (await execAsync(`diskutil info -plist ${id}`)).stdout;
+        } catch {
+            // ejected between the list and the info
+        }
+    }
+
+    const disks = parseDiskutil(listXml, infoXml);
+    if (disks.some(disk => disk.busType === 'usb')) {
+        try {
+            const { stdout } = await execAsync('system_profiler SPUSBDataType -json', { timeout: 15000, maxBuffer: 16 * 1024 * 1024 });
+            const serials = parseUsbSerials(stdout);
+            for (const disk of disks) disk.serial = serials[disk.id] || null;
+        } catch (e) {
+            console.warn(`[Disks] Could not read USB serial numbers: ${e.message}`);
+        }
+    }
+    return disks;
+}
+
+async function listLinux() {
+    const { stdout } = await execAsync(`lsblk -J -b -o ${linuxDiskService.LSBLK_COLUMNS}`);
+    return parseLsblk(stdout);
+}
+
+async function listWindows() {
+    const { stdout } = await execAsync(`powershell -NoProfile -Command "${POWERSHELL_DISKS}"`, { maxBuffer: 16 * 1024 * 1024 });
+    return parsePowerShell(stdout);
+}
+
+/**
+ * The id a device path refers to: disk4s1 for /dev/rdisk4s1, sdb for a /dev/disk/by-id link,
+ * PHYSICALDRIVE2 for \\.\PHYSICALDRIVE2
+ */
+function idOf(devicePath) {
+    const target = String(devicePath).replace(/[\\/]+$/, '');
+    if (process.platform === 'win32') {
+        const match = target.match(/PHYSICALDRIVE(\d+)/i);
+        return match ? `PHYSICALDRIVE${match[1]}` : target;
+    }
+    if (process.platform === 'linux') {
+        try {
+            return path.basename(fs.realpathSync(target));
+        } catch {
+            return path.basename(target);
+        }
+    }
+    return target.replace(/^\/dev\/r?/, '');
+}
+
+const DiskModelService = {
+    ESP_TYPE_GUID,
+
+    parseDiskutil,
+    parseUsbSerials,
+    parseLsblk,
+    parsePowerShell,
+    normalizeGuid,
+
+    /**
+     * Every disk attached to this machine, internal ones included
+     */
+    async list() {
+        if (process.platform === 'darwin') return listDarwin();
+        if (process.platform === 'linux') return listLinux();
+        if (process.platform === 'win32') return listWindows();
+        throw new Error(`Disk enumeration is not supported on ${process.platform}`);
+    },
+
+    /**
+     * The disk a device path belongs to, and the partition when the path is one:
+     * { disk, partition | null }. Throws when nothing is attached at that path.
+     */
+    async find(devicePath, disks = null) {
+        const id = idOf(devicePath);
+        for (const disk of disks || await this.list()) {
+            if (disk.id === id) return { disk, partition: null };
+            const partition = disk.partitions.find(part => part.id === id);
+            if (partition) return { disk, partition };
+        }
+        throw new Error(`Disk ${devicePath} not found`);
+    },
+
+    /**
+     * The EFI System Partition of a disk, by its GPT type GUID: read from the partition table
+     * itself when the device is readable (as root / Administrator), else as the OS reports it.
+     * Null when the disk has none.
+     */
+    async efiPartition(disk) {
+        let table = null;
+        try {
+            // The raw node on macOS (/dev/rdiskN) reads unbuffered, much faster than /dev/diskN
+            table = gptService.read(process.platform === 'darwin' ? `/dev/r${disk.id}` : disk.path);
+        } catch {
+            // no read access without privileges, or not a GPT disk
+        }
+
+        if (table) {
+            const esp = gptService.findEsp(table);
+            if (!esp) return null;
+            return disk.partitions.find(part => part.uuid === esp.uuid)
+                || disk.partitions.find(part => part.number === esp.number)
+                || null;
+        }
+        return disk.partitions.find(part => part.typeGuid === ESP_TYPE_GUID) || null;
+    },
+};
+
+module.exports = DiskModelService;
@@ -8,8 +8,51 @@ const fs = require('fs');
 const path = require('path');
 const https = require('https');
 const http = require('http');
-const { EventEmitter } = require('events');
-const { createWriteStream } = require('fs');
+const { EventEmitter, once } = require('events');
+const assetBundleService = require('./assetBundleService');
+
+const DEFAULT_RETRIES = 4;
+const RETRY_BASE_DELAY_MS = 1000;
+const RETRY_MAX_DELAY_MS = 30 * 1000;
+// A connection that delivers nothing for this long is treated as dropped
+const STALL_TIMEOUT_MS = 60 * 1000;
+const MAX_REDIRECTS = 10;
+
+const retryableError = (message) => Object.assign(new Error(message), { retryable: true });
+const fatalError = (message) => Object.assign(new Error(message), { retryable: false });
+// A cancel is recognised by its code, never by the message text
+const CANCELLED = 'ECANCELLED';
+const cancelledError = (id) => Object.assign(new Error(`Download "${id}" cancelled`), { code: CANCELLED, cancelled: true, retryable: false });
+
+/**
+ * Wait for ms, rejecting early when the signal aborts
+ */
+function sleep(ms, signal, id) {
+    return new Promise((resolve, reject) => {
+        if (signal.aborted) return reject(cancelledError(id));
+        const timer = setTimeout(resolve, ms);
+        signal.addEventListener('abort', () => {
+            clearTimeout(timer);
+            reject(cancelledError(id));
+        }, { once: true });
+    });
+}
+
+/**
+ * Iterate a WHATWG ReadableStream (Electron net fetch) chunk by chunk
+ */
+async function* readWebStream(stream) {
+    const reader = stream.getReader();
+    try {
+        while (true) {
+            const { done, value } = await reader.read();
+            if (done) return;
+            yield value;
+        }
+    } finally {
+        reader.releaseLock();
+    }
+}
 
 class DownloadService extends EventEmitter {
     constructor() {
@@ -18,10 +61,38 @@ class DownloadService extends EventEmitter {
     }
 
     /**
-     * Download a file with progress tracking
+     * Download a file with progress tracking.
+     *
+     * Data is written to `<destPath>.part` and renamed when complete, so an
+     * interrupted download resumes with an HTTP Range request on the next call
+     * (or the next retry). Failed attempts are retried with exponential backoff.
+     *
+     * Options:
+     *   id          key for cancel(id) and progress events (generated if omitted)
+     *   headers     extra request headers
+     *   transport   'node' (http/https) or 'net' (Electron session fetch, browser-like)
+     *   retries     retry attempts after the first failure
+     *   bundleKey   asset bundle key to serve the file from (besides `url:<url>`)
      */
     async download(options) {
-        const { id, url, destPath, onProgress } = options;
+        const {
+            id = `dl_${Date.now()}`,
+            url,
+            destPath,
+            onProgress,
+            headers = {},
+            transport = 'node',
+            retries = DEFAULT_RETRIES,
+            bundleKey = null,
+        } = options;
+
+        // Offline asset bundle first
+        const report = onProgress ? (p) => onProgress({ id, speed: 0, ...p }) : null;
+        if (await assetBundleService.copyTo([bundleKey, `url:${url}`], destPath, report)) return destPath;
+
+        if (this.activeDownloads.has(id)) {
+            throw new Error(`Download "${id}" is already running`);
+        }
 
         // Ensure destination directory exists
         const destDir = path.dirname(destPath);
@@ -29,95 +100,196 @@ class DownloadService extends EventEmitter {
             fs.mkdirSync(destDir, { recursive: true });
         }
 
+        const partPath = `${destPath}.part`;
+        const controller = new AbortController();
+        this.activeDownloads.set(id, controller);
+
+        try {
+            for (let attempt = 0; ; attempt++) {
+                try {
+                    await this.fetchToPart({ id, url, partPath, headers, transport, onProgress, signal: controller.signal });
+                    break;
+                } catch (err) {
+                    if (controller.signal.aborted) throw cancelledError(id);
+                    if (err.retryable === false || attempt >= retries) throw err;
+
+                    const delay = Math.min(RETRY_BASE_DELAY_MS * 2 ** attempt, RETRY_MAX_DELAY_MS);
+                    console.warn(`[Download] ${id}: ${err.message}. Retrying in ${delay / 1000}s (${attempt + 1}/${retries})...`);
+                    await sleep(delay, controller.signal, id);
+                }
+            }
+
+            fs.renameSync(partPath, destPath);
+            return destPath;
+        } finally {
+            if (this.activeDownloads.get(id) === controller) this.activeDownloads.delete(id);
+        }
+    }
+
+    /**
+     * One attempt: continue <destPath>.part from its current size
+     */
+    async fetchToPart({ id, url, partPath, headers, transport, onProgress, signal }) {
+        const offset = fs.existsSync(partPath) ? fs.statSync(partPath).size : 0;
+        const requestHeaders = { 'User-Agent': 'SurfaceMac Wizard', ...headers };
+        if (offset > 0) {
+            requestHeaders['Range'] = `bytes=${offset}-`;
+            console.log(`[Download] ${id}: resuming at ${offset} bytes`);
+        }
+
+        const response = transport === 'net'
+            ? await this.openNet(url, requestHeaders, signal)
+            : await this.openHttp(url, requestHeaders, signal);
+
+        let startAt = 0;
+        if (response.status === 206) {
+            // Content-Range: bytes <start>-<end>/<total>
+            const range = /bytes (\d+)-/.exec(response.header('content-range') || '');
+            if (!range || parseInt(range[1], 10) !== offset) {
+                response.discard();
+                fs.rmSync(partPath, { force: true });
+                throw retryableError('Server returned an unexpected range, restarting');
+            }
+            startAt = offset;
+        } else if (response.status === 416 && offset > 0) {
+            // The .part already holds the whole file, or it no longer matches the remote one
+            response.discard();
+            const total = /\/(\d+)$/.exec(response.header('content-range') || '');
+            if (total && parseInt(total[1], 10) === offset) return;
+            fs.rmSync(partPath, { force: true });
+            throw retryableError('Partial file does not match the server, restarting');
+        } else if (response.status !== 200) {
+            response.discard();
+            const message = `Download failed: HTTP ${response.status}`;
+            throw (response.status >= 500 || response.status === 429) ? retryableError(message) : fatalError(message);
+        }
+        // A 200 answer to a Range request means the server ignored it: start over
+
+        const totalSize = startAt + parseInt(response.header('content-length') || '0', 10);
+        const hasTotal = totalSize > startAt;
+        let downloadedSize = startAt;
+        let lastTime = Date.now();
+        let lastDownloaded = downloadedSize;
+
+        const report = (speed) => {
+            const progress = {
+                id,
+                percent: hasTotal ? (downloadedSize / totalSize) * 100 : 0,
+                downloaded: downloadedSize,
+                total: hasTotal ? totalSize : 0,
+                speed,
+            };
+            if (onProgress) onProgress(progress);
+            this.emit('progress', progress);
+        };
+
+        const fileStream = fs.createWriteStream(partPath, { flags: startAt > 0 ? 'a' : 'w' });
+        let writeError = null;
+        fileStream.on('error', (err) => { writeError = err; });
+        try {
+            for await (const chunk of response.body) {
+                if (!fileStream.write(chunk)) await once(fileStream, 'drain');
+                downloadedSize += chunk.length;
+
+                // Calculate speed, update every 500ms
+                const now = Date.now();
+                const timeDiff = (now - lastTime) / 1000;
+                if (timeDiff >= 0.5) {
+                    report((downloadedSize - lastDownloaded) / timeDiff);
+                    lastTime = now;
+                    lastDownloaded = downloadedSize;
+                }
+            }
+        } catch (err) {
+            if (signal.aborted) throw cancelledError(id);
+            if (writeError) throw fatalError(`Cannot write ${partPath}: ${writeError.message}`);
+            throw retryableError(`Connection lost after ${downloadedSize} bytes (${err.message})`);
+        } finally {
+            // Flush what we have so the next attempt resumes from the right offset
+            if (!fileStream.closed) {
+                fileStream.end();
+                await once(fileStream, 'close');
+            }
+        }
+        if (writeError) throw fatalError(`Cannot write ${partPath}: ${writeError.message}`);
+
+        if (hasTotal && downloadedSize < totalSize) {
+            throw retryableError(`Connection closed early (${downloadedSize}/${totalSize} bytes)`);
+        }
+        report(0);
+    }
+
+    /**
+     * GET with Node http/https, following redirects
+     */
+    openHttp(url, headers, signal, redirects = 0) {
         return new Promise((resolve, reject) => {
             const protocol = url.startsWith('https') ? https : http;
 
-            const request = protocol.get(url, {
-                headers: { 'User-Agent': 'SurfaceMac Wizard' }
-            }, (response) => {
+            const request = protocol.get(url, { headers, signal }, (response) => {
                 // Handle redirects
-                if (response.statusCode === 301 || response.statusCode === 302) {
-                    const redirectUrl = response.headers.location;
-                    if (redirectUrl) {
-                        this.download({ ...options, url: redirectUrl })
-                            .then(resolve)
-                            .catch(reject);
+                if ([301, 302, 303, 307, 308].includes(response.statusCode) && response.headers.location) {
+                    response.resume();
+                    if (redirects >= MAX_REDIRECTS) {
+                        reject(fatalError('Too many redirects'));
                         return;
                     }
-                }
-
-                if (response.statusCode !== 200) {
-                    reject(new Error(`Download failed: HTTP ${response.statusCode}`));
+                    const redirectUrl = new URL(response.headers.location, url).toString();
+                    resolve(this.openHttp(redirectUrl, headers, signal, redirects + 1));
                     return;
                 }
 
-                const totalSize = parseInt(response.headers['content-length'] || '0', 10);
-                let downloadedSize = 0;
-                let lastTime = Date.now();
-                let lastDownloaded = 0;
-
-                const fileStream = createWriteStream(destPath);
-
-                response.on('data', (chunk) => {
-                    downloadedSize += chunk.length;
-
-                    // Calculate speed
-                    const now = Date.now();
-                    const timeDiff = (now - lastTime) / 1000;
-                    const speed = timeDiff > 0 ? (downloadedSize - lastDownloaded) / timeDiff : 0;
-
-                    if (timeDiff >= 0.5) { // Update every 500ms
-                        lastTime = now;
-                        lastDownloaded = downloadedSize;
-
-                        const progress = {
-                            id,
-                            percent: totalSize > 0 ? (downloadedSize / totalSize) * 100 : 0,
-                            downloaded: downloadedSize,
-                            total: totalSize,
-                            speed,
-                        };
-
-                        if (onProgress) {
-                            onProgress(progress);
-                        }
-                        this.emit('progress', progress);
-                    }
+                resolve({
+                    status: response.statusCode,
+                    header: (name) => response.headers[name.toLowerCase()],
+                    body: response,
+                    discard: () => response.resume(),
                 });
+            });
 
-                response.pipe(fileStream);
+            request.setTimeout(STALL_TIMEOUT_MS, () => {
+                request.destroy(new Error(`No data for ${STALL_TIMEOUT_MS / 1000}s`));
+            });
+            request.on('error', (err) => reject(retryableError(err.message)));
+        });
+    }
 
-                fileStream.on('finish', () => {
-                    fileStream.close();
-                    this.activeDownloads.delete(id);
-                    resolve(destPath);
-                });
+    /**
+     * GET with Electron's session fetch (browser-like behaviour, follows redirects)
+     */
+    async openNet(url, headers, signal) {
+        const { session } = require('electron');
 
-                fileStream.on('error', (err) => {
-                    fs.unlink(destPath, () => { }); // Clean up partial file
-                    reject(err);
-                });
-            });
+        let response;
+        try {
+            response = await session.defaultSession.fetch(url, { method: 'GET', headers, redirect: 'follow', signal });
+        } catch (err) {
+            throw retryableError(err.message);
+        }
 
-            request.on('error', (err) => {
-                reject(err);
-            });
+        return {
+            status: response.status,
+            header: (name) => response.headers.get(name),
+            body: response.body ? readWebStream(response.body) : [],
+            discard: () => { if (response.body) response.body.cancel().catch(() => { }); },
+        };
+    }
 
-            // Store abort controller logic (AbortController might need Node 16+)
-            if (global.AbortController) {
-                const controller = new AbortController();
-                this.activeDownloads.set(id, controller);
-            }
-        });
+    /**
+     * Whether an error is a download stopped by cancel() (code ECANCELLED)
+     */
+    isCancelled(err) {
+        return !!err && err.code === CANCELLED;
     }
 
     /**
-     * Cancel a download
+     * Cancel a running download. The .part file is kept so it can be resumed.
+     * The download rejects with an error whose code is ECANCELLED.
      */
     cancel(id) {
         const controller = this.activeDownloads.get(id);
         if (controller) {
-            if (controller.abort) controller.abort();
+            controller.abort();
             this.activeDownloads.delete(id);
             return true;
         }
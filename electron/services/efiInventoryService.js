@@ -0,0 +1,526 @@
+/**
+ * EFI Inventory Service (CommonJS)
+ *
+ * Lists the kexts and drivers of an EFI/OC folder with their versions,
+ * compares them against the latest upstream releases and updates single
+ * components in place, keeping config.plist Kernel.Add in sync.
+ *
+ * Sources:
+ *   release   a GitHub release asset (acidanthera, OpenIntelWireless)
+ *   file      a file tracked in a repository without releases (OcBinaryData),
+ *             versioned by its git blob SHA
+ *   opencore  built with OpenCore; updated by the OpenCore upgrade, not alone
+ */
+
+const fs = require('fs');
+const path = require('path');
+const https = require('https');
+const crypto = require('crypto');
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+const plistPatchService = require('./plistPatchService');
+const configValidatorService = require('./configValidatorService');
+const downloadService = require('./downloadService');
+const cacheService = require('./cacheService');
+
+const execFileAsync = promisify(execFile);
+
+const GITHUB_API = 'https://api.github.com';
+// Unauthenticated API calls are limited to 60 per hour, so reuse answers for a while
+const CACHE_TTL_MS = 10 * 60 * 1000;
+
+const RELEASE_ZIP = /-RELEASE\.zip$/;
+
+// Kexts by bundle name. `bundle` is the name inside the release archive when it differs.
+const KEXT_SOURCES = {
+    'Lilu.kext': { repo: 'acidanthera/Lilu', asset: RELEASE_ZIP },
+    'VirtualSMC.kext': { repo: 'acidanthera/VirtualSMC', asset: RELEASE_ZIP },
+    'SMCProcessor.kext': { repo: 'acidanthera/VirtualSMC', asset: RELEASE_ZIP },
+    'SMCSuperIO.kext': { repo: 'acidanthera/VirtualSMC', asset: RELEASE_ZIP },
+    'SMCBatteryManager.kext': { repo: 'acidanthera/VirtualSMC', asset: RELEASE_ZIP },
+    'SMCLightSensor.kext': { repo: 'acidanthera/VirtualSMC', asset: RELEASE_ZIP },
+    'AppleALC.kext': { repo: 'acidanthera/AppleALC', asset: RELEASE_ZIP },
+    'WhateverGreen.kext': { repo: 'acidanthera/WhateverGreen', asset: RELEASE_ZIP },
+    'NVMeFix.kext': { repo: 'acidanthera/NVMeFix', asset: RELEASE_ZIP },
+    'RestrictEvents.kext': { repo: 'acidanthera/RestrictEvents', asset: RELEASE_ZIP },
+    'CPUFriend.kext': { repo: 'acidanthera/CPUFriend', asset: RELEASE_ZIP },
+    'VoodooInput.kext': { repo: 'acidanthera/VoodooInput', asset: RELEASE_ZIP },
+    'VoodooPS2Controller.kext': { repo: 'acidanthera/VoodooPS2', asset: RELEASE_ZIP },
+    'BlueToolFixup.kext': { repo: 'acidanthera/BrcmPatchRAM', asset: RELEASE_ZIP },
+    'IntelBluetoothFirmware.kext': { repo: 'OpenIntelWireless/IntelBluetoothFirmware', asset: /IntelBluetoothFirmware-.*\.zip$/ },
+    'IntelBTPatcher.kext': { repo: 'OpenIntelWireless/IntelBluetoothFirmware', asset: /IntelBluetoothFirmware-.*\.zip$/ },
+    'itlwm.kext': { repo: 'OpenIntelWireless/itlwm', asset: /^itlwm_.*_stable\.kext\.zip$/ },
+};
+
+// AirportItlwm ships one build per macOS version; EFIs keep them side by side as AirportItlwm-<Variant>.kext
+const AIRPORTITLWM_ASSETS = {
+    Catalina: 'Catalina',
+    BigSur: 'BigSur',
+    Monterey: 'Monterey',
+    Ventura: 'Ventura',
+    Sonoma: 'Sonoma(14\\.0)?',
+    Sonoma144: 'Sonoma14\\.4',
+    Sequoia: 'Sequoia',
+};
+const AIRPORTITLWM_BY_MACOS = { monterey: 'Monterey', ventura: 'Ventura', sonoma: 'Sonoma144', sequoia: 'Sequoia' };
+
+const OC_BINARY_DATA_DRIVERS = ['HfsPlus.efi', 'HfsPlusLegacy.efi', 'HfsPlus32.efi', 'ExFatDxe.efi', 'ExFatDxeLegacy.efi'];
+
+// Drivers shipped in OpenCorePkg's X64/EFI/OC/Drivers
+const OPENCORE_DRIVERS = [
+    'ArpDxe.efi', 'AudioDxe.efi', 'BiosVideo.efi', 'CrScreenshotDxe.efi', 'Dhcp4Dxe.efi', 'DnsDxe.efi',
+    'DpcDxe.efi', 'Ext4Dxe.efi', 'FirmwareSettingsEntry.efi', 'Hash2DxeCrypto.efi', 'HiiDatabase.efi',
+    'HttpBootDxe.efi', 'HttpDxe.efi', 'HttpUtilitiesDxe.efi', 'Ip4Dxe.efi', 'MnpDxe.efi', 'NvmExpressDxe.efi',
+    'OpenCanopy.efi', 'OpenHfsPlus.efi', 'OpenLegacyBoot.efi', 'OpenLinuxBoot.efi', 'OpenNetworkBoot.efi',
+    'OpenNtfsDxe.efi', 'OpenPartitionDxe.efi', 'OpenRuntime.efi', 'OpenUsbKbDxe.efi', 'OpenVariableRuntimeDxe.efi',
+    'Ps2KeyboardDxe.efi', 'Ps2MouseDxe.efi', 'ResetNvramEntry.efi', 'SnpDxe.efi', 'TcpDxe.efi', 'ToggleSipEntry.efi',
+    'Udp4Dxe.efi', 'UsbMouseDxe.efi', 'XhciDxe.efi',
+];
+
+const responseCache = new Map();
+
+/**
+ * GET a GitHub API URL as JSON (GITHUB_TOKEN raises the rate limit when set)
+ */
+function fetchGitHub(apiPath) {
+    const cached = responseCache.get(apiPath);
+    if (cached && Date.now() - cached.at < CACHE_TTL_MS) return cached.promise;
+
+    const headers = { 'User-Agent': 'SurfaceMac Wizard', 'Accept': 'application/vnd.github+json' };
+    if (process.env.GITHUB_TOKEN) headers['Authorization'] = `Bearer ${process.env.GITHUB_TOKEN}`;
+
+    const promise = new Promise((resolve, reject) => {
+        https.get(`${GITHUB_API}${apiPath}`, { headers }, (res) => {
+            let data = '';
+            res.on('data', (chunk) => { data += chunk; });
+            res.on('end', () => {
+                if (res.statusCode !== 200) {
+                    const limited = res.statusCode === 403 && res.headers['x-ratelimit-remaining'] === '0';
+                    reject(new Error(limited ? 'GitHub API rate limit reached, try again later' : `GitHub API ${apiPath}: HTTP ${res.statusCode}`));
+                    return;
+                }
+                try {
+                    resolve(JSON.parse(data));
+                } catch {
+                    reject(new Error(`GitHub API ${apiPath}: invalid JSON`));
+                }
+            });
+            res.on('error', reject);
+        }).on('error', reject);
+    });
+
+    responseCache.set(apiPath, { at: Date.now(), promise });
+    promise.catch(() => responseCache.delete(apiPath));
+    return promise;
+}
+
+// "v2.3.0" / "1.6.7" -> [2, 3, 0]; null when there is no version number
+function parseVersion(value) {
+    const match = String(value || '').match(/(\d+(?:\.\d+)*)/);
+    return match ? match[1].split('.').map(Number) : null;
+}
+
+function compareVersions(a, b) {
+    for (let i = 0; i < Math.max(a.length, b.length); i++) {
+        if ((a[i] || 0) !== (b[i] || 0)) return (a[i] || 0) - (b[i] || 0);
+    }
+    return 0;
+}
+
+// Git's blob SHA-1, what the contents API reports for a file
+function gitBlobSha(filePath) {
+    const content = fs.readFileSync(filePath);
+    return crypto.createHash('sha1').update(`blob ${content.length}\0`).update(content).digest('hex');
+}
+
+function readBundleInfo(bundlePath) {
+    const infoPath = path.join(bundlePath, 'Contents', 'Info.plist');
+    if (!fs.existsSync(infoPath)) return null;
+    try {
+        return plistPatchService.parse(fs.readFileSync(infoPath, 'utf8'));
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Find a directory or file by name in an extracted archive, preferring
+ * release builds and the shortest path (skips __MACOSX and Debug folders)
+ */
+function findInTree(root, name, predicate = () => true) {
+    const matches = [];
+    const walk = (dir) => {
+        for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+            if (entry.name.startsWith('.') || entry.name === '__MACOSX') continue;
+            const fullPath = path.join(dir, entry.name);
+            if (entry.name === name && predicate(fullPath)) {
+                matches.push(fullPath);
+            } else if (entry.isDirectory() && !entry.name.endsWith('.kext') && !/debug/i.test(entry.name)) {
+                walk(fullPath);
+            }
+        }
+    };
+    walk(root);
+    return matches.sort((a, b) => a.split(path.sep).length - b.split(path.sep).length)[0] || null;
+}
+
+async function extractArchive(archivePath, destDir) {
+    fs.mkdirSync(destDir, { recursive: true });
+    if (process.platform === 'win32') {
+        // bsdtar ships with Windows 10+ and reads zip
+        await execFileAsync('tar', ['-xf', archivePath, '-C', destDir]);
+    } else {
+        await execFileAsync('unzip', ['-q', '-o', archivePath, '-d', destDir]);
+    }
+}
+
+/**
+ * Copy `source` over `target` without leaving a half-copied component behind:
+ * the new copy is completed next to the old one before the old one is removed.
+ */
+function replacePath(source, target) {
+    const staged = `${target}.new`;
+    fs.rmSync(staged, { recursive: true, force: true });
+    fs.cpSync(source, staged, { recursive: true });
+    fs.rmSync(target, { recursive: true, force: true });
+    fs.renameSync(staged, target);
+}
+
+/**
+ * Bundle paths of the kexts in Contents/PlugIns of a kext, nested plug-ins included
+ * ("VirtualSMC.kext/Contents/PlugIns/SMCBatteryManager.kext")
+ */
+function plugInsOf(kextsDir, bundlePath) {
+    const plugInsDir = path.join(kextsDir, bundlePath, 'Contents', 'PlugIns');
+    if (!fs.existsSync(plugInsDir)) return [];
+    return fs.readdirSync(plugInsDir)
+        .filter(name => name.toLowerCase().endsWith('.kext') && readBundleInfo(path.join(plugInsDir, name)))
+        .sort()
+        .flatMap(name => {
+            const plugIn = `${bundlePath}/Contents/PlugIns/${name}`;
+            return [plugIn, ...plugInsOf(kextsDir, plugIn)];
+        });
+}
+
+const EfiInventoryService = {
+    /**
+     * The OC folder of an EFI root (partition root, EFI folder or OC folder), null if not found
+     */
+    resolveOcPath(efiRoot) {
+        const candidates = [path.join(efiRoot, 'EFI', 'OC'), path.join(efiRoot, 'OC'), efiRoot];
+        return candidates.find(p => fs.existsSync(path.join(p, 'config.plist')) || fs.existsSync(path.join(p, 'OpenCore.efi'))) || null;
+    },
+
+    /**
+     * Where a component comes from: { type, repo, asset?, bundle?, file? } or null when untracked
+     */
+    getSource(name, kind, macosVersion = 'sonoma') {
+        if (kind === 'kext') {
+            const airport = /^AirportItlwm(?:-(\w+))?\.kext$/.exec(name);
+            if (airport) {
+                const variant = airport[1] || AIRPORTITLWM_BY_MACOS[macosVersion];
+                if (!AIRPORTITLWM_ASSETS[variant]) return null;
+                return {
+                    type: 'release',
+                    repo: 'OpenIntelWireless/itlwm',
+                    asset: new RegExp(`^AirportItlwm_.*_stable_${AIRPORTITLWM_ASSETS[variant]}\\.kext\\.zip$`, 'i'),
+                    bundle: 'AirportItlwm.kext',
+                };
+            }
+            return KEXT_SOURCES[name] ? { type: 'release', ...KEXT_SOURCES[name], bundle: name } : null;
+        }
+
+        if (OC_BINARY_DATA_DRIVERS.includes(name)) {
+            return { type: 'file', repo: 'acidanthera/OcBinaryData', file: `Drivers/${name}` };
+        }
+        if (OPENCORE_DRIVERS.includes(name)) {
+            return { type: 'opencore', repo: 'acidanthera/OpenCorePkg' };
+        }
+        return null;
+    },
+
+    /**
+     * Kexts and drivers on the EFI with their local version and config.plist state.
+     * Returns { ocPath, ocVersion, components: [{ name, kind, path, version, bundleId, inConfig, enabled, source }] }
+     */
+    list(efiRoot, { macosVersion = 'sonoma' } = {}) {
+        const ocPath = this.resolveOcPath(efiRoot);
+        if (!ocPath) throw new Error(`No OpenCore folder found in ${efiRoot}`);
+
+        const ocVersion = configValidatorService.detectOpenCoreVersion(ocPath);
+        const configPath = path.join(ocPath, 'config.plist');
+        let config = {};
+        if (fs.existsSync(configPath)) {
+            try {
+                config = plistPatchService.parse(fs.readFileSync(configPath, 'utf8'));
+            } catch (e) {
+                console.warn(`[Inventory] Could not parse ${configPath}: ${e.message}`);
+            }
+        }
+        const kernelAdd = (config.Kernel && Array.isArray(config.Kernel.Add)) ? config.Kernel.Add : [];
+        const uefiDrivers = (config.UEFI && Array.isArray(config.UEFI.Drivers)) ? config.UEFI.Drivers : [];
+
+        const listDir = (dir, extension) => (fs.existsSync(dir)
+            ? fs.readdirSync(dir).filter(n => n.toLowerCase().endsWith(extension) && !n.startsWith('.')).sort()
+            : []);
+
+        const components = [];
+
+        for (const name of listDir(path.join(ocPath, 'Kexts'), '.kext')) {
+            const info = readBundleInfo(path.join(ocPath, 'Kexts', name)) || {};
+            const entries = kernelAdd.filter(e => e && e.BundlePath === name);
+            components.push({
+                name,
+                kind: 'kext',
+                path: `Kexts/${name}`,
+                version: info.CFBundleVersion || info.CFBundleShortVersionString || null,
+                bundleId: info.CFBundleIdentifier || null,
+                inConfig: entries.length > 0,
+                enabled: entries.some(e => e.Enabled === true),
+                source: this.getSource(name, 'kext', macosVersion),
+            });
+        }
+
+        for (const name of listDir(path.join(ocPath, 'Drivers'), '.efi')) {
+            const source = this.getSource(name, 'driver', macosVersion);
+            const entries = uefiDrivers.filter(e => e && (e.Path === name || e === name));
+            let version = null;
+            if (source && source.type === 'opencore') version = ocVersion;
+            if (source && source.type === 'file') version = gitBlobSha(path.join(ocPath, 'Drivers', name)).slice(0, 7);
+            components.push({
+                name,
+                kind: 'driver',
+                path: `Drivers/${name}`,
+                version,
+                bundleId: null,
+                inConfig: entries.length > 0,
+                enabled: entries.some(e => e === name || e.Enabled === true),
+                source,
+            });
+        }
+
+        return { ocPath, ocVersion, components };
+    },
+
+    /**
+     * GET a GitHub API path (e.g. /repos/owner/name/releases) as JSON, cached for a few minutes
+     */
+    fetchGitHub(apiPath) {
+        return fetchGitHub(apiPath);
+    },
+
+    /**
+     * Download an asset through the download cache and extract it next to the cached file.
+     * key: cache key when the URL does not pin the content (default `url:<url>`);
+     * maxAge (ms): download again when the cached copy is older.
+     * Returns { archivePath, extractDir } (extractDir is null with extract: false)
+     */
+    async fetchAsset(url, assetName, { key = `url:${url}`, maxAge = null, extract = true, onStatus = () => {} } = {}) {
+        const cached = await cacheService.obtain(key, assetName, (destPath) => {
+            onStatus(`Downloading ${assetName}...`);
+            return downloadService.download({ url, destPath });
+        }, { url }, { maxAge });
+        const archivePath = cached.filePath;
+        if (!extract) return { archivePath, extractDir: null };
+
+        const extractDir = cacheService.workDir(archivePath, 'extracted');
+        if (!fs.existsSync(extractDir)) {
+            onStatus(`Extracting ${assetName}...`);
+            try {
+                await extractArchive(archivePath, extractDir);
+            } catch (e) {
+                fs.rmSync(extractDir, { recursive: true, force: true });
+                throw new Error(`Could not extract ${assetName}: ${e.message}`);
+            }
+        }
+        return { archivePath, extractDir };
+    },
+
+    findInTree,
+    replacePath,
+
+    /**
+     * Latest upstream version of a component source: { version, url, publishedAt, assetName }
+     */
+    async getLatest(source) {
+        if (source.type === 'file') {
+            const file = await fetchGitHub(`/repos/${source.repo}/contents/${source.file}`);
+            return { version: file.sha.slice(0, 7), url: file.download_url, publishedAt: null, assetName: path.basename(source.file) };
+        }
+
+        const release = await fetchGitHub(`/repos/${source.repo}/releases/latest`);
+        const version = release.tag_name.replace(/^v/i, '');
+        if (source.type === 'opencore') {
+            return { version, url: release.html_url, publishedAt: release.published_at, assetName: null };
+        }
+
+        const asset = (release.assets || []).find(a => source.asset.test(a.name));
+        if (!asset) throw new Error(`No asset matching ${source.asset} in ${source.repo} ${release.tag_name}`);
+        return { version, url: asset.browser_download_url, publishedAt: release.published_at, assetName: asset.name };
+    },
+
+    /**
+     * list() plus the latest upstream version and a status per component:
+     * current, outdated, unknown (version not comparable), untracked or error.
+     * `updatable` is false for drivers that only change with OpenCore itself.
+     */
+    async check(efiRoot, options = {}) {
+        const inventory = this.list(efiRoot, options);
+
+        const components = await Promise.all(inventory.components.map(async (component) => {
+            if (!component.source) return { ...component, latest: null, status: 'untracked', updatable: false };
+
+            try {
+                const latest = await this.getLatest(component.source);
+                let status = 'unknown';
+                if (component.source.type === 'file') {
+                    status = component.version === latest.version ? 'current' : 'outdated';
+                } else {
+                    const local = parseVersion(component.version);
+                    const remote = parseVersion(latest.version);
+                    if (local && remote) status = compareVersions(local, remote) < 0 ? 'outdated' : 'current';
+                }
+                return { ...component, latest, status, updatable: component.source.type !== 'opencore' };
+            } catch (e) {
+                return { ...component, latest: null, status: 'error', error: e.message, updatable: false };
+            }
+        }));
+
+        // RegExps do not survive IPC
+        const serializable = components.map(c => ({ ...c, source: c.source && { type: c.source.type, repo: c.source.repo } }));
+        return { ...inventory, components: serializable, checkedAt: new Date().toISOString() };
+    },
+
+    /**
+     * Download the latest release of one kext or driver and replace it on the EFI.
+     * For kexts, Kernel.Add is brought in line with the new bundle.
+     * Returns { name, previousVersion, version, configChanges }
+     */
+    async update(efiRoot, name, { macosVersion = 'sonoma', onStatus = () => {} } = {}) {
+        const ocPath = this.resolveOcPath(efiRoot);
+        if (!ocPath) throw new Error(`No OpenCore folder found in ${efiRoot}`);
+
+        const kind = name.toLowerCase().endsWith('.kext') ? 'kext' : 'driver';
+        const target = path.join(ocPath, kind === 'kext' ? 'Kexts' : 'Drivers', name);
+        const source = this.getSource(name, kind, macosVersion);
+        if (!source) throw new Error(`${name} has no known upstream source`);
+        if (source.type === 'opencore') throw new Error(`${name} is part of OpenCore; upgrade OpenCore to update it`);
+
+        const component = this.list(efiRoot, { macosVersion }).components.find(c => c.name === name);
+        const previousVersion = component ? component.version : null;
+
+        onStatus(`Checking ${source.repo}...`);
+        const latest = await this.getLatest(source);
+
+        if (source.type === 'file') {
+            // Repository files are downloaded from the default branch, so cache them by blob version
+            const key = `file:${source.repo}/${source.file}@${latest.version}`;
+            const { archivePath } = await this.fetchAsset(latest.url, latest.assetName, { key, extract: false, onStatus });
+            onStatus(`Installing ${name}...`);
+            replacePath(archivePath, target);
+            console.log(`[Inventory] Updated ${name} ${previousVersion || '(new)'} -> ${latest.version}`);
+            return { name, previousVersion, version: latest.version, configChanges: [] };
+        }
+
+        const { extractDir } = await this.fetchAsset(latest.url, latest.assetName, { onStatus });
+        const bundle = findInTree(extractDir, source.bundle, p => fs.statSync(p).isDirectory());
+        if (!bundle) throw new Error(`${source.bundle} not found in ${latest.assetName}`);
+        const info = readBundleInfo(bundle);
+        if (!info) throw new Error(`${source.bundle} in ${latest.assetName} has no Info.plist`);
+
+        onStatus(`Installing ${name}...`);
+        replacePath(bundle, target);
+
+        const configChanges = this.syncKernelAdd(ocPath, name, info.CFBundleVersion || latest.version);
+        console.log(`[Inventory] Updated ${name} ${previousVersion || '(new)'} -> ${info.CFBundleVersion || latest.version}`);
+        configChanges.forEach(change => console.log(`[Inventory]   config.plist: ${change}`));
+
+        return { name, previousVersion, version: info.CFBundleVersion || latest.version, configChanges };
+    },
+
+    /**
+     * Make the Kernel.Add entries of a bundle (and its plug-ins) match what is
+     * on disk: executable paths follow Info.plist, entries for plug-ins that no
+     * longer exist are dropped, and missing entries for the bundle and for the
+     * plug-ins in its Contents/PlugIns are added after the bundle's last entry.
+     * Returns a description of each change.
+     */
+    syncKernelAdd(ocPath, bundleName, version) {
+        const configPath = path.join(ocPath, 'config.plist');
+        if (!fs.existsSync(configPath)) return [];
+
+        const config = plistPatchService.parse(fs.readFileSync(configPath, 'utf8'));
+        const entries = plistPatchService.has(config, 'Kernel.Add') ? plistPatchService.get(config, 'Kernel.Add') : [];
+        const ownEntry = (entry) => entry && (entry.BundlePath === bundleName || String(entry.BundlePath).startsWith(`${bundleName}/`));
+        const executableOf = (info) => (info.CFBundleExecutable ? `Contents/MacOS/${info.CFBundleExecutable}` : '');
+
+        const changes = [];
+        let changed = false;
+        const synced = [];
+        for (const entry of entries) {
+            if (!ownEntry(entry)) {
+                synced.push(entry);
+                continue;
+            }
+
+            const info = readBundleInfo(path.join(ocPath, 'Kexts', entry.BundlePath));
+            if (!info) {
+                changes.push(`removed ${entry.BundlePath} (no longer in the bundle)`);
+                changed = true;
+                continue;
+            }
+
+            const updated = { ...entry };
+            const executablePath = executableOf(info);
+            if (entry.ExecutablePath !== executablePath) {
+                updated.ExecutablePath = executablePath;
+                changes.push(`${entry.BundlePath} ExecutablePath -> ${executablePath || '(none)'}`);
+            }
+            if (entry.PlistPath !== 'Contents/Info.plist') {
+                updated.PlistPath = 'Contents/Info.plist';
+                changes.push(`${entry.BundlePath} PlistPath -> Contents/Info.plist`);
+            }
+            // The templates note the kext version in the comment ("V1.7.1")
+            if (entry.BundlePath === bundleName && /^V?\d+(\.\d+)+$/i.test(entry.Comment || '') && entry.Comment !== `V${version}`) {
+                updated.Comment = `V${version}`;
+            }
+            if (Object.keys(updated).some(key => updated[key] !== entry[key])) changed = true;
+            synced.push(updated);
+        }
+
+        // New plug-ins follow their bundle and inherit whether it is enabled
+        const parent = synced.find(e => e && e.BundlePath === bundleName);
+        const missing = [bundleName, ...plugInsOf(path.join(ocPath, 'Kexts'), bundleName)]
+            .filter(bundlePath => !synced.some(e => e && e.BundlePath === bundlePath))
+            .map(bundlePath => {
+                const info = readBundleInfo(path.join(ocPath, 'Kexts', bundlePath)) || {};
+                const bundleVersion = bundlePath === bundleName ? version : info.CFBundleVersion;
+                changes.push(`added ${bundlePath}`);
+                return {
+                    Arch: 'Any',
+                    BundlePath: bundlePath,
+                    Comment: bundleVersion ? `V${bundleVersion}` : '',
+                    Enabled: parent ? parent.Enabled !== false : true,
+                    ExecutablePath: executableOf(info),
+                    MaxKernel: '',
+                    MinKernel: '',
+                    PlistPath: 'Contents/Info.plist',
+                };
+            });
+        if (missing.length > 0) {
+            let last = -1;
+            synced.forEach((entry, index) => { if (ownEntry(entry)) last = index; });
+            synced.splice(last === -1 ? synced.length : last + 1, 0, ...missing);
+            changed = true;
+        }
+
+        if (!changed) return changes;
+        const result = plistPatchService.patchFile(configPath, [{ op: 'set', path: 'Kernel.Add', type: 'array', value: synced }]);
+        if (!result.written) {
+            throw new Error(`Updated ${bundleName} but could not update config.plist: ${result.errors.map(e => e.message).join('; ')}`);
+        }
+        return changes;
+    },
+};
+
+module.exports = EfiInventoryService;
@@ -0,0 +1,265 @@
+/**
+ * EFI Source Registry (CommonJS)
+ *
+ * Named EFI sources the wizard can build from. The built-in list can be extended
+ * (or an entry overridden by id) with a local JSON file:
+ *
+ *   { "sources": [{
+ *       "id": "team-fork",
+ *       "name": "Our Surface Pro 7 fork",
+ *       "repo": "owner/Surface-Pro-7-Hackintosh",
+ *       "asset": "^EFI-.*\\.zip$",          // release asset to download (regex, default: first .7z, then .zip)
+ *       "subfolder": "Surface Pro 7",        // where the EFI folder lives inside the archive (optional)
+ *       "supports": [{ "cpu": "i7", "macos": "sonoma" }],
+ *       "defaultRef": "branch:main",         // latest | tag:<tag> | branch:<branch>
+ *       "checksums": { "tag:v1.2": "<sha256>" }
+ *   }] }
+ *
+ * Sources are referred to as `source:<id>` or `repo:owner/name`, optionally followed
+ * by `@<ref>` (e.g. `source:team-fork@branch:main`, `repo:owner/name@tag:v1.2`).
+ */
+
+const fs = require('fs');
+const efiInventoryService = require('./efiInventoryService');
+const efiSourceService = require('./efiSourceService');
+
+const REGISTRY_FILE = 'efi-sources.json';
+const CPU_TYPES = ['i5', 'i7'];
+const MACOS_VERSIONS = ['sonoma', 'sequoia'];
+const ALL_COMBINATIONS = CPU_TYPES.flatMap(cpu => MACOS_VERSIONS.map(macos => ({ cpu, macos })));
+
+const BUILTIN_SOURCES = [
+    {
+        id: 'balopez83',
+        name: 'Surface Pro 7 (balopez83)',
+        description: 'The reference OpenCore EFI for the Surface Pro 7 this wizard is built around.',
+        repo: 'balopez83/Surface-Pro-7-Hackintosh',
+        supports: ALL_COMBINATIONS,
+    },
+];
+
+const DEFAULT_SOURCE_ID = BUILTIN_SOURCES[0].id;
+
+const REF_PATTERN = /^(latest|tag:.+|branch:.+)$/;
+const REPO_PATTERN = /^[\w.-]+\/[\w.-]+$/;
+
+const EfiRegistryService = {
+    REGISTRY_FILE,
+    DEFAULT_SOURCE_ID,
+
+    /**
+     * Validate a registry entry and fill in defaults. Throws on invalid entries.
+     */
+    normalizeEntry(raw, builtin = false) {
+        if (!raw || typeof raw !== 'object') throw new Error('Source entry must be an object');
+        const { id, repo } = raw;
+        if (typeof id !== 'string' || !/^[\w.-]+$/.test(id)) throw new Error(`Invalid source id "${id}" (letters, digits, "-", "_" and "." only)`);
+        if (typeof repo !== 'string' || !REPO_PATTERN.test(repo)) throw new Error(`${id}: "repo" must be "owner/name"`);
+
+        if (raw.asset !== undefined) {
+            try {
+                new RegExp(raw.asset, 'i');
+            } catch {
+                throw new Error(`${id}: "asset" is not a valid regular expression`);
+            }
+        }
+
+        const supports = raw.supports === undefined ? ALL_COMBINATIONS : raw.supports;
+        if (!Array.isArray(supports) || !supports.every(s => s && CPU_TYPES.includes(s.cpu) && MACOS_VERSIONS.includes(s.macos))) {
+            throw new Error(`${id}: "supports" must be a list of { cpu: ${CPU_TYPES.join('|')}, macos: ${MACOS_VERSIONS.join('|')} }`);
+        }
+
+        const defaultRef = raw.defaultRef || 'latest';
+        if (!REF_PATTERN.test(defaultRef)) throw new Error(`${id}: "defaultRef" must be latest, tag:<tag> or branch:<branch>`);
+
+        const checksums = {};
+        for (const [ref, sha256] of Object.entries(raw.checksums || {})) {
+            checksums[ref] = efiSourceService.normalizeSha256(sha256);
+        }
+
+        return {
+            id,
+            name: typeof raw.name === 'string' ? raw.name : id,
+            description: typeof raw.description === 'string' ? raw.description : '',
+            repo,
+            asset: raw.asset || null,
+            subfolder: typeof raw.subfolder === 'string' && raw.subfolder ? raw.subfolder : null,
+            supports: supports.map(({ cpu, macos }) => ({ cpu, macos })),
+            defaultRef,
+            checksums,
+            builtin,
+        };
+    },
+
+    /**
+     * Built-in sources merged with the local registry file (local entries win by id).
+     * Returns { registryPath, sources, errors } - invalid local entries are reported, not thrown.
+     */
+    load(registryPath) {
+        const sources = BUILTIN_SOURCES.map(entry => this.normalizeEntry(entry, true));
+        const errors = [];
+
+        if (registryPath && fs.existsSync(registryPath)) {
+            let local = [];
+            try {
+                const data = JSON.parse(fs.readFileSync(registryPath, 'utf8'));
+                local = Array.isArray(data) ? data : data.sources;
+                if (!Array.isArray(local)) throw new Error('expected { "sources": [...] }');
+            } catch (err) {
+                errors.push(`${registryPath}: ${err.message}`);
+                local = [];
+            }
+
+            for (const raw of local) {
+                try {
+                    const entry = this.normalizeEntry(raw);
+                    const index = sources.findIndex(s => s.id === entry.id);
+                    if (index >= 0) sources[index] = entry;
+                    else sources.push(entry);
+                } catch (err) {
+                    errors.push(err.message);
+                }
+            }
+        }
+
+        return { registryPath, sources, errors };
+    },
+
+    /**
+     * Write an empty registry file with an example entry next to it (only when there is none yet)
+     */
+    writeTemplate(registryPath) {
+        if (fs.existsSync(registryPath)) return false;
+        const template = {
+            sources: [],
+            example: {
+                id: 'my-fork',
+                name: 'My Surface Pro 7 fork',
+                repo: 'owner/Surface-Pro-7-Hackintosh',
+                asset: '\\.zip$',
+                subfolder: null,
+                supports: ALL_COMBINATIONS,
+                defaultRef: 'latest',
+            },
+        };
+        fs.writeFileSync(registryPath, `${JSON.stringify(template, null, 2)}\n`);
+        return true;
+    },
+
+    /**
+     * Whether a source supports the CPU / macOS combination
+     */
+    isCompatible(entry, cpuType, macosVersion) {
+        return entry.supports.some(s => s.cpu === cpuType && s.macos === macosVersion);
+    },
+
+    /**
+     * Parse `source:<id>[@ref]` or `repo:owner/name[@ref]` into { entry, ref }.
+     * Unregistered repos get an ad-hoc entry with the default asset rules.
+     */
+    parseIdentifier(identifier, sources) {
+        const match = /^(source|repo):([^@]+)(?:@(.+))?$/.exec(identifier);
+        if (!match) throw new Error(`Invalid EFI source "${identifier}" (expected source:<id> or repo:owner/name)`);
+        const [, kind, name, ref] = match;
+        if (ref && !REF_PATTERN.test(ref)) throw new Error(`Invalid release reference "${ref}" (latest, tag:<tag> or branch:<branch>)`);
+
+        let entry;
+        if (kind === 'source') {
+            entry = sources.find(s => s.id === name);
+            if (!entry) throw new Error(`Unknown EFI source "${name}"`);
+        } else {
+            entry = sources.find(s => s.repo.toLowerCase() === name.toLowerCase()) || this.normalizeEntry({ id: name.replace('/', '-'), repo: name });
+        }
+        return { entry, ref: ref || entry.defaultRef };
+    },
+
+    /**
+     * Identifier for the wizard's efiSource setting ({ type, value, ref }), null for URL / local sources
+     */
+    identifierFor(efiSource) {
+        if (efiSource.type === 'default') return `source:${DEFAULT_SOURCE_ID}`;
+        if (efiSource.type !== 'registry') return null;
+        return `source:${efiSource.value}${efiSource.ref ? `@${efiSource.ref}` : ''}`;
+    },
+
+    /**
+     * Releases and branches of a source's repo:
+     * { releases: [{ tag, name, publishedAt, prerelease, hasAsset }], branches: [name], defaultBranch }
+     */
+    async listRefs(entry) {
+        const [releases, branches, repo] = await Promise.all([
+            efiInventoryService.fetchGitHub(`/repos/${entry.repo}/releases?per_page=30`),
+            efiInventoryService.fetchGitHub(`/repos/${entry.repo}/branches?per_page=50`),
+            efiInventoryService.fetchGitHub(`/repos/${entry.repo}`),
+        ]);
+
+        return {
+            releases: releases.filter(r => !r.draft).map(r => ({
+                tag: r.tag_name,
+                name: r.name || r.tag_name,
+                publishedAt: r.published_at,
+                prerelease: !!r.prerelease,
+                hasAsset: !!this.pickAsset(entry, r),
+            })),
+            branches: branches.map(b => b.name),
+            defaultBranch: repo.default_branch || null,
+        };
+    },
+
+    /**
+     * The asset of a release to download: the entry's pattern, otherwise the first .7z, then .zip
+     */
+    pickAsset(entry, release) {
+        const assets = release.assets || [];
+        if (entry.asset) {
+            const pattern = new RegExp(entry.asset, 'i');
+            return assets.find(a => pattern.test(a.name)) || null;
+        }
+        return assets.find(a => a.name.endsWith('.7z')) || assets.find(a => a.name.endsWith('.zip')) || null;
+    },
+
+    /**
+     * Download URL for a source at a ref. fetchText(url) downloads published checksum files.
+     * Returns { url, ref, tag, branch, checksum: { sha256, from } | null }
+     */
+    async resolve(entry, ref, fetchText) {
+        const registered = entry.checksums[ref] ? { sha256: entry.checksums[ref], from: `${entry.id} registry entry` } : null;
+
+        if (ref.startsWith('branch:')) {
+            const branch = ref.slice('branch:'.length);
+            return {
+                url: `https://github.com/${entry.repo}/archive/refs/heads/${encodeURIComponent(branch)}.zip`,
+                ref,
+                tag: null,
+                branch,
+                checksum: registered,
+            };
+        }
+
+        const apiPath = ref === 'latest'
+            ? `/repos/${entry.repo}/releases/latest`
+            : `/repos/${entry.repo}/releases/tags/${encodeURIComponent(ref.slice('tag:'.length))}`;
+
+        let release;
+        try {
+            release = await efiInventoryService.fetchGitHub(apiPath);
+        } catch (err) {
+            throw new Error(`Failed to resolve ${ref === 'latest' ? 'latest release' : ref} of ${entry.repo}: ${err.message}`);
+        }
+
+        const asset = this.pickAsset(entry, release);
+        if (!asset) {
+            throw new Error(`No ${entry.asset ? `asset matching /${entry.asset}/` : '.7z or .zip asset'} in release ${release.tag_name} of ${entry.repo}`);
+        }
+
+        // A checksum pinned in the registry for this tag wins over what the release publishes
+        const pinned = entry.checksums[`tag:${release.tag_name}`] || null;
+        const checksum = registered
+            || (pinned ? { sha256: pinned, from: `${entry.id} registry entry` } : null)
+            || await efiSourceService.releaseChecksum(release, asset, fetchText);
+
+        return { url: asset.browser_download_url, ref, tag: release.tag_name, branch: null, checksum };
+    },
+};
+
+module.exports = EfiRegistryService;
@@ -0,0 +1,314 @@
+/**
+ * EFI Snapshot Service (CommonJS)
+ *
+ * Keeps compressed copies of the EFI folder of a partition before anything
+ * writes to it, so a build that does not boot can be rolled back.
+ *
+ * A snapshot is two files in the store directory:
+ *   <id>.tar.gz   the EFI folder as a gzipped ustar archive (paths start with EFI/)
+ *   <id>.json     manifest: { id, createdAt, reason, source, ocVersion, fileCount, totalSize, archiveSize, files: [{ path, size, sha256 }] }
+ * The archives are plain tar.gz, so they can also be unpacked by hand.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const crypto = require('crypto');
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
+const configValidatorService = require('./configValidatorService');
+
+const BLOCK = 512;
+// Oldest snapshots are pruned beyond this count
+const MAX_SNAPSHOTS = 30;
+// Folders on a partition that are not part of the EFI and never snapshotted or replaced
+const IGNORED_NAMES = ['.Spotlight-V100', '.fseventsd', '.Trashes', '.TemporaryItems', 'System Volume Information', '__MACOSX'];
+
+/**
+ * The EFI folder of a partition root (matched case-insensitively, FAT is case-insensitive anyway)
+ */
+function findEfiFolder(root) {
+    if (!fs.existsSync(root)) return null;
+    const name = fs.readdirSync(root).find(n => n.toUpperCase() === 'EFI' && fs.statSync(path.join(root, n)).isDirectory());
+    return name ? path.join(root, name) : null;
+}
+
+/**
+ * Files and folders below the EFI folder as archive paths ("EFI/OC/config.plist")
+ */
+function walkEfi(efiFolder) {
+    const entries = [];
+    const walk = (dir, relative) => {
+        for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+            if (IGNORED_NAMES.includes(entry.name) || entry.name.startsWith('._')) continue;
+            const fullPath = path.join(dir, entry.name);
+            const archivePath = `${relative}/${entry.name}`;
+            if (entry.isDirectory()) {
+                entries.push({ type: 'dir', path: archivePath, fullPath });
+                walk(fullPath, archivePath);
+            } else if (entry.isFile()) {
+                entries.push({ type: 'file', path: archivePath, fullPath });
+            }
+        }
+    };
+    walk(efiFolder, 'EFI');
+    return entries;
+}
+
+const sha256 = (buffer) => crypto.createHash('sha256').update(buffer).digest('hex');
+
+function octal(value, length) {
+    return `${value.toString(8).padStart(length - 1, '0')}\0`;
+}
+
+/**
+ * One ustar header block. Long paths are split into prefix (155) + name (100).
+ */
+function tarHeader(archivePath, { size = 0, mtime = 0, type = '0' } = {}) {
+    let name = archivePath;
+    let prefix = '';
+    if (Buffer.byteLength(name) > 100) {
+        const split = archivePath.lastIndexOf('/', 155);
+        prefix = archivePath.slice(0, split);
+        name = archivePath.slice(split + 1);
+        if (split <= 0 || Buffer.byteLength(name) > 100 || Buffer.byteLength(prefix) > 155) {
+            throw new Error(`Path too long for a snapshot archive: ${archivePath}`);
+        }
+    }
+
+    const header = Buffer.alloc(BLOCK);
+    header.write(name, 0, 100, 'utf8');
+    header.write(octal(type === '5' ? 0o755 : 0o644, 8), 100, 8, 'ascii');
+    header.write(octal(0, 8), 108, 8, 'ascii');
+    header.write(octal(0, 8), 116, 8, 'ascii');
+    header.write(octal(size, 12), 124, 12, 'ascii');
+    header.write(octal(Math.floor(mtime / 1000), 12), 136, 12, 'ascii');
+    header.write('        ', 148, 8, 'ascii'); // checksum is computed with this field blank
+    header.write(type, 156, 1, 'ascii');
+    header.write('ustar\u000000', 257, 8, 'ascii');
+    header.write(prefix, 345, 155, 'utf8');
+
+    let checksum = 0;
+    for (const byte of header) checksum += byte;
+    header.write(`${checksum.toString(8).padStart(6, '0')}\0 `, 148, 8, 'ascii');
+    return header;
+}
+
+/**
+ * Entries of an (uncompressed) ustar archive: [{ path, type, data }]
+ */
+function readTar(buffer) {
+    const entries = [];
+    let offset = 0;
+    while (offset + BLOCK <= buffer.length) {
+        const header = buffer.subarray(offset, offset + BLOCK);
+        if (header.every(byte => byte === 0)) break;
+
+        const field = (start, length) => header.toString('utf8', start, start + length).replace(/\0.*$/s, '');
+        const name = field(0, 100);
+        const prefix = field(345, 155);
+        const size = parseInt(field(124, 12).trim() || '0', 8);
+        const type = field(156, 1) || '0';
+
+        offset += BLOCK;
+        entries.push({ path: prefix ? `${prefix}/${name}` : name, type: type === '5' ? 'dir' : 'file', data: buffer.subarray(offset, offset + size) });
+        offset += Math.ceil(size / BLOCK) * BLOCK;
+    }
+    return entries;
+}
+
+/**
+ * Resolve an archive path inside a partition root, refusing anything outside its EFI folder
+ */
+function safeTarget(root, archivePath) {
+    const normalized = path.posix.normalize(archivePath.replace(/\/+$/, ''));
+    if (!/^EFI(\/|$)/i.test(normalized) || normalized.split('/').includes('..')) {
+        throw new Error(`Refusing to restore unexpected path "${archivePath}"`);
+    }
+    return path.join(root, ...normalized.split('/'));
+}
+
+const EfiSnapshotService = {
+    MAX_SNAPSHOTS,
+
+    /**
+     * Snapshot the EFI folder of a partition root into storeDir.
+     * Returns the manifest, or null when the partition has no EFI folder (nothing to lose).
+     */
+    async create(partitionRoot, { storeDir, reason = 'manual' }) {
+        const efiFolder = findEfiFolder(partitionRoot);
+        if (!efiFolder) return null;
+
+        const entries = walkEfi(efiFolder);
+        const files = [];
+        const now = new Date();
+        const id = `${now.toISOString().replace(/[-:]/g, '').replace('T', '-').replace(/\..*$/, '')}-${crypto.randomBytes(2).toString('hex')}`;
+
+        fs.mkdirSync(storeDir, { recursive: true });
+        const archivePath = path.join(storeDir, `${id}.tar.gz`);
+
+        async function* archive() {
+            yield tarHeader('EFI', { type: '5', mtime: now.getTime() });
+            for (const entry of entries) {
+                if (entry.type === 'dir') {
+                    yield tarHeader(entry.path, { type: '5', mtime: now.getTime() });
+                    continue;
+                }
+                const data = fs.readFileSync(entry.fullPath);
+                const stat = fs.statSync(entry.fullPath);
+                files.push({ path: entry.path, size: data.length, sha256: sha256(data) });
+                yield tarHeader(entry.path, { size: data.length, mtime: stat.mtimeMs });
+                yield data;
+                if (data.length % BLOCK) yield Buffer.alloc(BLOCK - (data.length % BLOCK));
+            }
+            yield Buffer.alloc(BLOCK * 2);
+        }
+
+        try {
+            await pipeline(Readable.from(archive()), zlib.createGzip(), fs.createWriteStream(archivePath));
+        } catch (e) {
+            fs.rmSync(archivePath, { force: true });
+            throw new Error(`Could not snapshot ${efiFolder}: ${e.message}`);
+        }
+
+        const ocPath = path.join(efiFolder, 'OC');
+        const manifest = {
+            id,
+            createdAt: now.toISOString(),
+            reason,
+            source: partitionRoot,
+            ocVersion: fs.existsSync(ocPath) ? configValidatorService.detectOpenCoreVersion(ocPath) : null,
+            fileCount: files.length,
+            totalSize: files.reduce((sum, f) => sum + f.size, 0),
+            archiveSize: fs.statSync(archivePath).size,
+            files,
+        };
+        fs.writeFileSync(path.join(storeDir, `${id}.json`), JSON.stringify(manifest, null, 2), 'utf8');
+        console.log(`[Snapshot] ${id}: ${files.length} files from ${partitionRoot} (${reason})`);
+
+        this.prune(storeDir);
+        return manifest;
+    },
+
+    /**
+     * Manifests in the store, newest first (without the per-file list)
+     */
+    list(storeDir) {
+        if (!fs.existsSync(storeDir)) return [];
+        return fs.readdirSync(storeDir)
+            .filter(name => name.endsWith('.json') && fs.existsSync(path.join(storeDir, name.replace(/\.json$/, '.tar.gz'))))
+            .map(name => {
+                try {
+                    return this.summary(JSON.parse(fs.readFileSync(path.join(storeDir, name), 'utf8')));
+                } catch (e) {
+                    console.warn(`[Snapshot] Ignoring unreadable manifest ${name}: ${e.message}`);
+                    return null;
+                }
+            })
+            .filter(Boolean)
+            .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    },
+
+    /**
+     * A manifest without its per-file list
+     */
+    summary(manifest) {
+        const summary = { ...manifest };
+        delete summary.files;
+        return summary;
+    },
+
+    /**
+     * Full manifest of one snapshot. Throws when it does not exist.
+     */
+    get(storeDir, id) {
+        if (!/^[\w-]+$/.test(id)) throw new Error(`Invalid snapshot id "${id}"`);
+        const manifestPath = path.join(storeDir, `${id}.json`);
+        if (!fs.existsSync(manifestPath)) throw new Error(`Snapshot ${id} not found`);
+        return JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+    },
+
+    /**
+     * What restoring a snapshot would change on a partition:
+     * { added: [path], removed: [path], changed: [path] } relative to the partition's current EFI
+     */
+    diff(storeDir, id, partitionRoot) {
+        const snapshot = this.get(storeDir, id);
+        const efiFolder = findEfiFolder(partitionRoot);
+        const current = new Map();
+        if (efiFolder) {
+            for (const entry of walkEfi(efiFolder)) {
+                if (entry.type === 'file') current.set(entry.path.toUpperCase(), entry);
+            }
+        }
+
+        const added = [];
+        const changed = [];
+        for (const file of snapshot.files) {
+            const existing = current.get(file.path.toUpperCase());
+            if (!existing) {
+                added.push(file.path);
+            } else {
+                current.delete(file.path.toUpperCase());
+                const stat = fs.statSync(existing.fullPath);
+                if (stat.size !== file.size || sha256(fs.readFileSync(existing.fullPath)) !== file.sha256) changed.push(file.path);
+            }
+        }
+        const removed = [...current.values()].map(entry => entry.path);
+
+        return { added, removed, changed };
+    },
+
+    /**
+     * Replace the EFI folder of a partition with a snapshot. The current EFI is
+     * snapshotted first (reason "before-restore") so a restore can be undone too.
+     * Returns { restored: file count, safetySnapshot }
+     */
+    async restore(storeDir, id, partitionRoot) {
+        this.get(storeDir, id);
+        const entries = readTar(zlib.gunzipSync(fs.readFileSync(path.join(storeDir, `${id}.tar.gz`))));
+
+        // Resolve every target before touching the partition
+        const targets = entries.map(entry => ({ ...entry, target: safeTarget(partitionRoot, entry.path) }));
+
+        const safetySnapshot = await this.create(partitionRoot, { storeDir, reason: `before-restore ${id}` });
+
+        const efiFolder = findEfiFolder(partitionRoot);
+        if (efiFolder) fs.rmSync(efiFolder, { recursive: true, force: true });
+
+        let restored = 0;
+        for (const entry of targets) {
+            if (entry.type === 'dir') {
+                fs.mkdirSync(entry.target, { recursive: true });
+            } else {
+                fs.mkdirSync(path.dirname(entry.target), { recursive: true });
+                fs.writeFileSync(entry.target, entry.data);
+                restored++;
+            }
+        }
+
+        console.log(`[Snapshot] Restored ${id} (${restored} files) to ${partitionRoot}`);
+        return { restored, safetySnapshot: safetySnapshot ? safetySnapshot.id : null };
+    },
+
+    /**
+     * Delete a snapshot
+     */
+    remove(storeDir, id) {
+        this.get(storeDir, id);
+        fs.rmSync(path.join(storeDir, `${id}.tar.gz`), { force: true });
+        fs.rmSync(path.join(storeDir, `${id}.json`), { force: true });
+    },
+
+    /**
+     * Drop the oldest snapshots beyond MAX_SNAPSHOTS
+     */
+    prune(storeDir) {
+        for (const snapshot of this.list(storeDir).slice(MAX_SNAPSHOTS)) {
+            console.log(`[Snapshot] Pruning ${snapshot.id}`);
+            this.remove(storeDir, snapshot.id);
+        }
+    },
+};
+
+module.exports = EfiSnapshotService;
@@ -0,0 +1,136 @@
+/**
+ * EFI Source Service (CommonJS)
+ *
+ * Verifies downloaded EFI archives against an expected SHA-256 and summarises
+ * what an EFI folder contains, so both can be checked before the USB is touched.
+ *
+ * The expected checksum comes from, in order:
+ *   1. the caller (wizard / CLI / profile)
+ *   2. the GitHub release: the asset's `digest`, a `<asset>.sha256` file or a
+ *      SHA256SUMS / checksums.txt asset
+ *   3. a `<url>.sha256` manifest next to a plain URL
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const efiInventoryService = require('./efiInventoryService');
+
+const SHA256_PATTERN = /^[0-9a-f]{64}$/i;
+const CHECKSUM_LIST_NAMES = /^(sha256sums|checksums?)(\.txt)?$/i;
+
+const EfiSourceService = {
+    /**
+     * Normalise a user-supplied checksum ("sha256:ABC..." or "abc...") to lower-case hex.
+     * Throws when it is not a SHA-256.
+     */
+    normalizeSha256(value) {
+        const hex = String(value).trim().replace(/^sha256:/i, '').toLowerCase();
+        if (!SHA256_PATTERN.test(hex)) throw new Error(`"${value}" is not a SHA-256 checksum (64 hex characters)`);
+        return hex;
+    },
+
+    /**
+     * SHA-256 of a file (streamed)
+     */
+    hashFile(filePath) {
+        return new Promise((resolve, reject) => {
+            const hash = crypto.createHash('sha256');
+            fs.createReadStream(filePath)
+                .on('data', chunk => hash.update(chunk))
+                .on('end', () => resolve(hash.digest('hex')))
+                .on('error', reject);
+        });
+    },
+
+    /**
+     * Checksum for `fileName` from a checksum file: either a bare hash or
+     * `sha256sum` lines ("<hash>  <name>" / "<hash> *<name>"). Null when absent.
+     */
+    parseChecksumFile(text, fileName) {
+        const lines = String(text).split(/\r?\n/).map(l => l.trim()).filter(Boolean);
+        if (lines.length === 1 && SHA256_PATTERN.test(lines[0])) return lines[0].toLowerCase();
+
+        for (const line of lines) {
+            const match = /^([0-9a-f]{64})\s+\*?(.+)$/i.exec(line);
+            if (match && path.basename(match[2].trim()) === fileName) return match[1].toLowerCase();
+        }
+        return null;
+    },
+
+    /**
+     * Expected checksum of a GitHub release asset. fetchText(url) downloads a
+     * checksum file. Returns { sha256, from } or null when the release publishes none.
+     */
+    async releaseChecksum(release, asset, fetchText) {
+        if (typeof asset.digest === 'string' && /^sha256:/i.test(asset.digest)) {
+            return { sha256: this.normalizeSha256(asset.digest), from: 'release asset digest' };
+        }
+
+        const assets = release.assets || [];
+        const candidates = [
+            ...assets.filter(a => a.name === `${asset.name}.sha256`),
+            ...assets.filter(a => CHECKSUM_LIST_NAMES.test(a.name)),
+        ];
+        for (const candidate of candidates) {
+            const sha256 = this.parseChecksumFile(await fetchText(candidate.browser_download_url), asset.name);
+            if (sha256) return { sha256, from: candidate.name };
+        }
+        return null;
+    },
+
+    /**
+     * Expected checksum from a `<url>.sha256` manifest, null when there is none
+     */
+    async sidecarChecksum(url, fetchText) {
+        try {
+            const sha256 = this.parseChecksumFile(await fetchText(`${url}.sha256`), path.basename(new URL(url).pathname));
+            return sha256 ? { sha256, from: `${path.basename(new URL(url).pathname)}.sha256` } : null;
+        } catch {
+            return null;
+        }
+    },
+
+    /**
+     * Compare an archive with its expected checksum. Throws on a mismatch.
+     * Returns { sha256, expectedSha256, from, status: 'verified' | 'unverified' }
+     */
+    async verifyArchive(archivePath, expected) {
+        const sha256 = await this.hashFile(archivePath);
+        if (!expected) return { sha256, expectedSha256: null, from: null, status: 'unverified' };
+
+        if (sha256 !== expected.sha256) {
+            throw new Error(`EFI archive checksum mismatch: expected ${expected.sha256} (${expected.from}), got ${sha256}. The download was rejected.`);
+        }
+        return { sha256, expectedSha256: expected.sha256, from: expected.from, status: 'verified' };
+    },
+
+    /**
+     * What an EFI folder contains:
+     * { ocVersion, hasBootstrap, hasConfig, kexts: [{ name, version }], drivers, acpi, tools }
+     */
+    summarize(efiPath) {
+        const ocPath = efiInventoryService.resolveOcPath(efiPath);
+        if (!ocPath) throw new Error(`No OpenCore folder (OC/config.plist or OC/OpenCore.efi) found in ${efiPath}`);
+
+        const inventory = efiInventoryService.list(efiPath);
+        const listDir = (folder, extension) => {
+            const dir = path.join(ocPath, folder);
+            return fs.existsSync(dir)
+                ? fs.readdirSync(dir).filter(n => n.toLowerCase().endsWith(extension) && !n.startsWith('.')).sort()
+                : [];
+        };
+
+        return {
+            ocVersion: inventory.ocVersion,
+            hasBootstrap: fs.existsSync(path.join(path.dirname(ocPath), 'BOOT', 'BOOTx64.efi')),
+            hasConfig: fs.existsSync(path.join(ocPath, 'config.plist')),
+            kexts: inventory.components.filter(c => c.kind === 'kext').map(c => ({ name: c.name, version: c.version })),
+            drivers: inventory.components.filter(c => c.kind === 'driver').map(c => c.name),
+            acpi: listDir('ACPI', '.aml'),
+            tools: listDir('Tools', '.efi'),
+        };
+    },
+};
+
+module.exports = EfiSourceService;
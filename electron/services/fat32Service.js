@@ -0,0 +1,370 @@
+/**
+ * FAT32 Service (CommonJS)
+ *
+ * Writes a FAT32 file system straight into a region of an open file (a partition of a disk
+ * image), without formatting or mounting anything on the host:
+ *
+ *   32 reserved sectors (boot sector, FSInfo, backups at 6-7) | FAT 1 | FAT 2 | clusters
+ *
+ * Every directory and file is laid out in one contiguous run of clusters, directories first.
+ * Names that are not plain upper-case 8.3 names get VFAT long-name entries, so EFI/OC/Kexts
+ * and com.apple.recovery.boot read back exactly as given. The region is expected to be zero
+ * (a fresh sparse file): free clusters are never written.
+ */
+
+const fs = require('fs');
+const { promisify } = require('util');
+
+const write = promisify(fs.write);
+const read = promisify(fs.read);
+
+const SECTOR = 512;
+const RESERVED_SECTORS = 32;
+const FAT_COUNT = 2;
+const ENTRY = 32;
+// Fewer clusters than this and the volume is FAT16 by definition, whatever its boot sector says
+const MIN_CLUSTERS = 65525;
+const END_OF_CHAIN = 0x0fffffff;
+const MAX_FILE_SIZE = 0xffffffff;
+const COPY_CHUNK = 4 * 1024 * 1024;
+
+const ATTR_VOLUME_ID = 0x08;
+const ATTR_DIRECTORY = 0x10;
+const ATTR_ARCHIVE = 0x20;
+const ATTR_LONG_NAME = 0x0f;
+
+// Characters allowed in a short name besides A-Z and 0-9
+const SHORT_NAME_CHARS = "$%'-_@~`!(){}^#&";
+const isShortChar = (c) => /[A-Z0-9]/.test(c) || SHORT_NAME_CHARS.includes(c);
+
+/**
+ * Whether a name can be stored as a short name alone (upper case, 8.3, no odd characters)
+ */
+function isShortName(name) {
+    const match = /^([^.]{1,8})(?:\.([^.]{1,3}))?$/.exec(name);
+    return !!match && [...name.replace('.', '')].every(isShortChar);
+}
+
+/**
+ * The 11-byte short name of a long name, unique among `taken` (e.g. COMAPP~1.BOO for com.apple.recovery.boot)
+ */
+function shortNameFor(name, taken) {
+    const pad = (text, length) => text.padEnd(length, ' ');
+    if (isShortName(name)) {
+        const [base, ext = ''] = name.split('.');
+        return pad(base, 8) + pad(ext, 3);
+    }
+
+    const clean = (text) => [...text.toUpperCase().replace(/[\s.]/g, '')].map(c => (isShortChar(c) ? c : '_')).join('');
+    const dot = name.lastIndexOf('.');
+    const base = clean(dot > 0 ? name.slice(0, dot) : name) || '_';
+    const ext = dot > 0 ? clean(name.slice(dot + 1)).slice(0, 3) : '';
+    for (let n = 1; n < 1000000; n++) {
+        const tail = `~${n}`;
+        const candidate = pad(base.slice(0, 8 - tail.length) + tail, 8) + pad(ext, 3);
+        if (!taken.has(candidate)) return candidate;
+    }
+    throw new Error(`No free short name for ${name}`);
+}
+
+/**
+ * Checksum of a short name, stored in each of its long-name entries
+ */
+function shortNameChecksum(shortName) {
+    let sum = 0;
+    for (const byte of Buffer.from(shortName, 'latin1')) {
+        sum = (((sum & 1) << 7) + (sum >> 1) + byte) & 0xff;
+    }
+    return sum;
+}
+
+/**
+ * DOS date and time of a Date (local time, two-second resolution)
+ */
+function dosDateTime(date) {
+    return {
+        date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate(),
+        time: (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1),
+    };
+}
+
+/**
+ * A directory entry: short name, attributes, first cluster and size
+ */
+function shortEntry(shortName, attributes, cluster, size, stamp) {
+    const entry = Buffer.alloc(ENTRY);
+    entry.write(shortName, 0, 11, 'latin1');
+    entry[11] = attributes;
+    entry.writeUInt16LE(stamp.time, 14);
+    entry.writeUInt16LE(stamp.date, 16);
+    entry.writeUInt16LE(stamp.date, 18);
+    entry.writeUInt16LE(cluster >>> 16, 20);
+    entry.writeUInt16LE(stamp.time, 22);
+    entry.writeUInt16LE(stamp.date, 24);
+    entry.writeUInt16LE(cluster & 0xffff, 26);
+    entry.writeUInt32LE(size, 28);
+    return entry;
+}
+
+/**
+ * The long-name entries of a name, in the order they are stored (last part first)
+ */
+function longEntries(name, shortName) {
+    const chars = Buffer.from(name, 'utf16le');
+    const units = chars.length / 2;
+    if (units > 255) throw new Error(`File name is too long for FAT32: ${name}`);
+
+    const checksum = shortNameChecksum(shortName);
+    const count = Math.ceil(units / 13);
+    const entries = [];
+    for (let i = 0; i < count; i++) {
+        const entry = Buffer.alloc(ENTRY);
+        entry[0] = (i + 1) | (i === count - 1 ? 0x40 : 0);
+        entry[11] = ATTR_LONG_NAME;
+        entry[13] = checksum;
+        // 13 UTF-16 units in three runs; after the name a 0x0000 terminator, then 0xFFFF padding
+        const slots = [1, 3, 5, 7, 9, 14, 16, 18, 20, 22, 24, 28, 30];
+        slots.forEach((offset, k) => {
+            const unit = i * 13 + k;
+            const value = unit < units ? chars.readUInt16LE(unit * 2) : unit === units ? 0x0000 : 0xffff;
+            entry.writeUInt16LE(value, offset);
+        });
+        entries.unshift(entry);
+    }
+    return entries;
+}
+
+/**
+ * Directory tree of the files: { children: Map(name -> node) }, a file node has { source, size }
+ */
+function buildTree(files) {
+    const root = { name: '', children: new Map() };
+    for (const file of files) {
+        const parts = file.path.split('/').filter(Boolean);
+        let dir = root;
+        for (const part of parts.slice(0, -1)) {
+            if (!dir.children.has(part)) dir.children.set(part, { name: part, children: new Map() });
+            dir = dir.children.get(part);
+            if (!dir.children) throw new Error(`${file.path}: ${part} is a file`);
+        }
+        const name = parts[parts.length - 1];
+        if (dir.children.has(name)) throw new Error(`${file.path} is listed twice`);
+        const size = fs.statSync(file.source).size;
+        if (size > MAX_FILE_SIZE) throw new Error(`${file.path} is larger than 4 GB, which FAT32 cannot hold`);
+        dir.children.set(name, { name, source: file.source, size });
+    }
+    return root;
+}
+
+/**
+ * Give every child of a directory its short name and count the entries the directory needs
+ */
+function nameChildren(dir, isRoot) {
+    const taken = new Set();
+    const lowerNames = new Set();
+    let entries = isRoot ? 1 : 2; // volume label, or . and ..
+    for (const child of dir.children.values()) {
+        if (lowerNames.has(child.name.toLowerCase())) throw new Error(`${child.name} differs from another name only in case`);
+        lowerNames.add(child.name.toLowerCase());
+        child.shortName = shortNameFor(child.name, taken);
+        taken.add(child.shortName);
+        child.long = !isShortName(child.name);
+        entries += 1 + (child.long ? Math.ceil(child.name.length / 13) : 0);
+    }
+    return entries;
+}
+
+/**
+ * Cluster size (in sectors) and FAT size for a partition of totalSectors
+ */
+function geometry(totalSectors) {
+    for (const sectorsPerCluster of [8, 4, 2, 1]) {
+        let fatSectors = 1;
+        let clusters;
+        // The FATs and the clusters share the space: grow the FAT until it covers every cluster
+        for (;;) {
+            clusters = Math.floor((totalSectors - RESERVED_SECTORS - FAT_COUNT * fatSectors) / sectorsPerCluster);
+            const needed = Math.ceil((clusters + 2) * 4 / SECTOR);
+            if (needed <= fatSectors) break;
+            fatSectors = needed;
+        }
+        if (clusters >= MIN_CLUSTERS) return { sectorsPerCluster, fatSectors, clusters };
+    }
+    throw new Error(`A partition of ${Math.round(totalSectors * SECTOR / 1024 / 1024)} MiB is too small for FAT32`);
+}
+
+/**
+ * Write length bytes of buffer at position, in full
+ */
+async function writeFully(fd, buffer, position) {
+    let written = 0;
+    while (written < buffer.length) {
+        const { bytesWritten } = await write(fd, buffer, written, buffer.length - written, position + written);
+        written += bytesWritten;
+    }
+}
+
+const Fat32Service = {
+    MIN_CLUSTERS,
+
+    /**
+     * Smallest partition (bytes) that holds the files with room to spare: the file data rounded
+     * to 4 KiB clusters, directories, both FATs and `slack` bytes of free space
+     */
+    sizeFor(files, slack = 32 * 1024 * 1024) {
+        const cluster = 8 * SECTOR;
+        const data = files.reduce((sum, file) => sum + Math.ceil(fs.statSync(file.source).size / cluster) * cluster, 0)
+            + files.length * 2 * cluster; // directories, generously
+        const minimum = MIN_CLUSTERS * cluster + 2 * cluster;
+        const fats = Math.ceil((data + slack) / cluster) * 4 * FAT_COUNT;
+        return Math.max(minimum, data + slack + fats + RESERVED_SECTORS * SECTOR);
+    },
+
+    /**
+     * Write a FAT32 volume with the files into fd at byte `offset`, `size` bytes long.
+     *
+     *   files: [{ path: 'EFI/OC/config.plist' (inside the volume), source: host file }]
+     *   options: { label (11 characters at most), hiddenSectors (partition start LBA),
+     *              date (timestamps, default now), onProgress({ written, total }) }
+     *
+     * Resolves to { clusterSize, clusters, usedClusters }.
+     */
+    async write(fd, offset, size, files, { label = 'NO NAME', hiddenSectors = 0, date = new Date(), onProgress = null } = {}) {
+        if (offset % SECTOR !== 0 || size % SECTOR !== 0) throw new Error('FAT32 volumes must start and end on a sector boundary');
+        const volumeLabel = label.toUpperCase();
+        if (volumeLabel.length > 11 || ![...volumeLabel].every(c => c === ' ' || isShortChar(c))) {
+            throw new Error(`Invalid FAT32 volume label "${label}"`);
+        }
+
+        const totalSectors = size / SECTOR;
+        const { sectorsPerCluster, fatSectors, clusters } = geometry(totalSectors);
+        const clusterSize = sectorsPerCluster * SECTOR;
+        const dataStart = offset + (RESERVED_SECTORS + FAT_COUNT * fatSectors) * SECTOR;
+        const clusterOffset = (cluster) => dataStart + (cluster - 2) * clusterSize;
+        const stamp = dosDateTime(date);
+
+        // Lay out directories (breadth first, root at cluster 2) and then the files
+        const root = buildTree(files);
+        const directories = [];
+        const queue = [root];
+        while (queue.length > 0) {
+            const dir = queue.shift();
+            dir.entryCount = nameChildren(dir, dir === root);
+            directories.push(dir);
+            for (const child of dir.children.values()) {
+                if (child.children) queue.push(child);
+            }
+        }
+
+        const fat = Buffer.alloc(fatSectors * SECTOR);
+        fat.writeUInt32LE(0x0ffffff8, 0); // media descriptor
+        fat.writeUInt32LE(END_OF_CHAIN, 4);
+        let next = 2;
+        const allocate = (bytes) => {
+            const count = Math.max(1, Math.ceil(bytes / clusterSize));
+            if (next + count > clusters + 2) throw new Error(`The files do not fit in a ${Math.round(size / 1024 / 1024)} MiB FAT32 volume`);
+            const first = next;
+            for (let i = 0; i < count; i++) {
+                fat.writeUInt32LE(i === count - 1 ? END_OF_CHAIN : first + i + 1, (first + i) * 4);
+            }
+            next += count;
+            return first;
+        };
+        for (const dir of directories) dir.cluster = allocate(dir.entryCount * ENTRY);
+        const fileNodes = directories.flatMap(dir => [...dir.children.values()].filter(child => !child.children));
+        for (const file of fileNodes) file.cluster = file.size > 0 ? allocate(file.size) : 0;
+
+        // Boot sector
+        const boot = Buffer.alloc(SECTOR);
+        boot.set([0xeb, 0x58, 0x90], 0);
+        boot.write('MSWIN4.1', 3, 'latin1');
+        boot.writeUInt16LE(SECTOR, 11);
+        boot[13] = sectorsPerCluster;
+        boot.writeUInt16LE(RESERVED_SECTORS, 14);
+        boot[16] = FAT_COUNT;
+        boot[21] = 0xf8; // fixed disk
+        boot.writeUInt16LE(32, 24); // sectors per track and heads, only read by BIOS code
+        boot.writeUInt16LE(64, 26);
+        boot.writeUInt32LE(hiddenSectors, 28);
+        boot.writeUInt32LE(totalSectors, 32);
+        boot.writeUInt32LE(fatSectors, 36);
+        boot.writeUInt32LE(root.cluster, 44);
+        boot.writeUInt16LE(1, 48); // FSInfo sector
+        boot.writeUInt16LE(6, 50); // backup boot sector
+        boot[64] = 0x80;
+        boot[66] = 0x29;
+        boot.writeUInt32LE(((stamp.date << 16) | stamp.time) >>> 0, 67); // volume serial
+        boot.write(volumeLabel.padEnd(11, ' '), 71, 'latin1');
+        boot.write('FAT32   ', 82, 'latin1');
+        boot.writeUInt16LE(0xaa55, 510);
+
+        const fsInfo = Buffer.alloc(SECTOR);
+        fsInfo.writeUInt32LE(0x41615252, 0);
+        fsInfo.writeUInt32LE(0x61417272, 484);
+        fsInfo.writeUInt32LE(clusters - (next - 2), 488); // free clusters
+        fsInfo.writeUInt32LE(next, 492); // next free cluster
+        fsInfo.writeUInt32LE(0xaa550000, 508);
+
+        for (const base of [0, 6]) {
+            await writeFully(fd, boot, offset + base * SECTOR);
+            await writeFully(fd, fsInfo, offset + (base + 1) * SECTOR);
+        }
+        for (let i = 0; i < FAT_COUNT; i++) {
+            await writeFully(fd, fat, offset + (RESERVED_SECTORS + i * fatSectors) * SECTOR);
+        }
+
+        // Directories
+        const parentOf = new Map();
+        for (const dir of directories) {
+            for (const child of dir.children.values()) {
+                if (child.children) parentOf.set(child, dir);
+            }
+        }
+        for (const dir of directories) {
+            const entries = [];
+            if (dir === root) {
+                entries.push(shortEntry(volumeLabel.padEnd(11, ' '), ATTR_VOLUME_ID, 0, 0, stamp));
+            } else {
+                const parent = parentOf.get(dir);
+                entries.push(shortEntry('.'.padEnd(11, ' '), ATTR_DIRECTORY, dir.cluster, 0, stamp));
+                // A parent that is the root is cluster 0 in ..
+                entries.push(shortEntry('..'.padEnd(11, ' '), ATTR_DIRECTORY, parent === root ? 0 : parent.cluster, 0, stamp));
+            }
+            for (const child of dir.children.values()) {
+                if (child.long) entries.push(...longEntries(child.name, child.shortName));
+                entries.push(child.children
+                    ? shortEntry(child.shortName, ATTR_DIRECTORY, child.cluster, 0, stamp)
+                    : shortEntry(child.shortName, ATTR_ARCHIVE, child.cluster, child.size, stamp));
+            }
+            const buffer = Buffer.alloc(Math.max(1, Math.ceil(entries.length * ENTRY / clusterSize)) * clusterSize);
+            Buffer.concat(entries).copy(buffer);
+            await writeFully(fd, buffer, clusterOffset(dir.cluster));
+        }
+
+        // File data
+        const total = fileNodes.reduce((sum, file) => sum + file.size, 0);
+        let written = 0;
+        const chunk = Buffer.alloc(COPY_CHUNK);
+        for (const file of fileNodes) {
+            if (file.size === 0) continue;
+            const source = fs.openSync(file.source, 'r');
+            try {
+                let position = 0;
+                while (position < file.size) {
+                    const { bytesRead: count } = await read(source, chunk, 0, Math.min(COPY_CHUNK, file.size - position), position);
+                    if (count === 0) throw new Error(`${file.source} changed while it was being copied`);
+                    await writeFully(fd, chunk.subarray(0, count), clusterOffset(file.cluster) + position);
+                    position += count;
+                    written += count;
+                    if (onProgress) onProgress({ written, total });
+                }
+            } finally {
+                fs.closeSync(source);
+            }
+        }
+
+        return { clusterSize, clusters, usedClusters: next - 2 };
+    },
+};
+
+module.exports = Fat32Service;
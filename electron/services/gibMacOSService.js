@@ -19,7 +19,19 @@ const CATALOGS = {
     developer: 'index-1413seed-14-13-12-10.16-10.15-10.14-10.13-10.12-10.11-10.10-10.9-mountainlion-lion-snowleopard-leopard' + CATALOG_SUFFIX,
 };
 
+// "14.4.1" -> 14, "10.15.7" -> 10 (null when unknown)
+const majorOf = (version) => {
+    const major = parseInt(version, 10);
+    return Number.isNaN(major) ? null : major;
+};
+
 class GibMacOSService extends EventEmitter {
+    constructor() {
+        super();
+        // Parsed installer lists per catalog type (fetching every .dist is slow)
+        this.installerCache = new Map();
+    }
+
     /**
      * Fetch and parse the catalog
      */
@@ -123,10 +135,12 @@ class GibMacOSService extends EventEmitter {
             return {
                 id: c.productId,
                 version: details.version,
+                major: majorOf(details.version),
                 build: details.build,
                 title: details.title,
                 date: c.pData.PostDate,
                 packages: c.packages.map((p) => ({ url: p.URL, size: p.Size, name: p.URL.split('/').pop() })),
+                size: c.packages.reduce((sum, p) => sum + (p.Size || 0), 0),
                 distUrl: c.distUrl,
                 type: c.type
             };
@@ -141,6 +155,44 @@ class GibMacOSService extends EventEmitter {
             return b.version.localeCompare(a.version, undefined, { numeric: true });
         });
     }
+
+    /**
+     * List installers of a catalog type, optionally filtered by major version and product type.
+     * Results are cached per catalog type until refresh is requested.
+     */
+    async listInstallers({ catalogType = 'public', major, type, refresh = false } = {}) {
+        if (!CATALOGS[catalogType]) {
+            throw new Error(`Unknown catalog "${catalogType}". Expected one of: ${Object.keys(CATALOGS).join(', ')}`);
+        }
+
+        if (refresh || !this.installerCache.has(catalogType)) {
+            const catalog = await this.fetchCatalog(catalogType);
+            this.installerCache.set(catalogType, await this.getAvailableInstallers(catalog));
+        }
+
+        return this.installerCache.get(catalogType).filter(p =>
+            (!type || p.type === type) && (!major || p.major === Number(major)));
+    }
+
+    /**
+     * Find one installer by product ID and/or build. Throws if it is not in the catalog.
+     */
+    async findInstaller({ catalogType = 'public', productId, build, type = 'installassistant' }) {
+        if (!productId && !build) throw new Error('A product ID or build is required');
+
+        const products = await this.listInstallers({ catalogType, type });
+        const product = productId
+            ? products.find(p => p.id === productId)
+            : products.find(p => p.build === build);
+
+        if (!product) {
+            throw new Error(`${productId ? `Product ${productId}` : `Build ${build}`} not found in the ${catalogType} catalog`);
+        }
+        if (build && product.build !== build) {
+            throw new Error(`Product ${product.id} is build ${product.build}, expected ${build}`);
+        }
+        return product;
+    }
 }
 
 module.exports = new GibMacOSService();
@@ -0,0 +1,185 @@
+/**
+ * GPT Service (CommonJS)
+ *
+ * Reads a GUID partition table straight from a device or a disk image file: the protective
+ * MBR, the GPT header at LBA 1 (or the backup header in the last sector when the primary is
+ * damaged) and the partition entries, each checked against its CRC32.
+ *
+ *   { sectorSize, protectiveMbr, diskGuid, firstUsableLba, lastUsableLba, backup (primary was damaged),
+ *     partitions: [{ number, typeGuid, uuid, name, firstLba, lastLba, offset, size, attributes }] }
+ *
+ * GUIDs are lower case without braces; offset and size are in bytes. Raw devices are read in
+ * aligned 4 KiB blocks, as /dev/rdiskN and \\.\PHYSICALDRIVEn require.
+ */
+
+const fs = require('fs');
+const zlib = require('zlib');
+
+// GPT type GUID of an EFI System Partition
+const ESP_TYPE_GUID = 'c12a7328-f81f-11d2-ba4b-00a0c93ec93b';
+
+const SIGNATURE = 'EFI PART';
+const BLOCK = 4096;
+const SECTOR_SIZES = [512, 4096];
+// Limits on the entry array a header may describe, checked before it is read: a damaged or
+// hostile header must not make us allocate gigabytes (tools write 128 entries of 128 bytes)
+const MIN_ENTRY_SIZE = 128;
+const MAX_ENTRY_SIZE = 4096;
+const MAX_ENTRIES_BYTES = 1024 * 1024;
+
+/**
+ * A GUID as stored on disk: the first three fields little-endian, the rest as bytes
+ */
+function readGuid(buffer, offset) {
+    const hex = (start, end) => buffer.subarray(offset + start, offset + end).toString('hex');
+    return [
+        buffer.readUInt32LE(offset).toString(16).padStart(8, '0'),
+        buffer.readUInt16LE(offset + 4).toString(16).padStart(4, '0'),
+        buffer.readUInt16LE(offset + 6).toString(16).padStart(4, '0'),
+        hex(8, 10),
+        hex(10, 16),
+    ].join('-');
+}
+
+/**
+ * length bytes at offset, read in whole aligned blocks (short at the end of an image file)
+ */
+function readAt(fd, offset, length) {
+    const start = Math.floor(offset / BLOCK) * BLOCK;
+    const end = Math.ceil((offset + length) / BLOCK) * BLOCK;
+    const buffer = Buffer.alloc(end - start);
+    let read = 0;
+    while (read < buffer.length) {
+        const count = fs.readSync(fd, buffer, read, buffer.length - read, start + read);
+        if (count === 0) break;
+        read += count;
+    }
+    if (read < offset - start + length) throw new Error(`Unexpected end of disk at byte ${start + read}`);
+    return buffer.subarray(offset - start, offset - start + length);
+}
+
+/**
+ * The GPT header at lba, or null when it is missing or fails its CRC
+ */
+function parseHeader(sector, lba) {
+    if (sector.toString('latin1', 0, 8) !== SIGNATURE) return null;
+    const headerSize = sector.readUInt32LE(12);
+    if (headerSize < 92 || headerSize > sector.length) return null;
+
+    const copy = Buffer.from(sector.subarray(0, headerSize));
+    copy.writeUInt32LE(0, 16);
+    if (zlib.crc32(copy) !== sector.readUInt32LE(16)) return null;
+    if (Number(sector.readBigUInt64LE(24)) !== lba) return null;
+
+    return {
+        alternateLba: Number(sector.readBigUInt64LE(32)),
+        firstUsableLba: Number(sector.readBigUInt64LE(40)),
+        lastUsableLba: Number(sector.readBigUInt64LE(48)),
+        diskGuid: readGuid(sector, 56),
+        entriesLba: Number(sector.readBigUInt64LE(72)),
+        entryCount: sector.readUInt32LE(80),
+        entrySize: sector.readUInt32LE(84),
+        entriesCrc: sector.readUInt32LE(88),
+    };
+}
+
+/**
+ * Used entries of a partition entry array whose CRC matches the header, else null
+ */
+function parseEntries(buffer, header, sectorSize) {
+    if (zlib.crc32(buffer) !== header.entriesCrc) return null;
+
+    const partitions = [];
+    for (let i = 0; i < header.entryCount; i++) {
+        const entry = buffer.subarray(i * header.entrySize, (i + 1) * header.entrySize);
+        const typeGuid = readGuid(entry, 0);
+        if (typeGuid === '00000000-0000-0000-0000-000000000000') continue;
+
+        const firstLba = Number(entry.readBigUInt64LE(32));
+        const lastLba = Number(entry.readBigUInt64LE(40));
+        partitions.push({
+            number: i + 1,
+            typeGuid,
+            uuid: readGuid(entry, 16),
+            name: entry.toString('utf16le', 56, 128).replace(/\0[\s\S]*$/, ''),
+            firstLba,
+            lastLba,
+            offset: firstLba * sectorSize,
+            size: (lastLba - firstLba + 1) * sectorSize,
+            attributes: entry.readBigUInt64LE(48).toString(16),
+        });
+    }
+    return partitions;
+}
+
+/**
+ * Whether the entry array a header describes has a sane entry size and total size
+ */
+function isEntryArraySane({ entryCount, entrySize }) {
+    return entrySize >= MIN_ENTRY_SIZE && entrySize <= MAX_ENTRY_SIZE && entrySize % MIN_ENTRY_SIZE === 0
+        && entryCount > 0 && entryCount * entrySize <= MAX_ENTRIES_BYTES;
+}
+
+/**
+ * Header and entries at lba for one sector size, or null when they are missing or damaged
+ */
+function readTable(fd, sectorSize, lba) {
+    const header = parseHeader(readAt(fd, lba * sectorSize, sectorSize), lba);
+    if (!header || !isEntryArraySane(header)) return null;
+
+    const entries = readAt(fd, header.entriesLba * sectorSize, header.entryCount * header.entrySize);
+    const partitions = parseEntries(entries, header, sectorSize);
+    return partitions ? { header, partitions } : null;
+}
+
+const GptService = {
+    ESP_TYPE_GUID,
+
+    /**
+     * Read the partition table of a device (/dev/rdisk4, /dev/sdb, \\.\PHYSICALDRIVE2) or an
+     * image file. Throws when the device cannot be opened or holds no valid GPT.
+     */
+    read(devicePath) {
+        const fd = fs.openSync(devicePath, 'r');
+        try {
+            const mbr = readAt(fd, 0, 512);
+            const protectiveMbr = mbr.readUInt16LE(510) === 0xaa55
+                && [0, 1, 2, 3].some(i => mbr[446 + i * 16 + 4] === 0xee);
+
+            // Block devices report no size through fstat; image files do and have a backup to fall back to
+            const { size } = fs.fstatSync(fd);
+            for (const sectorSize of SECTOR_SIZES) {
+                let table = readTable(fd, sectorSize, 1);
+                let backup = false;
+                if (!table && size > 0 && size % sectorSize === 0) {
+                    table = readTable(fd, sectorSize, size / sectorSize - 1);
+                    backup = !!table;
+                }
+                if (!table) continue;
+                if (backup) console.warn(`[GPT] Primary partition table of ${devicePath} is damaged, using the backup`);
+
+                return {
+                    sectorSize,
+                    protectiveMbr,
+                    diskGuid: table.header.diskGuid,
+                    firstUsableLba: table.header.firstUsableLba,
+                    lastUsableLba: table.header.lastUsableLba,
+                    backup,
+                    partitions: table.partitions,
+                };
+            }
+            throw new Error(`${devicePath} has no valid GUID partition table`);
+        } finally {
+            fs.closeSync(fd);
+        }
+    },
+
+    /**
+     * The EFI System Partition of a table read by read(), by its type GUID
+     */
+    findEsp(table) {
+        return table.partitions.find(part => part.typeGuid === ESP_TYPE_GUID) || null;
+    },
+};
+
+module.exports = GptService;
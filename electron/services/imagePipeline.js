@@ -0,0 +1,150 @@
+/**
+ * Disk Image Pipeline (CommonJS)
+ *
+ * The recovery installer built into a GPT disk image (.img) instead of onto a USB drive, as an
+ * 'image-build' job (see jobService). The EFI steps are the ones of the USB build; the EFI folder
+ * is staged in a temp folder instead of a mounted EFI partition, config.plist is patched there,
+ * and diskImageService writes the staged EFI and the cached recovery image into the image.
+ * Nothing is formatted or mounted, so images can be built once (e.g. on a Linux CI box) and
+ * flashed to any number of sticks.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const jobService = require('./jobService');
+const BuildPipeline = require('./buildPipeline');
+
+const KIND = 'image-build';
+
+const { caller, efiPathOf } = BuildPipeline;
+const shared = (name) => BuildPipeline.steps.find(step => step.name === name);
+
+// Working copy of the ESP contents, one per job
+const stageDirOf = (ctx) => path.join(os.tmpdir(), 'surfacemac-image', ctx.job.id);
+
+const STEP_DEFINITIONS = [
+    shared('efi-download'),
+    shared('efi-verify'),
+    shared('efi-patch'),
+    {
+        name: 'efi-stage',
+        title: 'Stage EFI',
+        inputs: ['efi-download'],
+        run: async (ctx) => {
+            const espRoot = stageDirOf(ctx);
+            fs.rmSync(espRoot, { recursive: true, force: true });
+            fs.mkdirSync(espRoot, { recursive: true });
+            await caller(ctx)('copy-efi', efiPathOf(ctx), espRoot);
+            return { espRoot };
+        },
+        complete: (output) => fs.existsSync(path.join(output.espRoot, 'EFI', 'OC')),
+    },
+    shared('smbios'),
+    {
+        name: 'config',
+        title: 'Configure OpenCore',
+        inputs: ['efi-stage', 'smbios'],
+        run: (ctx) => {
+            const { cpuType, smbiosModel, macosVersion, verbose } = ctx.options;
+            return caller(ctx)('inject-config', {
+                cpuType,
+                smbios: ctx.outputs.smbios || ctx.options.smbios,
+                smbiosModel,
+                macosVersion,
+                efiRoot: ctx.outputs['efi-stage'].espRoot,
+                verbose,
+            });
+        },
+    },
+    {
+        name: 'recovery',
+        title: 'Download macOS recovery',
+        run: (ctx) => {
+            const call = caller(ctx);
+            ctx.onCancel(() => call('cancel-download', 'recovery'));
+            return call('obtain-recovery', ctx.options.macosVersion, ctx.options.smbiosModel);
+        },
+        complete: (output) => fs.existsSync(output.baseSystemPath) && fs.existsSync(output.chunklistPath),
+    },
+    {
+        name: 'image',
+        title: 'Write disk image',
+        inputs: ['efi-stage', 'config', 'recovery'],
+        run: async (ctx) => {
+            const { espRoot } = ctx.outputs['efi-stage'];
+            const image = await caller(ctx)('write-disk-image', ctx.options.output, { espRoot, ...ctx.outputs.recovery });
+            fs.rmSync(espRoot, { recursive: true, force: true });
+            return image;
+        },
+    },
+];
+
+const STEPS = STEP_DEFINITIONS.map(step => step.name);
+
+const ImagePipeline = {
+    STEPS,
+
+    kind: KIND,
+    title: 'Disk image build',
+    steps: STEP_DEFINITIONS,
+
+    /**
+     * Check the image build options and fill in defaults:
+     *
+     * { output (.img path), cpuType, macosVersion, efiSource (as for the USB build), efiSha256,
+     *   smbios, smbiosModel, verbose }
+     */
+    prepare(options) {
+        const {
+            output,
+            cpuType = 'i5',
+            macosVersion = 'sonoma',
+            efiSource = 'default',
+            efiSha256 = null,
+            smbios = null,
+            smbiosModel = 'MacBookAir9,1',
+            verbose = true,
+        } = options;
+
+        if (!output) throw new Error('An output image file is required');
+        if (fs.existsSync(output) && fs.statSync(output).isDirectory()) throw new Error(`${output} is a folder, not an image file`);
+
+        return {
+            output: path.resolve(output),
+            cpuType,
+            macosVersion,
+            efiSource: efiSource === 'default' ? BuildPipeline.DEFAULT_EFI_SOURCE : efiSource,
+            efiSha256,
+            smbios,
+            smbiosModel,
+            verbose,
+        };
+    },
+
+    /**
+     * Result of a finished image build, from the step outputs
+     */
+    summarize(job, outputs) {
+        const { cpuType, macosVersion, smbios } = job.options;
+        const download = outputs['efi-download'];
+        const image = outputs.image;
+        return {
+            jobId: job.id,
+            output: image ? image.imagePath : job.options.output,
+            size: image ? image.size : null,
+            partitions: image ? image.partitions : [],
+            cpuType,
+            macosVersion,
+            installerType: 'recovery',
+            efiSource: download ? download.efiPath : job.options.efiSource,
+            efiArchive: download ? download.archive : null,
+            smbios: outputs.smbios || smbios,
+            validation: outputs.config ? outputs.config.validation || null : null,
+        };
+    },
+};
+
+jobService.define(ImagePipeline);
+
+module.exports = ImagePipeline;
@@ -0,0 +1,378 @@
+/**
+ * Job Service (CommonJS)
+ *
+ * Long-running work (a USB build) modelled as named steps. A job kind is defined once:
+ *
+ *   { kind, title, prepare(options) -> options, summarize(job) -> result,
+ *     transient: [option names held in memory only, never written to the job file],
+ *     steps: [{ name, title,
+ *               inputs: [step names whose outputs this step reads],
+ *               skip(ctx)      -> true when the step does not apply to these options,
+ *               run(ctx)       -> output (JSON, stored with the job),
+ *               complete(output, ctx) -> completion marker: false when a done step's output is gone }] }
+ *
+ * A step that rejects with an error whose code is ECANCELLED (a download cancelled on its own)
+ * stops the job as cancelled rather than failed, like cancel(id) does.
+ *
+ * Every job is persisted to <store>/<id>.json after each step, so a failed, cancelled or
+ * interrupted job resumes at the step that stopped. Done steps are not repeated unless a step
+ * that still has to run needs their output and its completion marker no longer holds.
+ *
+ * Everything a job reports goes through one emit(event) callback:
+ *   { type: 'job', jobId, status, job }                     job started / done / failed / cancelled
+ *   { type: 'step', jobId, step, status, error?, job }      status: start | done | skipped | failed
+ *   { type: 'status' | 'progress' | ..., jobId, step, ... } whatever the running step emits
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Oldest finished jobs are pruned beyond this count
+const MAX_JOBS = 20;
+
+const definitions = new Map();
+// Jobs running in this process: id -> { cancelled, onCancel: [fn] }
+const running = new Map();
+// Transient options of each job (e.g. a disk confirmation token): id -> { name: value }
+const transientOptions = new Map();
+let storeDir = null;
+
+const jobPath = (id) => {
+    if (!storeDir) throw new Error('Job store is not configured');
+    if (!/^[\w-]+$/.test(id)) throw new Error(`Invalid job id "${id}"`);
+    return path.join(storeDir, `${id}.json`);
+};
+
+function load(id) {
+    const file = jobPath(id);
+    if (!fs.existsSync(file)) throw new Error(`Job ${id} not found`);
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+function save(job) {
+    job.updatedAt = new Date().toISOString();
+    const file = jobPath(job.id);
+    fs.writeFileSync(`${file}.tmp`, `${JSON.stringify(job, null, 2)}\n`);
+    fs.renameSync(`${file}.tmp`, file);
+}
+
+/**
+ * What the renderer sees of a job: everything but the step outputs
+ */
+function snapshot(job) {
+    return {
+        ...job,
+        steps: job.steps.map((step) => {
+            const copy = { ...step };
+            delete copy.output;
+            return copy;
+        }),
+    };
+}
+
+/**
+ * Split prepared options into the ones stored with the job and the definition's transient ones,
+ * which only this process keeps
+ */
+function keepTransient(definition, id, options) {
+    const stored = { ...options };
+    const transient = {};
+    for (const name of definition.transient || []) {
+        if (stored[name] !== undefined) transient[name] = stored[name];
+        delete stored[name];
+    }
+    transientOptions.set(id, transient);
+    return stored;
+}
+
+function definitionOf(job) {
+    const definition = definitions.get(job.kind);
+    if (!definition) throw new Error(`Unknown job kind "${job.kind}"`);
+    return definition;
+}
+
+/**
+ * Whether a failed step may be skipped: no later step that applies reads its output
+ */
+function canSkip(definition, job, index, ctx) {
+    const name = definition.steps[index].name;
+    return !definition.steps.slice(index + 1).some((step, offset) =>
+        job.steps[index + 1 + offset].status !== 'skipped'
+        && (step.inputs || []).includes(name)
+        && !(step.skip && step.skip(ctx)));
+}
+
+/**
+ * Done steps to run again: inputs of steps still to run whose completion marker fails,
+ * plus every done step downstream of one of those (its output was derived from the old one)
+ */
+function stepsToRepeat(definition, job, ctx) {
+    const repeat = new Set();
+    const pending = (i) => !['done', 'skipped'].includes(job.steps[i].status) || repeat.has(i);
+    const indexOf = (name) => definition.steps.findIndex(s => s.name === name);
+
+    for (let i = definition.steps.length - 1; i >= 0; i--) {
+        if (!pending(i)) continue;
+        for (const input of definition.steps[i].inputs || []) {
+            const j = indexOf(input);
+            const step = definition.steps[j];
+            if (job.steps[j].status === 'done' && step.complete && !step.complete(job.steps[j].output, ctx)) repeat.add(j);
+        }
+    }
+    for (let i = 0; i < definition.steps.length; i++) {
+        if (job.steps[i].status !== 'done' || repeat.has(i)) continue;
+        if ((definition.steps[i].inputs || []).some(input => repeat.has(indexOf(input)))) repeat.add(i);
+    }
+    return repeat;
+}
+
+const JobService = {
+    MAX_JOBS,
+
+    /**
+     * Register a job kind (see the definition format above)
+     */
+    define(definition) {
+        definitions.set(definition.kind, definition);
+    },
+
+    /**
+     * Use a store folder. Jobs it lists as running were cut off by a quit or crash and become failed.
+     */
+    configure(dir) {
+        storeDir = dir;
+        fs.mkdirSync(dir, { recursive: true });
+
+        for (const job of this.list()) {
+            if (job.status !== 'running') continue;
+            const state = load(job.id);
+            const index = state.steps.findIndex(s => s.status === 'running');
+            const step = state.steps[index];
+            if (step) {
+                step.status = 'failed';
+                step.error = 'Interrupted: the app was closed while this step was running';
+                const definition = definitions.get(state.kind);
+                step.skippable = !!definition && canSkip(definition, state, index, { options: state.options, outputs: {} });
+            }
+            state.status = 'failed';
+            state.error = step ? step.error : 'Interrupted: the app was closed';
+            save(state);
+            console.log(`[Jobs] ${job.id} was interrupted${step ? ` during ${step.name}` : ''}`);
+        }
+    },
+
+    /**
+     * Create a job of a registered kind. Returns its snapshot; run(id) starts it.
+     */
+    create(kind, options = {}) {
+        const definition = definitions.get(kind);
+        if (!definition) throw new Error(`Unknown job kind "${kind}"`);
+
+        const id = `${new Date().toISOString().replace(/[:.]/g, '-')}-${crypto.randomBytes(3).toString('hex')}`;
+        const job = {
+            id,
+            kind,
+            title: definition.title,
+            status: 'pending',
+            error: null,
+            options: keepTransient(definition, id, definition.prepare ? definition.prepare(options) : options),
+            createdAt: new Date().toISOString(),
+            updatedAt: null,
+            steps: definition.steps.map(({ name, title }) => ({
+                name, title, status: 'pending', error: null, skippable: false, startedAt: null, finishedAt: null, output: null,
+            })),
+        };
+        save(job);
+
+        // Keep the newest jobs; never prune one that can still be resumed
+        const finished = this.list().filter(j => j.status === 'done');
+        for (const old of finished.slice(MAX_JOBS)) this.remove(old.id);
+
+        return snapshot(job);
+    },
+
+    /**
+     * Get a failed or cancelled job ready to run again from the step that stopped,
+     * or past it with { skip: <step name> }. { options } replaces some of the job's options
+     * (e.g. a fresh confirmation token) and goes through the definition's prepare() again;
+     * transient options not given again are dropped. Returns its snapshot.
+     */
+    resume(id, { skip = null, options = null } = {}) {
+        if (running.has(id)) throw new Error(`Job ${id} is already running`);
+        const job = load(id);
+        if (!['failed', 'cancelled', 'pending'].includes(job.status)) throw new Error(`Job ${id} is ${job.status}`);
+
+        if (skip) {
+            const step = job.steps.find(s => s.name === skip);
+            if (!step || step.status !== 'failed') throw new Error(`Step ${skip} has not failed`);
+            if (!step.skippable) throw new Error(`${step.title} cannot be skipped: a later step needs its result`);
+            step.status = 'skipped';
+            step.error = null;
+            step.finishedAt = new Date().toISOString();
+        }
+        if (options) {
+            const definition = definitionOf(job);
+            const merged = { ...job.options, ...options };
+            job.options = keepTransient(definition, id, definition.prepare ? definition.prepare(merged) : merged);
+        } else {
+            transientOptions.delete(id);
+        }
+        job.status = 'pending';
+        job.error = null;
+        save(job);
+        return snapshot(job);
+    },
+
+    /**
+     * Run a pending job to the end. context is merged into every step's ctx (e.g. { invoke }).
+     * Resolves to the job's result (definition.summarize); rejects with the error of the step
+     * that failed ({ jobId, step } attached) or a cancelled error.
+     */
+    async run(id, { emit = () => { }, context = {} } = {}) {
+        if (running.has(id)) throw new Error(`Job ${id} is already running`);
+        const job = load(id);
+        if (job.status !== 'pending') throw new Error(`Job ${id} is ${job.status}, resume it first`);
+        const definition = definitionOf(job);
+
+        const control = { cancelled: false, onCancel: [] };
+        running.set(id, control);
+
+        const outputs = {};
+        const ctx = {
+            ...context,
+            job: snapshot(job),
+            options: { ...job.options, ...transientOptions.get(id) },
+            outputs,
+            emit: (event) => emit({ jobId: id, step: ctx.step, ...event }),
+            // Called when the job is cancelled while this step runs (e.g. to abort a download)
+            onCancel: (fn) => control.onCancel.push(fn),
+            step: null,
+        };
+        const setStatus = (status, error = null) => {
+            job.status = status;
+            job.error = error;
+            save(job);
+            emit({ type: 'job', jobId: id, status, error, job: snapshot(job) });
+        };
+        const stepEvent = (state, status) => {
+            save(job);
+            emit({ type: 'step', jobId: id, step: state.name, status, error: state.error, job: snapshot(job) });
+        };
+
+        try {
+            for (const state of job.steps) {
+                if (state.status === 'done') outputs[state.name] = state.output;
+            }
+            for (const i of stepsToRepeat(definition, job, ctx)) {
+                console.log(`[Jobs] ${id}: output of ${job.steps[i].name} is gone, running it again`);
+                job.steps[i].status = 'pending';
+                delete outputs[job.steps[i].name];
+            }
+            setStatus('running');
+
+            for (const [i, step] of definition.steps.entries()) {
+                const state = job.steps[i];
+                if (state.status === 'done' || state.status === 'skipped') continue;
+                if (control.cancelled) throw Object.assign(new Error(`Job ${id} cancelled`), { cancelled: true });
+
+                ctx.step = step.name;
+                if (step.skip && step.skip(ctx)) {
+                    state.status = 'skipped';
+                    stepEvent(state, 'skipped');
+                    continue;
+                }
+
+                state.status = 'running';
+                state.error = null;
+                state.skippable = false;
+                state.startedAt = new Date().toISOString();
+                state.finishedAt = null;
+                stepEvent(state, 'start');
+
+                try {
+                    const output = await step.run(ctx);
+                    state.output = output === undefined ? null : output;
+                    state.status = 'done';
+                    outputs[step.name] = state.output;
+                } catch (err) {
+                    state.error = err.message;
+                    if (control.cancelled || err.code === 'ECANCELLED') {
+                        state.status = 'pending';
+                        err.cancelled = true;
+                    } else {
+                        state.status = 'failed';
+                        state.skippable = canSkip(definition, job, i, ctx);
+                    }
+                    throw Object.assign(err, { jobId: id, step: step.name });
+                } finally {
+                    state.finishedAt = new Date().toISOString();
+                    control.onCancel = [];
+                }
+                stepEvent(state, 'done');
+            }
+
+            setStatus('done');
+            transientOptions.delete(id);
+            return definition.summarize ? definition.summarize(snapshot(job), outputs) : outputs;
+        } catch (err) {
+            const failed = job.steps.find(s => s.status === 'failed');
+            if (failed) emit({ type: 'step', jobId: id, step: failed.name, status: 'failed', error: failed.error, job: snapshot(job) });
+            setStatus(err.cancelled ? 'cancelled' : 'failed', err.message);
+            throw Object.assign(err, { jobId: id });
+        } finally {
+            running.delete(id);
+        }
+    },
+
+    /**
+     * Stop a running job: the running step is told through ctx.onCancel and the job stops
+     * before the next step. Returns false when the job is not running.
+     */
+    cancel(id) {
+        const control = running.get(id);
+        if (!control) return false;
+        control.cancelled = true;
+        for (const fn of control.onCancel) {
+            Promise.resolve().then(fn).catch(err => console.error(`[Jobs] Cancel handler failed: ${err.message}`));
+        }
+        return true;
+    },
+
+    /**
+     * Snapshot of a job
+     */
+    get(id) {
+        return snapshot(load(id));
+    },
+
+    /**
+     * All jobs in the store, newest first
+     */
+    list() {
+        if (!storeDir || !fs.existsSync(storeDir)) return [];
+        return fs.readdirSync(storeDir)
+            .filter(name => name.endsWith('.json'))
+            .map((name) => {
+                try {
+                    return snapshot(JSON.parse(fs.readFileSync(path.join(storeDir, name), 'utf8')));
+                } catch {
+                    return null;
+                }
+            })
+            .filter(Boolean)
+            .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    },
+
+    /**
+     * Delete a job that is not running
+     */
+    remove(id) {
+        if (running.has(id)) throw new Error(`Job ${id} is running`);
+        fs.rmSync(jobPath(id), { force: true });
+        transientOptions.delete(id);
+        return true;
+    },
+};
+
+module.exports = JobService;
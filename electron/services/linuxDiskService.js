@@ -0,0 +1,206 @@
+/**
+ * Linux Disk Service (CommonJS)
+ *
+ * Linux backend for formatting and mounting (disks are enumerated by diskModelService).
+ * Uses lsblk JSON for the partitions of a disk, sgdisk/mkfs for the GPT layout and
+ * udisksctl (falling back to mount) for mounting.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { exec, spawn } = require('child_process');
+const { promisify } = require('util');
+const execAsync = promisify(exec);
+
+const LSBLK_COLUMNS = 'NAME,PATH,MODEL,SERIAL,SIZE,TYPE,RM,HOTPLUG,TRAN,PTUUID,PARTUUID,PARTTYPE,PARTLABEL,LABEL,FSTYPE,MOUNTPOINT';
+
+const LinuxDiskService = {
+    LSBLK_COLUMNS,
+
+    /**
+     * Run lsblk and return the parsed block device tree
+     */
+    async lsblk(devPath) {
+        const target = devPath ? ` "${devPath}"` : '';
+        const { stdout } = await execAsync(`lsblk -J -b -o ${LSBLK_COLUMNS}${target}`);
+        return JSON.parse(stdout).blockdevices || [];
+    },
+
+    /**
+     * Return the partitions of a whole disk
+     */
+    async getPartitions(diskPath) {
+        const [disk] = await this.lsblk(diskPath);
+        if (!disk) throw new Error(`Disk ${diskPath} not found`);
+        return (disk.children || []).filter(c => c.type === 'part');
+    },
+
+    /**
+     * Run a shell script as root (pkexec prompts when we are not root already).
+     * Lines printed as "STATUS: ..." are forwarded to onStatus.
+     */
+    runPrivileged(script, onStatus) {
+        const scriptPath = path.join(os.tmpdir(), `surfacemac_${Date.now()}.sh`);
+        fs.writeFileSync(scriptPath, `#!/bin/sh\nset -e\n${script}\n`, { mode: 0o755 });
+
+        const isRoot = typeof process.getuid === 'function' && process.getuid() === 0;
+        const [cmd, args] = isRoot ? ['/bin/sh', [scriptPath]] : ['pkexec', ['/bin/sh', scriptPath]];
+
+        return new Promise((resolve, reject) => {
+            const child = spawn(cmd, args);
+            let stderr = '';
+
+            child.stdout.on('data', (data) => {
+                for (const line of data.toString().split('\n')) {
+                    const match = line.match(/^STATUS:\s*(.+)/);
+                    if (match && onStatus) onStatus(match[1].trim());
+                }
+            });
+            child.stderr.on('data', (data) => { stderr += data.toString(); });
+
+            child.on('error', (err) => {
+                fs.rmSync(scriptPath, { force: true });
+                reject(err);
+            });
+            child.on('close', (code) => {
+                fs.rmSync(scriptPath, { force: true });
+                if (code === 0) resolve();
+                else reject(new Error(`Privileged command failed (exit ${code}): ${stderr.trim()}`));
+            });
+        });
+    },
+
+    /**
+     * Unmount every mounted partition of a disk
+     */
+    async unmountDisk(diskPath) {
+        const partitions = await this.getPartitions(diskPath);
+        for (const part of partitions.filter(p => p.mountpoint)) {
+            await this.unmountPartition(part.path);
+        }
+        return { success: true };
+    },
+
+    async unmountPartition(partPath) {
+        try {
+            await execAsync(`udisksctl unmount -b "${partPath}" --no-user-interaction`);
+        } catch (e) {
+            console.warn(`[Linux] udisksctl unmount failed (${e.message.trim()}), using umount...`);
+            await this.runPrivileged(`umount "${partPath}"`);
+        }
+        return { success: true };
+    },
+
+    /**
+     * Mount a partition and return its mount point. Reuses an existing mount.
+     */
+    async mountPartition(partPath) {
+        const [part] = await this.lsblk(partPath);
+        if (!part) throw new Error(`Partition ${partPath} not found`);
+        if (part.mountpoint) return part.mountpoint;
+
+        try {
+            const { stdout } = await execAsync(`udisksctl mount -b "${partPath}" --no-user-interaction`);
+            // "Mounted /dev/sdb1 at /media/user/EFI"
+            const match = stdout.match(/ at (.+?)\.?\s*$/m);
+            if (match) return match[1].trim();
+        } catch (e) {
+            console.warn(`[Linux] udisksctl mount failed (${e.message.trim()}), using mount...`);
+        }
+
+        const mountPoint = path.join('/mnt', `surfacemac-${part.label || part.partlabel || part.name}`);
+        const uid = process.getuid ? process.getuid() : 0;
+        const gid = process.getgid ? process.getgid() : 0;
+        await this.runPrivileged(`mkdir -p "${mountPoint}"\nmount -o uid=${uid},gid=${gid} "${partPath}" "${mountPoint}"`);
+        return mountPoint;
+    },
+
+    /**
+     * True if dir is the root of a mounted filesystem
+     */
+    isMountPoint(dir) {
+        try {
+            return fs.statSync(dir).dev !== fs.statSync(path.dirname(dir)).dev;
+        } catch {
+            return false;
+        }
+    },
+
+    /**
+     * Mount BOOT and INSTALL and return the format-usb result shape
+     */
+    async mountInstallVolumes(diskPath) {
+        const partitions = await this.getPartitions(diskPath);
+        const byLabel = (label) => partitions.find(p => p.partlabel === label || p.label === label);
+        const boot = byLabel('BOOT');
+        const install = byLabel('INSTALL');
+        if (!boot || !install) throw new Error(`BOOT/INSTALL partitions not found on ${diskPath}`);
+
+        return {
+            success: true,
+            volumeName: 'INSTALL',
+            volumePath: await this.mountPartition(install.path),
+            bootVolumePath: await this.mountPartition(boot.path),
+        };
+    },
+
+    /**
+     * Create the EFI / BOOT (FAT32) / INSTALL (ExFAT) GPT layout
+     */
+    async formatDisk(diskPath, { forceFormat = false, onStatus } = {}) {
+        const setStatus = (msg) => onStatus && onStatus(msg);
+        const [disk] = await this.lsblk(diskPath);
+        if (!disk || disk.type !== 'disk') throw new Error(`${diskPath} is not a whole disk`);
+
+        if (!forceFormat) {
+            const partitions = (disk.children || []).filter(c => c.type === 'part');
+            const labels = partitions.map(p => p.partlabel || p.label);
+            if (labels.includes('BOOT') && labels.includes('INSTALL')) {
+                console.log('[USB] BOOT and INSTALL partitions already exist. Skipping format.');
+                setStatus('USB already formatted (BOOT + INSTALL found). Skipping...');
+                return { ...(await this.mountInstallVolumes(diskPath)), skippedFormat: true };
+            }
+        }
+
+        setStatus('Unmounting disk...');
+        await this.unmountDisk(diskPath);
+
+        // Same layout as `diskutil partitionDisk GPT FAT32 BOOT 3G ExFAT INSTALL R`
+        // plus the 200MB EFI slice diskutil adds implicitly.
+        console.log(`[USB] Partitioning ${diskPath} (EFI, BOOT, INSTALL)...`);
+        await this.runPrivileged([
+            'echo "STATUS: Erasing disk (this may take a while)..."',
+            `wipefs -a "${diskPath}"`,
+            `sgdisk --zap-all "${diskPath}"`,
+            'echo "STATUS: Creating GPT partitions..."',
+            `sgdisk -n 1:0:+200M -t 1:EF00 -c 1:EFI -n 2:0:+3G -t 2:0700 -c 2:BOOT -n 3:0:0 -t 3:0700 -c 3:INSTALL "${diskPath}"`,
+            `partprobe "${diskPath}" || true`,
+            'udevadm settle',
+        ].join('\n'), setStatus);
+
+        const partitions = await this.getPartitions(diskPath);
+        const byLabel = (label) => partitions.find(p => p.partlabel === label);
+        const efi = byLabel('EFI');
+        const boot = byLabel('BOOT');
+        const install = byLabel('INSTALL');
+        if (!efi || !boot || !install) throw new Error('Partitions were not created as expected');
+
+        await this.runPrivileged([
+            'echo "STATUS: Formatting EFI (FAT32)..."',
+            `mkfs.fat -F 32 -n EFI "${efi.path}"`,
+            'echo "STATUS: Formatting BOOT (FAT32)..."',
+            `mkfs.fat -F 32 -n BOOT "${boot.path}"`,
+            'echo "STATUS: Formatting INSTALL (ExFAT)..."',
+            `mkfs.exfat -n INSTALL "${install.path}"`,
+            'udevadm settle',
+        ].join('\n'), setStatus);
+
+        setStatus('Mounting volumes...');
+        const result = await this.mountInstallVolumes(diskPath);
+        setStatus('Formatting complete!');
+        return result;
+    },
+};
+
+module.exports = LinuxDiskService;
@@ -0,0 +1,290 @@
+/**
+ * OpenCore Upgrade Service (CommonJS)
+ *
+ * Upgrades the OpenCore binaries of an existing EFI to an OpenCorePkg release
+ * and migrates config.plist across the versions in between.
+ *
+ * MIGRATIONS lists, per OpenCore release, the config.plist changes that
+ * release requires. Upgrading from A to B applies every entry with
+ * A < version <= B in order. Paths use plistPatchService syntax, with `[]`
+ * meaning "every entry of the array". Operations:
+ *   { op: 'add', path, type, value }   add a key that is missing (never overwrites)
+ *   { op: 'remove', path }             drop a key that is no longer read
+ *   { op: 'custom', describe, apply }  anything else; apply(config) returns change descriptions
+ */
+
+const fs = require('fs');
+const path = require('path');
+const plistPatchService = require('./plistPatchService');
+const configValidatorService = require('./configValidatorService');
+const efiInventoryService = require('./efiInventoryService');
+
+const OPENCORE_REPO = 'acidanthera/OpenCorePkg';
+const OC_BINARY_DATA_ARCHIVE = 'https://github.com/acidanthera/OcBinaryData/archive/refs/heads/master.zip';
+const OC_VERSION_PATTERN = /(?:REL|DBG|NPT)-(\d)(\d)(\d)-\d{4}-\d{2}-\d{2}/;
+
+// Security settings that became boot entry drivers: migrate "on" to loading the driver
+function securityFlagToDriver(flag, driver) {
+    return (config) => {
+        const security = config.Misc && config.Misc.Security;
+        if (!security || !(flag in security)) return [];
+        const wasEnabled = security[flag] === true;
+        delete security[flag];
+
+        const changes = [`removed Misc.Security.${flag}`];
+        const drivers = (config.UEFI && config.UEFI.Drivers) || [];
+        if (wasEnabled && !drivers.some(d => d && d.Path === driver)) {
+            drivers.push({ Arguments: '', Comment: '', Enabled: true, Path: driver });
+            changes.push(`added UEFI.Drivers entry ${driver} (replaces ${flag})`);
+        }
+        return changes;
+    };
+}
+
+const MIGRATIONS = [
+    {
+        version: '0.7.3',
+        steps: [{
+            op: 'custom',
+            describe: 'UEFI.Drivers entries become dicts',
+            apply(config) {
+                const drivers = config.UEFI && config.UEFI.Drivers;
+                if (!Array.isArray(drivers)) return [];
+                const changes = [];
+                drivers.forEach((driver, index) => {
+                    if (typeof driver !== 'string') return;
+                    // A leading "#" used to comment a driver out
+                    const enabled = !driver.startsWith('#');
+                    drivers[index] = { Arguments: '', Comment: '', Enabled: enabled, Path: driver.replace(/^#/, '') };
+                    changes.push(`UEFI.Drivers[${index}] "${driver}" converted to a dict`);
+                });
+                return changes;
+            },
+        }],
+    },
+    {
+        version: '0.8.3',
+        steps: [
+            { op: 'custom', describe: 'AllowNvramReset moves to ResetNvramEntry.efi', apply: securityFlagToDriver('AllowNvramReset', 'ResetNvramEntry.efi') },
+            { op: 'custom', describe: 'AllowToggleSip moves to ToggleSipEntry.efi', apply: securityFlagToDriver('AllowToggleSip', 'ToggleSipEntry.efi') },
+        ],
+    },
+    {
+        version: '0.8.4',
+        steps: [{ op: 'add', path: 'UEFI.Drivers[].LoadEarly', type: 'bool', value: false }],
+    },
+    {
+        version: '0.9.2',
+        steps: [{ op: 'add', path: 'UEFI.Quirks.ShimRetainProtocol', type: 'bool', value: false }],
+    },
+    {
+        version: '0.9.7',
+        steps: [{ op: 'add', path: 'Booter.Quirks.ClearTaskSwitchBit', type: 'bool', value: false }],
+    },
+    {
+        version: '0.9.8',
+        steps: [
+            { op: 'add', path: 'Booter.Quirks.FixupAppleEfiImages', type: 'bool', value: false },
+            { op: 'add', path: 'UEFI.Output.ConsoleFont', type: 'string', value: '' },
+        ],
+    },
+];
+
+function parseVersion(version) {
+    return String(version).replace(/^v/i, '').split('.').map(Number);
+}
+
+function compareVersions(a, b) {
+    const pa = parseVersion(a);
+    const pb = parseVersion(b);
+    for (let i = 0; i < 3; i++) {
+        if ((pa[i] || 0) !== (pb[i] || 0)) return (pa[i] || 0) - (pb[i] || 0);
+    }
+    return 0;
+}
+
+function detectEfiVersion(filePath) {
+    if (!fs.existsSync(filePath)) return null;
+    const match = fs.readFileSync(filePath).toString('latin1').match(OC_VERSION_PATTERN);
+    return match ? `${match[1]}.${match[2]}.${match[3]}` : null;
+}
+
+/**
+ * Expand a path with `[]` into the concrete paths that exist in the config
+ * (the last segment itself does not have to exist)
+ */
+function expandPath(config, pathStr) {
+    const star = pathStr.indexOf('[]');
+    if (star === -1) return [pathStr];
+    const arrayPath = pathStr.slice(0, star);
+    const rest = pathStr.slice(star + 2);
+    if (!plistPatchService.has(config, arrayPath)) return [];
+    const array = plistPatchService.get(config, arrayPath);
+    if (!Array.isArray(array)) return [];
+    return array.flatMap((entry, index) => (plistPatchService.typeOf(entry) === 'dict'
+        ? expandPath(config, `${arrayPath}[${index}]${rest}`)
+        : []));
+}
+
+const parentOf = (pathStr) => pathStr.slice(0, Math.max(pathStr.lastIndexOf('.'), 0));
+
+const OpenCoreService = {
+    MIGRATIONS,
+
+    /**
+     * OpenCore version of OpenCore.efi and of BOOTx64.efi (the bootstrap that
+     * loads it). Either is null when the file is missing or carries no version.
+     */
+    detectVersions(efiRoot) {
+        const ocPath = efiInventoryService.resolveOcPath(efiRoot);
+        if (!ocPath) throw new Error(`No OpenCore folder found in ${efiRoot}`);
+        const bootPath = path.join(path.dirname(ocPath), 'BOOT', 'BOOTx64.efi');
+        return {
+            ocPath,
+            openCore: configValidatorService.detectOpenCoreVersion(ocPath),
+            bootstrap: detectEfiVersion(bootPath),
+            hasBootstrap: fs.existsSync(bootPath),
+        };
+    },
+
+    /**
+     * Recent OpenCorePkg releases: [{ version, tag, publishedAt, url }]
+     */
+    async listReleases() {
+        const releases = await efiInventoryService.fetchGitHub(`/repos/${OPENCORE_REPO}/releases?per_page=15`);
+        return releases
+            .filter(r => !r.draft && !r.prerelease && (r.assets || []).some(a => /-RELEASE\.zip$/.test(a.name)))
+            .map(r => ({ version: r.tag_name.replace(/^v/i, ''), tag: r.tag_name, publishedAt: r.published_at, url: r.html_url }));
+    },
+
+    /**
+     * Apply the migrations between two OpenCore versions to a parsed config (mutates it).
+     * Returns [{ version, change }]
+     */
+    migrateConfig(config, fromVersion, toVersion) {
+        const report = [];
+        const pending = MIGRATIONS.filter(m => compareVersions(m.version, fromVersion) > 0 && compareVersions(m.version, toVersion) <= 0);
+
+        for (const migration of pending) {
+            for (const step of migration.steps) {
+                if (step.op === 'custom') {
+                    step.apply(config).forEach(change => report.push({ version: migration.version, change }));
+                    continue;
+                }
+
+                for (const target of expandPath(config, step.path)) {
+                    const exists = plistPatchService.has(config, target);
+                    if (step.op === 'add' && !exists && plistPatchService.has(config, parentOf(target))) {
+                        plistPatchService.applyPatch(config, { op: 'add', path: target, type: step.type, value: step.value });
+                        report.push({ version: migration.version, change: `added ${target} = ${JSON.stringify(step.value)}` });
+                    } else if (step.op === 'remove' && exists) {
+                        plistPatchService.applyPatch(config, { op: 'remove', path: target });
+                        report.push({ version: migration.version, change: `removed ${target}` });
+                    }
+                }
+            }
+        }
+        return report;
+    },
+
+    /**
+     * Upgrade the EFI at efiRoot to an OpenCorePkg release (tag, or the latest when omitted).
+     *
+     * A copy of the whole EFI folder is written to backupDir first and restored
+     * if any step fails. Replaced: OpenCore.efi, BOOT/BOOTx64.efi, every driver
+     * and tool on the EFI that the release ships, and OC/Resources (from OcBinaryData).
+     *
+     * Returns { previousVersion, version, backupPath, replaced, added, configChanges, validation }
+     */
+    async upgrade(efiRoot, { tag = null, backupDir, replaceResources = true, onStatus = () => {} } = {}) {
+        if (!backupDir) throw new Error('A backup directory is required');
+
+        const current = this.detectVersions(efiRoot);
+        const { ocPath } = current;
+        const efiDir = path.dirname(ocPath);
+        const previousVersion = current.openCore;
+
+        onStatus('Checking OpenCorePkg releases...');
+        const release = await efiInventoryService.fetchGitHub(tag
+            ? `/repos/${OPENCORE_REPO}/releases/tags/${encodeURIComponent(tag)}`
+            : `/repos/${OPENCORE_REPO}/releases/latest`);
+        const version = release.tag_name.replace(/^v/i, '');
+        const asset = (release.assets || []).find(a => /-RELEASE\.zip$/.test(a.name));
+        if (!asset) throw new Error(`OpenCorePkg ${release.tag_name} has no RELEASE build`);
+
+        if (previousVersion && compareVersions(version, previousVersion) < 0) {
+            throw new Error(`The EFI runs OpenCore ${previousVersion}; downgrading to ${version} is not supported`);
+        }
+
+        const { extractDir } = await efiInventoryService.fetchAsset(asset.browser_download_url, asset.name, { onStatus });
+        const x64 = efiInventoryService.findInTree(extractDir, 'X64', p => fs.existsSync(path.join(p, 'EFI', 'OC', 'OpenCore.efi')));
+        if (!x64) throw new Error(`${asset.name} does not contain X64/EFI/OC/OpenCore.efi`);
+        const releaseOc = path.join(x64, 'EFI', 'OC');
+
+        let resourcesDir = null;
+        if (replaceResources) {
+            // The master branch archive changes over time: download it again after a day
+            const binaryData = await efiInventoryService.fetchAsset(OC_BINARY_DATA_ARCHIVE, 'OcBinaryData-master.zip', { maxAge: 24 * 60 * 60 * 1000, onStatus });
+            resourcesDir = efiInventoryService.findInTree(binaryData.extractDir, 'Resources', p => fs.statSync(p).isDirectory());
+            if (!resourcesDir) throw new Error('OcBinaryData archive has no Resources folder');
+        }
+
+        // Migrate in memory first so a config that cannot be migrated stops the upgrade before anything is touched
+        const configPath = path.join(ocPath, 'config.plist');
+        const config = plistPatchService.parse(fs.readFileSync(configPath, 'utf8'));
+        const configChanges = this.migrateConfig(config, previousVersion || '0.0.0', version);
+
+        onStatus('Backing up the current EFI...');
+        const backupPath = path.join(backupDir, `EFI-OC${previousVersion || 'unknown'}-${new Date().toISOString().replace(/[:.]/g, '-')}`);
+        fs.mkdirSync(backupDir, { recursive: true });
+        fs.cpSync(efiDir, backupPath, { recursive: true });
+
+        const replaced = [];
+        const added = [];
+        try {
+            onStatus(`Installing OpenCore ${version}...`);
+            const install = (relative, list) => {
+                efiInventoryService.replacePath(path.join(x64, 'EFI', relative), path.join(efiDir, relative));
+                list.push(relative);
+            };
+
+            install(path.join('OC', 'OpenCore.efi'), replaced);
+            install(path.join('BOOT', 'BOOTx64.efi'), current.hasBootstrap ? replaced : added);
+
+            for (const folder of ['Drivers', 'Tools']) {
+                const dir = path.join(ocPath, folder);
+                if (!fs.existsSync(dir)) continue;
+                for (const name of fs.readdirSync(dir)) {
+                    if (fs.existsSync(path.join(releaseOc, folder, name))) install(path.join('OC', folder, name), replaced);
+                }
+            }
+
+            // Drivers the migrated config now loads but the EFI does not have yet
+            for (const driver of (config.UEFI && config.UEFI.Drivers) || []) {
+                const name = driver && typeof driver === 'object' ? driver.Path : null;
+                if (name && !fs.existsSync(path.join(ocPath, 'Drivers', name)) && fs.existsSync(path.join(releaseOc, 'Drivers', name))) {
+                    install(path.join('OC', 'Drivers', name), added);
+                }
+            }
+
+            if (resourcesDir) {
+                onStatus('Replacing OpenCanopy resources...');
+                efiInventoryService.replacePath(resourcesDir, path.join(ocPath, 'Resources'));
+                replaced.push(path.join('OC', 'Resources'));
+            }
+
+            fs.writeFileSync(configPath, plistPatchService.build(config), 'utf8');
+        } catch (e) {
+            console.error(`[OpenCore] Upgrade failed, restoring ${backupPath}: ${e.message}`);
+            efiInventoryService.replacePath(backupPath, efiDir);
+            throw new Error(`OpenCore upgrade failed and the previous EFI was restored: ${e.message}`);
+        }
+
+        const validation = configValidatorService.validateFile(configPath);
+        console.log(`[OpenCore] Upgraded ${previousVersion || 'unknown'} -> ${version}: ${replaced.length} replaced, ${added.length} added, ${configChanges.length} config changes`);
+
+        return { previousVersion, version, backupPath, replaced, added, configChanges, validation };
+    },
+};
+
+module.exports = OpenCoreService;
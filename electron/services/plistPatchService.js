@@ -0,0 +1,413 @@
+/**
+ * Plist Patch Service (CommonJS)
+ *
+ * Parses a plist into a tree, applies typed operations addressed by path and
+ * writes it back. Key order is preserved because dicts stay insertion-ordered
+ * objects from parse to build.
+ *
+ * Path syntax:
+ *   Misc.Security.ScanPolicy                         dict keys
+ *   UEFI.Drivers[0].Path                             array index
+ *   Kernel.Add[BundlePath=Lilu.kext].Enabled         array entry whose field matches
+ *
+ * Operations:
+ *   { op: 'set', path, type, value }     replace an existing value (type must match)
+ *   { op: 'add', path, type, value }     create a key that does not exist yet
+ *   { op: 'append', path, type, value }  push onto an existing array
+ *   { op: 'remove', path }               delete an existing key or array entry
+ */
+
+const fs = require('fs');
+const plist = require('plist');
+
+// Indentation used when serialising (matches Apple/OpenCore sample configs)
+const BUILD_OPTIONS = { indent: '\t' };
+
+const VALUE_TYPES = ['string', 'integer', 'real', 'bool', 'data', 'date', 'array', 'dict'];
+
+/**
+ * Split a path string into segments
+ */
+function parsePath(pathStr) {
+    if (typeof pathStr !== 'string' || pathStr.length === 0) {
+        throw new Error('Path must be a non-empty string');
+    }
+
+    const segments = [];
+    let i = 0;
+
+    while (i < pathStr.length) {
+        if (pathStr[i] === '[') {
+            const end = pathStr.indexOf(']', i);
+            if (end === -1) throw new Error(`Unclosed "[" in path "${pathStr}"`);
+            const inner = pathStr.slice(i + 1, end);
+
+            if (/^\d+$/.test(inner)) {
+                segments.push({ kind: 'index', index: parseInt(inner, 10) });
+            } else {
+                const eq = inner.indexOf('=');
+                if (eq <= 0) throw new Error(`Invalid selector "[${inner}]" in path "${pathStr}"`);
+                segments.push({ kind: 'match', field: inner.slice(0, eq), value: inner.slice(eq + 1) });
+            }
+            i = end + 1;
+            if (pathStr[i] === '.') i++;
+        } else {
+            let end = i;
+            while (end < pathStr.length && pathStr[end] !== '.' && pathStr[end] !== '[') end++;
+            const key = pathStr.slice(i, end);
+            if (!key) throw new Error(`Empty key in path "${pathStr}"`);
+            segments.push({ kind: 'key', key });
+            i = end;
+            if (pathStr[i] === '.') i++;
+        }
+    }
+
+    return segments;
+}
+
+/**
+ * Describe the plist type of a parsed value
+ */
+function typeOf(value) {
+    if (Buffer.isBuffer(value)) return 'data';
+    if (value instanceof Date) return 'date';
+    if (Array.isArray(value)) return 'array';
+    if (typeof value === 'boolean') return 'bool';
+    if (typeof value === 'string') return 'string';
+    if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'real';
+    if (value && typeof value === 'object') return 'dict';
+    return 'unknown';
+}
+
+/**
+ * Validate and normalise a value for the requested plist type
+ */
+function coerceValue(type, value) {
+    switch (type) {
+        case 'string':
+            if (typeof value !== 'string') throw new Error(`Expected string, got ${typeof value}`);
+            return value;
+        case 'integer':
+            if (!Number.isInteger(value)) throw new Error(`Expected integer, got ${JSON.stringify(value)}`);
+            return value;
+        case 'real':
+            if (typeof value !== 'number' || !Number.isFinite(value)) throw new Error(`Expected real, got ${JSON.stringify(value)}`);
+            return value;
+        case 'bool':
+            if (typeof value !== 'boolean') throw new Error(`Expected bool, got ${typeof value}`);
+            return value;
+        case 'data':
+            if (Buffer.isBuffer(value)) return value;
+            if (typeof value === 'string') return Buffer.from(value, 'base64');
+            throw new Error('Expected Buffer or base64 string for data');
+        case 'date': {
+            const date = value instanceof Date ? value : new Date(value);
+            if (isNaN(date.getTime())) throw new Error(`Invalid date ${JSON.stringify(value)}`);
+            return date;
+        }
+        case 'array':
+            if (!Array.isArray(value)) throw new Error('Expected array');
+            return value;
+        case 'dict':
+            if (typeOf(value) !== 'dict') throw new Error('Expected dict');
+            return value;
+        default:
+            throw new Error(`Unknown type "${type}". Expected one of: ${VALUE_TYPES.join(', ')}`);
+    }
+}
+
+/**
+ * Two types are compatible if one can replace the other in place
+ */
+function isCompatibleType(existing, requested) {
+    if (existing === requested) return true;
+    // plist.parse turns <real>1.0</real> into 1, so treat numbers as one family
+    return (existing === 'integer' || existing === 'real') && (requested === 'integer' || requested === 'real');
+}
+
+function describe(segments, count) {
+    return segments.slice(0, count).map((s, idx) => {
+        if (s.kind === 'key') return idx === 0 ? s.key : `.${s.key}`;
+        if (s.kind === 'index') return `[${s.index}]`;
+        return `[${s.field}=${s.value}]`;
+    }).join('');
+}
+
+/**
+ * Resolve one segment against a container. Returns { found, key } where key
+ * is the dict key or array index that holds the child.
+ */
+function resolveSegment(container, segment, segments, position) {
+    const at = describe(segments, position + 1);
+    const containerType = typeOf(container);
+
+    if (segment.kind === 'key') {
+        if (containerType !== 'dict') throw new Error(`${at}: parent is ${containerType}, not dict`);
+        return { found: Object.prototype.hasOwnProperty.call(container, segment.key), key: segment.key };
+    }
+
+    if (containerType !== 'array') throw new Error(`${at}: parent is ${containerType}, not array`);
+
+    if (segment.kind === 'index') {
+        return { found: segment.index < container.length, key: segment.index };
+    }
+
+    const matches = [];
+    container.forEach((item, idx) => {
+        if (typeOf(item) === 'dict' && String(item[segment.field]) === segment.value) matches.push(idx);
+    });
+    if (matches.length > 1) throw new Error(`${at}: selector matches ${matches.length} entries`);
+    return { found: matches.length === 1, key: matches[0] };
+}
+
+/**
+ * Walk to the container holding the last segment of the path
+ */
+function resolveParent(root, segments) {
+    let node = root;
+    for (let i = 0; i < segments.length - 1; i++) {
+        const { found, key } = resolveSegment(node, segments[i], segments, i);
+        if (!found) throw new Error(`${describe(segments, i + 1)} does not exist`);
+        node = node[key];
+    }
+    return node;
+}
+
+/**
+ * Read the value at a path. Throws if it does not exist.
+ */
+function get(root, pathStr) {
+    const segments = parsePath(pathStr);
+    const parent = resolveParent(root, segments);
+    const last = segments.length - 1;
+    const { found, key } = resolveSegment(parent, segments[last], segments, last);
+    if (!found) throw new Error(`${pathStr} does not exist`);
+    return parent[key];
+}
+
+/**
+ * Check whether a path resolves to a value
+ */
+function has(root, pathStr) {
+    try {
+        get(root, pathStr);
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Apply a single operation to the tree (mutates it)
+ */
+function applyPatch(root, patch) {
+    const segments = parsePath(patch.path);
+    const parent = resolveParent(root, segments);
+    const last = segments.length - 1;
+    const lastSegment = segments[last];
+    const { found, key } = resolveSegment(parent, lastSegment, segments, last);
+
+    switch (patch.op) {
+        case 'set': {
+            if (!found) throw new Error(`${patch.path} does not exist`);
+            const existingType = typeOf(parent[key]);
+            if (!isCompatibleType(existingType, patch.type)) {
+                throw new Error(`${patch.path} is ${existingType}, cannot set ${patch.type}`);
+            }
+            parent[key] = coerceValue(patch.type, patch.value);
+            return;
+        }
+        case 'add': {
+            if (lastSegment.kind !== 'key') throw new Error(`${patch.path}: "add" needs a dict key, use "append" for arrays`);
+            if (found) throw new Error(`${patch.path} already exists`);
+            parent[key] = coerceValue(patch.type, patch.value);
+            return;
+        }
+        case 'append': {
+            if (!found) throw new Error(`${patch.path} does not exist`);
+            if (!Array.isArray(parent[key])) throw new Error(`${patch.path} is ${typeOf(parent[key])}, not array`);
+            parent[key].push(coerceValue(patch.type, patch.value));
+            return;
+        }
+        case 'remove': {
+            if (!found) throw new Error(`${patch.path} does not exist`);
+            if (Array.isArray(parent)) parent.splice(key, 1);
+            else delete parent[key];
+            return;
+        }
+        default:
+            throw new Error(`Unknown operation "${patch.op}"`);
+    }
+}
+
+/**
+ * Apply a list of operations. Every failing operation is reported; none are
+ * silently skipped. Returns { applied, errors }.
+ */
+function applyPatches(root, patches) {
+    const errors = [];
+    let applied = 0;
+
+    for (const patch of patches) {
+        try {
+            applyPatch(root, patch);
+            applied++;
+        } catch (e) {
+            errors.push({ op: patch.op, path: patch.path, message: e.message });
+        }
+    }
+
+    return { applied, errors };
+}
+
+/**
+ * Parse plist XML into a tree
+ */
+function parse(xml) {
+    return plist.parse(xml);
+}
+
+// The builder writes empty values as <string/>. The templates (and Apple's tools) write them as
+// open/close pairs, which OpenCore's stricter parser expects: keep that form so a patch only
+// changes the values it targets
+const SELF_CLOSING_EMPTY = /<(key|string|data)\/>/g;
+
+/**
+ * Serialise a tree back to plist XML
+ */
+function build(root) {
+    return plist.build(root, { ...BUILD_OPTIONS }).replace(SELF_CLOSING_EMPTY, '<$1></$1>');
+}
+
+/**
+ * Convert a tree into plain JSON that keeps every plist type, for editing in
+ * the renderer (IPC would turn data into Uint8Array and drop key order).
+ *   dict   { type: 'dict', value: [[key, node], ...] }
+ *   array  { type: 'array', value: [node, ...] }
+ *   data   { type: 'data', value: base64 }
+ *   date   { type: 'date', value: ISO string }
+ *   other  { type, value }
+ */
+function toTyped(value) {
+    const type = typeOf(value);
+    switch (type) {
+        case 'dict':
+            return { type, value: Object.entries(value).map(([key, child]) => [key, toTyped(child)]) };
+        case 'array':
+            return { type, value: value.map(toTyped) };
+        case 'data':
+            return { type, value: value.toString('base64') };
+        case 'date':
+            return { type, value: value.toISOString() };
+        default:
+            if (type === 'unknown') throw new Error(`Cannot represent ${String(value)} in a plist`);
+            return { type, value };
+    }
+}
+
+/**
+ * Inverse of toTyped(). Throws on unknown types, duplicate keys or values that do not match their type.
+ */
+function fromTyped(node, at = 'root') {
+    if (!node || typeof node !== 'object' || !VALUE_TYPES.includes(node.type)) {
+        throw new Error(`${at}: invalid node`);
+    }
+
+    if (node.type === 'dict') {
+        if (!Array.isArray(node.value)) throw new Error(`${at}: dict value must be a list of entries`);
+        const dict = {};
+        for (const [key, child] of node.value) {
+            if (typeof key !== 'string' || key === '') throw new Error(`${at}: empty key`);
+            if (Object.prototype.hasOwnProperty.call(dict, key)) throw new Error(`${at}: duplicate key "${key}"`);
+            dict[key] = fromTyped(child, `${at}.${key}`);
+        }
+        return dict;
+    }
+    if (node.type === 'array') {
+        if (!Array.isArray(node.value)) throw new Error(`${at}: array value must be a list`);
+        return node.value.map((child, i) => fromTyped(child, `${at}[${i}]`));
+    }
+
+    try {
+        if (node.type === 'integer' && !Number.isInteger(node.value)) throw new Error(`Expected integer, got ${node.value}`);
+        return coerceValue(node.type, node.value);
+    } catch (e) {
+        throw new Error(`${at}: ${e.message}`);
+    }
+}
+
+function sameValue(a, b) {
+    if (Buffer.isBuffer(a) && Buffer.isBuffer(b)) return a.equals(b);
+    if (a instanceof Date && b instanceof Date) return a.getTime() === b.getTime();
+    return a === b;
+}
+
+/**
+ * List the differences between two trees as [{ path, kind: 'added' | 'removed' | 'changed', before, after }].
+ * Arrays are compared by index; values are the typed form of toTyped().
+ */
+function diff(before, after, at = '') {
+    const changes = [];
+    const beforeType = typeOf(before);
+    const afterType = typeOf(after);
+
+    if (beforeType !== afterType) {
+        changes.push({ path: at, kind: 'changed', before: toTyped(before), after: toTyped(after) });
+    } else if (beforeType === 'dict') {
+        for (const key of Object.keys(before)) {
+            const childPath = at ? `${at}.${key}` : key;
+            if (!Object.prototype.hasOwnProperty.call(after, key)) {
+                changes.push({ path: childPath, kind: 'removed', before: toTyped(before[key]), after: null });
+            } else {
+                changes.push(...diff(before[key], after[key], childPath));
+            }
+        }
+        for (const key of Object.keys(after)) {
+            if (!Object.prototype.hasOwnProperty.call(before, key)) {
+                changes.push({ path: at ? `${at}.${key}` : key, kind: 'added', before: null, after: toTyped(after[key]) });
+            }
+        }
+    } else if (beforeType === 'array') {
+        for (let i = 0; i < Math.max(before.length, after.length); i++) {
+            const childPath = `${at}[${i}]`;
+            if (i >= after.length) changes.push({ path: childPath, kind: 'removed', before: toTyped(before[i]), after: null });
+            else if (i >= before.length) changes.push({ path: childPath, kind: 'added', before: null, after: toTyped(after[i]) });
+            else changes.push(...diff(before[i], after[i], childPath));
+        }
+    } else if (!sameValue(before, after)) {
+        changes.push({ path: at, kind: 'changed', before: toTyped(before), after: toTyped(after) });
+    }
+
+    return changes;
+}
+
+/**
+ * Read a plist file, apply operations and write it back.
+ * The file is only written when every operation succeeded.
+ */
+function patchFile(filePath, patches) {
+    const root = parse(fs.readFileSync(filePath, 'utf8'));
+    const result = applyPatches(root, patches);
+
+    if (result.errors.length === 0) {
+        fs.writeFileSync(filePath, build(root), 'utf8');
+    }
+
+    return { ...result, written: result.errors.length === 0 };
+}
+
+module.exports = {
+    VALUE_TYPES,
+    parsePath,
+    typeOf,
+    get,
+    has,
+    applyPatch,
+    applyPatches,
+    parse,
+    build,
+    toTyped,
+    fromTyped,
+    diff,
+    patchFile,
+};
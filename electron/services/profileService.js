@@ -0,0 +1,168 @@
+/**
+ * Wizard Profile Service (CommonJS)
+ *
+ * Reads and writes the versioned JSON profile that holds the wizard state
+ * (CPU, macOS version, EFI source, SMBIOS, USB, progress). The same format
+ * is used for the auto-saved session and for exported/imported profiles.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const smbiosService = require('./smbiosService');
+
+const PROFILE_VERSION = 1;
+const PROFILE_FILE = 'profile.json';
+
+const MACOS_VERSIONS = ['sonoma', 'sequoia'];
+const CPU_TYPES = ['i5', 'i7'];
+const EFI_SOURCE_TYPES = ['default', 'registry', 'url', 'local'];
+const CATALOG_TYPES = ['public', 'publicseed', 'developer'];
+
+// Upgrades a profile of version N to N + 1. Add an entry whenever PROFILE_VERSION is bumped.
+const MIGRATIONS = {};
+
+const isObject = (value) => !!value && typeof value === 'object' && !Array.isArray(value);
+const isString = (value) => typeof value === 'string';
+const pick = (value, allowed, fallback) => (allowed.includes(value) ? value : fallback);
+
+function normalizeSmbios(smbios) {
+    if (!isObject(smbios)) return null;
+    const { model, serial, mlb, uuid } = smbios;
+    if (![model, serial, mlb, uuid].every(isString)) return null;
+    return { ...smbios, model, serial, mlb, uuid };
+}
+
+function normalizeDiskIdentity(identity) {
+    if (!isObject(identity) || !isString(identity.path)) return null;
+    return {
+        serial: isString(identity.serial) ? identity.serial : null,
+        name: isString(identity.name) ? identity.name : null,
+        size: Number(identity.size) || 0,
+        diskGuid: isString(identity.diskGuid) ? identity.diskGuid : null,
+        partitionUuids: Array.isArray(identity.partitionUuids) ? identity.partitionUuids.filter(isString) : [],
+        path: identity.path,
+    };
+}
+
+function normalizeUsb(usb) {
+    if (!isObject(usb) || !isString(usb.path)) return null;
+    return {
+        id: String(usb.id || ''),
+        name: String(usb.name || ''),
+        size: String(usb.size || ''),
+        path: usb.path,
+        serial: isString(usb.serial) ? usb.serial : null,
+        identity: normalizeDiskIdentity(usb.identity),
+    };
+}
+
+function normalizeInstallerSelection(selection) {
+    if (!isObject(selection) || !isString(selection.productId) || !isString(selection.build)) return null;
+    return {
+        catalogType: pick(selection.catalogType, CATALOG_TYPES, 'publicseed'),
+        productId: selection.productId,
+        build: selection.build,
+        version: String(selection.version || ''),
+    };
+}
+
+const ProfileService = {
+    PROFILE_VERSION,
+
+    /**
+     * Location of the auto-saved session profile
+     */
+    getSessionPath(userDataDir) {
+        return path.join(userDataDir, PROFILE_FILE);
+    },
+
+    /**
+     * Validate a parsed profile, upgrade older versions and drop unknown or invalid fields
+     */
+    normalize(data) {
+        if (!isObject(data) || !Number.isInteger(data.version)) {
+            throw new Error('Not a SurfaceMac profile (missing version)');
+        }
+        if (data.version > PROFILE_VERSION) {
+            throw new Error(`Profile version ${data.version} was created by a newer SurfaceMac (supported: ${PROFILE_VERSION})`);
+        }
+
+        let profile = data;
+        while (profile.version < PROFILE_VERSION) {
+            const migrate = MIGRATIONS[profile.version];
+            if (!migrate) throw new Error(`No migration from profile version ${profile.version}`);
+            profile = { ...migrate(profile), version: profile.version + 1 };
+        }
+
+        const wizard = isObject(profile.wizard) ? profile.wizard : {};
+        const config = isObject(wizard.config) ? wizard.config : {};
+        const efiSource = isObject(config.efiSource) ? config.efiSource : {};
+
+        return {
+            version: PROFILE_VERSION,
+            savedAt: isString(profile.savedAt) ? profile.savedAt : null,
+            appVersion: isString(profile.appVersion) ? profile.appVersion : null,
+            wizard: {
+                currentStep: Number.isInteger(wizard.currentStep) && wizard.currentStep > 0 ? wizard.currentStep : 1,
+                completedSteps: Array.isArray(wizard.completedSteps) ? wizard.completedSteps.filter(Number.isInteger) : [],
+                macosVersion: pick(wizard.macosVersion, MACOS_VERSIONS, 'sonoma'),
+                cpuType: pick(wizard.cpuType, CPU_TYPES, 'i5'),
+                config: {
+                    smbiosModel: pick(config.smbiosModel, smbiosService.listModels().map(m => m.model), smbiosService.DEFAULT_MODEL),
+                    smbios: normalizeSmbios(config.smbios),
+                    selectedUsb: normalizeUsb(config.selectedUsb),
+                    efiPath: isString(config.efiPath) ? config.efiPath : null,
+                    efiSource: {
+                        type: pick(efiSource.type, EFI_SOURCE_TYPES, 'default'),
+                        value: isString(efiSource.value) ? efiSource.value : '',
+                        ...(isString(efiSource.ref) && efiSource.ref ? { ref: efiSource.ref } : {}),
+                        ...(isString(efiSource.sha256) && efiSource.sha256 ? { sha256: efiSource.sha256 } : {}),
+                    },
+                    downloads: isObject(config.downloads) ? config.downloads : {},
+                    installerSelection: normalizeInstallerSelection(config.installerSelection),
+                },
+            },
+        };
+    },
+
+    /**
+     * Read and normalise a profile file. Returns null if the file does not exist.
+     */
+    read(filePath) {
+        if (!fs.existsSync(filePath)) return null;
+
+        let data;
+        try {
+            data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        } catch (e) {
+            throw new Error(`Profile ${filePath} is not valid JSON: ${e.message}`);
+        }
+        return this.normalize(data);
+    },
+
+    /**
+     * Normalise and write a profile (via a temp file so a crash never leaves half a profile)
+     */
+    write(filePath, profile, appVersion) {
+        const normalized = this.normalize({ ...profile, version: PROFILE_VERSION });
+        normalized.savedAt = new Date().toISOString();
+        normalized.appVersion = appVersion || normalized.appVersion;
+
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        const tempPath = `${filePath}.tmp`;
+        fs.writeFileSync(tempPath, JSON.stringify(normalized, null, 2), 'utf8');
+        fs.renameSync(tempPath, filePath);
+        return normalized;
+    },
+
+    /**
+     * Copy of a profile meant for another machine: the USB drive is local to this one
+     */
+    forExport(profile) {
+        const normalized = this.normalize(profile);
+        normalized.wizard.config.selectedUsb = null;
+        return normalized;
+    },
+};
+
+module.exports = ProfileService;
@@ -8,23 +8,89 @@ const fs = require('fs');
 const path = require('path');
 const downloadService = require('./downloadService');
 const gibMacOSService = require('./gibMacOSService');
+const assetBundleService = require('./assetBundleService');
+const cacheService = require('./cacheService');
+const chunklistService = require('./chunklistService');
+
+// Download cache keys of a macOS version's recovery image
+const recoveryKeys = (macosVersion) => ({
+    baseSystem: `recovery:${macosVersion}/BaseSystem.dmg`,
+    chunklist: `recovery:${macosVersion}/BaseSystem.chunklist`,
+});
+
+/**
+ * Stream src to dest, reporting "Copying <name>... x GB / y GB (z%)" about twice a second
+ */
+function copyWithProgress(src, dest, name, onStatus) {
+    return new Promise((resolve, reject) => {
+        const totalBytes = fs.statSync(src).size;
+        let copiedBytes = 0;
+        let lastUpdate = 0;
+
+        const reader = fs.createReadStream(src);
+        const writer = fs.createWriteStream(dest);
+        reader.on('error', reject);
+        writer.on('error', reject);
+        writer.on('finish', () => {
+            console.log(`[CopyRecovery] Finished copying ${name}`);
+            resolve();
+        });
+        reader.on('data', (chunk) => {
+            copiedBytes += chunk.length;
+            const now = Date.now();
+            if (now - lastUpdate > 500 || copiedBytes === totalBytes) {
+                const percent = ((copiedBytes / totalBytes) * 100).toFixed(1);
+                const copiedGB = (copiedBytes / 1024 / 1024 / 1024).toFixed(2);
+                const totalGB = (totalBytes / 1024 / 1024 / 1024).toFixed(2);
+                onStatus(`Copying ${name}... ${copiedGB} GB / ${totalGB} GB (${percent}%)`);
+                lastUpdate = now;
+            }
+        });
+        reader.pipe(writer);
+    });
+}
 
 const RecoveryService = {
+    recoveryKeys,
+
     /**
-     * Download macOS recovery image
+     * Cached BaseSystem.dmg + chunklist entries of a macOS version, null unless both are cached
      */
-    async downloadRecovery(options) {
-        const { macosVersion, outputDir, onProgress } = options;
+    getCached(macosVersion) {
+        const keys = recoveryKeys(macosVersion);
+        const baseSystem = cacheService.get(keys.baseSystem);
+        const chunklist = cacheService.get(keys.chunklist);
+        return baseSystem && chunklist ? { baseSystem, chunklist } : null;
+    },
 
-        // Ensure output directory exists
-        if (!fs.existsSync(outputDir)) {
-            fs.mkdirSync(outputDir, { recursive: true });
-        }
+    /**
+     * Copy the recovery image of a macOS version from the offline asset bundle into the
+     * download cache. Returns the cache entries, null when the bundle does not have it.
+     */
+    async restoreFromBundle(macosVersion, onProgress) {
+        const keys = recoveryKeys(macosVersion);
+        const bundled = { baseSystem: await assetBundleService.lookup(keys.baseSystem), chunklist: await assetBundleService.lookup(keys.chunklist) };
+        if (!bundled.baseSystem || !bundled.chunklist) return null;
+
+        console.log(`[RecoveryService] Using the ${macosVersion} recovery image from the asset bundle`);
+        const store = (key, asset, progress) => cacheService.put(key, asset.filePath, { ...asset.meta, macos: macosVersion }, { sha256: asset.sha256, onProgress: progress });
+        return {
+            chunklist: await store(keys.chunklist, bundled.chunklist, null),
+            baseSystem: await store(keys.baseSystem, bundled.baseSystem, onProgress),
+        };
+    },
 
-        // Create com.apple.recovery.boot folder
-        const recoveryDir = path.join(outputDir, 'com.apple.recovery.boot');
-        if (!fs.existsSync(recoveryDir)) {
-            fs.mkdirSync(recoveryDir, { recursive: true });
+    /**
+     * macOS recovery image from the download cache, the asset bundle or Apple's software catalog.
+     * Returns { baseSystemPath, chunklistPath } (files in the download cache)
+     */
+    async downloadRecovery(options) {
+        const { macosVersion, onProgress } = options;
+        const keys = recoveryKeys(macosVersion);
+
+        const existing = this.getCached(macosVersion) || await this.restoreFromBundle(macosVersion, onProgress && ((p) => onProgress({ ...p, id: 'recovery-base' })));
+        if (existing) {
+            return { baseSystemPath: existing.baseSystem.filePath, chunklistPath: existing.chunklist.filePath };
         }
 
         console.log(`[RecoveryService] Finding recovery image for ${macosVersion}`);
@@ -78,39 +144,71 @@ const RecoveryService = {
             throw new Error('Missing BaseSystem.dmg or chunklist in selected product.');
         }
 
+        // Both files come from this product, so a half-cached pair is downloaded again
+        const meta = { productId: recoveryProduct.id, build: recoveryProduct.build, version: recoveryProduct.version, macos: macosVersion };
+
         // 2. Download BaseSystem.dmg
-        const baseSystemPath = path.join(recoveryDir, 'BaseSystem.dmg');
-        if (!fs.existsSync(baseSystemPath) || fs.statSync(baseSystemPath).size !== basePkg.size) {
-            console.log(`[RecoveryService] Downloading BaseSystem.dmg (${(basePkg.size / 1024 / 1024).toFixed(1)} MB)...`);
-            await downloadService.download({
-                id: 'basesystem',
-                url: basePkg.url,
-                destPath: baseSystemPath,
-                onProgress: (progress) => {
-                    if (onProgress) {
-                        // Rescale progress if needed, or just pass it
-                        // We do 2 downloads.
-                        // Let's just track BaseSystem as main progress (chunklist is small)
-                        onProgress({ ...progress, id: 'recovery-base' });
-                    }
-                },
-            });
-        } else {
-            console.log('[RecoveryService] BaseSystem.dmg already exists and matches size.');
-            if (onProgress) onProgress({ percent: 100, downloaded: basePkg.size, total: basePkg.size, id: 'recovery-base' });
-        }
+        console.log(`[RecoveryService] Downloading BaseSystem.dmg (${(basePkg.size / 1024 / 1024).toFixed(1)} MB)...`);
+        const baseSystem = await cacheService.obtain(keys.baseSystem, 'BaseSystem.dmg', (destPath) => downloadService.download({
+            id: 'basesystem',
+            url: basePkg.url,
+            destPath,
+            onProgress: (progress) => {
+                if (onProgress) {
+                    // Rescale progress if needed, or just pass it
+                    // We do 2 downloads.
+                    // Let's just track BaseSystem as main progress (chunklist is small)
+                    onProgress({ ...progress, id: 'recovery-base' });
+                }
+            },
+        }), { ...meta, url: basePkg.url }, { refresh: true });
 
         // 3. Download chunklist
-        const chunklistPath = path.join(recoveryDir, 'BaseSystem.chunklist');
         console.log('[RecoveryService] Downloading BaseSystem.chunklist...');
-        await downloadService.download({
+        const chunklist = await cacheService.obtain(keys.chunklist, 'BaseSystem.chunklist', (destPath) => downloadService.download({
             id: 'chunklist',
             url: chunkPkg.url,
-            destPath: chunklistPath,
-        });
+            destPath,
+        }), { ...meta, url: chunkPkg.url }, { refresh: true });
 
         console.log('[RecoveryService] Download complete!');
-        return { baseSystemPath, chunklistPath };
+        return { baseSystemPath: baseSystem.filePath, chunklistPath: chunklist.filePath };
+    },
+
+    /**
+     * Copy BaseSystem.dmg (checked against its chunklist first) and the chunklist into
+     * <volumePath>/com.apple.recovery.boot, the BOOT partition of a stick.
+     * Returns { success, recoveryDir }
+     */
+    async copyToVolume({ baseSystemPath, baseChunklistPath, volumePath }, onStatus = () => { }) {
+        console.log(`[CopyRecovery] Copying to ${volumePath} (BOOT Partition)`);
+        if (!baseSystemPath || !fs.existsSync(baseSystemPath)) throw new Error('BaseSystem.dmg not found');
+
+        const recoveryDir = path.join(volumePath, 'com.apple.recovery.boot');
+        fs.mkdirSync(recoveryDir, { recursive: true });
+
+        // Never put a corrupt image on the stick. obtain-recovery checks the cached copy again
+        // (and drops it) on the next run, so this only has to refuse it.
+        const hasChunklist = !!baseChunklistPath && fs.existsSync(baseChunklistPath);
+        if (hasChunklist) {
+            const result = await chunklistService.verify(baseSystemPath, baseChunklistPath, (p) => {
+                onStatus(`Verifying BaseSystem.dmg against chunklist... ${p.percent}%`);
+            });
+            if (!result.valid) {
+                throw new Error(`BaseSystem.dmg is corrupt (${chunklistService.describeFailure(result)}). Run the process again to download it again.`);
+            }
+        } else {
+            console.warn('[CopyRecovery] No chunklist available, BaseSystem.dmg cannot be verified');
+        }
+
+        await copyWithProgress(baseSystemPath, path.join(recoveryDir, 'BaseSystem.dmg'), 'BaseSystem.dmg', onStatus);
+        if (hasChunklist) {
+            onStatus('Copying BaseSystem.chunklist...');
+            await fs.promises.copyFile(baseChunklistPath, path.join(recoveryDir, 'BaseSystem.chunklist'));
+        }
+
+        onStatus('Recovery files copied successfully!');
+        return { success: true, recoveryDir };
     },
 
     hasRecoveryFiles(outputDir) {
@@ -0,0 +1,264 @@
+/**
+ * SMBIOS Service (CommonJS)
+ *
+ * Generates and decodes Mac serial numbers, MLBs and UUIDs following the
+ * structure macserial uses for 12 character serials:
+ *
+ *   PPP  Y  W  SSS  CCCC
+ *   │    │  │  │    └ model code (per SMBIOS)
+ *   │    │  │  └ unit number (base 34)
+ *   │    │  └ week within the half year
+ *   │    └ year + half year
+ *   └ manufacturing plant
+ *
+ * The 17 character MLB carries the same plant, year and week and ends in a
+ * check character so that macserial's MLB checksum validates.
+ */
+
+const crypto = require('crypto');
+
+// Serials and MLBs never use I or O
+const BASE34 = '0123456789ABCDEFGHJKLMNPQRSTUVWXYZ';
+
+// Each letter is one half year of a decade: C = 2010/2020 first half, D = second half, ...
+const YEAR_MARKERS = 'CDFGHJKLMNPQRSTVWXYZ';
+// Week 1-27 of the first half, or week 27-53 of the second half
+const WEEK_SYMBOLS = '123456789CDFGHJKLMNPQRTVWXY';
+const WEEKS_PER_HALF = 26;
+
+const PLANT_CODES = ['C02', 'C07', 'C17', 'C1M', 'C2V', 'CK2', 'D25', 'DQG', 'DYJ', 'F5K', 'F5V', 'F17', 'FC2', 'FVF', 'G8W', 'GQ6', 'H2W', 'J9G'];
+
+// Model codes and the years the model was built (used to generate plausible
+// dates and to pick the decade when decoding a year marker), the board ID
+// OpenCore derives from SystemProductName and the macOS versions it can run.
+const ALL_MACOS = ['monterey', 'ventura', 'sonoma', 'sequoia'];
+const MODELS = {
+    'MacBookAir9,1': { name: 'MacBook Air (Retina, 13-inch, 2020)', codes: ['MNHP'], years: [2020, 2020], boardId: 'Mac-0CFF9C7BDB6A2E5A', macos: ALL_MACOS },
+    'MacBookPro16,2': { name: 'MacBook Pro (13-inch, 2020, Four Thunderbolt 3 ports)', codes: ['ML7H'], years: [2020, 2020], boardId: 'Mac-5F9802EFE386AA28', macos: ALL_MACOS },
+    'MacBookPro16,1': { name: 'MacBook Pro (16-inch, 2019)', codes: ['MD6M', 'MD6N'], years: [2019, 2020], boardId: 'Mac-E1008331FDC96864', macos: ALL_MACOS },
+    'iMac20,1': { name: 'iMac (Retina 5K, 27-inch, 2020)', codes: ['PN5T'], years: [2020, 2021], boardId: 'Mac-CFF7D910A743CAAF', macos: ALL_MACOS },
+    'Macmini8,1': { name: 'Mac mini (2018)', codes: ['JYVX'], years: [2018, 2021], boardId: 'Mac-7BA5B2D9E42DDD94', macos: ALL_MACOS },
+};
+
+// Recovery images are requested with the board ID of a Mac that shipped with that macOS version
+const RECOVERY_BOARD_IDS = {
+    'sonoma': 'Mac-827FAC58A8FDFA22',
+    'sequoia': 'Mac-7BA5B2D9E42DDD94',
+    'ventura': 'Mac-B4831CEBD52A0C4C',
+    'monterey': 'Mac-E43C1C25D4880AD6',
+};
+
+// ROM is the primary MAC address on real Macs; use an Apple OUI so it looks like one
+const APPLE_OUIS = ['0016CB', '001B63', '001EC2', '3C0754'];
+
+const DEFAULT_MODEL = 'MacBookAir9,1';
+const MLB_LENGTH = 17;
+
+const randomInt = (min, max) => min + crypto.randomInt(max - min + 1);
+const randomFrom = (chars) => chars[crypto.randomInt(chars.length)];
+const randomBase34 = (length) => Array.from({ length }, () => randomFrom(BASE34)).join('');
+
+/**
+ * macserial's MLB checksum: characters at alternating positions are weighted
+ * 3 and 1 (aligned to the end of the string), the sum must be divisible by 34.
+ * Returns null when the string contains a character outside base 34.
+ */
+function mlbChecksum(mlb) {
+    let sum = 0;
+    for (let i = 0; i < mlb.length; i++) {
+        const value = BASE34.indexOf(mlb[i]);
+        if (value === -1) return null;
+        sum += ((i & 1) === (mlb.length & 1) ? 3 : 1) * value;
+    }
+    return sum % BASE34.length;
+}
+
+function findModel(modelCode) {
+    return Object.keys(MODELS).find(model => MODELS[model].codes.includes(modelCode)) || null;
+}
+
+const SmbiosService = {
+    DEFAULT_MODEL,
+
+    /**
+     * Supported SMBIOS models with their marketing names
+     */
+    listModels() {
+        return Object.entries(MODELS).map(([model, info]) => ({
+            model,
+            name: info.name,
+            years: info.years,
+            boardId: info.boardId,
+            macos: info.macos,
+            default: model === DEFAULT_MODEL,
+        }));
+    },
+
+    /**
+     * Board ID used to fetch the recovery image of a macOS version. Throws when
+     * the chosen SMBIOS model cannot run that version.
+     */
+    getRecoveryBoardId(macosVersion, model = DEFAULT_MODEL) {
+        const info = MODELS[model];
+        if (!info) throw new Error(`Unsupported SMBIOS model "${model}"`);
+        if (!info.macos.includes(macosVersion)) {
+            throw new Error(`${model} does not support macOS ${macosVersion} (supported: ${info.macos.join(', ')})`);
+        }
+        return RECOVERY_BOARD_IDS[macosVersion] || info.boardId;
+    },
+
+    /**
+     * Year marker and week symbol for a manufacturing date
+     */
+    encodeDate(year, week) {
+        const secondHalf = week > WEEKS_PER_HALF;
+        return {
+            year: YEAR_MARKERS[(year % 10) * 2 + (secondHalf ? 1 : 0)],
+            week: WEEK_SYMBOLS[secondHalf ? week - WEEKS_PER_HALF - 1 : week - 1],
+        };
+    },
+
+    /**
+     * Generate a serial, MLB and UUID for the given model
+     */
+    generate(model = DEFAULT_MODEL) {
+        const info = MODELS[model];
+        if (!info) throw new Error(`Unsupported SMBIOS model "${model}" (supported: ${Object.keys(MODELS).join(', ')})`);
+
+        const plant = randomFrom(PLANT_CODES);
+        const year = randomInt(info.years[0], info.years[1]);
+        const week = randomInt(1, 52);
+        const date = this.encodeDate(year, week);
+
+        const serial = `${plant}${date.year}${date.week}${randomBase34(3)}${randomFrom(info.codes)}`;
+
+        const body = `${plant}${year % 10}${String(week).padStart(2, '0')}${randomBase34(MLB_LENGTH - 7)}`;
+        // The check character sits at an even position (weight 1), so it is simply the remainder's complement
+        const check = BASE34[(BASE34.length - mlbChecksum(`${body}0`)) % BASE34.length];
+
+        return {
+            model,
+            serial,
+            mlb: `${body}${check}`,
+            uuid: crypto.randomUUID().toUpperCase(),
+            rom: `${randomFrom(APPLE_OUIS)}${crypto.randomBytes(3).toString('hex').toUpperCase()}`,
+            boardId: info.boardId,
+        };
+    },
+
+    /**
+     * The PlatformInfo.Generic values for a generated SMBIOS, as [{ key, type, value }].
+     * SMBIOS saved before ROM was generated gets one derived from its UUID so
+     * that repeated injections keep writing the same value.
+     */
+    getGenericBlock(smbios) {
+        const { model, serial, mlb, uuid } = smbios;
+        if (!MODELS[model]) throw new Error(`Unsupported SMBIOS model "${model}"`);
+
+        const rom = /^[0-9A-F]{12}$/i.test(smbios.rom || '')
+            ? smbios.rom
+            : APPLE_OUIS[0] + crypto.createHash('sha256').update(uuid).digest('hex').slice(0, 6);
+
+        return [
+            { key: 'SystemProductName', type: 'string', value: model },
+            { key: 'SystemSerialNumber', type: 'string', value: serial },
+            { key: 'MLB', type: 'string', value: mlb },
+            { key: 'SystemUUID', type: 'string', value: uuid },
+            { key: 'ROM', type: 'data', value: Buffer.from(rom, 'hex') },
+            { key: 'SpoofVendor', type: 'bool', value: true },
+            { key: 'AdviseFeatures', type: 'bool', value: false },
+            { key: 'MaxBIOSVersion', type: 'bool', value: false },
+            { key: 'ProcessorType', type: 'integer', value: 0 },
+            { key: 'SystemMemoryStatus', type: 'string', value: 'Auto' },
+        ];
+    },
+
+    /**
+     * Decode a 12 character serial into { plant, year, week, unit, modelCode, model }.
+     * Throws when the serial does not follow the format.
+     */
+    decodeSerial(serial) {
+        const value = String(serial || '').trim().toUpperCase();
+        if (value.length !== 12) throw new Error(`Serial must be 12 characters (got ${value.length})`);
+        if ([...value].some(c => !BASE34.includes(c))) throw new Error('Serial contains characters outside 0-9 / A-Z without I and O');
+
+        const yearIndex = YEAR_MARKERS.indexOf(value[3]);
+        if (yearIndex === -1) throw new Error(`"${value[3]}" is not a valid year marker`);
+        const weekIndex = WEEK_SYMBOLS.indexOf(value[4]);
+        if (weekIndex === -1) throw new Error(`"${value[4]}" is not a valid week symbol`);
+
+        const modelCode = value.slice(8);
+        const model = findModel(modelCode);
+
+        // The marker only gives the year within a decade; prefer the decade the model was built in
+        const yearInDecade = Math.floor(yearIndex / 2);
+        const years = model ? MODELS[model].years : [2010, 2029];
+        let year = 2010 + yearInDecade;
+        while (year < years[0] && year + 10 <= years[1]) year += 10;
+
+        return {
+            serial: value,
+            plant: value.slice(0, 3),
+            year,
+            week: weekIndex + 1 + (yearIndex % 2 ? WEEKS_PER_HALF : 0),
+            unit: value.slice(5, 8),
+            modelCode,
+            model,
+        };
+    },
+
+    /**
+     * Validate SMBIOS values (all fields optional). Returns
+     * { valid, errors, warnings, serial: decoded serial | null, mlb: { plant, year, week } | null }
+     */
+    validate({ model, serial, mlb, uuid, rom } = {}) {
+        const errors = [];
+        const warnings = [];
+        let decoded = null;
+        let board = null;
+
+        if (model && !MODELS[model]) warnings.push(`${model} is not one of the supported SMBIOS models`);
+
+        if (serial) {
+            try {
+                decoded = this.decodeSerial(serial);
+                if (!PLANT_CODES.includes(decoded.plant)) warnings.push(`Unknown plant code ${decoded.plant}`);
+                if (!decoded.model) {
+                    warnings.push(`Unknown model code ${decoded.modelCode}`);
+                } else if (model && MODELS[model] && decoded.model !== model) {
+                    errors.push(`Serial model code ${decoded.modelCode} belongs to ${decoded.model}, not ${model}`);
+                } else if (decoded.year < MODELS[decoded.model].years[0] || decoded.year > MODELS[decoded.model].years[1]) {
+                    warnings.push(`${decoded.model} was not built in ${decoded.year}`);
+                }
+            } catch (e) {
+                errors.push(e.message);
+            }
+        }
+
+        if (mlb) {
+            const value = String(mlb).trim().toUpperCase();
+            const checksum = mlbChecksum(value);
+            if (value.length !== MLB_LENGTH) {
+                errors.push(`MLB must be ${MLB_LENGTH} characters (got ${value.length})`);
+            } else if (checksum === null) {
+                errors.push('MLB contains characters outside 0-9 / A-Z without I and O');
+            } else if (checksum !== 0) {
+                errors.push('MLB checksum is invalid');
+            } else {
+                board = { plant: value.slice(0, 3), year: Number(value[3]), week: Number(value.slice(4, 6)) };
+                if (decoded && (board.plant !== decoded.plant || board.year !== decoded.year % 10 || board.week !== decoded.week)) {
+                    warnings.push('MLB plant/date does not match the serial');
+                }
+            }
+        }
+
+        if (uuid && !/^[0-9A-F]{8}-[0-9A-F]{4}-[0-9A-F]{4}-[0-9A-F]{4}-[0-9A-F]{12}$/i.test(uuid)) {
+            errors.push('System UUID is not a valid UUID');
+        }
+        if (rom && !/^[0-9A-F]{12}$/i.test(rom)) errors.push('ROM must be 6 bytes (12 hex characters)');
+
+        return { valid: errors.length === 0, errors, warnings, serial: decoded, mlb: board };
+    },
+};
+
+module.exports = SmbiosService;
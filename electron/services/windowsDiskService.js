@@ -0,0 +1,150 @@
+/**
+ * Windows Disk Service (CommonJS)
+ *
+ * Windows backend for formatting USB drives with PowerShell Storage cmdlets.
+ * Produces the same EFI / BOOT (FAT32) / INSTALL (ExFAT) layout as the macOS
+ * `diskutil partitionDisk` branch.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { exec, spawn } = require('child_process');
+const { promisify } = require('util');
+const execAsync = promisify(exec);
+
+const ESP_GPT_TYPE = '{c12a7328-f81f-11d2-ba4b-00a0c93ec93b}';
+
+const WindowsDiskService = {
+    /**
+     * Extract the disk number from \\.\PHYSICALDRIVE<N>
+     */
+    getDiskNumber(diskPath) {
+        const match = String(diskPath).match(/PHYSICALDRIVE(\d+)/i);
+        if (!match) throw new Error(`Invalid Windows disk path: ${diskPath}`);
+        return parseInt(match[1], 10);
+    },
+
+    /**
+     * Run a PowerShell script file. Lines printed as "STATUS: ..." are forwarded
+     * to onStatus, the line printed as "RESULT: {json}" is parsed and returned.
+     */
+    runScript(script, onStatus) {
+        const scriptPath = path.join(os.tmpdir(), `surfacemac_${Date.now()}.ps1`);
+        fs.writeFileSync(scriptPath, `$ErrorActionPreference = 'Stop'\n${script}\n`);
+
+        return new Promise((resolve, reject) => {
+            const child = spawn('powershell', ['-NoProfile', '-ExecutionPolicy', 'Bypass', '-File', scriptPath]);
+            let stderr = '';
+            let result = null;
+
+            child.stdout.on('data', (data) => {
+                for (const line of data.toString().split(/\r?\n/)) {
+                    const status = line.match(/^STATUS:\s*(.+)/);
+                    if (status && onStatus) onStatus(status[1].trim());
+                    const res = line.match(/^RESULT:\s*(.+)/);
+                    if (res) result = JSON.parse(res[1]);
+                }
+            });
+            child.stderr.on('data', (data) => { stderr += data.toString(); });
+
+            child.on('error', (err) => {
+                fs.rmSync(scriptPath, { force: true });
+                reject(err);
+            });
+            child.on('close', (code) => {
+                fs.rmSync(scriptPath, { force: true });
+                if (code === 0) resolve(result);
+                else reject(new Error(`PowerShell failed (exit ${code}): ${stderr.trim()}`));
+            });
+        });
+    },
+
+    /**
+     * Look up drive letters of the BOOT and INSTALL volumes on a disk
+     */
+    async getInstallVolumes(diskNumber) {
+        const { stdout } = await execAsync(
+            `powershell -NoProfile -Command "Get-Partition -DiskNumber ${diskNumber} | Get-Volume | Select-Object @{N='Label';E={$_.FileSystemLabel}}, @{N='Letter';E={[string]$_.DriveLetter}} | ConvertTo-Json -Compress"`
+        );
+        if (!stdout || !stdout.trim()) return {};
+
+        const parsed = JSON.parse(stdout);
+        const volumes = {};
+        for (const v of Array.isArray(parsed) ? parsed : [parsed]) {
+            if (v && v.Label && v.Letter) volumes[v.Label] = v.Letter;
+        }
+        return volumes;
+    },
+
+    toResult(bootLetter, installLetter) {
+        return {
+            success: true,
+            volumeName: 'INSTALL',
+            volumePath: `${installLetter}:\\`,
+            bootVolumePath: `${bootLetter}:\\`,
+        };
+    },
+
+    /**
+     * Create the EFI / BOOT / INSTALL GPT layout and return the assigned drive letters
+     */
+    async formatDisk(diskPath, { forceFormat = false, onStatus } = {}) {
+        const setStatus = (msg) => onStatus && onStatus(msg);
+        const diskNumber = this.getDiskNumber(diskPath);
+
+        if (!forceFormat) {
+            try {
+                const volumes = await this.getInstallVolumes(diskNumber);
+                if (volumes.BOOT && volumes.INSTALL) {
+                    console.log('[USB] BOOT and INSTALL partitions already exist. Skipping format.');
+                    setStatus('USB already formatted (BOOT + INSTALL found). Skipping...');
+                    return { ...this.toResult(volumes.BOOT, volumes.INSTALL), skippedFormat: true };
+                }
+            } catch (e) {
+                console.warn(`[USB] Could not inspect existing volumes: ${e.message}`);
+            }
+        }
+
+        console.log(`[USB] Partitioning disk ${diskNumber} (EFI, BOOT, INSTALL)...`);
+
+        // The ESP is created as a basic data partition first because Format-Volume
+        // refuses to format a partition that is already typed as ESP.
+        const script = `
+$n = ${diskNumber}
+Write-Output 'STATUS: Erasing disk (this may take a while)...'
+if ((Get-Disk -Number $n).PartitionStyle -ne 'RAW') {
+    Clear-Disk -Number $n -RemoveData -RemoveOEM -Confirm:$false
+}
+Initialize-Disk -Number $n -PartitionStyle GPT
+Get-Partition -DiskNumber $n -ErrorAction SilentlyContinue | Remove-Partition -Confirm:$false
+
+Write-Output 'STATUS: Creating EFI partition...'
+$efi = New-Partition -DiskNumber $n -Size 200MB
+$efi | Format-Volume -FileSystem FAT32 -NewFileSystemLabel 'EFI' -Confirm:$false | Out-Null
+Set-Partition -DiskNumber $n -PartitionNumber $efi.PartitionNumber -GptType '${ESP_GPT_TYPE}'
+
+Write-Output 'STATUS: Creating BOOT partition (FAT32)...'
+$boot = New-Partition -DiskNumber $n -Size 3GB -AssignDriveLetter
+$boot | Format-Volume -FileSystem FAT32 -NewFileSystemLabel 'BOOT' -Confirm:$false | Out-Null
+
+Write-Output 'STATUS: Creating INSTALL partition (ExFAT)...'
+$install = New-Partition -DiskNumber $n -UseMaximumSize -AssignDriveLetter
+$install | Format-Volume -FileSystem exFAT -NewFileSystemLabel 'INSTALL' -Confirm:$false | Out-Null
+
+$bootLetter = [string](Get-Partition -DiskNumber $n -PartitionNumber $boot.PartitionNumber).DriveLetter
+$installLetter = [string](Get-Partition -DiskNumber $n -PartitionNumber $install.PartitionNumber).DriveLetter
+Write-Output ('RESULT: ' + (@{ boot = $bootLetter; install = $installLetter } | ConvertTo-Json -Compress))
+`;
+
+        const letters = await this.runScript(script, setStatus);
+        if (!letters || !letters.boot || !letters.install) {
+            throw new Error('Formatting finished but BOOT/INSTALL drive letters were not assigned');
+        }
+
+        setStatus('Formatting complete!');
+        return this.toResult(letters.boot, letters.install);
+    },
+};
+
+module.exports = WindowsDiskService;
@@ -0,0 +1,65 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const assetBundleService = require('../services/assetBundleService');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'surfacemac-bundle-'));
+test.after(async () => {
+    await assetBundleService.use(null);
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+const sha256 = (data) => crypto.createHash('sha256').update(data).digest('hex');
+
+/**
+ * A bundle folder with the files and a manifest.json written by hand: { key: { path, data, meta? } }
+ */
+function writeBundle(name, assets) {
+    const root = path.join(dir, name);
+    const manifest = { format: assetBundleService.BUNDLE_FORMAT, assets: [] };
+    for (const [key, { path: assetPath, data, meta }] of Object.entries(assets)) {
+        fs.mkdirSync(path.join(root, path.dirname(assetPath)), { recursive: true });
+        fs.writeFileSync(path.join(root, assetPath), data);
+        manifest.assets.push({ key, path: assetPath, size: data.length, sha256: sha256(data), ...(meta ? { meta } : {}) });
+    }
+    fs.writeFileSync(path.join(root, assetBundleService.MANIFEST_FILE), JSON.stringify(manifest));
+    return root;
+}
+
+test('lookup hands out verified files, with empty meta when the manifest has none', async () => {
+    await assetBundleService.use(writeBundle('bundle', {
+        'efi:default@v1': { path: 'efi/EFI.zip', data: 'efi archive' },
+        'url:https://example.com/Driver.efi': { path: 'files/Driver.efi', data: 'driver', meta: { url: 'https://example.com/Driver.efi' } },
+    }));
+
+    const efi = await assetBundleService.lookup('efi:other@v1', 'efi:default@v1');
+    assert.equal(efi.key, 'efi:default@v1');
+    assert.deepEqual(efi.meta, {});
+    assert.equal(fs.readFileSync(efi.filePath, 'utf8'), 'efi archive');
+    assert.equal((await assetBundleService.lookup('url:https://example.com/Driver.efi')).meta.url, 'https://example.com/Driver.efi');
+    assert.equal(await assetBundleService.lookup('efi:missing@v1'), null);
+    assert.deepEqual(assetBundleService.describe().assets.map(a => a.meta), [{}, { url: 'https://example.com/Driver.efi' }]);
+});
+
+test('lookup refuses a file that does not match the manifest', async () => {
+    const root = writeBundle('tampered', { 'efi:default@v1': { path: 'efi/EFI.zip', data: 'efi archive' } });
+    await assetBundleService.use(root);
+    fs.writeFileSync(path.join(root, 'efi', 'EFI.zip'), 'EFI ARCHIVE');
+
+    await assert.rejects(assetBundleService.lookup('efi:default@v1'), /does not match its manifest checksum/);
+    fs.writeFileSync(path.join(root, 'efi', 'EFI.zip'), 'short');
+    await assert.rejects(assetBundleService.lookup('efi:default@v1'), /is missing or has the wrong size/);
+});
+
+test('open refuses manifest paths outside the bundle', async () => {
+    const root = writeBundle('escape', { 'efi:default@v1': { path: 'efi/EFI.zip', data: 'efi archive' } });
+    const manifestFile = path.join(root, assetBundleService.MANIFEST_FILE);
+    const manifest = JSON.parse(fs.readFileSync(manifestFile, 'utf8'));
+    manifest.assets[0].path = '../outside/EFI.zip';
+    fs.writeFileSync(manifestFile, JSON.stringify(manifest));
+
+    await assert.rejects(assetBundleService.open(root), /Manifest path escapes the bundle/);
+});
@@ -0,0 +1,183 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'surfacemac-cache-'));
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+// The old component cache lives in the temp folder: keep it inside this test's folder
+process.env.TMPDIR = dir;
+const cacheService = require('../services/cacheService');
+
+let cacheCount = 0;
+const freshCache = () => {
+    const root = path.join(dir, `cache-${++cacheCount}`);
+    cacheService.configure(root);
+    return root;
+};
+const writeFile = (file, data) => {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, data);
+    return file;
+};
+const sha256 = (data) => crypto.createHash('sha256').update(data).digest('hex');
+const objects = (root) => (fs.existsSync(path.join(root, 'objects')) ? fs.readdirSync(path.join(root, 'objects')).sort() : []);
+
+test('put stores one object for keys with the same content, remove keeps it while a key uses it', async () => {
+    const root = freshCache();
+    const source = writeFile(path.join(dir, 'in', 'BaseSystem.dmg'), 'recovery image');
+
+    const a = await cacheService.put('recovery:sonoma/BaseSystem.dmg', source, { macos: 'sonoma' });
+    const b = await cacheService.put('url:https://example.com/BaseSystem.dmg', source, { url: 'https://example.com/BaseSystem.dmg' });
+
+    assert.ok(fs.existsSync(source), 'put copies unless asked to move');
+    assert.equal(a.sha256, sha256('recovery image'));
+    assert.equal(a.filePath, b.filePath);
+    assert.deepEqual(objects(root), [a.sha256]);
+    assert.equal(cacheService.get('url:https://example.com/BaseSystem.dmg').url, 'https://example.com/BaseSystem.dmg');
+    assert.deepEqual(cacheService.get('recovery:sonoma/BaseSystem.dmg').meta, { macos: 'sonoma' });
+    assert.equal(cacheService.list().totalSize, 'recovery image'.length);
+
+    // A work folder lives and dies with its object
+    const work = cacheService.workDir(a.filePath, 'Extracted');
+    writeFile(path.join(work, 'file'), 'derived');
+    assert.equal(path.dirname(work), path.join(root, 'work', a.sha256));
+
+    assert.equal(cacheService.remove(['recovery:sonoma/BaseSystem.dmg']), 0);
+    assert.equal(cacheService.get('recovery:sonoma/BaseSystem.dmg'), null);
+    assert.ok(fs.existsSync(b.filePath), 'the other key still uses the object');
+    assert.ok(fs.existsSync(work));
+
+    assert.equal(cacheService.remove(['url:https://example.com/BaseSystem.dmg']), 'recovery image'.length + 'derived'.length);
+    assert.deepEqual(objects(root), []);
+    assert.ok(!fs.existsSync(work));
+});
+
+test('put under an existing key replaces its object and collects the old one', async () => {
+    const root = freshCache();
+    const first = await cacheService.put('efi:default@v1', writeFile(path.join(dir, 'in', 'EFI-1.zip'), 'one'));
+    const second = await cacheService.put('efi:default@v1', writeFile(path.join(dir, 'in', 'EFI-2.zip'), 'two'));
+
+    assert.notEqual(first.sha256, second.sha256);
+    assert.deepEqual(objects(root), [second.sha256]);
+    assert.equal(fs.readFileSync(cacheService.get('efi:default@v1').filePath, 'utf8'), 'two');
+    await assert.rejects(cacheService.put('efi:default@v2', writeFile(path.join(dir, 'in', 'EFI-3.zip'), 'three'), {}, { sha256: sha256('other') }),
+        /does not match its expected checksum/);
+    assert.deepEqual(objects(root), [second.sha256]);
+});
+
+test('get drops an entry whose object has the wrong size', async () => {
+    freshCache();
+    const entry = await cacheService.put('url:https://example.com/a', writeFile(path.join(dir, 'in', 'a.bin'), 'abc'));
+    fs.appendFileSync(entry.filePath, 'd');
+
+    assert.equal(cacheService.get('url:https://example.com/a'), null);
+    assert.deepEqual(cacheService.find(() => true), []);
+});
+
+test('put with move takes the file, also from another volume', async (t) => {
+    const root = freshCache();
+    const otherVolume = path.join(dir, 'other-volume');
+    const source = writeFile(path.join(otherVolume, 'staging', 'InstallAssistant.pkg'), 'installer package');
+
+    // A rename across file systems fails with EXDEV, moveEntry then copies and deletes
+    const rename = fs.renameSync;
+    const renamed = [];
+    t.mock.method(fs, 'renameSync', (from, to) => {
+        if (String(from).startsWith(otherVolume)) {
+            renamed.push(from);
+            throw Object.assign(new Error(`EXDEV: cross-device link not permitted, rename '${from}'`), { code: 'EXDEV' });
+        }
+        return rename(from, to);
+    });
+
+    const entry = await cacheService.put('installer:sonoma/23H420/InstallAssistant.pkg', source, { build: '23H420' }, { move: true });
+
+    assert.deepEqual(renamed, [source]);
+    assert.ok(!fs.existsSync(source), 'the source is gone after the move');
+    assert.equal(fs.readFileSync(entry.filePath, 'utf8'), 'installer package');
+    assert.equal(path.dirname(entry.filePath), path.join(root, 'objects', sha256('installer package')));
+    assert.equal(cacheService.get('installer:sonoma/23H420/InstallAssistant.pkg').build, '23H420');
+});
+
+test('prune drops old entries, interrupted downloads and, when asked, derived files', async () => {
+    const root = freshCache();
+    const old = await cacheService.put('url:https://example.com/old', writeFile(path.join(dir, 'in', 'old.bin'), 'old'));
+    const recent = await cacheService.put('url:https://example.com/new', writeFile(path.join(dir, 'in', 'new.bin'), 'new'));
+    writeFile(path.join(cacheService.workDir(recent.filePath, 'Extracted'), 'file'), 'derived');
+    writeFile(cacheService.stagingPath('url:https://example.com/partial', 'partial.bin'), 'half');
+
+    // Last used ten days ago
+    const manifestFile = path.join(root, cacheService.MANIFEST_FILE);
+    const manifest = JSON.parse(fs.readFileSync(manifestFile, 'utf8'));
+    manifest.entries.find(e => e.key === old.key).lastUsedAt = new Date(Date.now() - 10 * 24 * 60 * 60 * 1000).toISOString();
+    fs.writeFileSync(manifestFile, JSON.stringify(manifest));
+
+    assert.deepEqual(cacheService.prune({ olderThanDays: 7 }), { removed: 1, freed: 'old'.length + 'half'.length });
+    assert.deepEqual(cacheService.list().entries.map(e => e.key), ['url:https://example.com/new']);
+    assert.ok(!fs.existsSync(path.join(root, 'staging')));
+    assert.ok(fs.existsSync(path.join(root, 'work', recent.sha256)), 'work folders stay unless asked');
+
+    assert.deepEqual(cacheService.prune({ work: true }), { removed: 0, freed: 'derived'.length });
+    assert.ok(!fs.existsSync(path.join(root, 'work')));
+    assert.deepEqual(cacheService.prune({ all: true }), { removed: 1, freed: 'new'.length });
+    assert.deepEqual(objects(root), []);
+});
+
+test('importLegacy moves the old download folders into the cache and skips cached keys', async () => {
+    const root = freshCache();
+    const downloads = path.join(dir, 'Downloads');
+    const recoveryDir = path.join(downloads, 'SurfaceMac_Recovery_Hybrid', 'sonoma', 'com.apple.recovery.boot');
+    writeFile(path.join(recoveryDir, 'BaseSystem.dmg'), 'legacy recovery');
+    writeFile(path.join(recoveryDir, 'BaseSystem.chunklist'), 'legacy chunklist');
+    const installers = path.join(downloads, 'SurfaceMac_Installer', 'sequoia');
+    writeFile(path.join(installers, 'InstallAssistant.pkg'), 'latest installer');
+    writeFile(path.join(installers, 'product.json'), JSON.stringify({ id: '072-11111', build: '24A335', version: '15.0' }));
+    writeFile(path.join(installers, '24B83', 'InstallAssistant.pkg'), 'pinned installer');
+    const component = path.join(dir, 'surfacemac-components', 'efi-1');
+    writeFile(path.join(component, 'EFI.zip'), 'efi archive');
+    writeFile(path.join(component, 'source.json'), JSON.stringify({ url: 'https://example.com/EFI.zip', assetName: 'EFI.zip', keys: ['efi:default@v1'] }));
+    const unrelated = writeFile(path.join(downloads, 'Holiday.jpg'), 'not ours');
+
+    // Already cached: the cached copy wins
+    await cacheService.put('recovery:sonoma/BaseSystem.dmg', writeFile(path.join(dir, 'in', 'cached.dmg'), 'cached recovery'));
+
+    const { files } = cacheService.findLegacy(downloads);
+    assert.deepEqual(files.map(f => f.key).sort(), [
+        'efi:default@v1',
+        'installer:sequoia/24A335/InstallAssistant.pkg',
+        'installer:sequoia/24B83/InstallAssistant.pkg',
+        'recovery:sonoma/BaseSystem.chunklist',
+        'recovery:sonoma/BaseSystem.dmg',
+    ]);
+
+    const status = [];
+    const result = await cacheService.importLegacy(downloads, msg => status.push(msg));
+
+    assert.equal(result.imported, 4);
+    assert.deepEqual(result.folders.sort(), [
+        path.join(downloads, 'SurfaceMac_Installer'),
+        path.join(downloads, 'SurfaceMac_Recovery_Hybrid'),
+        path.join(dir, 'surfacemac-components'),
+    ]);
+    assert.equal(status.length, 4);
+    for (const folder of result.folders) assert.ok(!fs.existsSync(folder), `${folder} is deleted`);
+    assert.ok(fs.existsSync(unrelated), 'other files in Downloads are left alone');
+
+    const read = (key) => fs.readFileSync(cacheService.get(key).filePath, 'utf8');
+    assert.equal(read('recovery:sonoma/BaseSystem.dmg'), 'cached recovery');
+    assert.equal(read('recovery:sonoma/BaseSystem.chunklist'), 'legacy chunklist');
+    assert.equal(read('installer:sequoia/24B83/InstallAssistant.pkg'), 'pinned installer');
+    assert.equal(read('efi:default@v1'), 'efi archive');
+    const latest = cacheService.get('installer:sequoia/24A335/InstallAssistant.pkg');
+    assert.equal(fs.readFileSync(latest.filePath, 'utf8'), 'latest installer');
+    assert.equal(latest.productId, '072-11111');
+    assert.equal(latest.meta.version, '15.0');
+    assert.deepEqual(objects(root).length, 5);
+
+    // Nothing left to import the second time
+    assert.deepEqual(await cacheService.importLegacy(downloads), { imported: 0, folders: [] });
+});
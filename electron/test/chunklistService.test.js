@@ -0,0 +1,73 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const chunklistService = require('../services/chunklistService');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'surfacemac-chunklist-'));
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+// A two chunk image, "abc" + "hello"
+const IMAGE = 'abchello';
+const SHA256_ABC = 'ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad';
+const SHA256_HELLO = '2cf24dba5fb0a30e26e83b2ac5b9e29e1b161e5c1fa7425e73043362938b9824';
+
+// Its chunklist, signature method 2 (SHA-256 of header + chunk table)
+const CHUNKLIST = Buffer.from([
+    // "CNKL", header size 36, version 1, chunk method 1, signature method 2, 2 chunks,
+    // chunk table at 36, digest at 108
+    '434e4b4c2400000001010200020000000000000024000000000000006c00000000000000',
+    '03000000' + SHA256_ABC,
+    '05000000' + SHA256_HELLO,
+    '1117660eaad722a8c99cbfd42871dbf648bac4772299935221cc9a9b9f66d148',
+].join(''), 'hex');
+
+const writeFile = (name, data) => {
+    const file = path.join(dir, name);
+    fs.writeFileSync(file, data);
+    return file;
+};
+
+test('parse reads the header and chunk table of a chunklist', () => {
+    const { header, chunks, imageSize } = chunklistService.parse(CHUNKLIST);
+
+    assert.equal(header.signatureMethod, 2);
+    assert.equal(header.chunkCount, 2);
+    assert.equal(header.signatureOffset, 108);
+    assert.equal(imageSize, IMAGE.length);
+    assert.deepEqual(chunks, [
+        { index: 0, offset: 0, size: 3, sha256: SHA256_ABC },
+        { index: 1, offset: 3, size: 5, sha256: SHA256_HELLO },
+    ]);
+});
+
+test('parse rejects a chunklist whose digest does not match', () => {
+    const tampered = Buffer.from(CHUNKLIST);
+    tampered[40] ^= 0xff; // first chunk hash
+    assert.throws(() => chunklistService.parse(tampered), /digest does not match/);
+    assert.throws(() => chunklistService.parse(CHUNKLIST.subarray(0, 100)), /truncated/);
+    assert.throws(() => chunklistService.parse(Buffer.alloc(36)), /Not a chunklist/);
+});
+
+test('verify accepts the image the chunklist describes', async () => {
+    const chunklist = writeFile('BaseSystem.chunklist', CHUNKLIST);
+    const progress = [];
+    const result = await chunklistService.verify(writeFile('good.dmg', IMAGE), chunklist, p => progress.push(p.percent));
+
+    assert.deepEqual(result, { valid: true, chunkCount: 2, imageSize: 8, actualSize: 8, corruptChunks: [] });
+    assert.equal(progress[progress.length - 1], 100);
+});
+
+test('verify reports corrupt chunks and a wrong size', async () => {
+    const chunklist = writeFile('BaseSystem.chunklist', CHUNKLIST);
+
+    const corrupt = await chunklistService.verify(writeFile('corrupt.dmg', 'abcjello'), chunklist);
+    assert.equal(corrupt.valid, false);
+    assert.deepEqual(corrupt.corruptChunks.map(c => [c.index, c.offset, c.expected]), [[1, 3, SHA256_HELLO]]);
+    assert.equal(chunklistService.describeFailure(corrupt), '1 of 2 chunks corrupt (1)');
+
+    const long = await chunklistService.verify(writeFile('long.dmg', `${IMAGE}!`), chunklist);
+    assert.equal(long.valid, false);
+    assert.equal(chunklistService.describeFailure(long), 'size is 9 bytes, chunklist expects 8');
+});
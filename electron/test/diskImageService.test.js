@@ -0,0 +1,229 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const fat32Service = require('../services/fat32Service');
+const diskImageService = require('../services/diskImageService');
+const gptService = require('../services/gptService');
+
+const SECTOR = 512;
+const MiB = 1024 * 1024;
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'surfacemac-image-'));
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+// 17 May 2024 13:45:30 local time: DOS date 0x58b1, time 0x6daf
+const DATE = new Date(2024, 4, 17, 13, 45, 30);
+
+/**
+ * Host files for a volume: { 'path/in/volume': contents }, written below a fresh folder
+ */
+function sourceFiles(name, contents) {
+    const root = path.join(dir, name);
+    return Object.entries(contents).map(([file, data]) => {
+        const source = path.join(root, ...file.split('/'));
+        fs.mkdirSync(path.dirname(source), { recursive: true });
+        fs.writeFileSync(source, data);
+        return { path: file, source };
+    });
+}
+
+/**
+ * A small reader written from the FAT32 specification, independent of fat32Service: follows the
+ * cluster chains from the root directory and puts long names back together.
+ * Returns { boot, label, fats, files: Map(path -> Buffer), clusters: Set of every cluster in use }
+ */
+function readFat32(fd, offset) {
+    const sectors = (lba, count) => {
+        const buffer = Buffer.alloc(count * SECTOR);
+        fs.readSync(fd, buffer, 0, buffer.length, offset + lba * SECTOR);
+        return buffer;
+    };
+    const boot = sectors(0, 1);
+    const sectorsPerCluster = boot[13];
+    const reserved = boot.readUInt16LE(14);
+    const fatSectors = boot.readUInt32LE(36);
+    const fats = [0, 1].map(i => sectors(reserved + i * fatSectors, fatSectors));
+    const dataLba = reserved + boot[16] * fatSectors;
+    const clusters = new Set();
+
+    const readChain = (first, size) => {
+        const parts = [];
+        for (let cluster = first; cluster < 0x0ffffff8; cluster = fats[0].readUInt32LE(cluster * 4) & 0x0fffffff) {
+            assert.ok(cluster >= 2, `cluster ${cluster} in a chain`);
+            assert.ok(!clusters.has(cluster), `cluster ${cluster} is used twice`);
+            clusters.add(cluster);
+            parts.push(sectors(dataLba + (cluster - 2) * sectorsPerCluster, sectorsPerCluster));
+        }
+        const data = Buffer.concat(parts);
+        return size === undefined ? data : data.subarray(0, size);
+    };
+    const checksum = (shortName) => [...shortName].reduce((sum, byte) => (((sum & 1) << 7) + (sum >> 1) + byte) & 0xff, 0);
+
+    let label = null;
+    const files = new Map();
+    const walk = (cluster, prefix) => {
+        const data = readChain(cluster);
+        let long = [];
+        for (let pos = 0; pos < data.length && data[pos] !== 0; pos += 32) {
+            const entry = data.subarray(pos, pos + 32);
+            if (entry[11] === 0x0f) {
+                long.unshift(entry); // stored last part first
+                continue;
+            }
+            const shortName = entry.subarray(0, 11);
+            let name;
+            if (long.length > 0) {
+                long.forEach((part, i) => {
+                    assert.equal(part[0] & 0x1f, i + 1);
+                    assert.equal(part[13], checksum(shortName));
+                });
+                const units = long.flatMap(part => [1, 3, 5, 7, 9, 14, 16, 18, 20, 22, 24, 28, 30].map(at => part.readUInt16LE(at)));
+                const end = units.indexOf(0);
+                name = String.fromCharCode(...units.slice(0, end === -1 ? units.length : end));
+            } else {
+                const base = shortName.toString('latin1', 0, 8).trimEnd();
+                const ext = shortName.toString('latin1', 8, 11).trimEnd();
+                name = ext ? `${base}.${ext}` : base;
+            }
+            long = [];
+
+            if (entry[11] & 0x08) {
+                label = shortName.toString('latin1');
+                continue;
+            }
+            if (name === '.' || name === '..') continue;
+            const first = (entry.readUInt16LE(20) << 16) | entry.readUInt16LE(26);
+            if (entry[11] & 0x10) {
+                walk(first, `${prefix}${name}/`);
+            } else {
+                files.set(`${prefix}${name}`, first ? readChain(first, entry.readUInt32LE(28)) : Buffer.alloc(0));
+            }
+        }
+    };
+    walk(boot.readUInt32LE(44), '');
+    return { boot, label, fats, files, clusters };
+}
+
+const asStrings = (files) => Object.fromEntries([...files].map(([name, data]) => [name, data.toString('base64')]));
+
+test('fat32Service.write builds a volume an independent reader reads back', async () => {
+    const contents = {
+        'README': 'short name only',
+        'EFI/BOOT/BOOTx64.efi': crypto.randomBytes(10000), // 20 clusters
+        'EFI/OC/config.plist': '<?xml version="1.0" encoding="UTF-8"?>\n<plist version="1.0"><dict/></plist>\n',
+        'EFI/OC/empty.txt': '',
+        'com.apple.recovery.boot/BaseSystem.chunklist': crypto.randomBytes(700),
+    };
+    // Enough long names to spread the Drivers directory over several clusters
+    for (let i = 0; i < 30; i++) contents[`EFI/OC/Drivers/Driver number ${i}.efi`] = `driver ${i}`;
+    const files = sourceFiles('volume', contents);
+
+    const volumePath = path.join(dir, 'volume.img');
+    const fd = fs.openSync(volumePath, 'w+');
+    try {
+        fs.ftruncateSync(fd, 40 * MiB);
+        const result = await fat32Service.write(fd, 0, 40 * MiB, files, { label: 'efi', hiddenSectors: 2048, date: DATE });
+        assert.equal(result.clusterSize, 512);
+        assert.ok(result.clusters >= fat32Service.MIN_CLUSTERS);
+
+        const volume = readFat32(fd, 0);
+        assert.deepEqual(asStrings(volume.files), asStrings(Object.entries(contents).map(([name, data]) => [name, Buffer.from(data)])));
+        assert.equal(volume.label, 'EFI        ');
+        assert.equal(volume.clusters.size, result.usedClusters);
+        assert.ok(volume.fats[0].equals(volume.fats[1]), 'both FATs are the same');
+        assert.equal(volume.fats[0].readUInt32LE(0), 0x0ffffff8);
+
+        const { boot } = volume;
+        assert.equal(boot.readUInt16LE(510), 0xaa55);
+        assert.equal(boot.toString('latin1', 82, 90), 'FAT32   ');
+        assert.equal(boot.toString('latin1', 71, 82), 'EFI        ');
+        assert.equal(boot.readUInt32LE(28), 2048);
+        assert.equal(boot.readUInt32LE(32), 40 * MiB / SECTOR);
+        assert.equal(boot.readUInt32LE(67), 0x58b16daf); // volume serial from the date
+
+        const backup = Buffer.alloc(SECTOR);
+        fs.readSync(fd, backup, 0, SECTOR, 6 * SECTOR);
+        assert.ok(backup.equals(boot), 'backup boot sector');
+        const fsInfo = Buffer.alloc(SECTOR);
+        fs.readSync(fd, fsInfo, 0, SECTOR, SECTOR);
+        assert.equal(fsInfo.readUInt32LE(488), result.clusters - result.usedClusters);
+    } finally {
+        fs.closeSync(fd);
+    }
+});
+
+test('fat32Service.write refuses bad labels and volumes too small for FAT32', async () => {
+    const files = sourceFiles('small', { 'a.txt': 'a' });
+    const fd = fs.openSync(path.join(dir, 'small.img'), 'w+');
+    try {
+        await assert.rejects(fat32Service.write(fd, 0, 40 * MiB, files, { label: 'MUCH TOO LONG' }), /Invalid FAT32 volume label/);
+        await assert.rejects(fat32Service.write(fd, 0, 16 * MiB, files), /too small for FAT32/);
+    } finally {
+        fs.closeSync(fd);
+    }
+});
+
+test('diskImageService.write lays out a GPT image whose partitions read back', async () => {
+    const efi = sourceFiles('esp', {
+        'EFI/BOOT/BOOTx64.efi': crypto.randomBytes(3000),
+        'EFI/OC/config.plist': '<plist version="1.0"><dict/></plist>\n',
+    });
+    const recovery = sourceFiles('recovery', {
+        'com.apple.recovery.boot/BaseSystem.dmg': crypto.randomBytes(50000),
+        'com.apple.recovery.boot/BaseSystem.chunklist': crypto.randomBytes(400),
+    });
+    const imagePath = path.join(dir, 'installer.img');
+    const status = [];
+
+    const result = await diskImageService.write(imagePath, [
+        { name: 'EFI', typeGuid: gptService.ESP_TYPE_GUID, size: 40 * MiB, files: efi },
+        { name: 'BOOT', typeGuid: diskImageService.BASIC_DATA_TYPE_GUID, files: recovery },
+    ], { onStatus: msg => status.push(msg) });
+
+    assert.ok(!fs.existsSync(`${imagePath}.partial`));
+    assert.equal(fs.statSync(imagePath).size, result.size);
+    assert.deepEqual(status, ['Writing EFI partition (40 MB)...', `Writing BOOT partition (${Math.round(result.partitions[1].size / MiB)} MB)...`]);
+
+    const table = gptService.read(imagePath);
+    assert.equal(table.backup, false);
+    assert.equal(table.diskGuid, result.diskGuid);
+    assert.deepEqual(table.partitions.map(p => [p.number, p.name, p.typeGuid]), [
+        [1, 'EFI', gptService.ESP_TYPE_GUID],
+        [2, 'BOOT', diskImageService.BASIC_DATA_TYPE_GUID],
+    ]);
+    assert.equal(gptService.findEsp(table).offset, MiB);
+    assert.equal(table.partitions[0].size, 40 * MiB);
+    assert.equal(table.partitions[1].offset, 41 * MiB);
+    assert.equal(table.partitions[1].size % MiB, 0);
+    assert.equal(result.size, table.partitions[1].offset + table.partitions[1].size + MiB);
+
+    const fd = fs.openSync(imagePath, 'r');
+    try {
+        for (const [part, files, label] of [[table.partitions[0], efi, 'EFI        '], [table.partitions[1], recovery, 'BOOT       ']]) {
+            const volume = readFat32(fd, part.offset);
+            assert.equal(volume.label, label);
+            assert.equal(volume.boot.readUInt32LE(28), part.firstLba);
+            assert.equal(volume.boot.readUInt32LE(32), part.size / SECTOR);
+            assert.deepEqual(asStrings(volume.files), asStrings(files.map(f => [f.path, fs.readFileSync(f.source)])));
+        }
+    } finally {
+        fs.closeSync(fd);
+    }
+});
+
+test('diskImageService.write leaves nothing behind when the files do not fit', async () => {
+    const big = path.join(dir, 'big.dmg');
+    fs.writeFileSync(big, '');
+    fs.truncateSync(big, 48 * MiB);
+    const imagePath = path.join(dir, 'too-small.img');
+
+    await assert.rejects(diskImageService.write(imagePath, [
+        { name: 'EFI', typeGuid: gptService.ESP_TYPE_GUID, size: 40 * MiB, files: [{ path: 'big.dmg', source: big }] },
+    ]), /do not fit/);
+    assert.ok(!fs.existsSync(imagePath));
+    assert.ok(!fs.existsSync(`${imagePath}.partial`));
+    await assert.rejects(diskImageService.write(imagePath, []), /1 to 128 partitions/);
+});
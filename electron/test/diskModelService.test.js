@@ -0,0 +1,135 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const diskModelService = require('../services/diskModelService');
+const diskGuardService = require('../services/diskGuardService');
+
+const fixture = (name) => fs.readFileSync(path.join(__dirname, 'fixtures', 'disks', name), 'utf8');
+const byId = (disks, id) => disks.find(disk => disk.id === id);
+const espOf = (disk) => disk.partitions.find(part => part.typeGuid === diskModelService.ESP_TYPE_GUID) || null;
+
+test('parseDiskutil folds the APFS container into its physical disk', () => {
+    const disks = diskModelService.parseDiskutil(fixture('diskutil-list.plist'), {
+        disk0: fixture('diskutil-info-disk0.plist'),
+        disk4: fixture('diskutil-info-disk4.plist'),
+        disk5: fixture('diskutil-info-disk5.plist'),
+    });
+
+    assert.deepEqual(disks.map(disk => disk.id), ['disk0', 'disk4', 'disk5']);
+
+    const internal = byId(disks, 'disk0');
+    assert.equal(internal.path, '/dev/disk0');
+    assert.equal(internal.name, 'APPLE SSD AP0512M');
+    assert.equal(internal.busType, 'pcie');
+    assert.equal(internal.removable, false);
+    assert.equal(internal.boot, true); // the sealed system snapshot is mounted at /
+    assert.ok(internal.mountPoints.includes('/System/Volumes/Data'));
+    assert.equal(espOf(internal).path, '/dev/disk0s1');
+});
+
+test('parseDiskutil reports a USB stick as removable with its ESP and volumes', () => {
+    const disks = diskModelService.parseDiskutil(fixture('diskutil-list.plist'), { disk4: fixture('diskutil-info-disk4.plist') });
+    const stick = byId(disks, 'disk4');
+
+    assert.equal(stick.path, '/dev/disk4');
+    assert.equal(stick.name, 'SanDisk Ultra');
+    assert.equal(stick.size, 30752636928);
+    assert.equal(stick.busType, 'usb');
+    assert.equal(stick.removable, true);
+    assert.equal(stick.virtual, false);
+    assert.equal(stick.boot, false);
+    assert.deepEqual(stick.mountPoints, ['/Volumes/BOOT', '/Volumes/INSTALL']);
+
+    const esp = espOf(stick);
+    assert.equal(esp.path, '/dev/disk4s1');
+    assert.equal(esp.number, 1);
+    assert.equal(esp.uuid, '9b3e6d2a-0c7f-4a15-8d9e-4f2b1a6c3e80');
+    assert.deepEqual(stick.partitions.map(part => part.label), ['EFI', 'BOOT', 'INSTALL']);
+});
+
+test('parseDiskutil marks attached disk images as virtual', () => {
+    const disks = diskModelService.parseDiskutil(fixture('diskutil-list.plist'), { disk5: fixture('diskutil-info-disk5.plist') });
+    const image = byId(disks, 'disk5');
+
+    assert.equal(image.virtual, true);
+    assert.equal(image.busType, 'virtual');
+    assert.equal(espOf(image), null);
+    assert.equal(diskGuardService.describe(image).removable, false);
+});
+
+test('parseUsbSerials maps BSD names to USB serial numbers', () => {
+    assert.deepEqual(diskModelService.parseUsbSerials(fixture('system_profiler-usb.json')), { disk4: '4C530001230918115172' });
+});
+
+for (const name of ['lsblk.json', 'lsblk-legacy.json']) {
+    test(`parseLsblk tells the USB stick from the internal disk (${name})`, () => {
+        const disks = diskModelService.parseLsblk(fixture(name));
+
+        // Loop devices are not disks
+        assert.deepEqual(disks.map(disk => disk.id), ['sda', 'nvme0n1']);
+
+        const stick = byId(disks, 'sda');
+        assert.equal(stick.path, '/dev/sda');
+        assert.equal(stick.size, 30752636928);
+        assert.equal(stick.serial, '4C530001230918115172');
+        assert.equal(stick.busType, 'usb');
+        assert.equal(stick.removable, true);
+        assert.equal(stick.boot, false);
+        assert.equal(stick.diskGuid, 'b8e41f0c-6a2d-4c93-9e57-1f0a3c8d2b64');
+        assert.deepEqual(stick.mountPoints, ['/media/user/BOOT']);
+        assert.equal(espOf(stick).path, '/dev/sda1');
+        assert.equal(espOf(stick).name, 'EFI');
+
+        const internal = byId(disks, 'nvme0n1');
+        assert.equal(internal.removable, false);
+        assert.equal(internal.boot, true);
+        assert.equal(internal.busType, 'nvme');
+        assert.equal(espOf(internal).path, '/dev/nvme0n1p1');
+        assert.equal(espOf(internal).number, 1);
+        assert.deepEqual(internal.mountPoints, ['/boot/efi', '/', '[SWAP]']);
+    });
+}
+
+test('parsePowerShell builds device nodes and drive letters', () => {
+    const disks = diskModelService.parsePowerShell(fixture('powershell-disks.json'));
+    assert.deepEqual(disks.map(disk => disk.path), ['\\\\.\\PHYSICALDRIVE0', '\\\\.\\PHYSICALDRIVE1', '\\\\.\\PHYSICALDRIVE2']);
+
+    const internal = byId(disks, 'PHYSICALDRIVE0');
+    assert.equal(internal.removable, false);
+    assert.equal(internal.boot, true);
+    assert.equal(internal.system, true);
+    assert.deepEqual(internal.mountPoints, ['C:']);
+    assert.equal(espOf(internal).id, 'PHYSICALDRIVE0-1');
+
+    const stick = byId(disks, 'PHYSICALDRIVE1');
+    assert.equal(stick.removable, true);
+    assert.equal(stick.serial, '4C530001230918115172');
+    assert.equal(stick.diskGuid, 'b8e41f0c-6a2d-4c93-9e57-1f0a3c8d2b64');
+    assert.deepEqual(stick.mountPoints, ['E:', 'F:']);
+    assert.equal(espOf(stick).number, 1);
+    assert.equal(espOf(stick).mountPoint, null); // DriveLetter "\u0000"
+    assert.equal(espOf(stick).path, null);
+
+    const virtual = byId(disks, 'PHYSICALDRIVE2');
+    assert.equal(virtual.virtual, true);
+    assert.equal(virtual.removable, false);
+});
+
+test('parsePowerShell accepts the bare object ConvertTo-Json prints for one disk', () => {
+    const disks = diskModelService.parsePowerShell(fixture('powershell-disk-single.json'));
+    assert.equal(disks.length, 1);
+    assert.equal(disks[0].id, 'PHYSICALDRIVE1');
+    assert.equal(disks[0].partitions.length, 3);
+    assert.deepEqual(diskModelService.parsePowerShell(''), []);
+});
+
+test('the disk guard accepts the USB stick and refuses the internal disk', () => {
+    const disks = diskModelService.parseLsblk(fixture('lsblk.json'));
+
+    assert.deepEqual(diskGuardService.check(diskGuardService.describe(byId(disks, 'sda'))), []);
+    const problems = diskGuardService.check(diskGuardService.describe(byId(disks, 'nvme0n1')));
+    assert.ok(problems.includes('it is not an external or removable drive'));
+    assert.ok(problems.includes('it is the boot disk'));
+    assert.ok(problems.some(problem => problem.startsWith('it holds mounted system volumes')));
+});
@@ -0,0 +1,113 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const efiInventoryService = require('../services/efiInventoryService');
+const plistPatchService = require('../services/plistPatchService');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'surfacemac-inventory-'));
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+let ocCount = 0;
+
+/**
+ * An EFI/OC folder with a config.plist holding `kernelAdd` and kexts: { bundlePath: Info.plist values }
+ */
+function ocFolder(kernelAdd, kexts) {
+    const ocPath = path.join(dir, `oc-${++ocCount}`, 'EFI', 'OC');
+    for (const [bundlePath, info] of Object.entries(kexts)) {
+        const contents = path.join(ocPath, 'Kexts', ...bundlePath.split('/'), 'Contents');
+        fs.mkdirSync(contents, { recursive: true });
+        fs.writeFileSync(path.join(contents, 'Info.plist'), plistPatchService.build(info));
+    }
+    fs.writeFileSync(path.join(ocPath, 'config.plist'), plistPatchService.build({ Kernel: { Add: kernelAdd } }));
+    return ocPath;
+}
+
+const kextEntry = (bundlePath, executable, { comment = '', enabled = true } = {}) => ({
+    Arch: 'Any',
+    BundlePath: bundlePath,
+    Comment: comment,
+    Enabled: enabled,
+    ExecutablePath: executable ? `Contents/MacOS/${executable}` : '',
+    MaxKernel: '',
+    MinKernel: '',
+    PlistPath: 'Contents/Info.plist',
+});
+const kernelAddOf = (ocPath) => plistPatchService.parse(fs.readFileSync(path.join(ocPath, 'config.plist'), 'utf8')).Kernel.Add;
+
+const SMC = 'VirtualSMC.kext';
+const plugIn = (name) => `${SMC}/Contents/PlugIns/${name}.kext`;
+
+test('syncKernelAdd follows renamed executables, drops removed plug-ins and adds new ones after the bundle', () => {
+    const ocPath = ocFolder([
+        kextEntry('Lilu.kext', 'Lilu', { comment: 'V1.6.7' }),
+        kextEntry(SMC, 'VirtualSMC', { comment: 'V1.3.2' }),
+        kextEntry(plugIn('SMCBatteryManager'), 'SMCBatteryManager', { comment: 'Battery' }),
+        kextEntry(plugIn('SMCProcessor'), 'SMCProcessor'),
+        kextEntry('WhateverGreen.kext', 'WhateverGreen'),
+    ], {
+        'Lilu.kext': { CFBundleExecutable: 'Lilu', CFBundleVersion: '1.6.7' },
+        [SMC]: { CFBundleExecutable: 'VirtualSMC', CFBundleVersion: '1.3.3' },
+        // The update renamed this plug-in's executable, dropped SMCProcessor and added SMCLightSensor
+        [plugIn('SMCBatteryManager')]: { CFBundleExecutable: 'SMCBatteryManagerV2', CFBundleVersion: '1.3.3' },
+        [plugIn('SMCLightSensor')]: { CFBundleExecutable: 'SMCLightSensor', CFBundleVersion: '1.3.3' },
+        'WhateverGreen.kext': { CFBundleExecutable: 'WhateverGreen', CFBundleVersion: '1.6.6' },
+    });
+
+    const changes = efiInventoryService.syncKernelAdd(ocPath, SMC, '1.3.3');
+
+    assert.deepEqual(changes, [
+        `${plugIn('SMCBatteryManager')} ExecutablePath -> Contents/MacOS/SMCBatteryManagerV2`,
+        `removed ${plugIn('SMCProcessor')} (no longer in the bundle)`,
+        `added ${plugIn('SMCLightSensor')}`,
+    ]);
+    assert.deepEqual(kernelAddOf(ocPath), [
+        kextEntry('Lilu.kext', 'Lilu', { comment: 'V1.6.7' }),
+        kextEntry(SMC, 'VirtualSMC', { comment: 'V1.3.3' }),
+        kextEntry(plugIn('SMCBatteryManager'), 'SMCBatteryManagerV2', { comment: 'Battery' }),
+        kextEntry(plugIn('SMCLightSensor'), 'SMCLightSensor', { comment: 'V1.3.3' }),
+        kextEntry('WhateverGreen.kext', 'WhateverGreen'),
+    ]);
+
+    // In sync now: nothing to change, the file is left alone
+    const before = fs.readFileSync(path.join(ocPath, 'config.plist'), 'utf8');
+    assert.deepEqual(efiInventoryService.syncKernelAdd(ocPath, SMC, '1.3.3'), []);
+    assert.equal(fs.readFileSync(path.join(ocPath, 'config.plist'), 'utf8'), before);
+});
+
+test('syncKernelAdd adds a new bundle with its nested plug-ins at the end', () => {
+    const ocPath = ocFolder([kextEntry('Lilu.kext', 'Lilu')], {
+        'Lilu.kext': { CFBundleExecutable: 'Lilu' },
+        [SMC]: { CFBundleExecutable: 'VirtualSMC', CFBundleVersion: '1.3.3' },
+        [plugIn('SMCSuperIO')]: { CFBundleExecutable: 'SMCSuperIO' },
+        [`${plugIn('SMCSuperIO')}/Contents/PlugIns/SMCSuperIOHelper.kext`]: { CFBundleExecutable: 'SMCSuperIOHelper', CFBundleVersion: '2.0' },
+        // A codeless kext: no executable
+        [plugIn('SMCDummy')]: { CFBundleIdentifier: 'as.vit9696.SMCDummy' },
+    });
+
+    assert.deepEqual(efiInventoryService.syncKernelAdd(ocPath, SMC, '1.3.3'), [
+        `added ${SMC}`,
+        `added ${plugIn('SMCDummy')}`,
+        `added ${plugIn('SMCSuperIO')}`,
+        `added ${plugIn('SMCSuperIO')}/Contents/PlugIns/SMCSuperIOHelper.kext`,
+    ]);
+    assert.deepEqual(kernelAddOf(ocPath), [
+        kextEntry('Lilu.kext', 'Lilu'),
+        kextEntry(SMC, 'VirtualSMC', { comment: 'V1.3.3' }),
+        kextEntry(plugIn('SMCDummy'), null),
+        kextEntry(plugIn('SMCSuperIO'), 'SMCSuperIO'),
+        kextEntry(`${plugIn('SMCSuperIO')}/Contents/PlugIns/SMCSuperIOHelper.kext`, 'SMCSuperIOHelper', { comment: 'V2.0' }),
+    ]);
+});
+
+test('syncKernelAdd adds plug-ins of a disabled bundle disabled', () => {
+    const ocPath = ocFolder([kextEntry(SMC, 'VirtualSMC', { enabled: false })], {
+        [SMC]: { CFBundleExecutable: 'VirtualSMC' },
+        [plugIn('SMCLightSensor')]: { CFBundleExecutable: 'SMCLightSensor' },
+    });
+
+    assert.deepEqual(efiInventoryService.syncKernelAdd(ocPath, SMC, '1.3.3'), [`added ${plugIn('SMCLightSensor')}`]);
+    assert.deepEqual(kernelAddOf(ocPath).map(e => [e.BundlePath, e.Enabled]), [[SMC, false], [plugIn('SMCLightSensor'), false]]);
+});
@@ -0,0 +1,121 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const { execFileSync } = require('child_process');
+const efiSnapshotService = require('../services/efiSnapshotService');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'surfacemac-snapshot-'));
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+// 119 bytes: stored as ustar prefix + name
+const LONG_PATH = `EFI/OC/Kexts/VoodooI2C.kext/Contents/PlugIns/VoodooI2CServices.kext/Contents/Resources/${'A'.repeat(26)}.plist`;
+
+const EFI = {
+    'EFI/BOOT/BOOTx64.efi': Buffer.alloc(512, 0xb0), // exactly one block
+    'EFI/OC/OpenCore.efi': Buffer.from('OpenCore REL-100-2024-05-06'),
+    'EFI/OC/config.plist': Buffer.from('<plist version="1.0"><dict/></plist>\n'),
+    'EFI/OC/Drivers/OpenRuntime.efi': Buffer.alloc(1024, 0x5a), // two blocks
+    'EFI/OC/empty.txt': Buffer.alloc(0),
+    [LONG_PATH]: Buffer.from('<plist version="1.0"><dict/></plist>\n'),
+};
+
+const writeTree = (root, files) => {
+    for (const [file, data] of Object.entries(files)) {
+        fs.mkdirSync(path.join(root, path.dirname(file)), { recursive: true });
+        fs.writeFileSync(path.join(root, file), data);
+    }
+};
+
+/**
+ * Every file below root as { 'EFI/...': base64 contents }
+ */
+const readTree = (root) => {
+    const files = {};
+    const walk = (folder, relative) => {
+        for (const entry of fs.readdirSync(folder, { withFileTypes: true })) {
+            const archivePath = relative ? `${relative}/${entry.name}` : entry.name;
+            if (entry.isDirectory()) walk(path.join(folder, entry.name), archivePath);
+            else files[archivePath] = fs.readFileSync(path.join(folder, entry.name)).toString('base64');
+        }
+    };
+    walk(root, '');
+    return files;
+};
+const asBase64 = (files) => Object.fromEntries(Object.entries(files).map(([file, data]) => [file, data.toString('base64')]));
+
+test('a snapshot is a tar.gz that tar unpacks, and restore puts the EFI back', async () => {
+    const partition = path.join(dir, 'partition');
+    const storeDir = path.join(dir, 'store');
+    writeTree(partition, EFI);
+
+    const snapshot = await efiSnapshotService.create(partition, { storeDir, reason: 'test' });
+    assert.equal(snapshot.fileCount, 6);
+    assert.equal(snapshot.ocVersion, '1.0.0');
+    assert.equal(snapshot.totalSize, Object.values(EFI).reduce((sum, data) => sum + data.length, 0));
+
+    // The archive is plain ustar: tar reads the long path and the block sized files back
+    const unpacked = path.join(dir, 'unpacked');
+    fs.mkdirSync(unpacked);
+    execFileSync('tar', ['-xzf', path.join(storeDir, `${snapshot.id}.tar.gz`), '-C', unpacked]);
+    assert.deepEqual(readTree(unpacked), asBase64(EFI));
+
+    // Break the EFI: one file changed, one gone, one new
+    fs.writeFileSync(path.join(partition, 'EFI/OC/config.plist'), 'broken');
+    fs.rmSync(path.join(partition, LONG_PATH));
+    fs.writeFileSync(path.join(partition, 'EFI/OC/extra.efi'), 'new');
+    assert.deepEqual(efiSnapshotService.diff(storeDir, snapshot.id, partition), {
+        added: [LONG_PATH],
+        removed: ['EFI/OC/extra.efi'],
+        changed: ['EFI/OC/config.plist'],
+    });
+
+    const result = await efiSnapshotService.restore(storeDir, snapshot.id, partition);
+    assert.equal(result.restored, 6);
+    assert.deepEqual(readTree(partition), asBase64(EFI));
+    assert.deepEqual(efiSnapshotService.diff(storeDir, snapshot.id, partition), { added: [], removed: [], changed: [] });
+
+    // The broken EFI was kept too, so the restore can be undone
+    const safety = efiSnapshotService.get(storeDir, result.safetySnapshot);
+    assert.equal(safety.reason, `before-restore ${snapshot.id}`);
+    assert.ok(safety.files.some(file => file.path === 'EFI/OC/extra.efi'));
+    assert.equal(efiSnapshotService.list(storeDir).length, 2);
+});
+
+/**
+ * A minimal ustar entry (header + padded data), written without efiSnapshotService
+ */
+function tarEntry(name, data = Buffer.alloc(0), type = '0') {
+    const header = Buffer.alloc(512);
+    header.write(name, 0, 100, 'utf8');
+    header.write('0000644\0', 100, 'ascii');
+    header.write(`${data.length.toString(8).padStart(11, '0')}\0`, 124, 'ascii');
+    header.write('00000000000\0', 136, 'ascii');
+    header.write('        ', 148, 'ascii');
+    header.write(type, 156, 'ascii');
+    header.write('ustar\u000000', 257, 'ascii');
+    const checksum = header.reduce((sum, byte) => sum + byte, 0);
+    header.write(`${checksum.toString(8).padStart(6, '0')}\0 `, 148, 'ascii');
+    return Buffer.concat([header, data, Buffer.alloc((512 - (data.length % 512)) % 512)]);
+}
+
+test('restore refuses archive entries outside the EFI folder before touching the partition', async () => {
+    const partition = path.join(dir, 'partition-evil');
+    const storeDir = path.join(dir, 'store-evil');
+    writeTree(partition, { 'EFI/OC/config.plist': Buffer.from('current') });
+    fs.mkdirSync(storeDir);
+
+    for (const [id, evilPath] of Object.entries({ 'up-one': 'EFI/../evil.txt', 'up-two': 'EFI/OC/../../../evil.txt', absolute: '/EFI/evil.txt', other: 'System/evil.txt' })) {
+        const archive = Buffer.concat([tarEntry('EFI/', Buffer.alloc(0), '5'), tarEntry(evilPath, Buffer.from('evil')), Buffer.alloc(1024)]);
+        fs.writeFileSync(path.join(storeDir, `${id}.tar.gz`), zlib.gzipSync(archive));
+        fs.writeFileSync(path.join(storeDir, `${id}.json`), JSON.stringify({ id, createdAt: new Date().toISOString(), files: [] }));
+
+        await assert.rejects(efiSnapshotService.restore(storeDir, id, partition), new RegExp(`Refusing to restore unexpected path "${evilPath.replace(/\./g, '\\.')}"`));
+    }
+
+    assert.deepEqual(readTree(partition), { 'EFI/OC/config.plist': Buffer.from('current').toString('base64') });
+    assert.ok(!fs.existsSync(path.join(dir, 'evil.txt')));
+    assert.equal(efiSnapshotService.list(storeDir).length, 4, 'no safety snapshot was taken');
+});
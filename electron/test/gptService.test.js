@@ -0,0 +1,133 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const gptService = require('../services/gptService');
+
+const SECTOR = 512;
+const TOTAL_SECTORS = 128;
+
+// GUIDs as stored on disk (first three fields little-endian), next to their text form
+const ESP_TYPE = Buffer.from('28732ac11ff8d211ba4b00a0c93ec93b', 'hex'); // c12a7328-f81f-11d2-ba4b-00a0c93ec93b
+const BASIC_DATA_TYPE = Buffer.from('a2a0d0ebe5b9334487c068b6b72699c7', 'hex'); // ebd0a0a2-b9e5-4433-87c0-68b6b72699c7
+const DISK_GUID = Buffer.from('78563412cdab4f01a1b2c3d4e5f60718', 'hex'); // 12345678-abcd-014f-a1b2-c3d4e5f60718
+const ESP_UUID = Buffer.from('00112233445566778899aabbccddeeff', 'hex'); // 33221100-5544-7766-8899-aabbccddeeff
+const BOOT_UUID = Buffer.from('0123456789abcdef0123456789abcdef', 'hex'); // 67452301-ab89-efcd-0123-456789abcdef
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'surfacemac-gpt-'));
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+/**
+ * A 64 KiB GPT disk: ESP at LBA 40-59, BOOT at 60-89, 128 entries of 128 bytes
+ */
+function gptImage({ entryCount = 128, entrySize = 128 } = {}) {
+    const image = Buffer.alloc(TOTAL_SECTORS * SECTOR);
+    image.set([0xee], 446 + 4);
+    image.writeUInt32LE(1, 446 + 8);
+    image.writeUInt32LE(TOTAL_SECTORS - 1, 446 + 12);
+    image.writeUInt16LE(0xaa55, 510);
+
+    const entries = Buffer.alloc(128 * 128);
+    const entry = (index, type, uuid, first, last, name) => {
+        const offset = index * 128;
+        type.copy(entries, offset);
+        uuid.copy(entries, offset + 16);
+        entries.writeBigUInt64LE(BigInt(first), offset + 32);
+        entries.writeBigUInt64LE(BigInt(last), offset + 40);
+        entries.write(name, offset + 56, 'utf16le');
+    };
+    entry(0, ESP_TYPE, ESP_UUID, 40, 59, 'EFI System Partition');
+    entry(1, BASIC_DATA_TYPE, BOOT_UUID, 60, 89, 'BOOT');
+
+    const header = (lba, alternate, entriesLba) => {
+        const sector = Buffer.alloc(SECTOR);
+        sector.write('EFI PART', 0, 'latin1');
+        sector.writeUInt32LE(0x00010000, 8);
+        sector.writeUInt32LE(92, 12);
+        sector.writeBigUInt64LE(BigInt(lba), 24);
+        sector.writeBigUInt64LE(BigInt(alternate), 32);
+        sector.writeBigUInt64LE(34n, 40);
+        sector.writeBigUInt64LE(BigInt(TOTAL_SECTORS - 34), 48);
+        DISK_GUID.copy(sector, 56);
+        sector.writeBigUInt64LE(BigInt(entriesLba), 72);
+        sector.writeUInt32LE(entryCount, 80);
+        sector.writeUInt32LE(entrySize, 84);
+        sector.writeUInt32LE(zlib.crc32(entries), 88);
+        sector.writeUInt32LE(zlib.crc32(sector.subarray(0, 92)), 16);
+        return sector;
+    };
+    header(1, TOTAL_SECTORS - 1, 2).copy(image, SECTOR);
+    entries.copy(image, 2 * SECTOR);
+    entries.copy(image, (TOTAL_SECTORS - 33) * SECTOR);
+    header(TOTAL_SECTORS - 1, 1, TOTAL_SECTORS - 33).copy(image, (TOTAL_SECTORS - 1) * SECTOR);
+    return image;
+}
+
+const writeImage = (name, image) => {
+    const file = path.join(dir, name);
+    fs.writeFileSync(file, image);
+    return file;
+};
+
+test('read returns the partitions of a GPT image', () => {
+    const table = gptService.read(writeImage('disk.img', gptImage()));
+
+    assert.equal(table.sectorSize, 512);
+    assert.equal(table.protectiveMbr, true);
+    assert.equal(table.backup, false);
+    assert.equal(table.diskGuid, '12345678-abcd-014f-a1b2-c3d4e5f60718');
+    assert.equal(table.firstUsableLba, 34);
+    assert.equal(table.lastUsableLba, 94);
+    assert.deepEqual(table.partitions, [
+        {
+            number: 1,
+            typeGuid: 'c12a7328-f81f-11d2-ba4b-00a0c93ec93b',
+            uuid: '33221100-5544-7766-8899-aabbccddeeff',
+            name: 'EFI System Partition',
+            firstLba: 40,
+            lastLba: 59,
+            offset: 40 * 512,
+            size: 20 * 512,
+            attributes: '0',
+        },
+        {
+            number: 2,
+            typeGuid: 'ebd0a0a2-b9e5-4433-87c0-68b6b72699c7',
+            uuid: '67452301-ab89-efcd-0123-456789abcdef',
+            name: 'BOOT',
+            firstLba: 60,
+            lastLba: 89,
+            offset: 60 * 512,
+            size: 30 * 512,
+            attributes: '0',
+        },
+    ]);
+    assert.equal(gptService.findEsp(table).number, 1);
+});
+
+test('read falls back to the backup table when the primary header is damaged', () => {
+    const image = gptImage();
+    image[SECTOR + 40] ^= 0xff; // breaks the header CRC
+    const table = gptService.read(writeImage('damaged.img', image));
+
+    assert.equal(table.backup, true);
+    assert.equal(table.partitions.length, 2);
+    assert.equal(gptService.findEsp(table).uuid, '33221100-5544-7766-8899-aabbccddeeff');
+});
+
+test('read rejects headers that describe an oversized or malformed entry array', () => {
+    for (const [name, geometry] of Object.entries({
+        'huge-entries.img': { entrySize: 0x10000000 },
+        'odd-entry-size.img': { entrySize: 200 },
+        'small-entries.img': { entrySize: 64 },
+        'too-many.img': { entryCount: 0x7fffffff },
+    })) {
+        assert.throws(() => gptService.read(writeImage(name, gptImage(geometry))), /has no valid GUID partition table/, name);
+    }
+});
+
+test('read rejects a disk without a GPT', () => {
+    assert.throws(() => gptService.read(writeImage('blank.img', Buffer.alloc(TOTAL_SECTORS * SECTOR))), /has no valid GUID partition table/);
+});
@@ -0,0 +1,74 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const jobService = require('../services/jobService');
+
+const storeDir = fs.mkdtempSync(path.join(os.tmpdir(), 'surfacemac-jobs-'));
+test.after(() => fs.rmSync(storeDir, { recursive: true, force: true }));
+jobService.configure(storeDir);
+
+// Records the token each run of the erase step saw; fails until told otherwise
+const seen = [];
+let failErase = true;
+jobService.define({
+    kind: 'test-transient',
+    title: 'Transient options',
+    transient: ['token'],
+    steps: [{
+        name: 'erase',
+        title: 'Erase',
+        run: (ctx) => {
+            seen.push(ctx.options.token);
+            if (failErase) throw new Error('erase failed');
+            return { erased: ctx.options.disk };
+        },
+    }],
+});
+
+const jobFile = (id) => fs.readFileSync(path.join(storeDir, `${id}.json`), 'utf8');
+
+test('transient options reach the steps but never the job file', async () => {
+    const job = jobService.create('test-transient', { disk: '/dev/sdb', token: 'secret-1' });
+    assert.equal(job.options.token, undefined);
+    assert.ok(!jobFile(job.id).includes('secret-1'));
+
+    await assert.rejects(jobService.run(job.id), /erase failed/);
+    assert.deepEqual(seen, ['secret-1']);
+    assert.ok(!jobFile(job.id).includes('secret-1'));
+
+    // Resumed without a new token, the step runs without one
+    jobService.resume(job.id);
+    await assert.rejects(jobService.run(job.id), /erase failed/);
+    assert.deepEqual(seen, ['secret-1', undefined]);
+
+    jobService.resume(job.id, { options: { token: 'secret-2' } });
+    failErase = false;
+    await jobService.run(job.id);
+    assert.deepEqual(seen, ['secret-1', undefined, 'secret-2']);
+    assert.ok(!jobFile(job.id).includes('secret-2'));
+    assert.equal(jobService.get(job.id).status, 'done');
+});
+
+// Fails its only step with the error it is handed
+let stepError = null;
+jobService.define({
+    kind: 'test-cancel',
+    title: 'Cancelled step',
+    steps: [{ name: 'download', title: 'Download', run: () => { throw stepError; } }],
+});
+
+test('a step rejecting with ECANCELLED cancels the job instead of failing it', async () => {
+    stepError = Object.assign(new Error('Download "recovery" cancelled'), { code: 'ECANCELLED' });
+    const cancelled = jobService.create('test-cancel', {});
+    await assert.rejects(jobService.run(cancelled.id), (err) => err.cancelled === true);
+    assert.equal(jobService.get(cancelled.id).status, 'cancelled');
+    assert.equal(jobService.get(cancelled.id).steps[0].status, 'pending');
+
+    // The message text alone does not make a cancel
+    stepError = new Error('Server cancelled the request');
+    const failed = jobService.create('test-cancel', {});
+    await assert.rejects(jobService.run(failed.id), /Server cancelled the request/);
+    assert.equal(jobService.get(failed.id).status, 'failed');
+});
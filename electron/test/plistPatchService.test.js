@@ -0,0 +1,36 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const plistPatchService = require('../services/plistPatchService');
+
+const TEMPLATES = path.join(__dirname, '..', 'templates');
+
+// Indentation and the final newline are the only differences allowed
+const lines = (xml) => xml.split(/\r?\n/).map(line => line.trim()).filter(Boolean);
+
+for (const name of fs.readdirSync(TEMPLATES).filter(file => file.endsWith('.plist'))) {
+    test(`${name} survives a parse/build round trip unchanged`, () => {
+        const xml = fs.readFileSync(path.join(TEMPLATES, name), 'utf8');
+        const rebuilt = plistPatchService.build(plistPatchService.parse(xml));
+
+        assert.deepEqual(lines(rebuilt), lines(xml));
+        assert.ok(!/<(string|data)\/>/.test(rebuilt), 'empty values stay <string></string> / <data></data>');
+    });
+
+    test(`${name}: a patch changes only the value it targets`, () => {
+        const xml = fs.readFileSync(path.join(TEMPLATES, name), 'utf8');
+        const tree = plistPatchService.parse(xml);
+        const { applied, errors } = plistPatchService.applyPatches(tree, [
+            { op: 'set', path: 'Misc.Security.ScanPolicy', type: 'integer', value: 12345 },
+        ]);
+        assert.equal(applied, 1);
+        assert.deepEqual(errors, []);
+
+        const before = lines(xml);
+        const after = lines(plistPatchService.build(tree));
+        assert.equal(after.length, before.length);
+        const changed = after.filter((line, i) => line !== before[i]);
+        assert.deepEqual(changed, ['<integer>12345</integer>']);
+    });
+}
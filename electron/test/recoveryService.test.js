@@ -0,0 +1,80 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const recoveryService = require('../services/recoveryService');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'surfacemac-recovery-'));
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+const sha256 = (data) => crypto.createHash('sha256').update(data).digest();
+
+/**
+ * A chunklist (signature method 2) for an image cut into chunks of chunkSize bytes
+ */
+function chunklistFor(image, chunkSize) {
+    const records = [];
+    for (let offset = 0; offset < image.length; offset += chunkSize) {
+        const chunk = image.subarray(offset, offset + chunkSize);
+        const record = Buffer.alloc(36);
+        record.writeUInt32LE(chunk.length, 0);
+        sha256(chunk).copy(record, 4);
+        records.push(record);
+    }
+    const header = Buffer.alloc(36);
+    header.write('CNKL', 0, 'ascii');
+    header.writeUInt32LE(36, 4);
+    header.set([1, 1, 2], 8);
+    header.writeBigUInt64LE(BigInt(records.length), 12);
+    header.writeBigUInt64LE(36n, 20);
+    header.writeBigUInt64LE(BigInt(36 + 36 * records.length), 28);
+    const body = Buffer.concat([header, ...records]);
+    return Buffer.concat([body, sha256(body)]);
+}
+
+// The cached recovery image, as the installer-download step reports it
+const image = crypto.randomBytes(5000);
+const cacheDir = path.join(dir, 'cache');
+fs.mkdirSync(cacheDir);
+const baseSystemPath = path.join(cacheDir, 'BaseSystem.dmg');
+const baseChunklistPath = path.join(cacheDir, 'BaseSystem.chunklist');
+fs.writeFileSync(baseSystemPath, image);
+fs.writeFileSync(baseChunklistPath, chunklistFor(image, 2048));
+
+test('copyToVolume verifies the cached image and copies it to the BOOT volume', async () => {
+    const volumePath = path.join(dir, 'BOOT');
+    fs.mkdirSync(volumePath);
+    const status = [];
+
+    const result = await recoveryService.copyToVolume({ baseSystemPath, baseChunklistPath, volumePath }, msg => status.push(msg));
+
+    const recoveryDir = path.join(volumePath, 'com.apple.recovery.boot');
+    assert.deepEqual(result, { success: true, recoveryDir });
+    assert.ok(fs.readFileSync(path.join(recoveryDir, 'BaseSystem.dmg')).equals(image));
+    assert.ok(fs.readFileSync(path.join(recoveryDir, 'BaseSystem.chunklist')).equals(fs.readFileSync(baseChunklistPath)));
+    assert.ok(status.includes('Verifying BaseSystem.dmg against chunklist... 100%'));
+    assert.equal(status[status.length - 1], 'Recovery files copied successfully!');
+});
+
+test('copyToVolume refuses a corrupt image and copies nothing', async () => {
+    const corruptPath = path.join(cacheDir, 'Corrupt.dmg');
+    const corrupt = Buffer.from(image);
+    corrupt[3000] ^= 0xff; // second chunk
+    fs.writeFileSync(corruptPath, corrupt);
+    const volumePath = path.join(dir, 'BOOT-corrupt');
+
+    await assert.rejects(recoveryService.copyToVolume({ baseSystemPath: corruptPath, baseChunklistPath, volumePath }),
+        /BaseSystem.dmg is corrupt \(1 of 3 chunks corrupt \(1\)\)/);
+    assert.deepEqual(fs.readdirSync(path.join(volumePath, 'com.apple.recovery.boot')), []);
+});
+
+test('copyToVolume copies an image without a chunklist unverified', async () => {
+    const volumePath = path.join(dir, 'BOOT-unverified');
+    await recoveryService.copyToVolume({ baseSystemPath, baseChunklistPath: null, volumePath });
+    assert.deepEqual(fs.readdirSync(path.join(volumePath, 'com.apple.recovery.boot')), ['BaseSystem.dmg']);
+
+    await assert.rejects(recoveryService.copyToVolume({ baseSystemPath: path.join(dir, 'missing.dmg'), baseChunklistPath, volumePath }),
+        /BaseSystem.dmg not found/);
+});
@@ -0,0 +1,63 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const smbiosService = require('../services/smbiosService');
+
+// MacBookAir9,1 (MNHP) built at FVF in week 10 of 2020; the MLB's last character makes
+// macserial's checksum (weights 3/1 from the end, sum divisible by 34) come out at 0
+const SERIAL = 'FVFCC1ABMNHP';
+const MLB = 'FVF010ABCDEFGH12V';
+
+test('validate accepts a known-valid serial and MLB pair', () => {
+    const result = smbiosService.validate({
+        model: 'MacBookAir9,1',
+        serial: SERIAL,
+        mlb: MLB,
+        uuid: '2A0E54D4-8E3C-4A4C-9D43-0C5F0B8B1E62',
+        rom: '3C0754A1B2C3',
+    });
+
+    assert.deepEqual(result.errors, []);
+    assert.deepEqual(result.warnings, []);
+    assert.equal(result.valid, true);
+    assert.deepEqual(result.serial, {
+        serial: SERIAL, plant: 'FVF', year: 2020, week: 10, unit: '1AB', modelCode: 'MNHP', model: 'MacBookAir9,1',
+    });
+    assert.deepEqual(result.mlb, { plant: 'FVF', year: 0, week: 10 });
+});
+
+test('validate rejects a wrong MLB check character and foreign characters', () => {
+    assert.deepEqual(smbiosService.validate({ mlb: 'FVF010ABCDEFGH12W' }).errors, ['MLB checksum is invalid']);
+    assert.deepEqual(smbiosService.validate({ mlb: 'FVF010ABCDEFGH1IV' }).errors, ['MLB contains characters outside 0-9 / A-Z without I and O']);
+    assert.deepEqual(smbiosService.validate({ mlb: 'FVF010ABCDEFGH12' }).errors, ['MLB must be 17 characters (got 16)']);
+    assert.deepEqual(smbiosService.validate({ mlb: 'FVF040NPQRSTUVW36' }).errors, []);
+});
+
+test('validate flags a serial that belongs to another model or date', () => {
+    assert.deepEqual(smbiosService.validate({ model: 'MacBookPro16,2', serial: SERIAL }).errors,
+        ['Serial model code MNHP belongs to MacBookAir9,1, not MacBookPro16,2']);
+    assert.deepEqual(smbiosService.validate({ serial: SERIAL, mlb: 'FVF040NPQRSTUVW36' }).warnings,
+        ['MLB plant/date does not match the serial']);
+});
+
+test('encodeDate and decodeSerial agree on both halves of the year', () => {
+    assert.deepEqual(smbiosService.encodeDate(2020, 10), { year: 'C', week: 'C' });
+    assert.deepEqual(smbiosService.encodeDate(2020, 40), { year: 'D', week: 'H' });
+
+    const decoded = smbiosService.decodeSerial('fvfdh2xymnhp');
+    assert.equal(decoded.serial, 'FVFDH2XYMNHP');
+    assert.equal(decoded.year, 2020);
+    assert.equal(decoded.week, 40);
+    assert.throws(() => smbiosService.decodeSerial('FVFOC1ABMNHP'), /outside 0-9/);
+    assert.throws(() => smbiosService.decodeSerial('FVFCC1AB'), /must be 12 characters/);
+});
+
+test('generated SMBIOS values validate for every model', () => {
+    for (const { model } of smbiosService.listModels()) {
+        for (let i = 0; i < 20; i++) {
+            const smbios = smbiosService.generate(model);
+            const result = smbiosService.validate(smbios);
+            assert.deepEqual(result.errors, [], `${model} ${smbios.serial} ${smbios.mlb}`);
+            assert.deepEqual(result.warnings, [], `${model} ${smbios.serial} ${smbios.mlb}`);
+        }
+    }
+});
@@ -11,6 +11,8 @@ export interface SMBIOSData {
   serial: string;
   mlb: string;
   uuid: string;
+  rom?: string;
+  boardId?: string;
 }
 
 export interface USBDrive {
@@ -18,14 +20,29 @@ export interface USBDrive {
   name: string;
   size: string;
   path: string;
+  serial?: string | null;
+  identity?: DiskIdentity | null;
+  problems?: string[];
+  token?: string | null;
+}
+
+// Exact full installer build picked in the catalog browser (null = latest for the macOS version)
+export interface InstallerSelection {
+  catalogType: CatalogType;
+  productId: string;
+  build: string;
+  version: string;
 }
 
 export interface WizardConfig {
+  smbiosModel: string;
   smbios: SMBIOSData | null;
   selectedUsb: USBDrive | null;
   efiPath: string | null;
-  efiSource: { type: 'default' | 'url' | 'local'; value: string };
+  // registry: value is a source id, ref is latest | tag:<tag> | branch:<branch>; default is the built-in source
+  efiSource: { type: 'default' | 'registry' | 'url' | 'local'; value: string; ref?: string; sha256?: string };
   downloads: Record<string, string>;
+  installerSelection: InstallerSelection | null;
 }
 
 interface WizardContextType {
@@ -55,6 +72,16 @@ const STEPS = [
   { id: 7, title: 'Post-Install', description: 'Finalize setup' },
 ];
 
+const DEFAULT_CONFIG: WizardConfig = {
+  smbiosModel: 'MacBookAir9,1',
+  smbios: null,
+  selectedUsb: null,
+  efiPath: null,
+  efiSource: { type: 'default', value: 'repo:balopez83/Surface-Pro-7-Hackintosh' },
+  downloads: {},
+  installerSelection: null,
+};
+
 // Wizard Context
 const WizardContext = createContext<WizardContextType | null>(null);
 
@@ -74,6 +101,7 @@ import ConfigStep from './steps/ConfigStep';
 import BiosStep from './steps/BiosStep';
 import InstallStep from './steps/InstallStep';
 import PostInstallStep from './steps/PostInstallStep';
+import SettingsScreen from './SettingsScreen';
 
 const STEP_COMPONENTS: React.FC[] = [
   WelcomeStep,
@@ -87,18 +115,17 @@ const STEP_COMPONENTS: React.FC[] = [
 
 function App(): ReactNode {
   const [currentStep, setCurrentStep] = useState(1);
+  const [showSettings, setShowSettings] = useState(false);
   const [completedSteps, setCompletedSteps] = useState<number[]>([]);
   const [platform, setPlatform] = useState<Platform | null>(null);
   const [macosVersion, setMacosVersion] = useState<MacOSVersion>('sonoma');
   const [cpuType, setCpuType] = useState<CpuType>('i5');
   const [cpuDetected, setCpuDetected] = useState(false);
-  const [config, setConfig] = useState<WizardConfig>({
-    smbios: null,
-    selectedUsb: null,
-    efiPath: null,
-    efiSource: { type: 'default', value: 'repo:balopez83/Surface-Pro-7-Hackintosh' },
-    downloads: {},
-  });
+  const [config, setConfig] = useState<WizardConfig>(DEFAULT_CONFIG);
+
+  // Wizard profile: the last session is restored once, then every change is auto-saved
+  const [profileLoaded, setProfileLoaded] = useState(false);
+  const [profileMessage, setProfileMessage] = useState<string | null>(null);
   
   // Permission state (macOS Full Disk Access)
   const [hasFullDiskAccess, setHasFullDiskAccess] = useState<boolean | null>(null);
@@ -176,6 +203,70 @@ function App(): ReactNode {
     setConfig(prev => ({ ...prev, ...updates }));
   };
 
+  const applyProfile = (profile: WizardProfile, restoreProgress: boolean): void => {
+    const { wizard } = profile;
+    setMacosVersion(wizard.macosVersion);
+    setCpuType(wizard.cpuType);
+    setConfig(wizard.config);
+    // An imported profile describes a build, not where someone else stopped
+    setCurrentStep(restoreProgress ? Math.min(wizard.currentStep, STEPS.length) : 1);
+    setCompletedSteps(restoreProgress ? wizard.completedSteps : []);
+  };
+
+  useEffect(() => {
+    if (!window.electronAPI) {
+      setProfileLoaded(true);
+      return;
+    }
+    window.electronAPI.loadProfile()
+      .then((profile) => {
+        if (profile) applyProfile(profile, true);
+      })
+      .catch((e) => console.warn('Could not restore last session:', e))
+      .finally(() => setProfileLoaded(true));
+  }, []);
+
+  useEffect(() => {
+    if (!profileLoaded || !window.electronAPI) return;
+    const timer = setTimeout(() => {
+      window.electronAPI?.saveProfile({ wizard: { currentStep, completedSteps, macosVersion, cpuType, config } })
+        .catch((e) => console.warn('Could not save session:', e));
+    }, 500);
+    return () => clearTimeout(timer);
+  }, [profileLoaded, currentStep, completedSteps, macosVersion, cpuType, config]);
+
+  const exportProfile = async (): Promise<void> => {
+    if (!window.electronAPI) return;
+    try {
+      const filePath = await window.electronAPI.exportProfile({ wizard: { currentStep, completedSteps, macosVersion, cpuType, config } });
+      if (filePath) setProfileMessage(`Exported to ${filePath}`);
+    } catch (e) {
+      setProfileMessage(`Export failed: ${e instanceof Error ? e.message : String(e)}`);
+    }
+  };
+
+  const importProfile = async (): Promise<void> => {
+    if (!window.electronAPI) return;
+    try {
+      const profile = await window.electronAPI.importProfile();
+      if (profile) {
+        applyProfile(profile, false);
+        setProfileMessage(`Imported profile${profile.appVersion ? ` (SurfaceMac ${profile.appVersion})` : ''}`);
+      }
+    } catch (e) {
+      setProfileMessage(`Import failed: ${e instanceof Error ? e.message : String(e)}`);
+    }
+  };
+
+  const resetProfile = async (): Promise<void> => {
+    if (!window.confirm('Start over? This clears the saved session, including the generated serial numbers.')) return;
+    await window.electronAPI?.clearProfile();
+    setConfig(DEFAULT_CONFIG);
+    setCurrentStep(1);
+    setCompletedSteps([]);
+    setProfileMessage(null);
+  };
+
   const CurrentStepComponent = STEP_COMPONENTS[currentStep - 1];
 
   return (
@@ -263,6 +354,32 @@ function App(): ReactNode {
               ))}
             </ul>
 
+            <div style={{ marginBottom: 'var(--space-sm)' }}>
+              <div style={{ display: 'flex', gap: 'var(--space-xs)' }}>
+                <button className="btn btn-ghost" style={{ flex: 1, padding: '6px', fontSize: 'var(--font-size-xs)' }} onClick={exportProfile}>
+                  💾 Export
+                </button>
+                <button className="btn btn-ghost" style={{ flex: 1, padding: '6px', fontSize: 'var(--font-size-xs)' }} onClick={importProfile}>
+                  📂 Import
+                </button>
+                <button className="btn btn-ghost" style={{ flex: 1, padding: '6px', fontSize: 'var(--font-size-xs)' }} onClick={resetProfile}>
+                  ↺ Reset
+                </button>
+              </div>
+              <button
+                className="btn btn-ghost"
+                style={{ width: '100%', marginTop: 'var(--space-xs)', padding: '6px', fontSize: 'var(--font-size-xs)' }}
+                onClick={() => setShowSettings(!showSettings)}
+              >
+                ⚙️ {showSettings ? 'Back to Wizard' : 'Settings'}
+              </button>
+              {profileMessage && (
+                <div style={{ marginTop: 'var(--space-xs)', fontSize: 'var(--font-size-xs)', color: 'var(--color-text-muted)', wordBreak: 'break-all' }}>
+                  {profileMessage}
+                </div>
+              )}
+            </div>
+
             {platform && (
               <div className="sidebar-footer" style={{ 
                 marginTop: 'auto', 
@@ -272,14 +389,16 @@ function App(): ReactNode {
                 fontSize: 'var(--font-size-xs)',
                 color: 'var(--color-text-muted)'
               }}>
-                Platform: {platform === 'darwin' ? '🍎 macOS' : '🪟 Windows'}
+                Platform: {platform === 'darwin' ? '🍎 macOS' : platform === 'linux' ? '🐧 Linux' : '🪟 Windows'}
               </div>
             )}
           </aside>
 
           {/* Main Content Area */}
           <main className="content-area">
-            <CurrentStepComponent />
+            {showSettings
+              ? <SettingsScreen onClose={() => setShowSettings(false)} />
+              : profileLoaded && <CurrentStepComponent />}
           </main>
         </div>
       </div>
@@ -0,0 +1,216 @@
+import { useState, useEffect } from 'react';
+
+const formatSize = (bytes: number): string => {
+  if (bytes >= 1024 ** 3) return `${(bytes / 1024 ** 3).toFixed(2)} GB`;
+  if (bytes >= 1024 ** 2) return `${(bytes / 1024 ** 2).toFixed(1)} MB`;
+  return `${(bytes / 1024).toFixed(1)} KB`;
+};
+
+// What a cache entry holds, from its key and recorded source
+const describeEntry = (entry: DownloadCacheEntry): string => {
+  const [kind, rest] = [entry.key.slice(0, entry.key.indexOf(':')), entry.key.slice(entry.key.indexOf(':') + 1)];
+  if (kind === 'recovery') return `Recovery image · ${rest}`;
+  if (kind === 'installer') return `Full installer · ${entry.meta.title || rest.split('/')[0]}${entry.build ? ` (${entry.build})` : ''}`;
+  if (kind === 'efi') return `EFI source · ${rest}`;
+  return entry.fileName;
+};
+
+interface SettingsScreenProps {
+  onClose: () => void;
+}
+
+const SettingsScreen: React.FC<SettingsScreenProps> = ({ onClose }) => {
+  const [cache, setCache] = useState<DownloadCache | null>(null);
+  const [busy, setBusy] = useState(false);
+  const [message, setMessage] = useState<{ type: 'success' | 'error' | 'info'; text: string } | null>(null);
+  const [pruneDays, setPruneDays] = useState(30);
+
+  useEffect(() => {
+    loadCache();
+    window.electronAPI?.onCacheStatus((text) => setMessage({ type: 'info', text }));
+  }, []);
+
+  const loadCache = async (): Promise<void> => {
+    if (!window.electronAPI) return;
+    try {
+      setCache(await window.electronAPI.getCache());
+    } catch (err) {
+      setMessage({ type: 'error', text: err instanceof Error ? err.message : String(err) });
+    }
+  };
+
+  // Run a cache operation, then reload the listing
+  const run = async (action: (api: NonNullable<typeof window.electronAPI>) => Promise<string | null>): Promise<void> => {
+    const api = window.electronAPI;
+    if (!api) return;
+    setBusy(true);
+    setMessage(null);
+    try {
+      const text = await action(api);
+      setMessage(text ? { type: 'success', text } : null);
+    } catch (err) {
+      setMessage({ type: 'error', text: err instanceof Error ? err.message : String(err) });
+    } finally {
+      setBusy(false);
+      await loadCache();
+    }
+  };
+
+  const verifyCache = () => run(async (api) => {
+    const results = await api.verifyCache();
+    const bad = results.filter(r => r.status !== 'ok');
+    return bad.length === 0
+      ? `All ${results.length} entries match their checksums.`
+      : `Removed ${bad.length} damaged or missing entries (${bad.map(r => r.key).join(', ')}); they are downloaded again when needed.`;
+  });
+
+  const pruneCache = (options: { keys?: string[]; olderThanDays?: number; work?: boolean; all?: boolean }) => run(async (api) => {
+    const { removed, freed } = await api.pruneCache(options);
+    return `Removed ${removed} entries, ${formatSize(freed)} freed.`;
+  });
+
+  const clearCache = () => {
+    if (!window.confirm('Remove everything from the download cache? Recovery images and installers will be downloaded again.')) return;
+    pruneCache({ all: true });
+  };
+
+  const relocateCache = () => run(async (api) => {
+    const moved = await api.relocateCache();
+    return moved ? `Cache moved to ${moved.root}` : null;
+  });
+
+  const importLegacy = () => run(async (api) => {
+    const { imported, folders } = await api.importLegacyCache();
+    return `Imported ${imported} files; removed ${folders.length} old download folders.`;
+  });
+
+  return (
+    <>
+      <header className="content-header">
+        <h1 className="content-title">Settings</h1>
+        <p className="content-subtitle">
+          Downloads the wizard keeps between runs.
+        </p>
+      </header>
+
+      <div className="content-body fade-in">
+        <div className="card" style={{ marginBottom: 'var(--space-lg)' }}>
+          <div className="card-header">
+            <div className="card-icon">🗄️</div>
+            <div>
+              <div className="card-title">Download Cache</div>
+            </div>
+          </div>
+          <div className="card-description">
+            Recovery images, full installers, EFI archives and drivers are stored once by checksum, with where
+            they came from. Verify re-checks every file; damaged files are removed and downloaded again.
+          </div>
+
+          {cache && (
+            <div style={{ marginTop: 'var(--space-md)', fontSize: 'var(--font-size-sm)' }}>
+              <div style={{ wordBreak: 'break-all' }}>📁 {cache.root}</div>
+              <div style={{ color: 'var(--color-text-muted)', marginTop: 'var(--space-xs)' }}>
+                {cache.entries.length} entries · {formatSize(cache.totalSize)}
+                {cache.workSize > 0 && ` · ${formatSize(cache.workSize)} of extracted packages`}
+              </div>
+            </div>
+          )}
+
+          <div style={{ marginTop: 'var(--space-md)', display: 'flex', gap: 'var(--space-sm)', flexWrap: 'wrap' }}>
+            <button className="btn btn-secondary btn-sm" onClick={verifyCache} disabled={busy || !cache?.entries.length}>
+              Verify
+            </button>
+            <button className="btn btn-secondary btn-sm" onClick={relocateCache} disabled={busy}>
+              Move…
+            </button>
+            <button className="btn btn-ghost btn-sm" onClick={() => window.electronAPI?.openCacheFolder()} disabled={busy}>
+              Open Folder
+            </button>
+            <button className="btn btn-ghost btn-sm" onClick={() => pruneCache({ work: true })} disabled={busy || !cache?.workSize}>
+              Remove Extracted Packages
+            </button>
+            <button className="btn btn-ghost btn-sm" onClick={clearCache} disabled={busy || !cache?.entries.length}>
+              Clear All
+            </button>
+          </div>
+
+          <div style={{ marginTop: 'var(--space-sm)', display: 'flex', gap: 'var(--space-sm)', alignItems: 'center', fontSize: 'var(--font-size-sm)' }}>
+            <span>Remove entries not used for</span>
+            <select className="form-select" style={{ width: 'auto' }} value={pruneDays} onChange={(e) => setPruneDays(Number(e.target.value))}>
+              {[7, 30, 90, 180].map(days => <option key={days} value={days}>{days} days</option>)}
+            </select>
+            <button className="btn btn-ghost btn-sm" onClick={() => pruneCache({ olderThanDays: pruneDays })} disabled={busy || !cache?.entries.length}>
+              Prune
+            </button>
+          </div>
+
+          {message && (
+            <div style={{
+              marginTop: 'var(--space-sm)',
+              fontSize: 'var(--font-size-sm)',
+              wordBreak: 'break-all',
+              color: message.type === 'error' ? 'var(--color-accent-red)'
+                : message.type === 'success' ? 'var(--color-accent-green)' : 'var(--color-text-muted)',
+            }}>
+              {message.text}
+            </div>
+          )}
+
+          {cache && cache.legacy.length > 0 && (
+            <div className="alert alert-info" style={{ marginTop: 'var(--space-md)' }}>
+              <div className="alert-icon">📦</div>
+              <div className="alert-content">
+                <div className="alert-title">Downloads from an earlier version</div>
+                <div className="alert-message">
+                  {cache.legacy.map(folder => `${folder.path} (${formatSize(folder.size)})`).join(', ')}.
+                  Import them into the cache to reuse them; the old folders are removed afterwards.
+                </div>
+                <button className="btn btn-secondary btn-sm" style={{ marginTop: 'var(--space-sm)' }} onClick={importLegacy} disabled={busy}>
+                  Import
+                </button>
+              </div>
+            </div>
+          )}
+
+          {cache && cache.entries.length > 0 && (
+            <table style={{ width: '100%', fontSize: 'var(--font-size-sm)', borderCollapse: 'collapse', marginTop: 'var(--space-md)' }}>
+              <thead>
+                <tr style={{ textAlign: 'left', color: 'var(--color-text-muted)' }}>
+                  <th>Contents</th>
+                  <th>Size</th>
+                  <th>Downloaded</th>
+                  <th>SHA-256</th>
+                  <th></th>
+                </tr>
+              </thead>
+              <tbody>
+                {cache.entries.map(entry => (
+                  <tr key={entry.key} title={[entry.key, entry.url, entry.productId && `Product ${entry.productId}`].filter(Boolean).join('\n')}>
+                    <td>{describeEntry(entry)}</td>
+                    <td>{formatSize(entry.size)}</td>
+                    <td>{new Date(entry.downloadedAt).toLocaleDateString()}</td>
+                    <td style={{ fontFamily: 'monospace' }}>{entry.sha256.slice(0, 12)}</td>
+                    <td style={{ textAlign: 'right' }}>
+                      <button className="btn btn-ghost btn-sm" onClick={() => pruneCache({ keys: [entry.key] })} disabled={busy}>
+                        ✕
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </div>
+      </div>
+
+      <footer className="content-footer">
+        <button className="btn btn-secondary" onClick={onClose}>
+          ← Back to Wizard
+        </button>
+        <div></div>
+      </footer>
+    </>
+  );
+};
+
+export default SettingsScreen;
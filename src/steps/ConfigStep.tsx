@@ -1,14 +1,12 @@
 import { useState } from 'react';
 import { useWizard } from '../App';
 
-interface ConfigTreeData {
-  [key: string]: ConfigTreeData | string | Array<{ BundlePath: string }>;
-}
+type NodePath = number[]; // entry index per level (dict entries are ordered too)
 
-interface ConfigNodeProps {
-  data: ConfigTreeData | string | Array<{ BundlePath: string }>;
-  depth: number;
-}
+const PLIST_TYPES: PlistNode['type'][] = ['dict', 'array', 'string', 'integer', 'real', 'bool', 'data', 'date'];
+
+// The selected drive for disk operations: found by its identity even if its device node changed
+const diskTarget = (usb: USBDrive): DiskTarget => ({ path: usb.path, identity: usb.identity || null });
 
 const ConfigStep: React.FC = () => {
   const { nextStep, prevStep, config, macosVersion, cpuType } = useWizard();
@@ -17,50 +15,96 @@ const ConfigStep: React.FC = () => {
   const [showExpertMode, setShowExpertMode] = useState(false);
   const [enableVerbose, setEnableVerbose] = useState(true); // Default to true for troubleshooting
   const [ejected, setEjected] = useState(false);
+  const [validation, setValidation] = useState<ConfigValidation | null>(null);
+  const [isValidating, setIsValidating] = useState(false);
+  const [validationError, setValidationError] = useState<string | null>(null);
+  const [configError, setConfigError] = useState<string | null>(null);
   
   // Config file based on CPU type
   const configFileName = `config-${cpuType}.plist`;
   
-  // Mock config.plist structure for expert mode
-  const [configTree] = useState<ConfigTreeData>({
-    'PlatformInfo': {
-      'Generic': {
-        'SystemSerialNumber': config.smbios?.serial || 'Will be injected',
-        'MLB': config.smbios?.mlb || 'Will be injected',
-        'SystemUUID': config.smbios?.uuid || 'Will be injected',
-        'SystemProductName': 'MacBookAir9,1',
-      },
-    },
-    'Kernel': {
-      'Add': [
-        { 'BundlePath': macosVersion === 'sonoma' ? 'AirportItlwm.kext' : 'itlwm.kext' },
-        { 'BundlePath': 'Lilu.kext' },
-        { 'BundlePath': 'VirtualSMC.kext' },
-        { 'BundlePath': 'WhateverGreen.kext' },
-      ],
-    },
-    'NVRAM': {
-      'Add': {
-        '7C436110-AB2A-4BBB-A880-FE41995C9F82': {
-          'boot-args': '-v keepsyms=1',
-        },
-      },
-    },
-  });
+  // Expert mode: the real config.plist on the USB EFI
+  const [configPath, setConfigPath] = useState<string | null>(null);
+  const [configTree, setConfigTree] = useState<PlistNode | null>(null);
+  const [isLoadingTree, setIsLoadingTree] = useState(false);
+  const [treeDirty, setTreeDirty] = useState(false);
+  const [editorMessage, setEditorMessage] = useState<string | null>(null);
+  const [pendingChanges, setPendingChanges] = useState<PlistChange[] | null>(null);
+  const [isSavingTree, setIsSavingTree] = useState(false);
+
+  const loadConfigTree = async (): Promise<void> => {
+    if (!window.electronAPI || !config.selectedUsb) return;
+    setIsLoadingTree(true);
+    setEditorMessage(null);
+    setPendingChanges(null);
+    try {
+      const mountPoint = await window.electronAPI.mountEFI(diskTarget(config.selectedUsb));
+      const filePath = `${mountPoint.replace(/[\\/]+$/, '')}/EFI/OC/config.plist`;
+      const tree = await window.electronAPI.readConfig(filePath, { typed: true });
+      if (!tree) throw new Error(`${filePath} not found. Apply the configuration first.`);
+      setConfigPath(filePath);
+      setConfigTree(tree);
+      setTreeDirty(false);
+    } catch (error) {
+      setEditorMessage(`❌ ${error instanceof Error ? error.message : String(error)}`);
+    } finally {
+      setIsLoadingTree(false);
+    }
+  };
+
+  const editTree = (update: (root: PlistNode) => PlistNode): void => {
+    setConfigTree(prev => (prev ? update(prev) : prev));
+    setTreeDirty(true);
+    setPendingChanges(null);
+  };
+
+  const reviewChanges = async (): Promise<void> => {
+    if (!window.electronAPI || !configTree) return;
+    try {
+      setPendingChanges(await window.electronAPI.diffConfig(configTree, cpuType));
+      setEditorMessage(null);
+    } catch (error) {
+      setEditorMessage(`❌ ${error instanceof Error ? error.message : String(error)}`);
+    }
+  };
+
+  const saveConfigTree = async (): Promise<void> => {
+    if (!window.electronAPI || !configTree || !configPath) return;
+    setIsSavingTree(true);
+    try {
+      const result = await window.electronAPI.writeConfig(configPath, configTree, { typed: true });
+      setValidation(result.validation);
+      setTreeDirty(false);
+      setPendingChanges(null);
+      setEditorMessage(`✓ Saved ${configPath}`);
+    } catch (error) {
+      setEditorMessage(`❌ ${error instanceof Error ? error.message : String(error)}`);
+    } finally {
+      setIsSavingTree(false);
+    }
+  };
 
   const applyConfiguration = async (): Promise<void> => {
     setIsConfiguring(true);
-    
+    setConfigError(null);
+    // The panel shows this run's result, never the previous one's
+    setValidation(null);
+    setValidationError(null);
+
     try {
-      if (window.electronAPI && config.smbios && config.selectedUsb) {
+      if (window.electronAPI) {
+        if (!config.selectedUsb) throw new Error('No USB drive selected. Go back and select one.');
+        if (!config.smbios) throw new Error('No SMBIOS generated yet. Go back and generate one.');
         // In Electron: Read the correct config file, inject SMBIOS, and save
-        await window.electronAPI.injectConfig({
+        const result = await window.electronAPI.injectConfig({
             cpuType,
             smbios: config.smbios,
+            smbiosModel: config.smbiosModel,
             macosVersion,
-            diskPath: config.selectedUsb.path,
+            diskPath: diskTarget(config.selectedUsb),
             verbose: enableVerbose
         });
+        setValidation(result.validation);
         
         // Let user see completion for a moment
         await new Promise(resolve => setTimeout(resolve, 500));
@@ -69,17 +113,30 @@ const ConfigStep: React.FC = () => {
         // await window.electronAPI.unmountEFI(config.selectedUsb.path);
         console.log("EFI kept mounted for user verification. Eject USB when ready.");
       } else {
-        if (!config.selectedUsb) console.warn('No USB selected in config, cannot inject.');
         // Simulate for browser
         await new Promise(resolve => setTimeout(resolve, 1500));
       }
+      setConfigComplete(true);
     } catch (error) {
       console.error('Failed to apply configuration:', error);
-      // We should probably show an error state here, but for now log it
+      // inject-config reports patch failures (and an invalid SMBIOS) in the message
+      setConfigError(error instanceof Error ? error.message : String(error));
+    } finally {
+      setIsConfiguring(false);
+    }
+  };
+
+  const validateConfig = async (): Promise<void> => {
+    if (!window.electronAPI || !config.selectedUsb) return;
+    setIsValidating(true);
+    setValidationError(null);
+    try {
+      setValidation(await window.electronAPI.validateConfig({ diskPath: diskTarget(config.selectedUsb) }));
+    } catch (error) {
+      setValidationError(error instanceof Error ? error.message : String(error));
+    } finally {
+      setIsValidating(false);
     }
-    
-    setIsConfiguring(false);
-    setConfigComplete(true);
   };
 
   return (
@@ -144,25 +201,6 @@ const ConfigStep: React.FC = () => {
               </ul>
             </div>
 
-            <div style={{ marginTop: 'var(--space-xl)' }}>
-              <button 
-                className="btn btn-ghost"
-                onClick={() => setShowExpertMode(!showExpertMode)}
-              >
-                {showExpertMode ? '🔽 Hide' : '🔧 Show'} Expert Mode
-              </button>
-            </div>
-
-            {showExpertMode && (
-              <div className="config-editor" style={{ marginTop: 'var(--space-md)' }}>
-                <div className="config-tree">
-                  <ConfigNode data={configTree} depth={0} />
-                </div>
-              </div>
-            )}
-
-
-            
             <div className="alert alert-info" style={{ marginTop: 'var(--space-2xl)', opacity: 0.8 }}>
               <div className="alert-icon">📋</div>
               <div className="alert-content">
@@ -174,6 +212,16 @@ const ConfigStep: React.FC = () => {
               </div>
             </div>
 
+            {configError && !isConfiguring && (
+              <div className="alert alert-error" style={{ marginTop: 'var(--space-xl)' }}>
+                <div className="alert-icon">❌</div>
+                <div className="alert-content">
+                  <div className="alert-title">Configuration Failed</div>
+                  <div className="alert-message">{configError}</div>
+                </div>
+              </div>
+            )}
+
             {isConfiguring && (
               <div style={{ marginTop: 'var(--space-xl)', textAlign: 'center' }}>
                 <div className="spinner" style={{ margin: '0 auto var(--space-md)' }} />
@@ -196,6 +244,129 @@ const ConfigStep: React.FC = () => {
           </div>
         )}
 
+        {/* Validation (ocvalidate-style) of the config.plist on the USB */}
+        {config.selectedUsb && (
+          <div className="card" style={{ marginTop: 'var(--space-lg)' }}>
+            <div className="card-header" style={{ justifyContent: 'space-between' }}>
+              <div style={{ display: 'flex', alignItems: 'center', gap: 'var(--space-md)' }}>
+                <div className="card-icon">🩺</div>
+                <div>
+                  <div className="card-title">Config Validation</div>
+                  {validation && (
+                    <div style={{ color: 'var(--color-text-muted)', fontSize: 'var(--font-size-sm)' }}>
+                      OpenCore {validation.ocVersion || 'version unknown'} · {validation.errors.length} errors · {validation.warnings.length} warnings
+                    </div>
+                  )}
+                </div>
+              </div>
+              <button className="btn btn-ghost" onClick={validateConfig} disabled={isValidating || isConfiguring}>
+                {isValidating ? 'Validating...' : validation ? '🔄 Re-validate' : 'Validate config.plist'}
+              </button>
+            </div>
+
+            {validationError && (
+              <div style={{ marginTop: 'var(--space-sm)', color: 'var(--color-accent-red)', fontSize: 'var(--font-size-sm)' }}>
+                ❌ {validationError}
+              </div>
+            )}
+
+            {validation && validation.valid && validation.warnings.length === 0 && (
+              <div style={{ marginTop: 'var(--space-sm)', color: 'var(--color-accent-green)', fontSize: 'var(--font-size-sm)' }}>
+                ✓ No problems found
+              </div>
+            )}
+
+            {validation && (validation.errors.length > 0 || validation.warnings.length > 0) && (
+              <ul style={{ marginTop: 'var(--space-md)', listStyle: 'none', fontSize: 'var(--font-size-sm)', maxHeight: 240, overflowY: 'auto' }}>
+                {validation.errors.map((issue, i) => (
+                  <li key={`e${i}`} style={{ marginBottom: 'var(--space-xs)', color: 'var(--color-accent-red)' }}>
+                    ❌ <code>{issue.path}</code> {issue.message}
+                  </li>
+                ))}
+                {validation.warnings.map((issue, i) => (
+                  <li key={`w${i}`} style={{ marginBottom: 'var(--space-xs)', color: 'var(--color-accent-orange)' }}>
+                    ⚠️ <code>{issue.path}</code> {issue.message}
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+        )}
+
+        {/* Expert mode: edit the config.plist on the USB directly */}
+        <div style={{ marginTop: 'var(--space-xl)' }}>
+          <button
+            className="btn btn-ghost"
+            onClick={() => {
+              const show = !showExpertMode;
+              setShowExpertMode(show);
+              if (show && !configTree) loadConfigTree();
+            }}
+          >
+            {showExpertMode ? '🔽 Hide' : '🔧 Show'} Expert Mode
+          </button>
+        </div>
+
+        {showExpertMode && (
+          <div style={{ marginTop: 'var(--space-md)' }}>
+            <div style={{ display: 'flex', gap: 'var(--space-sm)', alignItems: 'center', flexWrap: 'wrap', marginBottom: 'var(--space-sm)' }}>
+              <button className="btn btn-ghost" onClick={loadConfigTree} disabled={isLoadingTree || isSavingTree || !config.selectedUsb}>
+                {isLoadingTree ? 'Loading...' : '📂 Reload from USB'}
+              </button>
+              <button className="btn btn-secondary" onClick={reviewChanges} disabled={!configTree || isSavingTree}>
+                🔍 Review Changes{treeDirty ? ' *' : ''}
+              </button>
+              <span style={{ color: 'var(--color-text-muted)', fontSize: 'var(--font-size-sm)' }}>
+                {configPath || (config.selectedUsb ? 'Not loaded' : 'Select a USB drive first')}
+              </span>
+            </div>
+            {!configComplete && configTree && (
+              <div style={{ color: 'var(--color-accent-orange)', fontSize: 'var(--font-size-sm)', marginBottom: 'var(--space-sm)' }}>
+                ⚠️ Apply Configuration redeploys the template and replaces edits made here.
+              </div>
+            )}
+            {editorMessage && (
+              <div style={{ fontSize: 'var(--font-size-sm)', marginBottom: 'var(--space-sm)' }}>{editorMessage}</div>
+            )}
+
+            {pendingChanges && (
+              <div className="card" style={{ marginBottom: 'var(--space-md)' }}>
+                <div className="card-title" style={{ marginBottom: 'var(--space-sm)' }}>
+                  {pendingChanges.length} difference{pendingChanges.length === 1 ? '' : 's'} from {configFileName}
+                </div>
+                <ul style={{ listStyle: 'none', fontFamily: 'monospace', fontSize: 'var(--font-size-sm)', maxHeight: 220, overflowY: 'auto' }}>
+                  {pendingChanges.map((change, i) => (
+                    <li key={i} style={{
+                      marginBottom: 2,
+                      color: change.kind === 'added' ? 'var(--color-accent-green)' : change.kind === 'removed' ? 'var(--color-accent-red)' : 'var(--color-accent-orange)',
+                    }}>
+                      {change.kind === 'added' ? '+' : change.kind === 'removed' ? '−' : '~'} {change.path}
+                      {change.kind === 'changed' && `: ${describePlistNode(change.before)} → ${describePlistNode(change.after)}`}
+                      {change.kind === 'added' && `: ${describePlistNode(change.after)}`}
+                    </li>
+                  ))}
+                </ul>
+                <div style={{ display: 'flex', gap: 'var(--space-sm)', marginTop: 'var(--space-md)' }}>
+                  <button className="btn btn-primary" onClick={saveConfigTree} disabled={isSavingTree}>
+                    {isSavingTree ? 'Writing...' : '💾 Write config.plist'}
+                  </button>
+                  <button className="btn btn-ghost" onClick={() => setPendingChanges(null)} disabled={isSavingTree}>
+                    Cancel
+                  </button>
+                </div>
+              </div>
+            )}
+
+            {configTree && configTree.type === 'dict' && (
+              <div className="config-editor">
+                <div className="config-tree">
+                  <PlistChildren node={configTree} path={[]} onEdit={editTree} />
+                </div>
+              </div>
+            )}
+          </div>
+        )}
+
         {configComplete && config.selectedUsb && (
              <div style={{ marginTop: 'var(--space-md)', textAlign: 'center' }}>
                  {!ejected ? (
@@ -205,14 +376,14 @@ const ConfigStep: React.FC = () => {
                             if (!config.selectedUsb) return;
                             try {
                                 if (window.electronAPI) {
-                                    await window.electronAPI.unmountDisk(config.selectedUsb.path);
+                                    await window.electronAPI.unmountDisk(diskTarget(config.selectedUsb));
                                     setEjected(true);
                                 }
                             } catch (e) {
                                 alert('Failed to eject: ' + String(e));
                             }
                         }}
-                        style={{ border: '1px solid var(--color-border)', fontSize: 'var(--font-size-sm)' }}
+                        style={{ border: '1px solid var(--border-color)', fontSize: 'var(--font-size-sm)' }}
                     >
                         ⏏️ Safely Eject USB
                     </button>
@@ -251,31 +422,220 @@ const ConfigStep: React.FC = () => {
   );
 };
 
-// Simple config tree renderer for expert mode
-const ConfigNode: React.FC<ConfigNodeProps> = ({ data, depth }) => {
-  if (typeof data !== 'object' || data === null) {
-    return <span className="config-value">{JSON.stringify(data)}</span>;
+// ========== Expert mode tree editor ==========
+
+const defaultPlistValue = (type: PlistNode['type']): PlistNode => {
+  switch (type) {
+    case 'dict': return { type, value: [] };
+    case 'array': return { type, value: [] };
+    case 'integer':
+    case 'real': return { type, value: 0 };
+    case 'bool': return { type, value: false };
+    case 'date': return { type, value: new Date().toISOString() };
+    default: return { type, value: '' };
   }
+};
 
-  if (Array.isArray(data)) {
-    return (
-      <div className="config-node">
-        {data.map((item, i) => (
-          <div key={i} style={{ marginLeft: depth * 16 }}>
-            <span className="config-key">[{i}]</span>: <ConfigNode data={item as ConfigTreeData} depth={depth + 1} />
-          </div>
-        ))}
-      </div>
-    );
+const base64ToHex = (b64: string): string =>
+  Array.from(atob(b64), c => c.charCodeAt(0).toString(16).padStart(2, '0')).join('').toUpperCase();
+
+const hexToBase64 = (hex: string): string | null => {
+  const clean = hex.replace(/\s+/g, '');
+  if (!/^([0-9a-fA-F]{2})*$/.test(clean)) return null;
+  return btoa(String.fromCharCode(...(clean.match(/../g) || []).map(b => parseInt(b, 16))));
+};
+
+const describePlistNode = (node: PlistNode | null): string => {
+  if (!node) return '';
+  if (node.type === 'dict') return `{${node.value.length} keys}`;
+  if (node.type === 'array') return `[${node.value.length} items]`;
+  if (node.type === 'data') return `<${base64ToHex(node.value)}>`;
+  return JSON.stringify(node.value);
+};
+
+const childrenOf = (node: PlistNode): PlistNode[] =>
+  node.type === 'dict' ? node.value.map(([, child]) => child) : node.type === 'array' ? node.value : [];
+
+// Rebuild the container at `path` with `update` applied to its child list (dict entries or array items)
+const updateContainer = (
+  root: PlistNode,
+  path: NodePath,
+  update: (entries: [string, PlistNode][]) => [string, PlistNode][],
+): PlistNode => {
+  if (path.length === 0) {
+    if (root.type === 'dict') return { type: 'dict', value: update(root.value) };
+    if (root.type === 'array') return { type: 'array', value: update(root.value.map(v => ['', v] as [string, PlistNode])).map(([, v]) => v) };
+    return root;
   }
+  const [index, ...rest] = path;
+  return updateContainer(root, [], entries => entries.map((entry, i) =>
+    (i === index ? [entry[0], updateContainer(entry[1], rest, update)] : entry)));
+};
+
+const moveItem = <T,>(items: T[], from: number, to: number): T[] => {
+  if (to < 0 || to >= items.length) return items;
+  const next = [...items];
+  const [item] = next.splice(from, 1);
+  next.splice(to, 0, item);
+  return next;
+};
+
+interface PlistChildrenProps {
+  node: PlistNode;
+  path: NodePath;
+  onEdit: (update: (root: PlistNode) => PlistNode) => void;
+}
+
+// Child rows of a dict or array plus the "add" button
+const PlistChildren: React.FC<PlistChildrenProps> = ({ node, path, onEdit }) => {
+  const isDict = node.type === 'dict';
+  const children = childrenOf(node);
+  const edit = (update: (entries: [string, PlistNode][]) => [string, PlistNode][]) =>
+    onEdit(root => updateContainer(root, path, update));
+
+  const addChild = (): void => edit(entries => {
+    let key = 'NewKey';
+    for (let n = 2; isDict && entries.some(([k]) => k === key); n++) key = `NewKey${n}`;
+    return [...entries, [isDict ? key : '', defaultPlistValue('string')]];
+  });
 
   return (
     <div className="config-node">
-      {Object.entries(data).map(([key, value]) => (
-        <div key={key} style={{ marginLeft: depth * 16, marginBottom: 4 }}>
-          <span className="config-key">{key}</span>: <ConfigNode data={value as ConfigTreeData} depth={depth + 1} />
-        </div>
+      {children.map((child, i) => (
+        <PlistRow
+          key={`${path.join('.')}.${i}`}
+          name={isDict && node.type === 'dict' ? node.value[i][0] : `[${i}]`}
+          isDictEntry={isDict}
+          node={child}
+          path={[...path, i]}
+          isFirst={i === 0}
+          isLast={i === children.length - 1}
+          onEdit={onEdit}
+          onRename={(key) => edit(entries => entries.map((e, j) => (j === i ? [key, e[1]] : e)))}
+          onReplace={(value) => edit(entries => entries.map((e, j) => (j === i ? [e[0], value] : e)))}
+          onMove={(delta) => edit(entries => moveItem(entries, i, i + delta))}
+          onRemove={() => edit(entries => entries.filter((_, j) => j !== i))}
+        />
       ))}
+      <button
+        className="btn btn-ghost"
+        onClick={addChild}
+        style={{ padding: '0 6px', fontSize: 'var(--font-size-xs)', marginTop: 2 }}
+      >
+        + Add {isDict ? 'key' : 'item'}
+      </button>
+    </div>
+  );
+};
+
+interface PlistRowProps {
+  name: string;
+  isDictEntry: boolean;
+  node: PlistNode;
+  path: NodePath;
+  isFirst: boolean;
+  isLast: boolean;
+  onEdit: (update: (root: PlistNode) => PlistNode) => void;
+  onRename: (key: string) => void;
+  onReplace: (value: PlistNode) => void;
+  onMove: (delta: number) => void;
+  onRemove: () => void;
+}
+
+const inputStyle: React.CSSProperties = {
+  background: 'var(--color-bg-tertiary)',
+  color: 'var(--color-text-primary)',
+  border: '1px solid var(--border-color)',
+  borderRadius: 4,
+  padding: '1px 4px',
+  fontFamily: 'inherit',
+  fontSize: 'inherit',
+};
+
+const iconButtonStyle: React.CSSProperties = { padding: '0 4px', minWidth: 0, fontSize: 'inherit' };
+
+const PlistRow: React.FC<PlistRowProps> = ({ name, isDictEntry, node, path, isFirst, isLast, onEdit, onRename, onReplace, onMove, onRemove }) => {
+  const [expanded, setExpanded] = useState(path.length > 1);
+  const [hexDraft, setHexDraft] = useState<string | null>(null);
+  const isContainer = node.type === 'dict' || node.type === 'array';
+
+  const renderValue = (): React.ReactNode => {
+    switch (node.type) {
+      case 'dict':
+      case 'array':
+        return <span className="config-value" style={{ opacity: 0.7 }}>{describePlistNode(node)}</span>;
+      case 'bool':
+        return <input type="checkbox" checked={node.value} onChange={(e) => onReplace({ type: 'bool', value: e.target.checked })} />;
+      case 'integer':
+      case 'real':
+        return (
+          <input
+            type="number"
+            step={node.type === 'integer' ? 1 : 'any'}
+            value={node.value}
+            onChange={(e) => {
+              const value = node.type === 'integer' ? parseInt(e.target.value, 10) : parseFloat(e.target.value);
+              if (!Number.isNaN(value)) onReplace({ type: node.type, value });
+            }}
+            style={{ ...inputStyle, width: 140 }}
+          />
+        );
+      case 'data': {
+        const hex = hexDraft ?? base64ToHex(node.value);
+        return (
+          <input
+            value={hex}
+            placeholder="hex bytes"
+            onChange={(e) => {
+              setHexDraft(e.target.value);
+              const b64 = hexToBase64(e.target.value);
+              if (b64 !== null) onReplace({ type: 'data', value: b64 });
+            }}
+            onBlur={() => setHexDraft(null)}
+            style={{ ...inputStyle, width: 260, borderColor: hexToBase64(hex) === null ? 'var(--color-accent-red)' : undefined }}
+          />
+        );
+      }
+      case 'date':
+        return (
+          <input
+            value={node.value}
+            onChange={(e) => onReplace({ type: 'date', value: e.target.value })}
+            style={{ ...inputStyle, width: 220, borderColor: Number.isNaN(Date.parse(node.value)) ? 'var(--color-accent-red)' : undefined }}
+          />
+        );
+      default:
+        return <input value={node.value} onChange={(e) => onReplace({ type: 'string', value: e.target.value })} style={{ ...inputStyle, width: 260 }} />;
+    }
+  };
+
+  return (
+    <div style={{ marginBottom: 2 }}>
+      <div style={{ display: 'flex', alignItems: 'center', gap: 6, whiteSpace: 'nowrap' }}>
+        <span
+          onClick={() => isContainer && setExpanded(!expanded)}
+          style={{ width: 12, cursor: isContainer ? 'pointer' : 'default', opacity: 0.7 }}
+        >
+          {isContainer ? (expanded ? '▾' : '▸') : ''}
+        </span>
+        {isDictEntry ? (
+          <input className="config-key" value={name} onChange={(e) => onRename(e.target.value)} style={{ ...inputStyle, width: 200 }} />
+        ) : (
+          <span className="config-key" style={{ width: 40 }}>{name}</span>
+        )}
+        <select
+          value={node.type}
+          onChange={(e) => onReplace(defaultPlistValue(e.target.value as PlistNode['type']))}
+          style={inputStyle}
+        >
+          {PLIST_TYPES.map(t => <option key={t} value={t}>{t}</option>)}
+        </select>
+        {renderValue()}
+        <button className="btn btn-ghost" title="Move up" onClick={() => onMove(-1)} disabled={isFirst} style={iconButtonStyle}>↑</button>
+        <button className="btn btn-ghost" title="Move down" onClick={() => onMove(1)} disabled={isLast} style={iconButtonStyle}>↓</button>
+        <button className="btn btn-ghost" title="Remove" onClick={onRemove} style={iconButtonStyle}>✕</button>
+      </div>
+      {isContainer && expanded && <PlistChildren node={node} path={path} onEdit={onEdit} />}
     </div>
   );
 };
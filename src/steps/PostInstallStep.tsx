@@ -13,8 +13,30 @@ const PostInstallStep: React.FC = () => {
   const [error, setError] = useState<string | null>(null);
   const [heliportInstalled, setHeliportInstalled] = useState(false);
 
+  // Kext / driver inventory of one EFI partition
+  const [inventoryId, setInventoryId] = useState<string>('');
+  const [inventory, setInventory] = useState<EfiInventory | null>(null);
+  const [isChecking, setIsChecking] = useState(false);
+  const [updatingName, setUpdatingName] = useState<string | null>(null);
+  const [inventoryMessage, setInventoryMessage] = useState<string | null>(null);
+
+  // OpenCore upgrade of the same EFI partition
+  const [ocInfo, setOcInfo] = useState<OpenCoreInfo | null>(null);
+  const [ocReleases, setOcReleases] = useState<OpenCoreRelease[]>([]);
+  const [ocTag, setOcTag] = useState<string>('');
+  const [isUpgrading, setIsUpgrading] = useState(false);
+  const [upgradeResult, setUpgradeResult] = useState<OpenCoreUpgrade | null>(null);
+  const [ocMessage, setOcMessage] = useState<string | null>(null);
+
+  // EFI snapshots (taken before every EFI write) and rollback
+  const [snapshots, setSnapshots] = useState<EfiSnapshot[]>([]);
+  const [snapshotDiff, setSnapshotDiff] = useState<(EfiSnapshotDiff & { id: string }) | null>(null);
+  const [snapshotBusy, setSnapshotBusy] = useState(false);
+  const [snapshotMessage, setSnapshotMessage] = useState<string | null>(null);
+
   useEffect(() => {
     scanPartitions();
+    loadSnapshots();
   }, []);
 
   const scanPartitions = async () => {
@@ -92,6 +114,132 @@ const PostInstallStep: React.FC = () => {
     }
   };
 
+  const checkComponents = async (): Promise<void> => {
+    const target = inventoryId || sourceId;
+    if (!window.electronAPI || !target) return;
+    setIsChecking(true);
+    setInventoryMessage(null);
+    try {
+      setInventory(await window.electronAPI.getEfiInventory({ diskPath: target, macosVersion }));
+    } catch (err) {
+      setInventoryMessage(`❌ ${err instanceof Error ? err.message : String(err)}`);
+    } finally {
+      setIsChecking(false);
+    }
+  };
+
+  const updateComponent = async (name: string): Promise<void> => {
+    if (!window.electronAPI || !inventory) return;
+    setUpdatingName(name);
+    setInventoryMessage(null);
+    try {
+      const result = await window.electronAPI.updateEfiComponent({ efiRoot: inventory.efiRoot, name, macosVersion });
+      const errors = result.validation ? result.validation.errors.length : 0;
+      setInventoryMessage(
+        `✓ ${name} ${result.previousVersion || ''} → ${result.version}` +
+        (result.configChanges.length ? ` (config.plist: ${result.configChanges.join(', ')})` : '') +
+        (errors ? ` — config.plist now has ${errors} validation error${errors === 1 ? '' : 's'}` : '')
+      );
+      setInventory(await window.electronAPI.getEfiInventory({ efiRoot: inventory.efiRoot, macosVersion }));
+    } catch (err) {
+      setInventoryMessage(`❌ ${err instanceof Error ? err.message : String(err)}`);
+    } finally {
+      setUpdatingName(null);
+    }
+  };
+
+  const detectOpenCore = async (): Promise<void> => {
+    const target = inventoryId || sourceId;
+    if (!window.electronAPI || !target) return;
+    setOcMessage(null);
+    setUpgradeResult(null);
+    try {
+      const info = await window.electronAPI.getOpenCoreInfo({ diskPath: target });
+      setOcInfo(info);
+      const releases = await window.electronAPI.listOpenCoreReleases();
+      setOcReleases(releases);
+      if (releases.length > 0) setOcTag(releases[0].tag);
+    } catch (err) {
+      setOcMessage(`❌ ${err instanceof Error ? err.message : String(err)}`);
+    }
+  };
+
+  const upgradeOpenCore = async (): Promise<void> => {
+    if (!window.electronAPI || !ocInfo || !ocTag) return;
+    setIsUpgrading(true);
+    setOcMessage(null);
+    try {
+      const result = await window.electronAPI.upgradeOpenCore({ efiRoot: ocInfo.efiRoot, tag: ocTag });
+      setUpgradeResult(result);
+      setOcInfo(await window.electronAPI.getOpenCoreInfo({ efiRoot: ocInfo.efiRoot }));
+      setInventory(null);
+    } catch (err) {
+      setOcMessage(`❌ ${err instanceof Error ? err.message : String(err)}`);
+    } finally {
+      setIsUpgrading(false);
+    }
+  };
+
+  const maintenanceTarget = inventoryId || sourceId;
+
+  const loadSnapshots = async (): Promise<void> => {
+    if (!window.electronAPI) return;
+    try {
+      setSnapshots(await window.electronAPI.listEfiSnapshots());
+    } catch (err) {
+      setSnapshotMessage(`❌ ${err instanceof Error ? err.message : String(err)}`);
+    }
+  };
+
+  const runSnapshotAction = async (action: () => Promise<string | null>): Promise<void> => {
+    setSnapshotBusy(true);
+    setSnapshotMessage(null);
+    try {
+      setSnapshotMessage(await action());
+      await loadSnapshots();
+    } catch (err) {
+      setSnapshotMessage(`❌ ${err instanceof Error ? err.message : String(err)}`);
+    } finally {
+      setSnapshotBusy(false);
+    }
+  };
+
+  const snapshotNow = () => runSnapshotAction(async () => {
+    const snapshot = await window.electronAPI!.createEfiSnapshot({ diskPath: maintenanceTarget });
+    return `✓ Snapshot ${snapshot.id} taken (${snapshot.fileCount} files)`;
+  });
+
+  const diffSnapshot = (id: string) => runSnapshotAction(async () => {
+    const diff = await window.electronAPI!.diffEfiSnapshot({ id, diskPath: maintenanceTarget });
+    setSnapshotDiff({ ...diff, id });
+    return null;
+  });
+
+  const restoreSnapshot = (id: string) => runSnapshotAction(async () => {
+    if (!window.confirm(`Replace the EFI folder on ${maintenanceTarget} with snapshot ${id}? The current EFI is snapshotted first.`)) return null;
+    const result = await window.electronAPI!.restoreEfiSnapshot({ id, diskPath: maintenanceTarget });
+    setSnapshotDiff(null);
+    setInventory(null);
+    setOcInfo(null);
+    return `✓ Restored ${result.restored} files from ${id}` + (result.safetySnapshot ? ` (previous EFI saved as ${result.safetySnapshot})` : '');
+  });
+
+  const deleteSnapshot = (id: string) => runSnapshotAction(async () => {
+    await window.electronAPI!.deleteEfiSnapshot(id);
+    if (snapshotDiff && snapshotDiff.id === id) setSnapshotDiff(null);
+    return null;
+  });
+
+  const formatSize = (bytes: number): string =>
+    bytes >= 1024 * 1024 ? `${(bytes / 1024 / 1024).toFixed(1)} MB` : `${Math.max(1, Math.round(bytes / 1024))} KB`;
+
+  const statusColor = (status?: EfiComponent['status']): string => {
+    if (status === 'current') return 'var(--color-accent-green)';
+    if (status === 'outdated') return 'var(--color-accent-orange)';
+    if (status === 'error') return 'var(--color-accent-red)';
+    return 'var(--color-text-muted)';
+  };
+
   const installHeliport = async (): Promise<void> => {
     // Simulate HeliPort installation
     await new Promise(resolve => setTimeout(resolve, 1500));
@@ -208,6 +356,255 @@ const PostInstallStep: React.FC = () => {
           )}
         </div>
 
+        {/* Kext / driver inventory with update checks */}
+        <div className="card" style={{ marginBottom: 'var(--space-lg)' }}>
+          <div className="card-header">
+            <div className="card-icon" style={{ background: 'var(--gradient-primary)' }}>🧩</div>
+            <div>
+              <div className="card-title">EFI Components</div>
+            </div>
+          </div>
+
+          <div className="card-description">
+            Compare the kexts and drivers on an EFI with the latest acidanthera / OpenIntelWireless releases and update them one by one.
+          </div>
+
+          <div style={{ display: 'flex', gap: 'var(--space-sm)', marginTop: 'var(--space-md)' }}>
+            <select
+              className="form-select"
+              value={inventoryId || sourceId}
+              onChange={(e) => { setInventoryId(e.target.value); setInventory(null); setOcInfo(null); setUpgradeResult(null); setSnapshotDiff(null); }}
+              disabled={isChecking || !!updatingName}
+              style={{ flex: 1 }}
+            >
+              <option value="">Select EFI partition...</option>
+              {partitions.map(p => (
+                <option key={p.id} value={p.id}>
+                  {p.diskName} ({p.id}) - {p.diskType}
+                </option>
+              ))}
+            </select>
+            <button
+              className="btn btn-secondary"
+              onClick={checkComponents}
+              disabled={!(inventoryId || sourceId) || isChecking || !!updatingName}
+            >
+              {isChecking ? 'Checking...' : '🔍 Check for Updates'}
+            </button>
+          </div>
+
+          {inventoryMessage && (
+            <div style={{ marginTop: 'var(--space-md)', fontSize: 'var(--font-size-sm)' }}>{inventoryMessage}</div>
+          )}
+
+          {inventory && (
+            <div style={{ marginTop: 'var(--space-md)' }}>
+              <div style={{ fontSize: 'var(--font-size-sm)', color: 'var(--color-text-muted)', marginBottom: 'var(--space-sm)' }}>
+                OpenCore {inventory.ocVersion || 'unknown'} · {inventory.ocPath}
+              </div>
+              <table style={{ width: '100%', fontSize: 'var(--font-size-sm)', borderCollapse: 'collapse' }}>
+                <thead>
+                  <tr style={{ textAlign: 'left', color: 'var(--color-text-muted)' }}>
+                    <th>Component</th>
+                    <th>Installed</th>
+                    <th>Latest</th>
+                    <th>Status</th>
+                    <th></th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {inventory.components.map(c => (
+                    <tr key={c.path} style={{ opacity: c.inConfig && !c.enabled ? 0.6 : 1 }}>
+                      <td title={c.source ? c.source.repo : 'No known upstream source'}>
+                        {c.name}{!c.inConfig && <span style={{ color: 'var(--color-text-muted)' }}> (not in config)</span>}
+                      </td>
+                      <td style={{ fontFamily: 'monospace' }}>{c.version || '—'}</td>
+                      <td style={{ fontFamily: 'monospace' }}>{c.latest ? c.latest.version : '—'}</td>
+                      <td style={{ color: statusColor(c.status) }} title={c.error}>
+                        {c.source && c.source.type === 'opencore' && c.status === 'outdated' ? 'with OpenCore' : c.status}
+                      </td>
+                      <td style={{ textAlign: 'right' }}>
+                        {c.updatable && c.status === 'outdated' && (
+                          <button
+                            className="btn btn-ghost btn-sm"
+                            onClick={() => updateComponent(c.name)}
+                            disabled={!!updatingName}
+                          >
+                            {updatingName === c.name ? 'Updating...' : 'Update'}
+                          </button>
+                        )}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </div>
+
+        {/* OpenCore upgrade */}
+        <div className="card" style={{ marginBottom: 'var(--space-lg)' }}>
+          <div className="card-header">
+            <div className="card-icon" style={{ background: upgradeResult ? 'var(--color-accent-green)' : 'var(--gradient-primary)' }}>
+              {upgradeResult ? '✓' : '⬆️'}
+            </div>
+            <div>
+              <div className="card-title">Upgrade OpenCore</div>
+            </div>
+          </div>
+
+          <div className="card-description">
+            Replace OpenCore.efi, BOOTx64.efi, the OpenCore drivers and tools and the OpenCanopy resources on the
+            selected EFI, and migrate config.plist. The current EFI is backed up first.
+          </div>
+
+          <div style={{ display: 'flex', gap: 'var(--space-sm)', alignItems: 'center', marginTop: 'var(--space-md)' }}>
+            <button
+              className="btn btn-secondary"
+              onClick={detectOpenCore}
+              disabled={!(inventoryId || sourceId) || isUpgrading}
+            >
+              🔍 Detect Version
+            </button>
+            {ocInfo && (
+              <span style={{ fontSize: 'var(--font-size-sm)' }}>
+                OpenCore.efi <strong>{ocInfo.openCore || 'unknown'}</strong>
+                {' · '}BOOTx64.efi <strong>{ocInfo.hasBootstrap ? (ocInfo.bootstrap || 'unknown') : 'missing'}</strong>
+                {ocInfo.bootstrap && ocInfo.openCore && ocInfo.bootstrap !== ocInfo.openCore && (
+                  <span style={{ color: 'var(--color-accent-orange)' }}> (mismatch)</span>
+                )}
+              </span>
+            )}
+          </div>
+
+          {ocInfo && ocReleases.length > 0 && (
+            <div style={{ display: 'flex', gap: 'var(--space-sm)', marginTop: 'var(--space-md)' }}>
+              <select
+                className="form-select"
+                value={ocTag}
+                onChange={(e) => setOcTag(e.target.value)}
+                disabled={isUpgrading}
+                style={{ flex: 1 }}
+              >
+                {ocReleases.map(r => (
+                  <option key={r.tag} value={r.tag}>
+                    OpenCore {r.version} ({r.publishedAt.slice(0, 10)})
+                  </option>
+                ))}
+              </select>
+              <button className="btn btn-primary" onClick={upgradeOpenCore} disabled={isUpgrading || !ocTag}>
+                {isUpgrading ? 'Upgrading...' : 'Upgrade'}
+              </button>
+            </div>
+          )}
+
+          {ocMessage && (
+            <div style={{ marginTop: 'var(--space-md)', fontSize: 'var(--font-size-sm)' }}>{ocMessage}</div>
+          )}
+
+          {upgradeResult && (
+            <div style={{ marginTop: 'var(--space-md)', fontSize: 'var(--font-size-sm)' }}>
+              <div style={{ color: 'var(--color-accent-green)', marginBottom: 'var(--space-sm)' }}>
+                ✅ OpenCore {upgradeResult.previousVersion || 'unknown'} → {upgradeResult.version}
+              </div>
+              <div>Replaced: {upgradeResult.replaced.join(', ') || 'nothing'}</div>
+              {upgradeResult.added.length > 0 && <div>Added: {upgradeResult.added.join(', ')}</div>}
+              <div style={{ marginTop: 'var(--space-xs)' }}>config.plist:</div>
+              <ul style={{ paddingLeft: 'var(--space-lg)' }}>
+                {upgradeResult.configChanges.length === 0 && <li>no migrations needed</li>}
+                {upgradeResult.configChanges.map((c, i) => <li key={i}>{c.version}: {c.change}</li>)}
+              </ul>
+              {upgradeResult.validation.errors.length > 0 && (
+                <div style={{ color: 'var(--color-accent-red)' }}>
+                  ⚠️ {upgradeResult.validation.errors.length} validation error(s) remain — check the config in Expert Mode.
+                </div>
+              )}
+              <div style={{ color: 'var(--color-text-muted)', marginTop: 'var(--space-xs)' }}>
+                Backup: {upgradeResult.backupPath}
+              </div>
+            </div>
+          )}
+        </div>
+
+        {/* Snapshots and rollback */}
+        <div className="card" style={{ marginBottom: 'var(--space-lg)' }}>
+          <div className="card-header">
+            <div className="card-icon" style={{ background: 'var(--gradient-primary)' }}>🗂️</div>
+            <div>
+              <div className="card-title">EFI Snapshots</div>
+            </div>
+          </div>
+
+          <div className="card-description">
+            A compressed snapshot of the EFI folder is taken before every write to an EFI partition.
+            Compare or restore one onto the selected partition ({maintenanceTarget || 'none selected'}).
+          </div>
+
+          <div style={{ display: 'flex', gap: 'var(--space-sm)', marginTop: 'var(--space-md)' }}>
+            <button className="btn btn-secondary" onClick={snapshotNow} disabled={!maintenanceTarget || snapshotBusy}>
+              📸 Snapshot Now
+            </button>
+            <button className="btn btn-ghost" onClick={loadSnapshots} disabled={snapshotBusy}>
+              🔄 Refresh
+            </button>
+          </div>
+
+          {snapshotMessage && (
+            <div style={{ marginTop: 'var(--space-md)', fontSize: 'var(--font-size-sm)' }}>{snapshotMessage}</div>
+          )}
+
+          {snapshots.length === 0 ? (
+            <div style={{ marginTop: 'var(--space-md)', fontSize: 'var(--font-size-sm)', color: 'var(--color-text-muted)' }}>
+              No snapshots yet.
+            </div>
+          ) : (
+            <table style={{ width: '100%', fontSize: 'var(--font-size-sm)', borderCollapse: 'collapse', marginTop: 'var(--space-md)' }}>
+              <thead>
+                <tr style={{ textAlign: 'left', color: 'var(--color-text-muted)' }}>
+                  <th>Taken</th>
+                  <th>Reason</th>
+                  <th>OpenCore</th>
+                  <th>Files</th>
+                  <th></th>
+                </tr>
+              </thead>
+              <tbody>
+                {snapshots.map(snap => (
+                  <tr key={snap.id} title={`${snap.id} from ${snap.source}`}>
+                    <td>{new Date(snap.createdAt).toLocaleString()}</td>
+                    <td>{snap.reason}</td>
+                    <td>{snap.ocVersion || '—'}</td>
+                    <td>{snap.fileCount} ({formatSize(snap.archiveSize)})</td>
+                    <td style={{ textAlign: 'right', whiteSpace: 'nowrap' }}>
+                      <button className="btn btn-ghost btn-sm" onClick={() => diffSnapshot(snap.id)} disabled={!maintenanceTarget || snapshotBusy}>
+                        Diff
+                      </button>
+                      <button className="btn btn-ghost btn-sm" onClick={() => restoreSnapshot(snap.id)} disabled={!maintenanceTarget || snapshotBusy}>
+                        Restore
+                      </button>
+                      <button className="btn btn-ghost btn-sm" onClick={() => deleteSnapshot(snap.id)} disabled={snapshotBusy}>
+                        ✕
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+
+          {snapshotDiff && (
+            <div style={{ marginTop: 'var(--space-md)', fontSize: 'var(--font-size-sm)', fontFamily: 'monospace', maxHeight: 220, overflowY: 'auto' }}>
+              <div style={{ fontFamily: 'inherit', marginBottom: 'var(--space-xs)' }}>
+                Restoring {snapshotDiff.id} onto {snapshotDiff.efiRoot}:
+                {snapshotDiff.added.length + snapshotDiff.removed.length + snapshotDiff.changed.length === 0 && ' no differences'}
+              </div>
+              {snapshotDiff.added.map(f => <div key={`a${f}`} style={{ color: 'var(--color-accent-green)' }}>+ {f}</div>)}
+              {snapshotDiff.removed.map(f => <div key={`r${f}`} style={{ color: 'var(--color-accent-red)' }}>− {f}</div>)}
+              {snapshotDiff.changed.map(f => <div key={`c${f}`} style={{ color: 'var(--color-accent-orange)' }}>~ {f}</div>)}
+            </div>
+          )}
+        </div>
+
         {/* Step 2: HeliPort (Sequoia only) */}
         {macosVersion === 'sequoia' && (
           <div className="card" style={{ marginBottom: 'var(--space-lg)' }}>
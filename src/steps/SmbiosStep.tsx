@@ -1,4 +1,4 @@
-import { useState } from 'react';
+import { useEffect, useState } from 'react';
 import { useWizard } from '../App';
 
 // Local type definition (mirrors the global one for explicit typing)
@@ -7,12 +7,25 @@ interface SMBIOSData {
   serial: string;
   mlb: string;
   uuid: string;
+  rom?: string;
+  boardId?: string;
 }
 
 const SmbiosStep: React.FC = () => {
-  const { nextStep, prevStep, updateConfig } = useWizard();
+  const { nextStep, prevStep, updateConfig, config } = useWizard();
   const [isGenerating, setIsGenerating] = useState(false);
-  const [smbios, setSmbios] = useState<SMBIOSData | null>(null);
+  // Start from the restored session so a resumed build keeps its serial
+  const [smbios, setSmbios] = useState<SMBIOSData | null>(config.smbios);
+  const [validation, setValidation] = useState<SMBIOSValidation | null>(null);
+
+  // Decode the serial (and catch a hand-edited or outdated restored profile)
+  useEffect(() => {
+    setValidation(null);
+    if (!smbios || !window.electronAPI) return;
+    window.electronAPI.validateSMBIOS({ ...smbios, model: config.smbiosModel })
+      .then(setValidation)
+      .catch(err => console.error('Failed to validate SMBIOS:', err));
+  }, [smbios, config.smbiosModel]);
 
   const generateSmbios = async (): Promise<void> => {
     setIsGenerating(true);
@@ -22,12 +35,12 @@ const SmbiosStep: React.FC = () => {
       
       if (window.electronAPI) {
         // Use native Electron SMBIOS generator
-        data = await window.electronAPI.generateSMBIOS('MacBookAir9,1');
+        data = await window.electronAPI.generateSMBIOS(config.smbiosModel);
       } else {
         // Browser fallback for development
         await new Promise(resolve => setTimeout(resolve, 500));
         data = {
-          model: 'MacBookAir9,1',
+          model: config.smbiosModel,
           serial: 'C02' + Math.random().toString(36).substring(2, 10).toUpperCase(),
           mlb: 'C02' + Math.random().toString(36).substring(2, 15).toUpperCase(),
           uuid: crypto.randomUUID().toUpperCase(),
@@ -99,6 +112,39 @@ const SmbiosStep: React.FC = () => {
               <span className="smbios-label">System UUID</span>
               <span className="smbios-value">{smbios.uuid}</span>
             </div>
+            {smbios.rom && (
+              <div className="smbios-row">
+                <span className="smbios-label">ROM</span>
+                <span className="smbios-value">{smbios.rom}</span>
+              </div>
+            )}
+            {smbios.boardId && (
+              <div className="smbios-row">
+                <span className="smbios-label">Board ID</span>
+                <span className="smbios-value">{smbios.boardId}</span>
+              </div>
+            )}
+            {validation?.serial && (
+              <div className="smbios-row">
+                <span className="smbios-label">Manufactured</span>
+                <span className="smbios-value">
+                  Week {validation.serial.week}, {validation.serial.year} · Plant {validation.serial.plant}
+                </span>
+              </div>
+            )}
+          </div>
+        )}
+
+        {validation && (validation.errors.length > 0 || validation.warnings.length > 0) && (
+          <div className={`alert ${validation.valid ? 'alert-warning' : 'alert-error'}`} style={{ marginTop: 'var(--space-xl)' }}>
+            <div className="alert-icon">{validation.valid ? '⚠️' : '❌'}</div>
+            <div className="alert-content">
+              <div className="alert-title">{validation.valid ? 'SMBIOS Warnings' : 'Invalid SMBIOS'}</div>
+              <div className="alert-message">
+                {[...validation.errors, ...validation.warnings].join(' · ')}
+                {!validation.valid && ' — regenerate to get a valid serial.'}
+              </div>
+            </div>
           </div>
         )}
 
@@ -110,7 +156,7 @@ const SmbiosStep: React.FC = () => {
           </div>
         )}
 
-        {smbios && (
+        {smbios && validation?.valid !== false && (
           <div className="alert alert-success" style={{ marginTop: 'var(--space-xl)' }}>
             <div className="alert-icon">✅</div>
             <div className="alert-content">
@@ -141,7 +187,7 @@ const SmbiosStep: React.FC = () => {
         <button 
           className="btn btn-primary" 
           onClick={nextStep}
-          disabled={!smbios}
+          disabled={!smbios || validation?.valid === false}
         >
           Next →
         </button>
@@ -7,8 +7,36 @@ interface USBDrive {
   name: string;
   size: string;
   path: string;
+  serial?: string | null;
+  identity?: DiskIdentity | null;
+  problems?: string[];
+  token?: string | null;
 }
 
+// The same physical drive: device nodes change when a drive is replugged, serial numbers do not
+const isSameDrive = (drive: USBDrive, other: { path: string; serial?: string | null } | null): boolean =>
+  !!other && (drive.serial && other.serial ? drive.serial === other.serial : drive.path === other.path);
+
+// "Downloading: 1.20 / 13.40 GB (9%)" - GB for the full installer, MB for recovery
+const describeDownload = (progress: { percent: number; downloaded: number; total: number }): string => {
+  const useGB = progress.total > 1024 * 1024 * 1024;
+  const downloaded = useGB
+    ? (progress.downloaded / (1024 * 1024 * 1024)).toFixed(2)
+    : (progress.downloaded / (1024 * 1024)).toFixed(1);
+  const total = useGB
+    ? (progress.total / (1024 * 1024 * 1024)).toFixed(2)
+    : (progress.total / (1024 * 1024)).toFixed(0);
+  return `Downloading: ${downloaded} / ${total} ${useGB ? 'GB' : 'MB'} (${progress.percent.toFixed(0)}%)`;
+};
+
+const STEP_ICONS: Record<JobStep['status'], string> = {
+  pending: '⬜',
+  running: '⏳',
+  done: '✅',
+  skipped: '⏭️',
+  failed: '❌',
+};
+
 
 const UsbStep: React.FC = () => {
   const { nextStep, prevStep, platform, updateConfig, macosVersion, config, cpuType } = useWizard();
@@ -22,6 +50,25 @@ const UsbStep: React.FC = () => {
   const [formatComplete, setFormatComplete] = useState(false);
   const [error, setError] = useState<string | null>(null);
 
+  // USB build job in the main process (or the last one that failed / was cancelled)
+  const [job, setJob] = useState<Job | null>(null);
+  const jobIdRef = useRef<string | null>(null);
+  // Download progress of the running step, 0-100
+  const [stepPercent, setStepPercent] = useState(0);
+
+  // EFI source fetched, verified and summarised before anything is written to the USB
+  const [efiPreview, setEfiPreview] = useState<{ efiPath: string; archive: EfiDownloadResult['archive'] | null; source?: EfiDownloadResult['source']; summary: EfiSourceSummary } | null>(null);
+  const [isPreparingEfi, setIsPreparingEfi] = useState(false);
+
+  // Catalog browser (pin an exact full installer build)
+  const [catalogType, setCatalogType] = useState<CatalogType>(config.installerSelection?.catalogType || 'publicseed');
+  const [catalogProducts, setCatalogProducts] = useState<CatalogProduct[]>([]);
+  const [catalogLoading, setCatalogLoading] = useState(false);
+  const [catalogError, setCatalogError] = useState<string | null>(null);
+  const targetMajor = macosVersion === 'sequoia' ? 15 : 14;
+  // Ignore a pinned build that belongs to the other macOS version
+  const pinnedInstaller = config.installerSelection?.version.startsWith(`${targetMajor}.`) ? config.installerSelection : null;
+
   // Enhanced Progress
   const [formatStatus, setFormatStatus] = useState<string>('');
   const progressBarRef = useRef<HTMLDivElement>(null);
@@ -67,6 +114,8 @@ const UsbStep: React.FC = () => {
       if (window.electronAPI) {
         const drives = await window.electronAPI.listUSBDrives();
         setUsbDrives(drives as USBDrive[]);
+        // Reselect the drive from the restored session if it is still plugged in
+        setSelectedUsb(prev => prev || drives.find(d => isSameDrive(d, config.selectedUsb)) || null);
       } else {
         // Browser fallback - show mock data
         setUsbDrives([
@@ -84,35 +133,146 @@ const UsbStep: React.FC = () => {
     refreshDrives();
 
     if (window.electronAPI) {
-      // Download progress
-      window.electronAPI.onDownloadProgress((p) => {
-        const overallProgress = 20 + (p.percent * 0.6);
-        setProgress(overallProgress);
-      });
-
-      // Detailed format/EFI status
-      window.electronAPI.onFormatStatus((message) => {
-        setFormatStatus(message);
-        // Auto-scroll to progress bar on update if it exists
-        if (progressBarRef.current) {
-          progressBarRef.current.scrollIntoView({ behavior: 'smooth', block: 'center' });
+      // EFI download status while preparing the preview
+      window.electronAPI.onFormatStatus((message) => setFormatStatus(message));
+
+      // Everything the build job reports
+      window.electronAPI.onJobEvent((event) => {
+        if (event.jobId !== jobIdRef.current) return;
+        if (event.job) setJob(event.job);
+
+        if (event.type === 'status') {
+          setFormatStatus(event.message);
+        } else if (event.type === 'progress' && event.total > 0) {
+          setFormatStatus(describeDownload(event));
+          setStepPercent(event.percent);
+        } else if (event.type === 'step' && event.status === 'start') {
+          setFormatStatus('');
+          setStepPercent(0);
+          // Auto-scroll to progress bar on update if it exists
+          if (progressBarRef.current) {
+            progressBarRef.current.scrollIntoView({ behavior: 'smooth', block: 'center' });
+          }
         }
       });
 
-      // Copy Progress (EFI files)
-      window.electronAPI.onCopyProgress((file) => {
-        setFormatStatus(`Copying: ${file}`);
+      // A build that stopped (failed, cancelled, app closed) can be resumed
+      window.electronAPI.listJobs('usb-build').then((jobs) => {
+        const unfinished = jobs.find(j => j.status !== 'done');
+        if (unfinished) showJob(unfinished);
       });
     }
   }, []);
 
-  const startProcess = async (): Promise<void> => {
+  const showJob = (next: Job | null): void => {
+    jobIdRef.current = next ? next.id : null;
+    setJob(next);
+  };
+
+  // Overall progress: finished steps plus the download progress of the running one
+  useEffect(() => {
+    if (!job) return;
+    const counted = job.steps.filter(s => s.status !== 'skipped');
+    const finished = counted.filter(s => s.status === 'done').length;
+    const running = job.steps.find(s => s.status === 'running');
+    setProgress(counted.length ? ((finished + (running ? stepPercent / 100 : 0)) / counted.length) * 100 : 0);
+    setProcessStep(running ? `${running.title}...` : job.status === 'done' ? 'Complete!' : '');
+  }, [job, stepPercent]);
+
+  // Job finished, failed or was cancelled
+  useEffect(() => {
+    if (!job) return;
+    setIsProcessing(job.status === 'running' || job.status === 'pending');
+    setFormatComplete(job.status === 'done');
+
+    const failed = job.steps.find(s => s.status === 'failed');
+    if (job.status === 'done') {
+      setFormatStatus('USB Creation Successful!');
+      if (selectedUsb) rememberDrive(selectedUsb);
+    } else if (job.status === 'failed') {
+      setError(`${failed ? failed.title : 'USB build'} failed: ${failed?.error || job.error}`);
+      setFormatStatus('');
+    } else if (job.status === 'cancelled') {
+      setError('Cancelled. Resume to continue from the step that stopped.');
+      setFormatStatus('');
+    }
+  }, [job?.id, job?.status]);
+
+  // Keep the built drive for the next steps, listed again for its identity after formatting
+  // (new partition UUIDs), so they find it even when its device node changes
+  const rememberDrive = async (drive: USBDrive): Promise<void> => {
+    try {
+      const drives = window.electronAPI ? await window.electronAPI.listUSBDrives() : [];
+      updateConfig({ selectedUsb: drives.find(d => isSameDrive(d, drive)) || drive });
+    } catch {
+      updateConfig({ selectedUsb: drive });
+    }
+  };
+
+  // The EFI source as the build understands it (registered sources resolve in the main process)
+  const efiSourceId = (): string => {
+    const { type, value, ref } = config.efiSource;
+    if (type === 'default') return 'source:balopez83';
+    if (type === 'registry') return `source:${value}${ref ? `@${ref}` : ''}`;
+    return value;
+  };
+
+  const loadCatalog = async (): Promise<void> => {
+    if (!window.electronAPI) return;
+    setCatalogLoading(true);
+    setCatalogError(null);
+    try {
+      const products = await window.electronAPI.getCatalog({ catalogType, major: targetMajor, type: 'installassistant' });
+      setCatalogProducts(products);
+      if (products.length === 0) {
+        setCatalogError(`No macOS ${targetMajor}.x full installers in the ${catalogType} catalog.`);
+      }
+    } catch (err) {
+      setCatalogError(`Failed to load catalog: ${err instanceof Error ? err.message : String(err)}`);
+    } finally {
+      setCatalogLoading(false);
+    }
+  };
+
+  // Phase 1: download (checksum-verified) or inspect the EFI source and show its contents
+  const prepareEfiSource = async (): Promise<void> => {
     if (!selectedUsb) return;
+    if (!window.electronAPI || skipEfiCopy) {
+      await writeUsb(null);
+      return;
+    }
+
+    setIsPreparingEfi(true);
+    setEfiPreview(null);
+    setError(null);
+    try {
+      const { type, value, sha256 } = config.efiSource;
+      if (type === 'local') {
+        if (!value) throw new Error('No local EFI folder selected');
+        setEfiPreview({ efiPath: value, archive: null, summary: await window.electronAPI.inspectEfi(value) });
+      } else {
+        setFormatStatus(type === 'url' ? 'Downloading custom EFI...' : 'Downloading EFI from GitHub...');
+        const result = await window.electronAPI.downloadDefaultEFI(efiSourceId(), { sha256, cpuType, macosVersion });
+        setEfiPreview({ efiPath: result.efiPath, archive: result.archive, source: result.source, summary: result.summary });
+      }
+    } catch (err) {
+      setError(`EFI source rejected: ${err instanceof Error ? err.message : String(err)}`);
+    } finally {
+      setFormatStatus('');
+      setIsPreparingEfi(false);
+    }
+  };
+
+  // Phase 2: format, installer, EFI copy and config injection, run as a job in the main process.
+  // efiSha256 pins the archive reviewed in phase 1, so a moving branch cannot change what is written.
+  const writeUsb = async (efiSha256: string | null): Promise<void> => {
+    if (!selectedUsb) return;
+    setEfiPreview(null);
 
-    setIsProcessing(true);
     setFormatComplete(false);
     setError(null);
     setProgress(0);
+    setStepPercent(0);
     setProcessStep('Initializing...');
     setFormatStatus('Starting process...');
 
@@ -123,224 +283,92 @@ const UsbStep: React.FC = () => {
       }
     }, 100);
 
-    try {
-
-      if (window.electronAPI) {
-        if (!skipFormat) {
-          // Step 1: Format USB drive (0-20%)
-          setProcessStep('Formatting USB drive...');
-          setProgress(10);
-
+    setIsProcessing(true);
+    if (window.electronAPI) {
+      try {
+        showJob(await window.electronAPI.startJob('usb-build', {
+          disk: selectedUsb.path,
+          diskIdentity: selectedUsb.identity || null,
+          diskToken: selectedUsb.token || null,
+          cpuType,
+          macosVersion,
           // Recovery uses FAT32 (Cross-platform compatible, native boot)
           // Full Installer uses ExFAT (Hybrid, >4GB support, works on both platforms)
-          // NOTE: Boot files (BaseSystem.dmg) go to FAT32 EFI partition, data (.app) to ExFAT
-          const format = installerType === 'full' ? 'ExFAT' : 'FAT32';
-
-          const formatResult = await window.electronAPI.formatUSB(selectedUsb.path, format, forceFormat);
-          setProgress(20);
-
-          // Step 2: Download macOS (20-80%)
-          const isFullInstaller = installerType === 'full';
-          const downloadSize = isFullInstaller ? '~13 GB' : '~800 MB';
-          setProcessStep(`Downloading macOS ${macosVersion === 'sonoma' ? 'Sonoma' : 'Sequoia'} ${isFullInstaller ? 'Full Installer' : 'Recovery'}...`);
-          setFormatStatus(`Preparing ${downloadSize} download...`);
-
-          // Listen for download progress with appropriate unit display
-          const progressListener = (progress: { percent: number; downloaded: number; total: number }) => {
-            if (progress.total > 0) {
-              // Use GB for full installer, MB for recovery
-              const useGB = progress.total > 1024 * 1024 * 1024;
-              const downloaded = useGB
-                ? (progress.downloaded / (1024 * 1024 * 1024)).toFixed(2)
-                : (progress.downloaded / (1024 * 1024)).toFixed(1);
-              const total = useGB
-                ? (progress.total / (1024 * 1024 * 1024)).toFixed(2)
-                : (progress.total / (1024 * 1024)).toFixed(0);
-              const unit = useGB ? 'GB' : 'MB';
-              setFormatStatus(`Downloading: ${downloaded} / ${total} ${unit} (${progress.percent.toFixed(0)}%)`);
-              // Update main progress bar (20-80% range)
-              setProgress(20 + (progress.percent * 0.6));
-            }
-          };
-          window.electronAPI.onDownloadProgress(progressListener);
-
-          if (isFullInstaller) {
-            // Full installer path: download pkg
-            setProcessStep('Downloading macOS Full Installer...');
-            const result = await window.electronAPI.downloadFullInstaller(macosVersion);
-            setProgress(50);
-
-            // NATIVE FLOW (HFS+) vs HYBRID FLOW (ExFAT)
-            // If ExFAT is used, we MUST use the Hybrid flow because createinstallmedia only does HFS+.
-            if (platform === 'darwin' && format !== 'ExFAT') {
-              // macOS Native: Run createinstallmedia (traditional approach)
-              setProcessStep('Creating bootable USB (this takes ~20 minutes)...');
-              setFormatStatus('Running createinstallmedia...');
-              // Full Installer always creates "Install macOS [Version]" volume
-              // But createInstallMedia command takes volume path to *mount point*
-              // We pass the volume path returned by format, or fallback to standard logic
-              // Since createInstallMedia erases again, it doesn't matter much unless access path changes.
-              // Use extracted path if available (from gibMacOS service) so we don't need /Applications
-              await window.electronAPI.createInstallMedia(result.extractedPath || result.installerPath, formatResult.volumePath || `/Volumes/Install macOS`);
-            } else {
-              // Hybrid Mode (Windows or macOS ExFAT): Extract App + Recovery
-              setProcessStep('Extracting full macOS Installer (Hybrid Mode)...');
-              setFormatStatus(`Unpacking InstallAssistant.pkg with ${platform === 'darwin' ? 'pkgutil' : '7-Zip'}...`);
-              
-              // 1. Extract Full App (New Step - Heavy)
-              const appResult = await window.electronAPI.extractAppFromPkg(result.installerPath);
-              setProgress(65);
-
-              // 2. Use Pre-Downloaded Recovery Files (Hybrid Approach)
-              // These were downloaded from Apple's Recovery servers during downloadFullInstaller
-              setProcessStep('Using pre-downloaded recovery files...');
-              
-              // Derive version from installer path or use default
-              // The installer path already contains the full path including home dir, so we can derive from that
-              const versionMatch = result.installerPath.match(/SurfaceMac_Installer[/\\\\]([^/\\\\]+)[/\\\\]/);
-              const recoveryVersion = versionMatch ? versionMatch[1] : macosVersion;
-              
-              // Get the Downloads folder path from the installer path
-              // e.g. /Users/rvbcrs/Downloads/SurfaceMac_Installer/sonoma/InstallAssistant.pkg
-              // -> /Users/rvbcrs/Downloads
-              const downloadsMatch = result.installerPath.match(/^(.+[/\\\\]Downloads)[/\\\\]/);
-              const downloadsDir = downloadsMatch ? downloadsMatch[1] : '/Users/Shared/Downloads';
-              const hybridRecoveryDir = `${downloadsDir}/SurfaceMac_Recovery_Hybrid/${recoveryVersion}`;
-              const hybridBaseSystemPath = `${hybridRecoveryDir}/BaseSystem.dmg`;
-              const hybridChunklistPath = `${hybridRecoveryDir}/BaseSystem.chunklist`;
-              
-              console.log(`[Hybrid] Using pre-downloaded recovery: ${hybridBaseSystemPath}`);
-              setProgress(70);
-
-              // 3. Use dedicated BOOT (FAT32) partition for recovery files
-              // formatResult.bootVolumePath = '/Volumes/BOOT'
-              console.log(`[Hybrid] Using BOOT partition for recovery: ${formatResult.bootVolumePath}`);
-
-              // 4. Copy Recovery to BOOT partition
-              setProcessStep('Copying recovery files to BOOT...');
-              setFormatStatus(`Copying BaseSystem.dmg to BOOT partition...`);
-              await window.electronAPI.copyRecoveryToUsb({
-                baseSystemPath: hybridBaseSystemPath,
-                baseChunklistPath: hybridChunklistPath,
-                usbVolumePath: formatResult.bootVolumePath || 'D:\\\\', // Use specific BOOT path
-              });
-              
-              // 5. Copy Full App to INSTALL partition (ExFAT)
-              setProcessStep('Copying full macOS Installer to INSTALL...');
-              setFormatStatus('Copying ~13GB payload to INSTALL partition...');
-              await window.electronAPI.copyAppToUsb({
-                appPath: appResult.appPath,
-                usbVolumePath: formatResult.volumePath || 'D:\\', // Primary volume (INSTALL)
-                // SharedSupport.dmg is inside the app's Contents/SharedSupport/ folder (if extracted)
-                sharedSupportSource: undefined // Not needed, it's inside the app
-              });
-            }
-          } else {
-            // Recovery path: just download BaseSystem.dmg
-            // Pass the volume path from format (e.g. /Volumes/INSTALL) so we copy there
-            await window.electronAPI.downloadRecovery(macosVersion, formatResult.volumePath);
-          }
-          setProgress(80);
-        } else {
-          console.log('Skipping Format & Recovery as requested.');
-          setProcessStep('Skipping Format & Recovery...');
-          setFormatStatus('Initializing EFI Update...');
-          setProgress(50);
-          // Short delay for UX
-          await new Promise(r => setTimeout(r, 800));
-        }
+          installerType,
+          installerSelection: pinnedInstaller,
+          efiSource: efiSourceId(),
+          efiSha256: efiSha256 || config.efiSource.sha256 || null,
+          smbios: config.smbios,
+          smbiosModel: config.smbiosModel,
+          forceFormat,
+          skipFormat,
+          skipEfiCopy,
+          verbose: true,
+        }));
+      } catch (err) {
+        setError(`Failed: ${err instanceof Error ? err.message : String(err)}`);
+        setFormatStatus('');
+        setIsProcessing(false);
+      }
+      return;
+    }
 
-        // Step 3: Copy EFI folder to USB (80-100%)
-        if (!skipEfiCopy) {
-          setProcessStep('Setting up EFI...');
-
-          let efiSourcePath = '';
-          if (config.efiSource.type === 'default') {
-            const repo = 'repo:balopez83/Surface-Pro-7-Hackintosh';
-            setProcessStep('Downloading EFI from GitHub...');
-            efiSourcePath = await window.electronAPI.downloadDefaultEFI(repo);
-          } else if (config.efiSource.type === 'url') {
-            setProcessStep('Downloading custom EFI...');
-            efiSourcePath = await window.electronAPI.downloadDefaultEFI(config.efiSource.value);
-          } else {
-            efiSourcePath = config.efiSource.value;
-          }
+    // Browser fallback - simulate the full process
+    setProcessStep('Formatting...');
+    setProgress(10);
+    await new Promise(resolve => setTimeout(resolve, 1000));
 
-          if (efiSourcePath) {
-            // Patch EFI locally (safe & fast) use new API
-            setProcessStep('Patching EFI (Adding ExFatDxe)...');
-            await window.electronAPI.patchEfiExFat(efiSourcePath);
-
-            // Mount & Copy
-            setProcessStep('Mounting EFI Partition...');
-            setFormatStatus('Mounting...');
-            // Ensure we pass the disk path correctly
-            const usbEfiPath = await window.electronAPI.mountEFI(selectedUsb.path);
-
-            setProcessStep('Copying EFI files to USB...');
-            setFormatStatus('Copying... (This may ask for Admin permission once)');
-            await window.electronAPI.copyEFI(efiSourcePath, usbEfiPath);
-
-            console.log('EFI Setup complete.');
-            setFormatStatus('EFI Setup complete!');
-          } else {
-            console.warn('No EFI source available.');
-          }
-        } else {
-          // Just mount the EFI for the next step
-          setProcessStep('Mounting EFI for Configuration...');
-          setFormatStatus('Mounting...');
-          await window.electronAPI.mountEFI(selectedUsb.path);
-          setFormatStatus('Ready for Configuration');
-        }
+    setProcessStep('Downloading Recovery Image...');
+    for (let i = 20; i <= 80; i += 10) {
+      setProgress(i);
+      await new Promise(resolve => setTimeout(resolve, 500));
+    }
 
-        // Step 4: Inject & Patch Configuration (Critical Step)
-        setProcessStep('Configuring OpenCore...');
-        setFormatStatus('Patching config.plist & Cleaning up...');
-        
-        await window.electronAPI.injectConfig({
-          cpuType: cpuType,
-          smbios: config.smbios,
-          macosVersion: macosVersion, // for airportitlwm toggling
-          diskPath: selectedUsb.path,
-          verbose: true
-        });
-        
-        console.log('Config Injection complete.');
-
-        setProgress(100);
-      } else {
-        // Browser fallback - simulate the full process
-        setProcessStep('Formatting...');
-        setProgress(10);
-        await new Promise(resolve => setTimeout(resolve, 1000));
-
-        setProcessStep('Downloading Recovery Image...');
-        for (let i = 20; i <= 80; i += 10) {
-          setProgress(i);
-          await new Promise(resolve => setTimeout(resolve, 500));
-        }
+    setProcessStep('Copying EFI...');
+    setProgress(90);
+    await new Promise(resolve => setTimeout(resolve, 1000));
+    setProgress(100);
 
-        setProcessStep('Copying EFI...');
-        setProgress(90);
-        await new Promise(resolve => setTimeout(resolve, 1000));
-        setProgress(100);
-      }
+    setFormatComplete(true);
+    setProcessStep('Complete!');
+    setFormatStatus('USB Creation Successful!');
+    updateConfig({ selectedUsb });
+    setIsProcessing(false);
+  };
 
-      setFormatComplete(true);
-      setProcessStep('Complete!');
-      setFormatStatus('USB Creation Successful!');
-      updateConfig({ selectedUsb });
+  // Run the stopped job again from the failed step, or past it with skip. The drive is listed
+  // again for a fresh confirmation token (tokens do not survive a restart).
+  const resumeJob = async (skip?: string): Promise<void> => {
+    if (!window.electronAPI || !job) return;
+    setError(null);
+    setStepPercent(0);
+    try {
+      const stopped = { path: job.options.disk, serial: job.options.diskIdentity?.serial };
+      const drive = (await window.electronAPI.listUSBDrives()).find(d => isSameDrive(d, stopped));
+      showJob(await window.electronAPI.resumeJob(job.id, { skip, options: { diskToken: drive?.token || null } }));
     } catch (err) {
-      console.error(err);
-      const errorMessage = err instanceof Error ? err.message : String(err);
-      setError(`Failed: ${errorMessage}`);
-      setFormatStatus(`Error: ${errorMessage}`);
-    } finally {
-      setIsProcessing(false);
+      setError(err instanceof Error ? err.message : String(err));
     }
   };
 
+  const cancelJob = async (): Promise<void> => {
+    if (!window.electronAPI || !job) return;
+    await window.electronAPI.cancelJob(job.id);
+    setFormatStatus('Cancelling... (the current step finishes first unless it is a download)');
+  };
+
+  const discardJob = async (): Promise<void> => {
+    if (!window.electronAPI || !job) return;
+    await window.electronAPI.removeJob(job.id);
+    showJob(null);
+    setError(null);
+    setProcessStep('');
+    setFormatStatus('');
+  };
+
+  const failedStep = job?.steps.find(s => s.status === 'failed') || null;
+  const canResume = !!job && (job.status === 'failed' || job.status === 'cancelled');
+
   return (
     <>
       <header className="content-header" style={{ paddingBottom: 'var(--space-md)' }}>
@@ -420,6 +448,71 @@ const UsbStep: React.FC = () => {
                 </div>
               </label>
             </div>
+
+            {installerType === 'full' && (
+              <div style={{ marginTop: 'var(--space-md)' }}>
+                <div style={{ display: 'flex', alignItems: 'center', gap: 'var(--space-sm)', flexWrap: 'wrap' }}>
+                  <span style={{ fontSize: 'var(--font-size-sm)', flex: 1 }}>
+                    Build: <strong>{pinnedInstaller ? `${pinnedInstaller.version} (${pinnedInstaller.build})` : 'Latest available'}</strong>
+                  </span>
+                  <select
+                    className="form-select"
+                    value={catalogType}
+                    onChange={(e) => {
+                      setCatalogType(e.target.value as CatalogType);
+                      setCatalogProducts([]);
+                    }}
+                    disabled={isProcessing || skipFormat || catalogLoading}
+                    style={{ padding: '6px', borderRadius: '4px', background: 'var(--color-bg-elevated)', color: 'white', border: '1px solid var(--color-border)' }}
+                  >
+                    <option value="public">Public</option>
+                    <option value="publicseed">Public Seed</option>
+                    <option value="developer">Developer</option>
+                  </select>
+                  <button className="btn btn-ghost" onClick={loadCatalog} disabled={isProcessing || skipFormat || catalogLoading}>
+                    {catalogLoading ? 'Loading catalog...' : 'Browse Builds'}
+                  </button>
+                </div>
+
+                {catalogError && (
+                  <div className="alert alert-warning" style={{ marginTop: 'var(--space-sm)' }}>
+                    <div className="alert-content">{catalogError}</div>
+                  </div>
+                )}
+
+                {catalogProducts.length > 0 && (
+                  <div style={{ marginTop: 'var(--space-sm)', maxHeight: '200px', overflowY: 'auto', fontSize: 'var(--font-size-sm)' }}>
+                    <label style={{ display: 'flex', alignItems: 'center', padding: '4px 0', cursor: 'pointer' }}>
+                      <input
+                        type="radio"
+                        name="installerBuild"
+                        checked={!pinnedInstaller}
+                        onChange={() => updateConfig({ installerSelection: null })}
+                        disabled={isProcessing}
+                        style={{ marginRight: '10px' }}
+                      />
+                      Latest available (automatic)
+                    </label>
+                    {catalogProducts.map(p => (
+                      <label key={p.id} style={{ display: 'flex', alignItems: 'center', padding: '4px 0', cursor: 'pointer' }}>
+                        <input
+                          type="radio"
+                          name="installerBuild"
+                          checked={pinnedInstaller?.productId === p.id}
+                          onChange={() => updateConfig({ installerSelection: { catalogType, productId: p.id, build: p.build, version: p.version } })}
+                          disabled={isProcessing}
+                          style={{ marginRight: '10px' }}
+                        />
+                        <span>
+                          <strong>{p.version}</strong> ({p.build})
+                          <span style={{ opacity: 0.7 }}> · {(p.size / (1024 * 1024 * 1024)).toFixed(1)} GB · {new Date(p.date).toLocaleDateString()} · {p.id}</span>
+                        </span>
+                      </label>
+                    ))}
+                  </div>
+                )}
+              </div>
+            )}
           </div>
         </div>
 
@@ -488,29 +581,111 @@ const UsbStep: React.FC = () => {
           </div>
         ) : (
           <div className="grid-list">
-            {usbDrives.map(drive => (
+            {usbDrives.map(drive => {
+              // The disk guard will not erase this drive (it can still get an EFI-only update)
+              const blocked = !!drive.problems?.length && !skipFormat;
+              return (
+                <div
+                  key={drive.id}
+                  className={`card ${selectedUsb?.id === drive.id ? 'selected' : ''}`}
+                  onClick={() => !isProcessing && !blocked && setSelectedUsb(drive)}
+                  style={{
+                    cursor: isProcessing || blocked ? 'not-allowed' : 'pointer',
+                    opacity: blocked ? 0.6 : 1,
+                    ...(selectedUsb?.id === drive.id ? {
+                      boxShadow: '0 0 15px 3px rgba(52, 211, 153, 0.5)',
+                      border: '2px solid var(--color-success)',
+                      transform: 'scale(1.02)'
+                    } : {})
+                  }}
+                >
+                  <div className="card-header">
+                    <div className="card-icon">💾</div>
+                    <div>
+                      <div className="card-title">{drive.name}</div>
+                      <div className="card-description">{drive.size} • {drive.path}</div>
+                      {!!drive.problems?.length && (
+                        <div className="card-description" style={{ color: 'var(--color-accent-orange)' }}>
+                          Cannot be formatted: {drive.problems.join('; ')}
+                        </div>
+                      )}
+                    </div>
+                  </div>
+                </div>
+              );
+            })}
+          </div>
+        )}
+
+        {isPreparingEfi && (
+          <div className="alert alert-info" style={{ marginTop: 'var(--space-lg)' }}>
+            <div className="alert-icon">⏳</div>
+            <div className="alert-content">{formatStatus || 'Inspecting EFI source...'}</div>
+          </div>
+        )}
+
+        {efiPreview && (
+          <div className="card" style={{ marginTop: 'var(--space-lg)' }}>
+            <div className="card-header">
+              <div className="card-icon">🔍</div>
+              <div>
+                <div className="card-title">Review EFI Source</div>
+                <div className="card-description">
+                  Nothing has been written yet. Check what will be copied to {selectedUsb?.name}.
+                </div>
+              </div>
+            </div>
+
+            {efiPreview.archive && (
               <div
-                key={drive.id}
-                className={`card ${selectedUsb?.id === drive.id ? 'selected' : ''}`}
-                onClick={() => !isProcessing && setSelectedUsb(drive)}
-                style={{ 
-                  cursor: isProcessing ? 'default' : 'pointer',
-                  ...(selectedUsb?.id === drive.id ? {
-                    boxShadow: '0 0 15px 3px rgba(52, 211, 153, 0.5)',
-                    border: '2px solid var(--color-success)',
-                    transform: 'scale(1.02)'
-                  } : {})
-                }}
+                className={`alert ${efiPreview.archive.status === 'verified' ? 'alert-success' : 'alert-warning'}`}
+                style={{ marginTop: 'var(--space-md)' }}
               >
-                <div className="card-header">
-                  <div className="card-icon">💾</div>
-                  <div>
-                    <div className="card-title">{drive.name}</div>
-                    <div className="card-description">{drive.size} • {drive.path}</div>
+                <div className="alert-icon">{efiPreview.archive.status === 'verified' ? '🔒' : '⚠️'}</div>
+                <div className="alert-content">
+                  <div className="alert-title">
+                    {efiPreview.archive.status === 'verified'
+                      ? `SHA-256 verified (${efiPreview.archive.from})`
+                      : 'No published checksum: the archive could not be verified'}
+                  </div>
+                  <div className="alert-message" style={{ fontFamily: 'monospace', fontSize: 'var(--font-size-xs)', wordBreak: 'break-all' }}>
+                    {efiPreview.archive.sha256}
                   </div>
                 </div>
               </div>
-            ))}
+            )}
+
+            <div style={{ marginTop: 'var(--space-md)', fontSize: 'var(--font-size-sm)', display: 'grid', gridTemplateColumns: 'max-content 1fr', gap: 'var(--space-xs) var(--space-md)' }}>
+              {efiPreview.source && (
+                <>
+                  <span style={{ color: 'var(--color-text-muted)' }}>Source</span>
+                  <span>{efiPreview.source.name} · {efiPreview.source.tag ? `release ${efiPreview.source.tag}` : `branch ${efiPreview.source.branch}`}</span>
+                </>
+              )}
+              <span style={{ color: 'var(--color-text-muted)' }}>OpenCore</span>
+              <span>
+                {efiPreview.summary.ocVersion || 'unknown version'}
+                {!efiPreview.summary.hasBootstrap && <span style={{ color: 'var(--color-accent-orange)' }}> · no BOOT/BOOTx64.efi</span>}
+                {!efiPreview.summary.hasConfig && <span style={{ color: 'var(--color-accent-red)' }}> · no config.plist</span>}
+              </span>
+              <span style={{ color: 'var(--color-text-muted)' }}>Kexts ({efiPreview.summary.kexts.length})</span>
+              <span>{efiPreview.summary.kexts.map(k => k.version ? `${k.name} ${k.version}` : k.name).join(', ') || '—'}</span>
+              <span style={{ color: 'var(--color-text-muted)' }}>ACPI ({efiPreview.summary.acpi.length})</span>
+              <span>{efiPreview.summary.acpi.join(', ') || '—'}</span>
+              <span style={{ color: 'var(--color-text-muted)' }}>Drivers ({efiPreview.summary.drivers.length})</span>
+              <span>{efiPreview.summary.drivers.join(', ') || '—'}</span>
+              <span style={{ color: 'var(--color-text-muted)' }}>Tools ({efiPreview.summary.tools.length})</span>
+              <span>{efiPreview.summary.tools.join(', ') || '—'}</span>
+            </div>
+
+            <div style={{ marginTop: 'var(--space-md)', display: 'flex', gap: 'var(--space-sm)' }}>
+              <button className="btn btn-primary btn-sm" onClick={() => writeUsb(efiPreview.archive?.sha256 || null)}>
+                Write to USB
+              </button>
+              <button className="btn btn-secondary btn-sm" onClick={() => setEfiPreview(null)}>
+                Cancel
+              </button>
+            </div>
           </div>
         )}
 
@@ -531,6 +706,55 @@ const UsbStep: React.FC = () => {
           </div>
         )}
 
+        {job && (
+          <div className="card" style={{ marginTop: 'var(--space-lg)' }}>
+            <div className="card-header">
+              <div className="card-icon">🧩</div>
+              <div>
+                <div className="card-title">Build Steps</div>
+                <div className="card-description">
+                  {job.options.disk} · started {new Date(job.createdAt).toLocaleString()}
+                </div>
+              </div>
+            </div>
+
+            <div style={{ marginTop: 'var(--space-md)', fontSize: 'var(--font-size-sm)', display: 'grid', gap: 'var(--space-xs)' }}>
+              {job.steps.map(step => (
+                <div key={step.name} style={{ opacity: step.status === 'skipped' || step.status === 'pending' ? 0.6 : 1 }}>
+                  {STEP_ICONS[step.status]} {step.title}
+                  {step.status === 'skipped' && <span style={{ color: 'var(--color-text-muted)' }}> · skipped</span>}
+                  {step.error && step.status === 'failed' && (
+                    <div style={{ color: 'var(--color-accent-red)', marginLeft: '1.75em', wordBreak: 'break-all' }}>{step.error}</div>
+                  )}
+                </div>
+              ))}
+            </div>
+
+            <div style={{ marginTop: 'var(--space-md)', display: 'flex', gap: 'var(--space-sm)' }}>
+              {isProcessing && (
+                <button className="btn btn-ghost btn-sm" onClick={cancelJob}>
+                  Cancel
+                </button>
+              )}
+              {canResume && (
+                <>
+                  <button className="btn btn-primary btn-sm" onClick={() => resumeJob()}>
+                    {failedStep ? `Retry “${failedStep.title}”` : 'Resume'}
+                  </button>
+                  {failedStep?.skippable && (
+                    <button className="btn btn-secondary btn-sm" onClick={() => resumeJob(failedStep.name)}>
+                      Skip It and Continue
+                    </button>
+                  )}
+                  <button className="btn btn-ghost btn-sm" onClick={discardJob}>
+                    Discard
+                  </button>
+                </>
+              )}
+            </div>
+          </div>
+        )}
+
         {formatComplete && (
           <div className="alert alert-success" style={{ marginTop: 'var(--space-lg)' }}>
             <div className="alert-icon">✅</div>
@@ -567,13 +791,15 @@ const UsbStep: React.FC = () => {
             onClick={() => {
               if (formatComplete) {
                 nextStep();
+              } else if (efiPreview) {
+                writeUsb(efiPreview.archive?.sha256 || null);
               } else {
-                startProcess();
+                prepareEfiSource();
               }
             }}
-            disabled={!selectedUsb || (isProcessing && !formatComplete)}
+            disabled={!selectedUsb || isPreparingEfi || (isProcessing && !formatComplete) || (!skipFormat && !!selectedUsb.problems?.length)}
           >
-            {formatComplete ? 'Next' : 'Start Process'}
+            {formatComplete ? 'Next' : efiPreview ? 'Write to USB' : 'Start Process'}
           </button>
         </div>
       </footer>
@@ -1,7 +1,99 @@
+import { useEffect, useState } from 'react';
 import { useWizard } from '../App';
 
 const WelcomeStep: React.FC = () => {
   const { nextStep, macosVersion, setMacosVersion, cpuType, setCpuType, cpuDetected, platform, config, updateConfig } = useWizard();
+  const [smbiosModels, setSmbiosModels] = useState<SMBIOSModel[]>([]);
+  const [efiRegistry, setEfiRegistry] = useState<EfiSourceRegistry | null>(null);
+  const [efiRefs, setEfiRefs] = useState<EfiSourceRefs | null>(null);
+  const [efiRefsError, setEfiRefsError] = useState<string | null>(null);
+  const [assetBundle, setAssetBundle] = useState<AssetBundle | null>(null);
+  const [bundleBusy, setBundleBusy] = useState(false);
+  const [bundleMessage, setBundleMessage] = useState<{ type: 'success' | 'error' | 'info'; text: string } | null>(null);
+
+  useEffect(() => {
+    window.electronAPI?.listSmbiosModels()
+      .then(setSmbiosModels)
+      .catch(err => console.error('Failed to load SMBIOS models:', err));
+  }, []);
+
+  const loadEfiRegistry = (): void => {
+    window.electronAPI?.listEfiSources()
+      .then(setEfiRegistry)
+      .catch(err => console.error('Failed to load EFI sources:', err));
+  };
+
+  useEffect(loadEfiRegistry, []);
+
+  useEffect(() => {
+    if (!window.electronAPI) return;
+    window.electronAPI.getAssetBundle().then(setAssetBundle).catch(() => setAssetBundle(null));
+    window.electronAPI.onBundleStatus((message) => setBundleMessage({ type: 'info', text: message }));
+  }, []);
+
+  const formatSize = (bytes: number): string =>
+    bytes >= 1024 ** 3 ? `${(bytes / 1024 ** 3).toFixed(2)} GB` : `${(bytes / 1024 ** 2).toFixed(1)} MB`;
+
+  const chooseAssetBundle = async (kind: 'folder' | 'archive'): Promise<void> => {
+    if (!window.electronAPI) return;
+    const bundlePath = await window.electronAPI.selectAssetBundle(kind);
+    if (!bundlePath) return;
+    setBundleBusy(true);
+    setBundleMessage(null);
+    try {
+      setAssetBundle(await window.electronAPI.useAssetBundle(bundlePath));
+    } catch (err) {
+      setBundleMessage({ type: 'error', text: err instanceof Error ? err.message : String(err) });
+    } finally {
+      setBundleBusy(false);
+    }
+  };
+
+  const stopUsingAssetBundle = async (): Promise<void> => {
+    await window.electronAPI?.useAssetBundle(null);
+    setAssetBundle(null);
+  };
+
+  const exportAssetBundle = async (): Promise<void> => {
+    if (!window.electronAPI) return;
+    setBundleBusy(true);
+    setBundleMessage(null);
+    try {
+      const result = await window.electronAPI.exportAssetBundle();
+      if (result) setBundleMessage({ type: 'success', text: `Exported ${result.assetCount} assets (${formatSize(result.totalSize)}) to ${result.path}` });
+    } catch (err) {
+      setBundleMessage({ type: 'error', text: err instanceof Error ? err.message : String(err) });
+    } finally {
+      setBundleBusy(false);
+    }
+  };
+
+  // 'default' is the first built-in source at its default ref
+  const usesRegistry = config.efiSource.type === 'default' || config.efiSource.type === 'registry';
+  const selectedSourceId = config.efiSource.type === 'registry' ? config.efiSource.value : efiRegistry?.sources.find(s => s.builtin)?.id;
+  const selectedSource = efiRegistry?.sources.find(s => s.id === selectedSourceId) || null;
+  const supportsSetup = (source: EfiSourceEntry): boolean => source.supports.some(s => s.cpu === cpuType && s.macos === macosVersion);
+
+  // Tags and branches of the selected source (GitHub API)
+  useEffect(() => {
+    if (!usesRegistry || !selectedSourceId || !window.electronAPI) return;
+    setEfiRefs(null);
+    setEfiRefsError(null);
+    window.electronAPI.listEfiSourceRefs(selectedSourceId)
+      .then(setEfiRefs)
+      .catch(err => setEfiRefsError(err instanceof Error ? err.message : String(err)));
+  }, [usesRegistry, selectedSourceId]);
+
+  const selectEfiSource = (id: string, ref?: string): void => {
+    updateConfig({ efiSource: { ...config.efiSource, type: 'registry', value: id, ref } });
+  };
+
+  const selectedModel = smbiosModels.find(m => m.model === config.smbiosModel);
+
+  const selectSmbiosModel = (model: string): void => {
+    // Serials encode the model, so SMBIOS generated for another model is dropped
+    updateConfig({ smbiosModel: model, smbios: config.smbios?.model === model ? config.smbios : null });
+  };
 
 
   return (
@@ -168,18 +260,90 @@ const WelcomeStep: React.FC = () => {
             </div>
             <div className="card-description">
               By default, we use the official Surface Pro 7 EFI from GitHub. 
-              You can specify a custom URL or select a local zip file.
+              You can pick another registered source, release or branch, specify a custom URL or select a local EFI folder.
             </div>
             <div style={{ marginTop: 'var(--space-md)', display: 'flex', flexDirection: 'column', gap: 'var(--space-sm)' }}>
               <label style={{ display: 'flex', alignItems: 'center', gap: 'var(--space-sm)', cursor: 'pointer' }}>
                 <input 
                   type="radio" 
                   name="efiSource" 
-                  checked={config.efiSource.type === 'default'} 
+                  checked={usesRegistry} 
                   onChange={() => updateConfig({ efiSource: { type: 'default', value: 'repo:balopez83/Surface-Pro-7-Hackintosh' } })}
                 />
-                Use default (balopez83/Surface-Pro-7-Hackintosh)
+                Registered source (default: balopez83/Surface-Pro-7-Hackintosh)
               </label>
+              {usesRegistry && efiRegistry && (
+                <div style={{ marginLeft: 'var(--space-lg)', display: 'flex', flexDirection: 'column', gap: 'var(--space-sm)' }}>
+                  <div style={{ display: 'flex', gap: 'var(--space-sm)', flexWrap: 'wrap' }}>
+                    <select
+                      className="form-select"
+                      value={selectedSourceId || ''}
+                      onChange={(e) => selectEfiSource(e.target.value)}
+                    >
+                      {efiRegistry.sources.map(source => (
+                        <option key={source.id} value={source.id} disabled={!supportsSetup(source)}>
+                          {source.name}{supportsSetup(source) ? '' : ` (no ${cpuType} / ${macosVersion} support)`}
+                        </option>
+                      ))}
+                    </select>
+                    <select
+                      className="form-select"
+                      value={(config.efiSource.type === 'registry' && config.efiSource.ref) || selectedSource?.defaultRef || 'latest'}
+                      onChange={(e) => selectedSourceId && selectEfiSource(selectedSourceId, e.target.value)}
+                      disabled={!efiRefs}
+                    >
+                      <option value="latest">Latest release</option>
+                      {efiRefs && efiRefs.releases.length > 0 && (
+                        <optgroup label="Releases">
+                          {efiRefs.releases.map(release => (
+                            <option key={release.tag} value={`tag:${release.tag}`} disabled={!release.hasAsset}>
+                              {release.name}{release.prerelease ? ' (pre-release)' : ''}{release.hasAsset ? '' : ' (no EFI asset)'}
+                            </option>
+                          ))}
+                        </optgroup>
+                      )}
+                      {efiRefs && efiRefs.branches.length > 0 && (
+                        <optgroup label="Branches">
+                          {efiRefs.branches.map(branch => (
+                            <option key={branch} value={`branch:${branch}`}>
+                              {branch}{branch === efiRefs.defaultBranch ? ' (default branch)' : ''}
+                            </option>
+                          ))}
+                        </optgroup>
+                      )}
+                    </select>
+                  </div>
+                  {selectedSource && (
+                    <div style={{ color: 'var(--color-text-muted)', fontSize: 'var(--font-size-sm)' }}>
+                      {selectedSource.description || selectedSource.repo}
+                      {selectedSource.subfolder && <> · EFI from <code>{selectedSource.subfolder}</code></>}
+                    </div>
+                  )}
+                  {selectedSource && !supportsSetup(selectedSource) && (
+                    <div style={{ color: 'var(--color-accent-orange)', fontSize: 'var(--font-size-sm)' }}>
+                      ⚠️ {selectedSource.name} does not list the {cpuType} on macOS {macosVersion} as supported.
+                    </div>
+                  )}
+                  {efiRefsError && (
+                    <div style={{ color: 'var(--color-accent-orange)', fontSize: 'var(--font-size-sm)' }}>
+                      Could not load releases and branches: {efiRefsError}
+                    </div>
+                  )}
+                  {efiRegistry.errors.map(message => (
+                    <div key={message} style={{ color: 'var(--color-accent-red)', fontSize: 'var(--font-size-sm)' }}>
+                      {message}
+                    </div>
+                  ))}
+                  <div style={{ display: 'flex', gap: 'var(--space-sm)' }}>
+                    <button className="btn btn-ghost btn-sm" onClick={() => window.electronAPI?.openEfiRegistry()}>
+                      Edit source list
+                    </button>
+                    <button className="btn btn-ghost btn-sm" onClick={loadEfiRegistry}>
+                      Reload
+                    </button>
+                  </div>
+                </div>
+              )}
               <label style={{ display: 'flex', alignItems: 'center', gap: 'var(--space-sm)', cursor: 'pointer' }}>
                 <input 
                   type="radio" 
@@ -194,7 +358,7 @@ const WelcomeStep: React.FC = () => {
                   type="text" 
                   placeholder="https://github.com/user/repo/archive/main.zip"
                   value={config.efiSource.value}
-                  onChange={(e) => updateConfig({ efiSource: { type: 'url', value: e.target.value } })}
+                  onChange={(e) => updateConfig({ efiSource: { ...config.efiSource, type: 'url', value: e.target.value } })}
                   style={{ 
                     padding: 'var(--space-sm)', 
                     borderRadius: 'var(--radius-md)', 
@@ -205,6 +369,23 @@ const WelcomeStep: React.FC = () => {
                   }}
                 />
               )}
+              {config.efiSource.type !== 'local' && (
+                <input
+                  type="text"
+                  placeholder="Expected SHA-256 (optional, otherwise the published checksum is used)"
+                  value={config.efiSource.sha256 || ''}
+                  onChange={(e) => updateConfig({ efiSource: { ...config.efiSource, sha256: e.target.value.trim() || undefined } })}
+                  style={{
+                    padding: 'var(--space-sm)',
+                    borderRadius: 'var(--radius-md)',
+                    border: '1px solid var(--color-border)',
+                    background: 'var(--color-bg-elevated)',
+                    color: 'var(--color-text-primary)',
+                    fontFamily: 'monospace',
+                    marginLeft: 'var(--space-lg)'
+                  }}
+                />
+              )}
               <label style={{ display: 'flex', alignItems: 'center', gap: 'var(--space-sm)', cursor: 'pointer' }}>
                 <input 
                   type="radio" 
@@ -230,6 +411,94 @@ const WelcomeStep: React.FC = () => {
               )}
             </div>
           </div>
+
+          <div className="card" style={{ marginTop: 'var(--space-md)' }}>
+            <div className="card-header">
+              <div className="card-icon">🔑</div>
+              <div>
+                <div className="card-title">SMBIOS Model</div>
+              </div>
+            </div>
+            <div className="card-description">
+              The Mac model macOS sees. It decides the serial format, the board ID used to fetch
+              the recovery image and the PlatformInfo written to config.plist.
+            </div>
+            <div style={{ marginTop: 'var(--space-md)', display: 'flex', alignItems: 'center', gap: 'var(--space-sm)' }}>
+              <select
+                className="form-select"
+                value={config.smbiosModel}
+                onChange={(e) => selectSmbiosModel(e.target.value)}
+                disabled={smbiosModels.length === 0}
+                style={{ padding: '6px', borderRadius: '4px', background: 'var(--color-bg-elevated)', color: 'white', border: '1px solid var(--color-border)' }}
+              >
+                {smbiosModels.length === 0 && <option value={config.smbiosModel}>{config.smbiosModel}</option>}
+                {smbiosModels.map(m => (
+                  <option key={m.model} value={m.model}>
+                    {m.model} — {m.name}{m.default ? ' (recommended)' : ''}
+                  </option>
+                ))}
+              </select>
+            </div>
+            {selectedModel && !selectedModel.macos.includes(macosVersion) && (
+              <div style={{ marginTop: 'var(--space-sm)', color: 'var(--color-accent-orange)', fontSize: 'var(--font-size-sm)' }}>
+                ⚠️ {selectedModel.model} does not support macOS {macosVersion}.
+              </div>
+            )}
+          </div>
+
+          <div className="card" style={{ marginTop: 'var(--space-md)' }}>
+            <div className="card-header">
+              <div className="card-icon">📦</div>
+              <div>
+                <div className="card-title">Offline Asset Bundle</div>
+              </div>
+            </div>
+            <div className="card-description">
+              Build without internet: recovery images, installers, EFI archives and drivers are taken from the bundle
+              instead of Apple and GitHub. Export one from this machine's download caches to prepare it.
+            </div>
+            {assetBundle && (
+              <div style={{ marginTop: 'var(--space-md)', fontSize: 'var(--font-size-sm)' }}>
+                <div>📁 {assetBundle.path}</div>
+                <div style={{ color: 'var(--color-text-muted)', marginTop: 'var(--space-xs)' }}>
+                  {assetBundle.assets.length} assets · {formatSize(assetBundle.totalSize)}
+                  {assetBundle.createdAt && ` · created ${new Date(assetBundle.createdAt).toLocaleString()}`}
+                </div>
+                <ul style={{ margin: 'var(--space-xs) 0 0', paddingLeft: 'var(--space-lg)', color: 'var(--color-text-muted)' }}>
+                  {assetBundle.assets.map(asset => (
+                    <li key={asset.key} style={{ wordBreak: 'break-all' }}>{asset.key} ({formatSize(asset.size)})</li>
+                  ))}
+                </ul>
+              </div>
+            )}
+            <div style={{ marginTop: 'var(--space-md)', display: 'flex', gap: 'var(--space-sm)', flexWrap: 'wrap' }}>
+              <button className="btn btn-secondary btn-sm" onClick={() => chooseAssetBundle('folder')} disabled={bundleBusy}>
+                Use Bundle Folder…
+              </button>
+              <button className="btn btn-secondary btn-sm" onClick={() => chooseAssetBundle('archive')} disabled={bundleBusy}>
+                Use Bundle Archive…
+              </button>
+              {assetBundle && (
+                <button className="btn btn-ghost btn-sm" onClick={stopUsingAssetBundle} disabled={bundleBusy}>
+                  Stop Using Bundle
+                </button>
+              )}
+              <button className="btn btn-ghost btn-sm" onClick={exportAssetBundle} disabled={bundleBusy}>
+                {bundleBusy ? 'Working…' : 'Export from Cache…'}
+              </button>
+            </div>
+            {bundleMessage && (
+              <div style={{
+                marginTop: 'var(--space-sm)',
+                fontSize: 'var(--font-size-sm)',
+                wordBreak: 'break-all',
+                color: bundleMessage.type === 'error' ? 'var(--color-accent-red)'
+                  : bundleMessage.type === 'success' ? 'var(--color-accent-green)' : 'var(--color-text-muted)',
+              }}>
+                {bundleMessage.text}
+              </div>
+            )}
+          </div>
         </details>
       </div>
 
@@ -8,35 +8,92 @@ interface ElectronAPI {
   checkFullDiskAccess: () => Promise<{ hasAccess: boolean }>;
   openFullDiskSettings: () => Promise<{ success: boolean }>;
   listUSBDrives: () => Promise<USBDrive[]>;
-  formatUSB: (disk: string, format: string, forceFormat?: boolean) => Promise<{ success: boolean; volumeName: string; volumePath: string; bootVolumePath?: string; skippedFormat?: boolean }>;
+  formatUSB: (disk: DiskTarget, format: string, forceFormat: boolean, token: string | null) => Promise<{ success: boolean; volumeName: string; volumePath: string; bootVolumePath?: string; skippedFormat?: boolean; identity: DiskIdentity | null }>;
   downloadFile: (url: string, dest: string) => Promise<void>;
   onDownloadProgress: (callback: (progress: any) => void) => void;
-  downloadRecovery: (version: string, targetPath?: string) => Promise<{ success: boolean }>;
-  downloadFullInstaller: (version: string) => Promise<{ success: boolean; installerPath: string; extractedPath?: string }>;
+  cancelDownload: (id: string) => Promise<{ success: boolean }>;
+  downloadRecovery: (version: string, targetPath?: string, smbiosModel?: string) => Promise<{ success: boolean }>;
+  downloadFullInstaller: (version: string, selection?: { catalogType?: CatalogType; productId?: string; build?: string } | null, smbiosModel?: string) => Promise<{ success: boolean; installerPath: string; extractedPath?: string; product?: { id: string; version: string; build: string }; recovery: { baseSystemPath: string; chunklistPath: string } | null }>;
+  getCatalog: (options?: { catalogType?: CatalogType; major?: number; type?: CatalogProduct['type']; refresh?: boolean }) => Promise<CatalogProduct[]>;
   extractBaseSystemFromPkg: (pkgPath: string) => Promise<{ success: boolean; baseSystemPath: string; baseChunklistPath: string | null; baseSystemSize: number; sharedSupportPathKey?: string | null }>;
   copyRecoveryToUsb: (options: { baseSystemPath: string; baseChunklistPath: string | null; usbVolumePath: string; efiVolumePath?: string }) => Promise<{ success: boolean; recoveryDir: string }>;
+  verifyRecovery: (baseSystemPath: string, chunklistPath?: string) => Promise<RecoveryVerifyResult>;
   extractAppFromPkg: (pkgPath: string) => Promise<{ success: boolean; appPath: string }>;
   copyAppToUsb: (options: { appPath: string; usbVolumePath: string; sharedSupportSource?: string }) => Promise<{ success: boolean }>;
   createInstallMedia: (installerPath: string, volumePath: string) => Promise<{ success: boolean }>;
+  listSmbiosModels: () => Promise<SMBIOSModel[]>;
   generateSMBIOS: (model?: string) => Promise<SMBIOSData>;
+  validateSMBIOS: (smbios: Partial<SMBIOSData> | string) => Promise<SMBIOSValidation>;
   copyEFI: (source: string, dest: string) => Promise<{ success: boolean }>;
   patchEfiExFat: (efiPath: string) => Promise<{ success: boolean; error?: string }>;
-  unmountEFI: (diskPath: string) => Promise<{ success: boolean }>;
-  unmountDisk: (diskPath: string) => Promise<{ success: boolean }>;
-  readConfig: (path: string) => Promise<any>;
-  writeConfig: (path: string, config: any) => Promise<{ success: boolean }>;
+  unmountEFI: (diskPath: DiskTarget) => Promise<{ success: boolean }>;
+  unmountDisk: (diskPath: DiskTarget) => Promise<{ success: boolean }>;
+  readConfig: {
+    (path: string, options: { typed: true }): Promise<PlistNode | null>;
+    (path: string, options?: { typed?: false }): Promise<any>;
+  };
+  writeConfig: (path: string, config: any, options?: { typed?: boolean }) => Promise<{ success: boolean; validation: ConfigValidation }>;
+  diffConfig: (config: PlistNode, cpuType: string) => Promise<PlistChange[]>;
+  validateConfig: (target: { configPath?: string; diskPath?: DiskTarget }) => Promise<ConfigValidation & { configPath: string }>;
   listEFIPartitions: () => Promise<EFIPartition[]>;
-  mountEFI: (diskPath: string) => Promise<string>;
-  unmountEFI: (diskPath: string) => Promise<{ success: boolean }>;
-  unmountDisk: (diskPath: string) => Promise<{ success: boolean }>;
+  mountEFI: (diskPath: DiskTarget) => Promise<string>;
+  unmountEFI: (diskPath: DiskTarget) => Promise<{ success: boolean }>;
+  unmountDisk: (diskPath: DiskTarget) => Promise<{ success: boolean }>;
   copyEFI: (source: string, dest: string) => Promise<{ success: boolean }>;
   onCopyProgress: (callback: (file: string) => void) => void;
-  downloadDefaultEFI: (url: string) => Promise<string>;
+  getEfiInventory: (options: { efiRoot?: string; diskPath?: DiskTarget; macosVersion?: string; checkUpdates?: boolean }) => Promise<EfiInventory>;
+  updateEfiComponent: (options: { efiRoot?: string; diskPath?: DiskTarget; name: string; macosVersion?: string }) => Promise<EfiComponentUpdate>;
+  getOpenCoreInfo: (options: { efiRoot?: string; diskPath?: DiskTarget }) => Promise<OpenCoreInfo>;
+  listOpenCoreReleases: () => Promise<OpenCoreRelease[]>;
+  upgradeOpenCore: (options: { efiRoot?: string; diskPath?: DiskTarget; tag?: string }) => Promise<OpenCoreUpgrade>;
+  listEfiSnapshots: () => Promise<EfiSnapshot[]>;
+  createEfiSnapshot: (target: { efiRoot?: string; diskPath?: DiskTarget }) => Promise<EfiSnapshot>;
+  diffEfiSnapshot: (options: { id: string; efiRoot?: string; diskPath?: DiskTarget }) => Promise<EfiSnapshotDiff>;
+  restoreEfiSnapshot: (options: { id: string; efiRoot?: string; diskPath?: DiskTarget }) => Promise<{ restored: number; safetySnapshot: string | null }>;
+  deleteEfiSnapshot: (id: string) => Promise<{ success: boolean }>;
+  downloadDefaultEFI: (url: string, options?: { sha256?: string; cpuType?: string; macosVersion?: string }) => Promise<EfiDownloadResult>;
+  inspectEfi: (efiPath: string) => Promise<EfiSourceSummary>;
+  listEfiSources: () => Promise<EfiSourceRegistry>;
+  listEfiSourceRefs: (id: string) => Promise<EfiSourceRefs>;
+  openEfiRegistry: () => Promise<string>;
+  getAssetBundle: () => Promise<AssetBundle | null>;
+  useAssetBundle: (bundlePath: string | null) => Promise<AssetBundle | null>;
+  selectAssetBundle: (kind: 'folder' | 'archive') => Promise<string | null>;
+  exportAssetBundle: (outputPath?: string) => Promise<{ path: string; assetCount: number; totalSize: number } | null>;
+  onBundleStatus: (callback: (message: string) => void) => void;
+  getCache: () => Promise<DownloadCache>;
+  verifyCache: (keys?: string[]) => Promise<{ key: string; status: 'ok' | 'missing' | 'corrupt' }[]>;
+  pruneCache: (options: { keys?: string[]; olderThanDays?: number; work?: boolean; all?: boolean }) => Promise<{ removed: number; freed: number }>;
+  relocateCache: (newRoot?: string) => Promise<DownloadCache | null>;
+  importLegacyCache: () => Promise<{ imported: number; folders: string[] }>;
+  openCacheFolder: () => Promise<void>;
+  onCacheStatus: (callback: (message: string) => void) => void;
+  startJob: <K extends keyof JobOptions>(kind: K, options: JobOptions[K]) => Promise<Job>;
+  resumeJob: (id: string, options?: { skip?: string; options?: Partial<UsbBuildOptions> }) => Promise<Job>;
+  cancelJob: (id: string) => Promise<{ success: boolean }>;
+  listJobs: (kind?: string) => Promise<Job[]>;
+  getJob: (id: string) => Promise<Job>;
+  removeJob: (id: string) => Promise<{ success: boolean }>;
+  onJobEvent: (callback: (event: JobEvent) => void) => void;
   selectDirectory: () => Promise<string | null>;
+  loadProfile: () => Promise<WizardProfile | null>;
+  saveProfile: (profile: Omit<WizardProfile, 'version' | 'savedAt' | 'appVersion'>) => Promise<{ success: boolean }>;
+  clearProfile: () => Promise<{ success: boolean }>;
+  exportProfile: (profile: Omit<WizardProfile, 'version' | 'savedAt' | 'appVersion'>) => Promise<string | null>;
+  importProfile: () => Promise<WizardProfile | null>;
   selectUSBDrive: () => Promise<string | null>;
   openExternal: (url: string) => Promise<void>;
   onFormatStatus: (callback: (message: string) => void) => void;
-  injectConfig: (details: { cpuType: string, smbios: any, macosVersion: string, diskPath: string, verbose?: boolean }) => Promise<{ success: boolean }>;
+  injectConfig: (details: { cpuType: string, smbios: any, smbiosModel?: string, macosVersion: string, diskPath: DiskTarget, verbose?: boolean }) => Promise<{ success: boolean; validation: ConfigValidation }>;
+}
+
+interface RecoveryVerifyResult {
+  valid: boolean;
+  reason: string | null;
+  chunkCount: number;
+  imageSize: number; // bytes expected by the chunklist
+  actualSize: number; // bytes on disk
+  corruptChunks: { index: number; offset: number; size: number; expected: string; actual: string }[];
 }
 
 interface EFIPartition {
@@ -56,6 +113,223 @@ declare global {
     electronAPI?: ElectronAPI;
   }
 
+  interface EfiComponent {
+    name: string; // Lilu.kext, OpenRuntime.efi
+    kind: 'kext' | 'driver';
+    path: string; // relative to EFI/OC
+    version: string | null; // CFBundleVersion, OpenCore version or git blob SHA
+    bundleId: string | null;
+    inConfig: boolean;
+    enabled: boolean;
+    source: { type: 'release' | 'file' | 'opencore'; repo: string } | null;
+    // Only after an update check
+    latest?: { version: string; url: string; publishedAt: string | null; assetName: string | null } | null;
+    status?: 'current' | 'outdated' | 'unknown' | 'untracked' | 'error';
+    updatable?: boolean;
+    error?: string;
+  }
+
+  interface EfiInventory {
+    efiRoot: string;
+    ocPath: string;
+    ocVersion: string | null;
+    components: EfiComponent[];
+    checkedAt?: string;
+  }
+
+  interface EfiSnapshot {
+    id: string;
+    createdAt: string;
+    reason: string; // copy-efi, inject-config, manual, before-restore <id>, ...
+    source: string; // partition root it was taken from
+    ocVersion: string | null;
+    fileCount: number;
+    totalSize: number;
+    archiveSize: number;
+  }
+
+  interface EfiSnapshotDiff {
+    efiRoot: string;
+    added: string[]; // restored files missing on the partition
+    removed: string[]; // files on the partition that the snapshot does not have
+    changed: string[];
+  }
+
+  interface EfiSourceSummary {
+    ocVersion: string | null;
+    hasBootstrap: boolean; // BOOT/BOOTx64.efi
+    hasConfig: boolean;
+    kexts: { name: string; version: string | null }[];
+    drivers: string[];
+    acpi: string[];
+    tools: string[];
+  }
+
+  interface EfiDownloadResult {
+    efiPath: string;
+    archive: {
+      url: string;
+      sha256: string;
+      expectedSha256: string | null;
+      from: string | null; // where the expected checksum came from
+      status: 'verified' | 'unverified';
+    };
+    source: { id: string; name: string; repo: string; ref: string; tag: string | null; branch: string | null } | null;
+    summary: EfiSourceSummary;
+  }
+
+  interface AssetBundle {
+    path: string;
+    createdAt: string | null;
+    totalSize: number;
+    assets: { key: string; size: number; meta: Record<string, string | null> }[]; // key: recovery:…, installer:…, efi:…, url:…
+  }
+
+  interface DownloadCacheEntry {
+    key: string; // recovery:…, installer:…, efi:…, url:…, file:…
+    sha256: string;
+    size: number;
+    fileName: string;
+    filePath: string;
+    url: string | null;
+    productId: string | null;
+    build: string | null;
+    downloadedAt: string;
+    lastUsedAt: string;
+    meta: Record<string, string | null>;
+  }
+
+  interface DownloadCache {
+    root: string;
+    totalSize: number; // each stored file counted once
+    workSize: number; // extracted packages
+    entries: DownloadCacheEntry[];
+    legacy: { path: string; size: number }[]; // download folders from before the cache, to import
+  }
+
+  interface UsbBuildOptions {
+    disk: string;
+    diskIdentity?: DiskIdentity | null; // from listUSBDrives, re-resolved to the current device node by every step
+    diskToken?: string | null; // confirmation from listUSBDrives, required to format
+    cpuType: string;
+    macosVersion: string;
+    installerType: 'recovery' | 'full';
+    installerSelection?: { catalogType?: CatalogType; productId?: string; build?: string } | null;
+    efiSource: string; // default | source:<id>[@ref] | repo:owner/name[@ref] | URL | local EFI folder
+    efiSha256?: string | null; // archive checksum to insist on (the one reviewed before writing)
+    smbios?: SMBIOSData | null;
+    smbiosModel?: string;
+    forceFormat?: boolean;
+    skipFormat?: boolean;
+    skipEfiCopy?: boolean;
+    verbose?: boolean;
+  }
+
+  // The recovery installer written to a GPT disk image file instead of a USB drive
+  interface ImageBuildOptions {
+    output: string; // .img path
+    cpuType: string;
+    macosVersion: string;
+    efiSource: string;
+    efiSha256?: string | null;
+    smbios?: SMBIOSData | null;
+    smbiosModel?: string;
+    verbose?: boolean;
+  }
+
+  interface JobOptions {
+    'usb-build': UsbBuildOptions;
+    'image-build': ImageBuildOptions;
+  }
+
+  interface JobStep {
+    name: string;
+    title: string;
+    status: 'pending' | 'running' | 'done' | 'skipped' | 'failed';
+    error: string | null;
+    skippable: boolean; // a failed step no later step depends on
+    startedAt: string | null;
+    finishedAt: string | null;
+  }
+
+  interface Job {
+    id: string;
+    kind: string;
+    title: string;
+    status: 'pending' | 'running' | 'done' | 'failed' | 'cancelled';
+    error: string | null;
+    options: UsbBuildOptions;
+    createdAt: string;
+    updatedAt: string;
+    steps: JobStep[];
+  }
+
+  type JobEvent = { jobId: string; step: string | null; job?: Job } & (
+    | { type: 'job'; status: Job['status']; error: string | null; job: Job }
+    | { type: 'step'; status: 'start' | 'done' | 'skipped' | 'failed'; error: string | null; job: Job }
+    | { type: 'status'; message: string }
+    | { type: 'progress'; id: string; percent: number; downloaded: number; total: number }
+    | { type: 'efi-summary'; archive: EfiDownloadResult['archive'] | null; summary: EfiSourceSummary }
+  );
+
+  interface EfiSourceEntry {
+    id: string;
+    name: string;
+    description: string;
+    repo: string; // owner/name
+    asset: string | null; // release asset regex
+    subfolder: string | null; // folder holding the EFI inside the archive
+    supports: { cpu: 'i5' | 'i7'; macos: 'sonoma' | 'sequoia' }[];
+    defaultRef: string; // latest | tag:<tag> | branch:<branch>
+    checksums: Record<string, string>;
+    builtin: boolean;
+  }
+
+  interface EfiSourceRegistry {
+    registryPath: string;
+    sources: EfiSourceEntry[];
+    errors: string[]; // invalid entries in the registry file
+  }
+
+  interface EfiSourceRefs {
+    releases: { tag: string; name: string; publishedAt: string; prerelease: boolean; hasAsset: boolean }[];
+    branches: string[];
+    defaultBranch: string | null;
+  }
+
+  interface OpenCoreInfo {
+    efiRoot: string;
+    ocPath: string;
+    openCore: string | null; // version in OpenCore.efi
+    bootstrap: string | null; // version in BOOT/BOOTx64.efi
+    hasBootstrap: boolean;
+  }
+
+  interface OpenCoreRelease {
+    version: string;
+    tag: string;
+    publishedAt: string;
+    url: string;
+  }
+
+  interface OpenCoreUpgrade {
+    previousVersion: string | null;
+    version: string;
+    backupPath: string;
+    replaced: string[]; // paths relative to the EFI folder
+    added: string[];
+    configChanges: { version: string; change: string }[];
+    validation: ConfigValidation;
+  }
+
+  interface EfiComponentUpdate {
+    name: string;
+    previousVersion: string | null;
+    version: string;
+    configChanges: string[];
+    validation: ConfigValidation | null;
+  }
+
   interface EFIPartition {
     id: string; // disk0s1
     diskId: string; // disk0
@@ -66,13 +340,68 @@ declare global {
     mountPoint: string | null;
   }
 
+  type CatalogType = 'public' | 'publicseed' | 'developer';
+
+  // Product from Apple's software catalog (gibMacOS)
+  interface CatalogProduct {
+    id: string; // e.g. "052-96247"
+    version: string;
+    major: number | null;
+    build: string;
+    title: string;
+    date: string | Date;
+    size: number; // bytes, all packages
+    packages: { url: string; size: number; name: string }[];
+    distUrl: string;
+    type: 'installassistant' | 'recovery';
+  }
+
+  // Saved wizard state (electron/services/profileService.js)
+  interface WizardProfile {
+    version: number;
+    savedAt: string | null;
+    appVersion: string | null;
+    wizard: {
+      currentStep: number;
+      completedSteps: number[];
+      macosVersion: 'sonoma' | 'sequoia';
+      cpuType: 'i5' | 'i7';
+      config: {
+        smbiosModel: string;
+        smbios: SMBIOSData | null;
+        selectedUsb: USBDrive | null;
+        efiPath: string | null;
+        efiSource: { type: 'default' | 'registry' | 'url' | 'local'; value: string; ref?: string; sha256?: string };
+        downloads: Record<string, string>;
+        installerSelection: { catalogType: CatalogType; productId: string; build: string; version: string } | null;
+      };
+    };
+  }
+
   interface USBDrive {
     id: string;
     name: string;
     size: string;
     path: string;
+    serial?: string | null;
+    identity?: DiskIdentity | null;
+    problems?: string[]; // why the disk guard will not erase this drive
+    token?: string | null; // confirmation format-usb requires (issued only for drives without problems)
+  }
+
+  // What identifies a disk across replugs and renumbering (GUIDs lower case, without braces)
+  interface DiskIdentity {
+    serial: string | null;
+    name: string | null;
+    size: number; // bytes
+    diskGuid: string | null; // GPT disk GUID (not available on macOS)
+    partitionUuids: string[];
+    path: string; // device node when it was identified
   }
 
+  // A device path, or a drive resolved by its identity to wherever it is connected now
+  type DiskTarget = string | { path: string; identity?: DiskIdentity | null };
+
   interface DownloadProgress {
     id: string;
     percent: number;
@@ -85,6 +414,53 @@ declare global {
     serial: string;
     mlb: string;
     uuid: string;
+    rom?: string; // 12 hex characters
+    boardId?: string;
+  }
+
+  interface SMBIOSModel {
+    model: string; // e.g. MacBookAir9,1
+    name: string;
+    years: [number, number];
+    boardId: string;
+    macos: string[];
+    default: boolean;
+  }
+
+  interface SMBIOSValidation {
+    valid: boolean;
+    errors: string[];
+    warnings: string[];
+    serial: { serial: string; plant: string; year: number; week: number; unit: string; modelCode: string; model: string | null } | null;
+    mlb: { plant: string; year: number; week: number } | null; // year is the last digit only
+  }
+
+  // Typed plist tree used by the expert-mode editor (see plistPatchService.toTyped)
+  type PlistNode =
+    | { type: 'dict'; value: [string, PlistNode][] }
+    | { type: 'array'; value: PlistNode[] }
+    | { type: 'string' | 'data' | 'date'; value: string } // data: base64, date: ISO 8601
+    | { type: 'integer' | 'real'; value: number }
+    | { type: 'bool'; value: boolean };
+
+  interface PlistChange {
+    path: string;
+    kind: 'added' | 'removed' | 'changed';
+    before: PlistNode | null;
+    after: PlistNode | null;
+  }
+
+  interface ConfigIssue {
+    path: string; // e.g. Kernel.Add[3].BundlePath
+    message: string;
+  }
+
+  interface ConfigValidation {
+    valid: boolean;
+    ocVersion: string | null; // read from OpenCore.efi
+    schemaVersion: string;
+    errors: ConfigIssue[];
+    warnings: ConfigIssue[];
   }
 
   interface ConfigPlist {